@@ -0,0 +1,41 @@
+/**
+ * Tests for the deslop detection CLI argument parsing
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { parseArgs } = require('../plugins/deslop/scripts/detect');
+
+const skillPath = path.join(__dirname, '..', 'plugins', 'deslop', 'skills', 'deslop', 'SKILL.md');
+
+describe('detect.js parseArgs', () => {
+  test('defaults to a normal report of the current directory', () => {
+    expect(parseArgs([])).toMatchObject({ path: '.', mode: 'report', thoroughness: 'normal' });
+  });
+
+  test('accepts --thoroughness <level> and --thoroughness=<level>', () => {
+    expect(parseArgs(['src', '--thoroughness', 'deep'])).toMatchObject({ path: 'src', thoroughness: 'deep' });
+    expect(parseArgs(['--thoroughness=quick', 'src'])).toMatchObject({ path: 'src', thoroughness: 'quick' });
+    expect(parseArgs(['--quick', '--thoroughness', 'normal']).thoroughness).toBe('normal');
+  });
+
+  test('rejects unknown thoroughness levels', () => {
+    expect(() => parseArgs(['--thoroughness', 'extreme'])).toThrow(/Invalid --thoroughness: extreme/);
+    expect(() => parseArgs(['--thoroughness'])).toThrow(/Invalid --thoroughness/);
+  });
+
+  test('parses every detect.js invocation in the deslop skill', () => {
+    const invocations = fs.readFileSync(skillPath, 'utf8')
+      .split('\n')
+      .filter(line => /^node \S*detect\.js /.test(line.trim()))
+      .map(line => line.trim().split(/\s+/).slice(2));
+    expect(invocations.length).toBeGreaterThan(0);
+
+    for (const args of invocations) {
+      const options = parseArgs(args);
+      expect(options.path).toBe('.');
+      expect(options.thoroughness).toBe('normal');
+    }
+  });
+});
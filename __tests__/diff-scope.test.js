@@ -0,0 +1,230 @@
+/**
+ * Tests for diff-scope.js
+ * Diff-aware deslop: only report slop introduced since the merge-base
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+const { runPipeline } = require('../lib/patterns/pipeline');
+const {
+  resolveBaseRef,
+  parseUnifiedDiff,
+  getDiffScope,
+  isLineChanged,
+  filterFindings
+} = require('../lib/patterns/diff-scope');
+
+function git(cwd, args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
+}
+
+function write(dir, file, content) {
+  const filePath = path.join(dir, file);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+describe('diff-scope', () => {
+  describe('parseUnifiedDiff', () => {
+    it('collects new-side line ranges per file', () => {
+      const diff = [
+        'diff --git a/src/app.js b/src/app.js',
+        'index 1111111..2222222 100644',
+        '--- a/src/app.js',
+        '+++ b/src/app.js',
+        '@@ -3 +3 @@ function a() {',
+        '-old',
+        '+new',
+        '@@ -10,0 +11,3 @@',
+        '+x',
+        '+y',
+        '+z',
+        '@@ -20,2 +23,0 @@',
+        '-gone',
+        '-gone'
+      ].join('\n');
+
+      const files = parseUnifiedDiff(diff);
+      expect(files.get('src/app.js')).toEqual([{ start: 3, end: 3 }, { start: 11, end: 13 }]);
+    });
+
+    it('omits deleted files and keeps added ones', () => {
+      const diff = [
+        'diff --git a/old.js b/old.js',
+        'deleted file mode 100644',
+        '--- a/old.js',
+        '+++ /dev/null',
+        '@@ -1,2 +0,0 @@',
+        '-a',
+        '-b',
+        'diff --git a/new.js b/new.js',
+        'new file mode 100644',
+        '--- /dev/null',
+        '+++ b/new.js',
+        '@@ -0,0 +1,2 @@',
+        '+a',
+        '+b'
+      ].join('\n');
+
+      const files = parseUnifiedDiff(diff);
+      expect(files.has('old.js')).toBe(false);
+      expect(files.get('new.js')).toEqual([{ start: 1, end: 2 }]);
+    });
+
+    it('unquotes paths with special characters', () => {
+      const files = parseUnifiedDiff('+++ "b/dir/with \\"quote\\".js"\n@@ -1 +1 @@\n');
+      expect(files.has('dir/with "quote".js')).toBe(true);
+    });
+  });
+
+  describe('filterFindings', () => {
+    const scope = { files: new Map([['src/app.js', [{ start: 10, end: 12 }]]]) };
+
+    it('keeps line findings only inside changed ranges', () => {
+      const findings = [
+        { file: 'src/app.js', line: 11, patternName: 'console_debugging' },
+        { file: 'src/app.js', line: 2, patternName: 'console_debugging' },
+        { file: 'src/other.js', line: 11, patternName: 'console_debugging' }
+      ];
+      const kept = filterFindings(findings, scope, { repoPath: '/repo', lines: true });
+      expect(kept).toEqual([findings[0]]);
+    });
+
+    it('keeps block findings that overlap a changed range', () => {
+      const block = { file: 'src/app.js', line: 5, patternName: 'commented_code', details: { startLine: 5, endLine: 10 } };
+      expect(filterFindings([block], scope, { repoPath: '/repo', lines: true })).toEqual([block]);
+    });
+
+    it('keeps any finding in a touched file without line filtering', () => {
+      const findings = [
+        { file: '/repo/src/app.js', line: 2, patternName: 'excessive_inline_comments' },
+        { file: 'project-level', line: 0, patternName: 'buzzword_inflation' }
+      ];
+      expect(filterFindings(findings, scope, { repoPath: '/repo' })).toEqual([findings[0]]);
+    });
+
+    it('checks line span overlap', () => {
+      expect(isLineChanged(scope, 'src/app.js', 12, 20)).toBe(true);
+      expect(isLineChanged(scope, 'src/app.js', 13, 20)).toBe(false);
+      expect(isLineChanged(scope, 'missing.js', 10)).toBe(false);
+    });
+  });
+
+  describe('with a git repository', () => {
+    let repoDir;
+
+    beforeEach(() => {
+      repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-scope-'));
+      git(repoDir, ['init', '-q', '-b', 'main']);
+      git(repoDir, ['config', 'user.email', 'test@example.com']);
+      git(repoDir, ['config', 'user.name', 'Test']);
+      git(repoDir, ['config', 'commit.gpgsign', 'false']);
+      write(repoDir, 'src/app.js', [
+        'function legacy() {',
+        '  console.log("old debug");',
+        '  return 1;',
+        '}',
+        '',
+        'module.exports = { legacy };',
+        ''
+      ].join('\n'));
+      git(repoDir, ['add', '-A']);
+      git(repoDir, ['commit', '-q', '-m', 'base']);
+      git(repoDir, ['checkout', '-q', '-b', 'feature']);
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoDir, { recursive: true, force: true });
+    });
+
+    it('resolves main as the default base', () => {
+      expect(resolveBaseRef(repoDir)).toBe('main');
+      expect(resolveBaseRef(repoDir, 'nope')).toBeNull();
+      expect(resolveBaseRef(repoDir, '--output=x')).toBeNull();
+    });
+
+    it('includes committed, uncommitted and untracked changes', () => {
+      write(repoDir, 'src/app.js', fs.readFileSync(path.join(repoDir, 'src/app.js'), 'utf8') +
+        'function added() {\n  return 2;\n}\n');
+      git(repoDir, ['commit', '-qam', 'add function']);
+      write(repoDir, 'src/app.js', fs.readFileSync(path.join(repoDir, 'src/app.js'), 'utf8') + '// tail\n');
+      write(repoDir, 'src/new.js', 'module.exports = 1;\n');
+
+      const scope = getDiffScope(repoDir);
+      expect(scope.ok).toBe(true);
+      expect(scope.base).toBe('main');
+      expect(scope.mergeBase).toBe(git(repoDir, ['rev-parse', 'main']));
+      expect(scope.files.get('src/app.js')).toEqual([{ start: 7, end: 10 }]);
+      expect(isLineChanged(scope, 'src/new.js', 1)).toBe(true);
+    });
+
+    it('fails cleanly outside a git repository', () => {
+      const plain = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-scope-plain-'));
+      try {
+        const scope = getDiffScope(plain);
+        expect(scope.ok).toBe(false);
+        expect(scope.error).toMatch(/git/i);
+      } finally {
+        fs.rmSync(plain, { recursive: true, force: true });
+      }
+    });
+
+    describe('runPipeline diff mode', () => {
+      it('reports only slop on changed lines of changed files', async () => {
+        write(repoDir, 'src/app.js', fs.readFileSync(path.join(repoDir, 'src/app.js'), 'utf8') +
+          'function added() {\n  console.log("new debug");\n  return 2;\n}\n');
+        write(repoDir, 'src/untouched.js', 'console.log("untracked counts as changed");\n');
+
+        const result = await runPipeline(repoDir, { thoroughness: 'quick', diff: true, suppressions: false });
+        const debug = result.findings.filter(f => f.patternName === 'console_debugging');
+
+        expect(debug.map(f => [f.file, f.line])).toEqual([
+          ['src/app.js', 8],
+          ['src/untouched.js', 1]
+        ]);
+        expect(result.metadata.diff).toEqual({
+          base: 'main',
+          mergeBase: git(repoDir, ['rev-parse', 'main']),
+          changedFiles: 2
+        });
+        expect(result.metadata.filesAnalyzed).toBe(2);
+      });
+
+      it('honors an explicit base ref', async () => {
+        write(repoDir, 'src/app.js', 'console.log("committed on feature");\n');
+        git(repoDir, ['commit', '-qam', 'feature work']);
+
+        const sinceHead = await runPipeline(repoDir, { thoroughness: 'quick', diff: { base: 'HEAD' }, suppressions: false });
+        expect(sinceHead.findings).toEqual([]);
+        expect(sinceHead.metadata.filesAnalyzed).toBe(0);
+
+        const sinceMain = await runPipeline(repoDir, { thoroughness: 'quick', diff: { base: 'main' }, suppressions: false });
+        expect(sinceMain.findings.some(f => f.patternName === 'console_debugging')).toBe(true);
+      });
+
+      it('skips project-level analyzers and keeps per-file findings in touched files', async () => {
+        write(repoDir, 'src/app.js', fs.readFileSync(path.join(repoDir, 'src/app.js'), 'utf8') + '// tail\n');
+
+        const result = await runPipeline(repoDir, { thoroughness: 'normal', diff: true, suppressions: false });
+        for (const finding of result.findings) {
+          expect(finding.file).toBe('src/app.js');
+        }
+      });
+
+      it('falls back to a full scan when the base ref is missing', async () => {
+        const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+          const result = await runPipeline(repoDir, { thoroughness: 'quick', diff: { base: 'missing' }, suppressions: false });
+          expect(result.metadata.diff).toEqual({ error: 'Base ref not found: missing' });
+          expect(result.findings.some(f => f.file === 'src/app.js' && f.line === 2)).toBe(true);
+          expect(spy).toHaveBeenCalledWith(expect.stringContaining('Diff scope unavailable'));
+        } finally {
+          spy.mockRestore();
+        }
+      });
+    });
+  });
+});
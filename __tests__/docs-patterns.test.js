@@ -21,6 +21,8 @@ const {
   ensureRepoMapSync,
   getExportsFromRepoMap,
   findUndocumentedExports,
+  findSignatureMismatches,
+  getDocumentedParams,
   isInternalExport,
   isEntryPoint,
   escapeRegex
@@ -1015,6 +1017,71 @@ describe('docs-patterns', () => {
       });
     });
 
+    describe('getDocumentedParams', () => {
+      test('reads JSDoc @param tags and skips nested properties', () => {
+        const doc = 'Create a client\n@param {Object} [options] - Options\n@param {string} options.url - URL\n@param {...number} ids';
+        expect(getDocumentedParams(doc)).toEqual(['options', 'ids']);
+      });
+
+      test('reads Sphinx and Google-style Python docstrings', () => {
+        expect(getDocumentedParams('Run it.\n:param int count: How many\n:param name: Who')).toEqual(['count', 'name']);
+        expect(getDocumentedParams('Run it.\n\nArgs:\ncount (int): How many\n**kwargs: Extra\n\nReturns:\nvalue: ignored')).toEqual(['count', 'kwargs']);
+      });
+
+      test('returns empty array without documented params', () => {
+        expect(getDocumentedParams('Just a description')).toEqual([]);
+        expect(getDocumentedParams(undefined)).toEqual([]);
+      });
+    });
+
+    describe('findSignatureMismatches', () => {
+      const makeStatus = (functions, language = 'javascript') => ({
+        available: true,
+        fallbackReason: null,
+        map: { files: { 'src/api.js': { language, symbols: { exports: [], functions } } } }
+      });
+
+      test('reports missing and extra documented params', () => {
+        const repoMapStatus = makeStatus([
+          { name: 'connect', line: 4, params: ['host', 'port = 80'], doc: '@param {string} host\n@param {number} timeout' },
+          { name: 'close', line: 9, params: ['force'], doc: '@param {boolean} force' }
+        ]);
+
+        const result = findSignatureMismatches(['src/api.js'], { cwd: testDir, repoMapStatus });
+
+        expect(result).toHaveLength(1);
+        expect(result[0]).toMatchObject({
+          type: 'signature-mismatch',
+          file: 'src/api.js',
+          name: 'connect',
+          line: 4,
+          documented: ['host', 'timeout'],
+          actual: ['host', 'port'],
+          missing: ['port'],
+          extra: ['timeout']
+        });
+      });
+
+      test('skips undocumented, destructured and receiver-only differences', () => {
+        const repoMapStatus = makeStatus([
+          { name: 'plain', line: 1, params: ['a'], doc: 'No tags here' },
+          { name: 'nodoc', line: 2, params: ['a'] },
+          { name: 'setup', line: 3, params: ['{ cwd }'], doc: '@param {Object} options' }
+        ]);
+        expect(findSignatureMismatches(['src/api.js'], { cwd: testDir, repoMapStatus })).toEqual([]);
+
+        const python = makeStatus([
+          { name: 'run', line: 1, params: ['self', 'count: int', '*', 'verbose=False'], doc: ':param count: n\n:param verbose: v' }
+        ], 'python');
+        expect(findSignatureMismatches(['src/api.js'], { cwd: testDir, repoMapStatus: python })).toEqual([]);
+      });
+
+      test('returns empty array when repo-map is unavailable', () => {
+        const repoMapStatus = { available: false, map: null, fallbackReason: 'test' };
+        expect(findSignatureMismatches(['src/api.js'], { cwd: testDir, repoMapStatus })).toEqual([]);
+      });
+    });
+
     describe('collect with repo-map', () => {
       test('includes repoMap status in output', () => {
         fs.writeFileSync(path.join(testDir, 'docs', 'README.md'), '# Test');
@@ -1035,6 +1102,12 @@ describe('docs-patterns', () => {
         expect(Array.isArray(result.undocumentedExports)).toBe(true);
       });
 
+      test('includes signatureMismatches in output', () => {
+        const result = collect({ cwd: testDir, changedFiles: [] });
+
+        expect(Array.isArray(result.signatureMismatches)).toBe(true);
+      });
+
       test('repoMap.stats is null when unavailable', () => {
         const result = collect({ cwd: testDir, changedFiles: [] });
 
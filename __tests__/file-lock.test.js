@@ -0,0 +1,150 @@
+/**
+ * Tests for cross-process file lock utility
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+const { getLockPath, acquireLock, withLock, breakStaleLock } = require('../lib/utils/file-lock');
+const workflowState = require('../lib/state/workflow-state');
+const investigationState = require('../lib/perf/investigation-state');
+
+const WORKERS = 4;
+const ROUNDS = 25;
+
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => (
+    entry.isDirectory() ? listFiles(path.join(dir, entry.name)) : [path.join(dir, entry.name)]
+  ));
+}
+
+function runWorker(script, args) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', script, ...args], { timeout: 60000 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`worker ${args[0]} failed: ${stderr || error.message}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+describe('file-lock', () => {
+  let tempDir;
+  let target;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-lock-test-'));
+    target = path.join(tempDir, 'state.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('creates a lockfile with owner info and removes it on release', () => {
+    const seen = withLock(target, () => JSON.parse(fs.readFileSync(getLockPath(target), 'utf8')));
+
+    expect(seen).toMatchObject({ pid: process.pid, hostname: os.hostname() });
+    expect(fs.existsSync(getLockPath(target))).toBe(false);
+  });
+
+  it('is re-entrant within a process', () => {
+    const result = withLock(target, () => withLock(target, () => 'inner'));
+
+    expect(result).toBe('inner');
+    expect(fs.existsSync(getLockPath(target))).toBe(false);
+  });
+
+  it('releases the lock when the critical section throws', () => {
+    expect(() => withLock(target, () => { throw new Error('boom'); })).toThrow('boom');
+    expect(fs.existsSync(getLockPath(target))).toBe(false);
+  });
+
+  it('times out while a live process holds the lock', () => {
+    fs.writeFileSync(getLockPath(target), JSON.stringify({
+      pid: process.ppid, hostname: os.hostname(), createdAt: new Date().toISOString(), token: 'other'
+    }));
+
+    expect(() => acquireLock(target, { timeoutMs: 50 })).toThrow(expect.objectContaining({ code: 'ELOCKTIMEOUT' }));
+    expect(fs.existsSync(getLockPath(target))).toBe(true);
+  });
+
+  it('breaks locks left by a dead process', async () => {
+    const deadPid = await new Promise((resolve, reject) => {
+      const child = execFile(process.execPath, ['-e', ''], (error) => (error ? reject(error) : resolve(child.pid)));
+    });
+    fs.writeFileSync(getLockPath(target), JSON.stringify({
+      pid: deadPid, hostname: os.hostname(), createdAt: new Date().toISOString(), token: 'dead'
+    }));
+
+    expect(withLock(target, () => 'acquired', { timeoutMs: 500 })).toBe('acquired');
+  });
+
+  it('breaks locks older than staleMs', () => {
+    fs.writeFileSync(getLockPath(target), JSON.stringify({
+      pid: 1, hostname: 'other-host', createdAt: new Date(Date.now() - 60000).toISOString(), token: 'old'
+    }));
+
+    expect(withLock(target, () => 'acquired', { timeoutMs: 500, staleMs: 1000 })).toBe('acquired');
+  });
+
+  it('puts back a lock that was replaced after it was judged stale', () => {
+    const lockPath = getLockPath(target);
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.ppid, hostname: os.hostname(), token: 'fresh' }));
+
+    expect(breakStaleLock(lockPath, { token: 'dead' }, fs.statSync(lockPath))).toBe(false);
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).token).toBe('fresh');
+    expect(fs.readdirSync(tempDir)).toEqual(['state.json.lock']);
+  });
+
+  it('only breaks unreadable locks once they are old', () => {
+    const lockPath = getLockPath(target);
+    fs.writeFileSync(lockPath, '');
+
+    expect(() => acquireLock(target, { timeoutMs: 50, staleMs: 1000 })).toThrow(expect.objectContaining({ code: 'ELOCKTIMEOUT' }));
+    expect(fs.existsSync(lockPath)).toBe(true);
+
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(lockPath, old, old);
+    expect(withLock(target, () => 'acquired', { timeoutMs: 500, staleMs: 1000 })).toBe('acquired');
+    expect(fs.readdirSync(tempDir)).toEqual([]);
+  });
+
+  describe('concurrent writers', () => {
+    const libDir = path.join(__dirname, '..', 'lib');
+
+    it('does not lose flow, registry or investigation updates across processes', async () => {
+      const worktree = path.join(tempDir, 'worktree');
+      fs.mkdirSync(worktree);
+      workflowState.createFlow({ id: 'main', title: 'Main', source: 'manual' }, {}, worktree, tempDir);
+      investigationState.initializeInvestigation({ id: 'perf-1' }, tempDir);
+
+      const script = `
+        const ws = require(${JSON.stringify(path.join(libDir, 'state', 'workflow-state'))});
+        const perf = require(${JSON.stringify(path.join(libDir, 'perf', 'investigation-state'))});
+        const [worker, rounds, worktree, project] = process.argv.slice(1);
+        for (let i = 1; i <= Number(rounds); i++) {
+          if (!ws.updateFlow((flow) => ({ counter: (flow.counter || 0) + 1 }), worktree)) process.exit(2);
+          perf.updateInvestigation({ scenario: { ['w' + worker]: i } }, project);
+        }
+        if (!ws.claimTask({ id: 'task-' + worker, title: 'Task ' + worker }, { session: 'session-' + worker }, project).success) {
+          process.exit(3);
+        }
+      `;
+      await Promise.all(Array.from({ length: WORKERS }, (_, i) =>
+        runWorker(script, [String(i), String(ROUNDS), worktree, tempDir])));
+
+      expect(workflowState.readFlow(worktree).counter).toBe(WORKERS * ROUNDS);
+      const scenario = investigationState.readInvestigation(tempDir).scenario;
+      for (let i = 0; i < WORKERS; i++) {
+        expect(scenario[`w${i}`]).toBe(ROUNDS);
+      }
+      expect(workflowState.listTasks({}, tempDir).map(t => t.id).sort())
+        .toEqual(['main', ...Array.from({ length: WORKERS }, (_, i) => `task-${i}`)]);
+      expect(listFiles(tempDir).filter(f => f.endsWith('.lock'))).toEqual([]);
+    }, 120000);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for findings-cache.js
+ * Per-file slop findings cache
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const stateDir = require('../lib/platform/state-dir');
+const findingsCache = require('../lib/patterns/findings-cache');
+
+describe('findings-cache', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'findings-cache-'));
+    process.env.AI_STATE_DIR = '.ai-state';
+    stateDir.clearCache();
+  });
+
+  afterEach(() => {
+    delete process.env.AI_STATE_DIR;
+    stateDir.clearCache();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('stores the cache in the platform state dir', () => {
+    expect(findingsCache.getCachePath(tmpDir)).toBe(path.join(tmpDir, '.ai-state', 'slop-cache.json'));
+  });
+
+  it('hashes content deterministically', () => {
+    expect(findingsCache.hashContent('a')).toBe(findingsCache.hashContent('a'));
+    expect(findingsCache.hashContent('a')).not.toBe(findingsCache.hashContent('b'));
+  });
+
+  it('returns a stable pattern-set version', () => {
+    expect(findingsCache.getPatternSetVersion()).toMatch(/^[0-9a-f]{16}$/);
+    expect(findingsCache.getPatternSetVersion()).toBe(findingsCache.getPatternSetVersion());
+  });
+
+  it('returns an empty cache when none exists', () => {
+    const cache = findingsCache.load(tmpDir);
+    expect(cache).toEqual({ version: findingsCache.getPatternSetVersion(), files: {} });
+  });
+
+  it('round-trips findings by content hash, section and variant', () => {
+    const cache = findingsCache.load(tmpDir);
+    const finding = { file: 'a.js', line: 1, patternName: 'console_debugging' };
+    findingsCache.setFindings(cache, 'a.js', 'h1', 'phase1', [finding], 'js');
+    findingsCache.save(tmpDir, cache);
+
+    const loaded = findingsCache.load(tmpDir);
+    expect(findingsCache.getFindings(loaded, 'a.js', 'h1', 'phase1', 'js')).toEqual([finding]);
+    expect(findingsCache.getFindings(loaded, 'a.js', 'h2', 'phase1', 'js')).toBeNull();
+    expect(findingsCache.getFindings(loaded, 'a.js', 'h1', 'phase1', '')).toBeNull();
+    expect(findingsCache.getFindings(loaded, 'a.js', 'h1', 'multiPass', 'js')).toBeNull();
+  });
+
+  it('drops other sections when the content hash changes', () => {
+    const cache = findingsCache.load(tmpDir);
+    findingsCache.setFindings(cache, 'a.js', 'h1', 'phase1', []);
+    findingsCache.setFindings(cache, 'a.js', 'h1', 'multiPass', []);
+    findingsCache.setFindings(cache, 'a.js', 'h2', 'phase1', []);
+
+    expect(cache.files['a.js'].multiPass).toBeUndefined();
+  });
+
+  it('discards caches written by another pattern-set version', () => {
+    const cachePath = findingsCache.getCachePath(tmpDir);
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(cachePath, JSON.stringify({ version: 'old', files: { 'a.js': { hash: 'h1' } } }));
+
+    expect(findingsCache.load(tmpDir).files).toEqual({});
+  });
+
+  it('ignores corrupt cache files', () => {
+    const cachePath = findingsCache.getCachePath(tmpDir);
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(cachePath, '{not json');
+
+    expect(findingsCache.load(tmpDir).files).toEqual({});
+  });
+
+  it('prunes entries for files no longer scanned', () => {
+    const cache = findingsCache.load(tmpDir);
+    findingsCache.setFindings(cache, 'a.js', 'h1', 'phase1', []);
+    findingsCache.setFindings(cache, 'b.js', 'h2', 'phase1', []);
+
+    expect(findingsCache.prune(cache, ['a.js'])).toBe(1);
+    expect(Object.keys(cache.files)).toEqual(['a.js']);
+  });
+
+  it('clears the cache file', () => {
+    findingsCache.save(tmpDir, findingsCache.load(tmpDir));
+    expect(findingsCache.clear(tmpDir)).toBe(true);
+    expect(findingsCache.clear(tmpDir)).toBe(false);
+  });
+});
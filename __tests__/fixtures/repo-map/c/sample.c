@@ -0,0 +1,15 @@
+#include <stdio.h>
+#include "sample.h"
+
+#define MAX_ITEMS 16
+
+static int counter = 0;
+
+static int helper(int value) {
+    return value * 2;
+}
+
+int sample_add(int a, int b) {
+    counter++;
+    return helper(a) + b;
+}
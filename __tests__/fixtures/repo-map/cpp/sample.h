@@ -0,0 +1,20 @@
+#include <string>
+#include "util.hpp"
+
+namespace sample {
+
+class Widget {
+public:
+    int size() const;
+};
+
+struct Point {
+    int x;
+    int y;
+};
+
+using Name = std::string;
+
+int widget_count();
+
+}
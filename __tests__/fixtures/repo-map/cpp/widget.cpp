@@ -0,0 +1,13 @@
+#include "sample.h"
+
+constexpr int kDefaultSize = 4;
+
+static int internal_size() { return kDefaultSize; }
+
+int Widget::size() const {
+    return internal_size();
+}
+
+int widget_count() {
+    return 1;
+}
@@ -0,0 +1,20 @@
+using System;
+using System.Collections.Generic;
+
+namespace Sample
+{
+    public class Greeter
+    {
+        public const string Prefix = "Hello";
+
+        public string Greet(string name) { return $"{Prefix} {name}"; }
+
+        private int Count() { return 1; }
+    }
+
+    internal class Helper
+    {
+    }
+
+    public enum Mood { Happy, Sad }
+}
@@ -0,0 +1,24 @@
+package sample
+
+import kotlin.math.max
+import java.util.UUID
+
+const val DEFAULT_NAME = "world"
+
+typealias Names = List<String>
+
+data class User(val id: String, val name: String)
+
+class Greeter {
+    fun greet(name: String): String {
+        return "Hello $name"
+    }
+
+    private fun secret(): Int {
+        return max(1, 2)
+    }
+}
+
+internal fun helper() {
+    println(UUID.randomUUID())
+}
@@ -0,0 +1,29 @@
+<?php
+
+namespace App;
+
+use App\Models\User;
+require_once 'helpers.php';
+
+const VERSION = '1.0';
+
+function helper($value) {
+    return $value + 1;
+}
+
+class Greeter extends Base
+{
+    public function greet(string $name): string
+    {
+        return "Hello " . $name;
+    }
+
+    private function secret()
+    {
+        return 42;
+    }
+}
+
+interface Greets
+{
+}
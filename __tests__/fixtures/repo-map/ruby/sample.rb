@@ -0,0 +1,20 @@
+require 'json'
+require_relative 'helpers/format'
+
+module Sample
+  class Greeter < Base
+    def greet(name)
+      "Hello #{name}"
+    end
+
+    def self.build
+      new
+    end
+
+    private
+
+    def secret
+      42
+    end
+  end
+end
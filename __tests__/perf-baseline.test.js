@@ -40,3 +40,104 @@ describe('perf baseline store', () => {
     expect(result.metrics.latency.delta).toBe(25);
   });
 });
+
+describe('perf baseline comparator significance', () => {
+  const samplesOf = (key, values) => values.map((value) => ({ [key]: value }));
+
+  it('keeps raw delta fields and labels changes without samples by threshold', () => {
+    const result = baselineComparator.compareBaselines(
+      { metrics: { latency_ms: 100, throughput_rps: 1000 } },
+      { metrics: { latency_ms: 102, throughput_rps: 1200 } }
+    );
+    expect(result.metrics.latency_ms).toMatchObject({ delta: 2, status: 'unchanged', significant: null });
+    expect(result.metrics.throughput_rps).toMatchObject({ direction: 'higher', status: 'improved' });
+    expect(result.summary).toEqual({ improved: 1, regressed: 0, unchanged: 1 });
+    expect(result.noiseThreshold).toBe(baselineComparator.DEFAULT_NOISE_THRESHOLD);
+  });
+
+  it('flags a separated shift across runs as a significant regression', () => {
+    const result = baselineComparator.compareBaselines(
+      { metrics: { latency_ms: 100 }, samples: samplesOf('latency_ms', [99, 100, 101, 102, 98]) },
+      { metrics: { latency_ms: 120 }, samples: samplesOf('latency_ms', [119, 120, 122, 121, 118]) }
+    );
+    const latency = result.metrics.latency_ms;
+    expect(latency.status).toBe('regressed');
+    expect(latency.significant).toBe(true);
+    expect(latency.test).toMatchObject({ name: 'mann-whitney-u', method: 'exact', u: 0 });
+    expect(latency.test.pValue).toBeCloseTo(2 / 252, 6);
+    expect(latency.stats.baseline).toMatchObject({ n: 5, mean: 100, median: 100 });
+    expect(latency.deltaCI[0]).toBeGreaterThan(0);
+  });
+
+  it('treats overlapping noisy runs as unchanged even above the threshold', () => {
+    const result = baselineComparator.compareBaselines(
+      { metrics: { latency_ms: 100 }, samples: samplesOf('latency_ms', [80, 120, 95, 110, 100]) },
+      { metrics: { latency_ms: 106 }, samples: samplesOf('latency_ms', [85, 125, 106, 90, 115]) }
+    );
+    expect(result.metrics.latency_ms.status).toBe('unchanged');
+    expect(result.metrics.latency_ms.significant).toBe(false);
+  });
+
+  it('respects custom noise threshold and direction overrides', () => {
+    const result = baselineComparator.compareBaselines(
+      { metrics: { cache_size: 100 } },
+      { metrics: { cache_size: 103 } },
+      { noiseThreshold: 0.01, directions: { cache_size: 'higher' } }
+    );
+    expect(result.metrics.cache_size.status).toBe('improved');
+  });
+
+  it('compares scenario metrics by flattened key', () => {
+    const result = baselineComparator.compareBaselines(
+      { metrics: { scenarios: { low: { latency_ms: 10 } } } },
+      { metrics: { scenarios: { low: { latency_ms: 20 } } } }
+    );
+    expect(result.metrics['scenarios.low.latency_ms']).toMatchObject({ delta: 10, status: 'regressed' });
+  });
+
+  it('uses the normal approximation when samples tie', () => {
+    const test = baselineComparator.mannWhitneyU([1, 1, 2, 2, 3], [4, 4, 5, 5, 6]);
+    expect(test.method).toBe('normal');
+    expect(test.pValue).toBeLessThan(0.05);
+  });
+
+  it('infers direction from metric names', () => {
+    expect(baselineComparator.inferDirection('p95_latency_ms')).toBe('lower');
+    expect(baselineComparator.inferDirection('scenarios.high.throughput')).toBe('higher');
+    expect(baselineComparator.inferDirection('requests_per_sec')).toBe('higher');
+    expect(baselineComparator.inferDirection('cacheHits')).toBe('higher');
+    expect(baselineComparator.inferDirection('errors_per_sec')).toBe('lower');
+    expect(baselineComparator.inferDirection('dropped_ops')).toBe('lower');
+    expect(baselineComparator.inferDirection('gc_stops')).toBe('lower');
+    expect(baselineComparator.inferDirection('shops_total')).toBe('lower');
+  });
+
+  it('falls back to the delta interval when three runs cannot reach alpha', () => {
+    expect(baselineComparator.minAchievablePValue(3, 3)).toBeCloseTo(0.1, 10);
+
+    const result = baselineComparator.compareBaselines(
+      {
+        metrics: { latency_ms: 100, p99_ms: 100 },
+        samples: [{ latency_ms: 100, p99_ms: 60 }, { latency_ms: 102, p99_ms: 140 }, { latency_ms: 98, p99_ms: 100 }]
+      },
+      {
+        metrics: { latency_ms: 200, p99_ms: 120 },
+        samples: [{ latency_ms: 200, p99_ms: 70 }, { latency_ms: 205, p99_ms: 170 }, { latency_ms: 195, p99_ms: 120 }]
+      }
+    );
+
+    expect(result.metrics.latency_ms).toMatchObject({ status: 'regressed', significant: true, test: { pValue: 0.1, minPValue: 0.1 } });
+    expect(result.metrics.p99_ms).toMatchObject({ status: 'insufficient-samples', significant: false });
+    expect(result.summary).toEqual({ improved: 0, regressed: 1, unchanged: 0, 'insufficient-samples': 1 });
+  });
+
+  it('classifies changes from a zero baseline by the absolute delta', () => {
+    const result = baselineComparator.compareBaselines(
+      { metrics: { errors: 0, timeouts: 0 } },
+      { metrics: { errors: 50, timeouts: 0 } }
+    );
+
+    expect(result.metrics.errors).toMatchObject({ percent: null, status: 'regressed' });
+    expect(result.metrics.timeouts.status).toBe('unchanged');
+  });
+});
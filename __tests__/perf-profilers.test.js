@@ -45,3 +45,405 @@ describe('perf profiler selection', () => {
     expect(profiler.id).toBe('perf');
   });
 });
+
+describe('node profiler output parsing', () => {
+  const nodeProfiler = require('../lib/perf/profilers/node');
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'perf-node-prof-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function buildProfile(repoPath) {
+    const appUrl = `file://${path.join(repoPath, 'src', 'app.js')}`;
+    return {
+      nodes: [
+        { id: 1, callFrame: { functionName: '(root)', url: '', lineNumber: -1, columnNumber: -1 }, children: [2, 5] },
+        { id: 2, callFrame: { functionName: 'main', url: appUrl, lineNumber: 0, columnNumber: 0 }, children: [3] },
+        { id: 3, callFrame: { functionName: 'fib', url: appUrl, lineNumber: 9, columnNumber: 2 }, children: [4] },
+        { id: 4, callFrame: { functionName: 'fib', url: appUrl, lineNumber: 9, columnNumber: 2 }, children: [] },
+        { id: 5, callFrame: { functionName: '(idle)', url: '', lineNumber: -1, columnNumber: -1 }, children: [] }
+      ],
+      startTime: 0,
+      endTime: 10000,
+      samples: [3, 4, 4, 4, 2, 5],
+      timeDeltas: [0, 1000, 1000, 1000, 1000, 1000]
+    };
+  }
+
+  it('aggregates self and total time per function', () => {
+    const result = nodeProfiler.parseCpuProfile(buildProfile(tempDir), { repoPath: tempDir });
+
+    expect(result.totalMs).toBe(6);
+    const fib = result.hotspots[0];
+    expect(fib).toMatchObject({ name: 'fib', file: 'src/app.js', line: 10, selfMs: 4, totalMs: 4 });
+    const main = result.hotspots.find((h) => h.name === 'main');
+    expect(main).toMatchObject({ selfMs: 1, totalMs: 5, line: 1 });
+    expect(result.hotspots.some((h) => h.name === '(idle)' || h.name === '(root)')).toBe(false);
+  });
+
+  it('aggregates per file without double counting nested calls', () => {
+    const result = nodeProfiler.parseCpuProfile(buildProfile(tempDir), { repoPath: tempDir });
+    expect(result.files).toEqual([
+      expect.objectContaining({ file: 'src/app.js', selfMs: 5, totalMs: 5, functions: 2 })
+    ]);
+  });
+
+  it('keeps paths outside the repo as-is', () => {
+    const profile = buildProfile(tempDir);
+    profile.nodes[2].callFrame.url = 'node:internal/fs/utils';
+    profile.nodes[3].callFrame.url = 'node:internal/fs/utils';
+    const result = nodeProfiler.parseCpuProfile(profile, { repoPath: tempDir });
+    expect(result.hotspots[0].file).toBe('node:internal/fs/utils');
+  });
+
+  it('falls back to hitCount when samples are missing', () => {
+    const profile = buildProfile(tempDir);
+    delete profile.samples;
+    delete profile.timeDeltas;
+    profile.nodes[2].hitCount = 3;
+    profile.nodes[1].hitCount = 1;
+    const result = nodeProfiler.parseCpuProfile(profile, { repoPath: tempDir });
+    expect(result.hotspots[0]).toMatchObject({ name: 'fib', selfPercent: 75 });
+  });
+
+  it('parseOutput locates the profile and returns artifact path', () => {
+    fs.writeFileSync(path.join(tempDir, 'node.cpuprofile'), JSON.stringify(buildProfile(tempDir)));
+    const result = nodeProfiler.parseOutput({ repoPath: tempDir });
+    expect(result.artifacts).toEqual(['node.cpuprofile']);
+    expect(result.hotspots[0].name).toBe('fib');
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('parseOutput falls back to newest .cpuprofile in repo root', () => {
+    fs.writeFileSync(path.join(tempDir, 'CPU.20260101.1.cpuprofile'), JSON.stringify(buildProfile(tempDir)));
+    const result = nodeProfiler.parseOutput({ repoPath: tempDir, output: 'missing.cpuprofile' });
+    expect(result.artifacts).toEqual(['CPU.20260101.1.cpuprofile']);
+  });
+
+  it('parseOutput ignores profiles left over from an earlier run', () => {
+    const stale = path.join(tempDir, 'node.cpuprofile');
+    fs.writeFileSync(stale, JSON.stringify(buildProfile(tempDir)));
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(stale, past, past);
+
+    const result = nodeProfiler.parseOutput({ repoPath: tempDir, startedAt: Date.now() - 1000 });
+    expect(result.artifacts).toEqual([]);
+    expect(result.warnings[0]).toMatch(/No \.cpuprofile/);
+  });
+
+  it('parseOutput reports a warning when no profile exists', () => {
+    const result = nodeProfiler.parseOutput({ repoPath: tempDir });
+    expect(result.hotspots).toEqual([]);
+    expect(result.warnings[0]).toMatch(/No \.cpuprofile/);
+  });
+
+  it('parseOutput reports a warning for corrupt profiles', () => {
+    fs.writeFileSync(path.join(tempDir, 'node.cpuprofile'), '{not json');
+    const result = nodeProfiler.parseOutput({ repoPath: tempDir });
+    expect(result.artifacts).toEqual(['node.cpuprofile']);
+    expect(result.warnings[0]).toMatch(/Failed to parse/);
+  });
+
+  it('parses a real --cpu-prof run', () => {
+    const { execFileSync } = require('child_process');
+    const script = path.join(tempDir, 'busy.js');
+    fs.writeFileSync(script, [
+      'function spin() { let x = 0; for (let i = 0; i < 2e7; i++) x += i % 7; return x; }',
+      'spin();'
+    ].join('\n'));
+    execFileSync(process.execPath, ['--cpu-prof', '--cpu-prof-name=node.cpuprofile', 'busy.js'], { cwd: tempDir });
+
+    const result = nodeProfiler.parseOutput({ repoPath: tempDir });
+    expect(result.warnings).toEqual([]);
+    const spin = result.hotspots.find((h) => h.name === 'spin');
+    expect(spin).toMatchObject({ file: 'busy.js', line: 1 });
+  });
+});
+
+describe('python profiler output parsing', () => {
+  const pythonProfiler = require('../lib/perf/profilers/python');
+  const PSTATS = [
+    '         1234 function calls (1200 primitive calls) in 2.000 seconds',
+    '',
+    '   Ordered by: internal time',
+    '',
+    '   ncalls  tottime  percall  cumtime  percall filename:lineno(function)',
+    '   177/1    1.200    0.007    1.500    1.500 /repo/app/fib.py:3(fib)',
+    '        1    0.300    0.300    2.000    2.000 /repo/app/main.py:10(main)',
+    '       50    0.100    0.002    0.100    0.002 {built-in method time.sleep}',
+    '        3    0.050    0.017    0.050    0.017 ~:0(<method \'append\' of \'list\' objects>)',
+    ''
+  ].join('\n');
+
+  it('parses pstats text into ranked hotspots', () => {
+    const result = pythonProfiler.parsePstatsText(PSTATS, { repoPath: '/repo' });
+    expect(result.totalMs).toBe(2000);
+    expect(result.hotspots[0]).toMatchObject({
+      name: 'fib', file: 'app/fib.py', line: 3, selfMs: 1200, totalMs: 1500, selfPercent: 60
+    });
+    expect(result.hotspots.find((h) => h.name === 'built-in method time.sleep').file).toBeNull();
+    expect(result.hotspots.find((h) => h.name.includes('append')).file).toBeNull();
+    expect(result.files.map((f) => f.file)).toEqual(['app/fib.py', 'app/main.py']);
+  });
+
+  it('throws when no pstats table is present', () => {
+    expect(() => pythonProfiler.parsePstatsText('hello')).toThrow(/No pstats table/);
+  });
+
+  it('parseOutput prefers pstats text on stdout', () => {
+    const result = pythonProfiler.parseOutput({ repoPath: '/repo-missing', stdout: PSTATS });
+    expect(result.hotspots[0].name).toBe('fib');
+    expect(result.artifacts).toEqual([]);
+  });
+
+  it('parseOutput reads a text report next to the profile', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'perf-py-prof-'));
+    try {
+      fs.writeFileSync(path.join(tempDir, 'profile.prof.txt'), PSTATS);
+      const result = pythonProfiler.parseOutput({ repoPath: tempDir });
+      expect(result.artifacts).toEqual(['profile.prof.txt']);
+      expect(result.hotspots).toHaveLength(4);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  it('parseOutput ignores reports left over from an earlier run', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'perf-py-prof-'));
+    try {
+      const stale = path.join(tempDir, 'profile.prof.txt');
+      fs.writeFileSync(stale, PSTATS);
+      const past = new Date(Date.now() - 60000);
+      fs.utimesSync(stale, past, past);
+      const result = pythonProfiler.parseOutput({ repoPath: tempDir, startedAt: Date.now() - 1000 });
+      expect(result.artifacts).toEqual([]);
+      expect(result.hotspots).toEqual([]);
+      expect(result.warnings[0]).toMatch(/No cProfile output/);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  it('parseOutput warns when nothing was written', () => {
+    const result = pythonProfiler.parseOutput({ repoPath: os.tmpdir(), output: 'missing-profile.prof' });
+    expect(result.hotspots).toEqual([]);
+    expect(result.warnings[0]).toMatch(/No cProfile output/);
+  });
+});
+
+describe('go profiler output parsing', () => {
+  const goProfiler = require('../lib/perf/profilers/go');
+  const TOP = [
+    'File: app.test',
+    'Type: cpu',
+    'Duration: 1.20s, Total samples = 1s (83.33%)',
+    'Showing nodes accounting for 950ms, 95.00% of 1000ms total',
+    '      flat  flat%   sum%        cum   cum%',
+    '     500ms 50.00% 50.00%      600ms 60.00%  main.fib /repo/pkg/fib.go:12',
+    '     200ms 20.00% 70.00%      200ms 20.00%  runtime.mallocgc /usr/local/go/src/runtime/malloc.go:900',
+    '      50ms  5.00% 75.00%     1000ms   100%  main.main /repo/main.go:5 (inline)',
+    '     200ms 20.00% 95.00%      200ms 20.00%  syscall.Syscall'
+  ].join('\n');
+
+  it('parses pprof -top -lines output', () => {
+    const result = goProfiler.parsePprofTop(TOP, { repoPath: '/repo' });
+    expect(result.totalMs).toBe(1000);
+    expect(result.hotspots[0]).toMatchObject({
+      name: 'main.fib', file: 'pkg/fib.go', line: 12, selfMs: 500, totalMs: 600, selfPercent: 50
+    });
+    expect(result.hotspots.find((h) => h.name === 'main.main')).toMatchObject({ file: 'main.go', line: 5, totalPercent: 100 });
+    expect(result.hotspots.find((h) => h.name === 'syscall.Syscall').file).toBeNull();
+    expect(result.hotspots.find((h) => h.name === 'runtime.mallocgc').file).toBe('/usr/local/go/src/runtime/malloc.go');
+  });
+
+  it('parses durations in other units', () => {
+    const text = TOP.replace('of 1000ms total', 'of 1s total').replace('500ms', '0.5s');
+    const result = goProfiler.parsePprofTop(text, { repoPath: '/repo' });
+    expect(result.hotspots[0]).toMatchObject({ name: 'main.fib', selfMs: 500 });
+  });
+
+  it('parseOutput uses -top text on stdout', () => {
+    const result = goProfiler.parseOutput({ repoPath: '/repo', stdout: TOP });
+    expect(result.hotspots).toHaveLength(4);
+  });
+
+  it('parseOutput warns when no profile exists', () => {
+    const result = goProfiler.parseOutput({ repoPath: os.tmpdir(), output: 'missing-cpu.pprof' });
+    expect(result.warnings[0]).toMatch(/No pprof profile/);
+  });
+
+  it('parseOutput ignores profiles left over from an earlier run', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'perf-go-prof-'));
+    try {
+      const stale = path.join(tempDir, 'cpu.pprof');
+      fs.writeFileSync(stale, 'binary');
+      const past = new Date(Date.now() - 60000);
+      fs.utimesSync(stale, past, past);
+      const result = goProfiler.parseOutput({ repoPath: tempDir, output: 'cpu.pprof', startedAt: Date.now() - 1000 });
+      expect(result.artifacts).toEqual([]);
+      expect(result.warnings[0]).toMatch(/No pprof profile/);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('java profiler output parsing', () => {
+  const javaProfiler = require('../lib/perf/profilers/java');
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'perf-java-prof-'));
+    fs.mkdirSync(path.join(tempDir, 'src/main/java/com/acme'), { recursive: true });
+    fs.writeFileSync(path.join(tempDir, 'src/main/java/com/acme/App.java'), 'class App {}');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const COLLAPSED = [
+    'java/lang/Thread.run_[j];com/acme/App.main_[j];com/acme/App.compute_[j] 70',
+    'java/lang/Thread.run_[j];com/acme/App.main_[j];com/acme/App$Parser.parse_[j] 20',
+    'java/lang/Thread.run_[j];com/acme/App.main_[j] 10'
+  ].join('\n');
+
+  it('parses collapsed stacks and maps classes to source files', () => {
+    const result = javaProfiler.parseCollapsed(COLLAPSED, { repoPath: tempDir });
+    expect(result.totalMs).toBe(1000);
+    expect(result.hotspots[0]).toMatchObject({
+      name: 'com.acme.App.compute', file: 'src/main/java/com/acme/App.java', selfPercent: 70
+    });
+    expect(result.hotspots.find((h) => h.name === 'com.acme.App$Parser.parse').file)
+      .toBe('src/main/java/com/acme/App.java');
+    expect(result.hotspots.find((h) => h.name === 'com.acme.App.main')).toMatchObject({ totalPercent: 100 });
+    expect(result.hotspots.find((h) => h.name === 'java.lang.Thread.run').file).toBeNull();
+  });
+
+  it('parses jfr print execution samples', () => {
+    const text = [
+      'jdk.ExecutionSample {',
+      '  startTime = 10:00:00.000',
+      '  stackTrace = [',
+      '    com.acme.App.compute(int) line: 42',
+      '    com.acme.App.main(String[]) line: 7',
+      '  ]',
+      '}',
+      'jdk.ExecutionSample {',
+      '  stackTrace = [',
+      '    com.acme.App.main(String[]) line: 9',
+      '    ...',
+      '  ]',
+      '}'
+    ].join('\n');
+    const stacks = javaProfiler.parseJfrPrint(text);
+    expect(stacks).toEqual([
+      { frames: ['com.acme.App.main', 'com.acme.App.compute'], count: 1 },
+      { frames: ['com.acme.App.main'], count: 1 }
+    ]);
+  });
+
+  it('parseOutput reads collapsed file next to the recording', () => {
+    fs.writeFileSync(path.join(tempDir, 'profile.jfr'), 'binary');
+    fs.writeFileSync(path.join(tempDir, 'profile.collapsed'), COLLAPSED);
+    const result = javaProfiler.parseOutput({ repoPath: tempDir });
+    expect(result.artifacts).toEqual(['profile.jfr', 'profile.collapsed']);
+    expect(result.hotspots[0].name).toBe('com.acme.App.compute');
+  });
+
+  it('parseOutput warns when nothing was written', () => {
+    const result = javaProfiler.parseOutput({ repoPath: tempDir });
+    expect(result.warnings[0]).toMatch(/No JFR recording/);
+  });
+
+  it('parseOutput ignores recordings left over from an earlier run', () => {
+    const past = new Date(Date.now() - 60000);
+    for (const file of ['profile.jfr', 'profile.collapsed']) {
+      fs.writeFileSync(path.join(tempDir, file), file.endsWith('.jfr') ? 'binary' : COLLAPSED);
+      fs.utimesSync(path.join(tempDir, file), past, past);
+    }
+    const result = javaProfiler.parseOutput({ repoPath: tempDir, startedAt: Date.now() - 1000 });
+    expect(result.artifacts).toEqual([]);
+    expect(result.warnings[0]).toMatch(/No JFR recording/);
+  });
+});
+
+describe('rust profiler output parsing', () => {
+  const rustProfiler = require('../lib/perf/profilers/rust');
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'perf-rust-prof-'));
+    fs.mkdirSync(path.join(tempDir, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(tempDir, 'Cargo.toml'), '[package]\nname = "my-app"\nversion = "0.1.0"\n');
+    fs.writeFileSync(path.join(tempDir, 'src/main.rs'), 'fn main() {}');
+    fs.writeFileSync(path.join(tempDir, 'src/parser.rs'), 'pub fn parse() {}');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('builds a call-graph perf record command', () => {
+    expect(rustProfiler.buildCommand()).toBe('perf record -g -o perf.data ./target/release/app');
+  });
+
+  it('parses folded stacks and maps local crate frames to files', () => {
+    const folded = [
+      'my-app;main;my_app::main;my_app::parser::parse 30',
+      'my-app;main;my_app::main;core::ptr::drop_in_place 10'
+    ].join('\n');
+    const result = rustProfiler.parseFolded(folded, { repoPath: tempDir });
+    expect(result.hotspots[0]).toMatchObject({ name: 'my_app::parser::parse', file: 'src/parser.rs', selfPercent: 75 });
+    expect(result.hotspots.find((h) => h.name === 'my_app::main')).toMatchObject({ file: 'src/main.rs', totalPercent: 100 });
+    expect(result.hotspots.find((h) => h.name === 'core::ptr::drop_in_place').file).toBeNull();
+  });
+
+  it('collapses perf script output', () => {
+    const script = [
+      'my-app 1234 100.000001:     250000 cpu-clock:',
+      '\t    55d4c3a1b2c3 my_app::parser::parse::h0123456789abcdef+0x23 (/repo/target/release/my-app)',
+      '\t    55d4c3a1b000 my_app::main::hfedcba9876543210+0x10 (/repo/target/release/my-app)',
+      '',
+      'my-app 1234 100.000002:     250000 cpu-clock:',
+      '\t    55d4c3a1b2c3 my_app::parser::parse::h0123456789abcdef+0x30 (/repo/target/release/my-app)',
+      '\t    55d4c3a1b000 my_app::main::hfedcba9876543210+0x10 (/repo/target/release/my-app)',
+      ''
+    ].join('\n');
+    expect(rustProfiler.parsePerfScript(script)).toEqual([
+      { frames: ['my_app::main', 'my_app::parser::parse'], count: 2 }
+    ]);
+  });
+
+  it('parseOutput reads folded stacks next to perf.data', () => {
+    fs.writeFileSync(path.join(tempDir, 'perf.data'), 'binary');
+    fs.writeFileSync(path.join(tempDir, 'perf.folded'), 'main;my_app::main 5\n');
+    const result = rustProfiler.parseOutput({ repoPath: tempDir });
+    expect(result.artifacts).toEqual(['perf.data', 'perf.folded']);
+    expect(result.hotspots[0]).toMatchObject({ name: 'my_app::main', file: 'src/main.rs' });
+  });
+
+  it('parseOutput warns when nothing was written', () => {
+    const result = rustProfiler.parseOutput({ repoPath: tempDir });
+    expect(result.warnings[0]).toMatch(/No perf data/);
+  });
+
+  it('parseOutput prefers a fresh perf.data over stale folded stacks', () => {
+    const stale = path.join(tempDir, 'out.folded');
+    fs.writeFileSync(stale, 'main;my_app::main 5\n');
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(stale, past, past);
+    fs.writeFileSync(path.join(tempDir, 'perf.data'), 'binary');
+
+    for (const startedAt of [Date.now() - 1000, undefined]) {
+      const result = rustProfiler.parseOutput({ repoPath: tempDir, startedAt });
+      expect(result.artifacts).toEqual(['perf.data']);
+      expect(result.hotspots).toEqual([]);
+    }
+  });
+});
@@ -43,3 +43,63 @@ it('does not enforce timeout when timeoutMs is not provided', () => {
   jest.dontMock('../lib/perf/profilers');
   jest.resetModules();
 });
+
+it('passes run context to parseOutput and forwards file aggregates', () => {
+  jest.resetModules();
+  const execFileSync = jest.fn();
+  const parseOutput = jest.fn(() => ({
+    tool: 'fake',
+    hotspots: [{ name: 'hot', file: 'a.js', line: 1 }],
+    files: [{ file: 'a.js' }],
+    artifacts: ['out.prof'],
+    totalMs: 12,
+    warnings: []
+  }));
+  jest.doMock('child_process', () => ({ execFileSync }));
+  jest.doMock('../lib/perf/profilers', () => ({
+    selectProfiler: () => ({
+      id: 'fake',
+      buildCommand: () => 'node -e "console.log(1)"',
+      parseOutput
+    })
+  }));
+
+  const runner = require('../lib/perf/profiling-runner');
+  const result = runner.runProfiling({ repoPath: '/repo', output: 'out.prof' });
+
+  expect(parseOutput).toHaveBeenCalledWith(expect.objectContaining({
+    repoPath: '/repo',
+    output: 'out.prof',
+    startedAt: expect.any(Number)
+  }));
+  expect(result.result.files).toEqual([{ file: 'a.js' }]);
+  expect(result.result.totalMs).toBe(12);
+  expect(result.result.warnings).toBeUndefined();
+
+  jest.dontMock('child_process');
+  jest.dontMock('../lib/perf/profilers');
+  jest.resetModules();
+});
+
+it('builds the command and parses the output under the same profile name', () => {
+  jest.resetModules();
+  const execFileSync = jest.fn();
+  const buildCommand = jest.fn(() => 'node -e "console.log(1)"');
+  const parseOutput = jest.fn(() => ({ tool: 'fake', hotspots: [], artifacts: [] }));
+  jest.doMock('child_process', () => ({ execFileSync }));
+  jest.doMock('../lib/perf/profilers', () => ({
+    selectProfiler: () => ({ id: 'fake', buildCommand, parseOutput })
+  }));
+
+  const runner = require('../lib/perf/profiling-runner');
+  runner.runProfiling({ output: 'explicit.prof', profileOptions: { output: 'option.prof', rate: 99 } });
+  runner.runProfiling({ profileOptions: { output: 'option.prof' } });
+
+  expect(buildCommand.mock.calls.map(([args]) => args.output)).toEqual(['explicit.prof', 'option.prof']);
+  expect(buildCommand.mock.calls[0][0].rate).toBe(99);
+  expect(parseOutput.mock.calls.map(([context]) => context.output)).toEqual(['explicit.prof', 'option.prof']);
+
+  jest.dontMock('child_process');
+  jest.dontMock('../lib/perf/profilers');
+  jest.resetModules();
+});
@@ -0,0 +1,175 @@
+/**
+ * Tests for lib/perf/report.js
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const stateDir = require('../lib/platform/state-dir');
+const investigationState = require('../lib/perf/investigation-state');
+const baselineStore = require('../lib/perf/baseline-store');
+const report = require('../lib/perf/report');
+
+describe('perf report', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'perf-report-'));
+    process.env.AI_STATE_DIR = '.ai-state';
+    stateDir.clearCache();
+  });
+
+  afterEach(() => {
+    stateDir.clearCache();
+    delete process.env.AI_STATE_DIR;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('renderFlamegraphSvg', () => {
+    it('renders one rect per frame with widths proportional to samples', () => {
+      const svg = report.renderFlamegraphSvg([
+        { frames: ['main', 'parse'], count: 3 },
+        { frames: ['main', 'render'], count: 1 }
+      ], { width: 400 });
+
+      expect(svg).toMatch(/^<svg class="flamegraph"/);
+      expect((svg.match(/<rect /g) || []).length).toBe(4);
+      expect(svg).toContain('width="400.00"');
+      expect(svg).toContain('width="300.00"');
+      expect(svg).toContain('width="100.00"');
+      expect(svg).toContain('<title>parse (3, 75.00%)</title>');
+    });
+
+    it('escapes frame names', () => {
+      const svg = report.renderFlamegraphSvg([{ frames: ['<script>'], count: 1 }]);
+      expect(svg).not.toContain('<script>');
+      expect(svg).toContain('&lt;script&gt;');
+    });
+
+    it('returns empty string without samples', () => {
+      expect(report.renderFlamegraphSvg([])).toBe('');
+    });
+  });
+
+  describe('renderBarChart', () => {
+    it('plots every metric present in any series', () => {
+      const svg = report.renderBarChart({
+        metrics: ['latency_ms', 'missing'],
+        series: [
+          { name: 'baseline', values: { latency_ms: 100 } },
+          { name: 'experiment', values: { latency_ms: 80 } }
+        ]
+      });
+      expect(svg).toContain('latency_ms');
+      expect(svg).not.toContain('>missing<');
+      expect(svg).toContain('<title>experiment: 80</title>');
+    });
+  });
+
+  describe('loadProfileStacks', () => {
+    it('reads collapsed stack artifacts', () => {
+      fs.writeFileSync(path.join(tempDir, 'profile.collapsed'), 'a;b 2\na;c 1\n');
+      const stacks = report.loadProfileStacks({ artifacts: ['profile.jfr', 'profile.collapsed'] }, tempDir);
+      expect(stacks).toEqual([{ frames: ['a', 'b'], count: 2 }, { frames: ['a', 'c'], count: 1 }]);
+    });
+
+    it('converts node .cpuprofile artifacts', () => {
+      fs.writeFileSync(path.join(tempDir, 'node.cpuprofile'), JSON.stringify({
+        nodes: [
+          { id: 1, callFrame: { functionName: '(root)', url: '', lineNumber: -1 }, children: [2] },
+          { id: 2, callFrame: { functionName: 'main', url: `file://${path.join(tempDir, 'app.js')}`, lineNumber: 4 }, children: [] }
+        ],
+        samples: [2, 2],
+        timeDeltas: [0, 1000]
+      }));
+      const stacks = report.loadProfileStacks({ artifacts: ['node.cpuprofile'] }, tempDir);
+      expect(stacks).toEqual([{ frames: ['main app.js:5'], count: 2 }]);
+    });
+
+    it('returns no stacks for missing artifacts', () => {
+      expect(report.loadProfileStacks({ artifacts: ['nope.folded'] }, tempDir)).toEqual([]);
+    });
+  });
+
+  describe('buildReport', () => {
+    it('renders all investigation sections', () => {
+      const html = report.buildReport({
+        id: 'perf-1',
+        status: 'in_progress',
+        phase: 'decision',
+        scenario: { description: 'API latency', metrics: ['latency_ms'], successCriteria: '<100ms' },
+        breakingPoint: 120,
+        breakingPointHistory: [{ value: 100, ok: true }, { value: 150, ok: false }],
+        profilingResults: [{
+          tool: 'node',
+          command: 'node --cpu-prof app.js',
+          hotspots: [{ name: 'parse', file: 'src/parse.js', line: 3, selfPercent: 40, totalPercent: 60 }],
+          artifacts: [],
+          stacks: [{ frames: ['main', 'parse'], count: 4 }]
+        }],
+        results: [{
+          change: 'cache parser',
+          verdict: 'inconclusive',
+          baseline: { metrics: { latency_ms: 120 } },
+          experiment: { metrics: { latency_ms: 90 } },
+          delta: { metrics: { latency_ms: { baseline: 120, current: 90, percent: -0.25, status: 'improved' } } }
+        }],
+        decision: { verdict: 'stop', rationale: 'Target met' }
+      }, {
+        basePath: tempDir,
+        baselines: [{ version: 'v1', recordedAt: '2026-01-01', command: 'npm run bench', metrics: { latency_ms: 120 } }]
+      });
+
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('&lt;100ms');
+      expect(html).toContain('<h2>Baselines</h2>');
+      expect(html).toContain('<h2>Breaking Point</h2>');
+      expect(html).toContain('src/parse.js:3');
+      expect(html).toContain('class="flamegraph"');
+      expect(html).toContain('Experiment 1: cache parser');
+      expect(html).toContain('-25.0%');
+      expect(html).toContain('Target met');
+      expect(html).not.toMatch(/<script/);
+    });
+
+    it('labels scenario metrics with the same keys as the delta table', () => {
+      const html = report.buildReport({
+        id: 'perf-2',
+        status: 'in_progress',
+        results: [{
+          change: 'pool',
+          baseline: { metrics: { scenarios: { high: { rps: 100 } } } },
+          experiment: { metrics: { scenarios: { high: { rps: 140 } } } },
+          delta: { metrics: { 'scenarios.high.rps': { baseline: 100, current: 140, percent: 0.4, status: 'improved' } } }
+        }]
+      }, { basePath: tempDir, baselines: [] });
+
+      expect(html.match(/scenarios\.high\.rps/g).length).toBeGreaterThan(1);
+      expect(html).not.toMatch(/>high\.rps</);
+    });
+
+    it('rejects missing state', () => {
+      expect(() => report.buildReport(null)).toThrow(/requires an investigation state/);
+    });
+  });
+
+  describe('writeReport', () => {
+    it('writes the report next to investigation.json', () => {
+      const state = investigationState.initializeInvestigation({ id: 'perf-report-1', scenario: 'checkout' }, tempDir);
+      baselineStore.writeBaseline('v1', { command: 'npm run bench', metrics: { latency_ms: 100 } }, tempDir);
+
+      const result = report.writeReport(tempDir);
+
+      const expectedPath = path.join(investigationState.getPerfDir(tempDir), `${state.id}.html`);
+      expect(result.path).toBe(expectedPath);
+      const html = fs.readFileSync(expectedPath, 'utf8');
+      expect(html).toContain('checkout');
+      expect(html).toContain('npm run bench');
+      expect(result.bytes).toBe(Buffer.byteLength(html));
+    });
+
+    it('throws when no investigation exists', () => {
+      expect(() => report.writeReport(tempDir)).toThrow(/No investigation found/);
+    });
+  });
+});
@@ -1106,4 +1106,89 @@ function foo() {
       expect(findings.length).toBe(0);
     });
   });
+
+  describe('findings cache', () => {
+    const stateDir = require('../lib/platform/state-dir');
+    const findingsCache = require('../lib/patterns/findings-cache');
+
+    beforeEach(() => {
+      process.env.AI_STATE_DIR = '.ai-state';
+      stateDir.clearCache();
+    });
+
+    afterEach(() => {
+      delete process.env.AI_STATE_DIR;
+      stateDir.clearCache();
+    });
+
+    it('should not touch the cache unless enabled', async () => {
+      fs.writeFileSync(path.join(tmpDir, 'app.js'), 'console.log("x");');
+
+      const result = await runPipeline(tmpDir, { thoroughness: 'quick', targetFiles: ['app.js'] });
+
+      expect(result.metadata.cache).toBeNull();
+      expect(fs.existsSync(findingsCache.getCachePath(tmpDir))).toBe(false);
+    });
+
+    it('should reuse findings for unchanged files and re-scan changed ones', async () => {
+      fs.writeFileSync(path.join(tmpDir, 'a.js'), 'console.log("a");');
+      fs.writeFileSync(path.join(tmpDir, 'b.js'), 'console.log("b");');
+
+      const first = await runPipeline(tmpDir, { thoroughness: 'normal', cache: true });
+      expect(first.metadata.cache).toMatchObject({ hits: 0, misses: 2 });
+      expect(first.metadata.cache.path).toBe(findingsCache.getCachePath(tmpDir));
+
+      const second = await runPipeline(tmpDir, { thoroughness: 'normal', cache: true });
+      expect(second.metadata.cache).toMatchObject({ hits: 2, misses: 0 });
+      expect(second.findings).toEqual(first.findings);
+
+      fs.writeFileSync(path.join(tmpDir, 'b.js'), 'const b = 1;\nmodule.exports = b;\n');
+      const third = await runPipeline(tmpDir, { thoroughness: 'normal', cache: true });
+      expect(third.metadata.cache).toMatchObject({ hits: 1, misses: 1 });
+      expect(third.findings.some(f => f.file === 'a.js' && f.patternName === 'console_debugging')).toBe(true);
+      expect(third.findings.some(f => f.file === 'b.js')).toBe(false);
+    });
+
+    it('should run multi-pass analyzers for files cached by a quick run', async () => {
+      fs.writeFileSync(path.join(tmpDir, 'a.js'), 'console.log("a");');
+
+      await runPipeline(tmpDir, { thoroughness: 'quick', cache: true });
+      const normal = await runPipeline(tmpDir, { thoroughness: 'normal', cache: true });
+
+      expect(normal.metadata.cache).toMatchObject({ hits: 0, misses: 1 });
+    });
+
+    it('should invalidate entries when the language filter changes', async () => {
+      fs.writeFileSync(path.join(tmpDir, 'a.js'), 'console.log("a");');
+
+      await runPipeline(tmpDir, { thoroughness: 'quick', cache: true });
+      const filtered = await runPipeline(tmpDir, { thoroughness: 'quick', cache: true, language: 'python' });
+
+      expect(filtered.metadata.cache.misses).toBe(1);
+      expect(filtered.findings).toHaveLength(0);
+    });
+
+    it('should drop deleted files from the cache on full scans', async () => {
+      fs.writeFileSync(path.join(tmpDir, 'a.js'), 'console.log("a");');
+      fs.writeFileSync(path.join(tmpDir, 'b.js'), 'console.log("b");');
+      await runPipeline(tmpDir, { thoroughness: 'quick', cache: true });
+
+      fs.unlinkSync(path.join(tmpDir, 'b.js'));
+      await runPipeline(tmpDir, { thoroughness: 'quick', cache: true });
+
+      expect(Object.keys(findingsCache.load(tmpDir).files)).toEqual(['a.js']);
+    });
+
+    it('should lift the default file cap when caching', async () => {
+      for (let i = 0; i < 205; i++) {
+        fs.writeFileSync(path.join(tmpDir, `f${i}.js`), `const v${i} = ${i};\n`);
+      }
+
+      const uncached = await runPipeline(tmpDir, { thoroughness: 'quick' });
+      const cached = await runPipeline(tmpDir, { thoroughness: 'quick', cache: true });
+
+      expect(uncached.metadata.filesAnalyzed).toBe(200);
+      expect(cached.metadata.filesAnalyzed).toBe(205);
+    });
+  });
 });
@@ -0,0 +1,229 @@
+/**
+ * Tests for lib/repo-map/call-graph.js
+ */
+
+'use strict';
+
+const {
+  MODULE_SCOPE,
+  collectCalls,
+  parseCallee,
+  buildCallGraph,
+  findCallers,
+  findCallees
+} = require('../lib/repo-map/call-graph');
+
+// Minimal ast-grep match: lines are 0-based like ast-grep's JSON output
+function match(text, [startLine, startCol], [endLine, endCol], vars = {}) {
+  const single = {};
+  for (const [key, value] of Object.entries(vars)) single[key] = { text: value };
+  return {
+    text,
+    range: { start: { line: startLine, column: startCol }, end: { line: endLine, column: endCol } },
+    metaVariables: { single }
+  };
+}
+
+const call = (callee, line, column = 4) => ({
+  match: match(`${callee}()`, [line, column], [line, column + callee.length + 2], { CALLEE: callee }),
+  patternDef: { calleeVar: 'CALLEE' }
+});
+
+const def = (name, start, end, text = `function ${name}() {}`) => ({
+  match: match(text, start, end, { NAME: name }),
+  patternDef: { nameVar: 'NAME' }
+});
+
+describe('repo-map call graph', () => {
+  describe('parseCallee', () => {
+    it('splits member and path expressions', () => {
+      expect(parseCallee('save')).toEqual({ callee: 'save', receiver: null });
+      expect(parseCallee('this.db.query')).toEqual({ callee: 'query', receiver: 'this.db' });
+      expect(parseCallee('user?.save')).toEqual({ callee: 'save', receiver: 'user' });
+      expect(parseCallee('Vec::new')).toEqual({ callee: 'new', receiver: 'Vec' });
+      expect(parseCallee('println!')).toEqual({ callee: 'println', receiver: null });
+    });
+
+    it('ignores keywords and non-identifier callees', () => {
+      expect(parseCallee('require')).toBeNull();
+      expect(parseCallee('super')).toBeNull();
+      expect(parseCallee('(() => 1)')).toBeNull();
+      expect(parseCallee('fns[0]')).toBeNull();
+    });
+  });
+
+  describe('collectCalls', () => {
+    it('attributes calls to the innermost enclosing function', () => {
+      const edges = collectCalls({
+        definitions: [
+          def('outer', [0, 0], [10, 1]),
+          def('inner', [2, 2], [4, 3])
+        ],
+        calls: [call('setup', 1), call('work', 3), call('finish', 6), call('main', 12, 0)]
+      });
+
+      expect(edges).toEqual([
+        { caller: 'outer', callee: 'setup', line: 2 },
+        { caller: 'inner', callee: 'work', line: 4 },
+        { caller: 'outer', callee: 'finish', line: 7 },
+        { caller: MODULE_SCOPE, callee: 'main', line: 13 }
+      ]);
+    });
+
+    it('qualifies methods with their class and keeps receivers', () => {
+      const edges = collectCalls({
+        classes: [def('Store', [0, 0], [8, 1], 'class Store {}')],
+        definitions: [def('save', [1, 2], [3, 3], 'save() {}')],
+        calls: [{
+          match: match('this.db.write(row)', [2, 4], [2, 22], { CALLEE: 'this.db.write' }),
+          patternDef: { calleeVar: 'CALLEE' }
+        }]
+      });
+
+      expect(edges).toEqual([{ caller: 'Store.save', callee: 'write', line: 3, receiver: 'this.db' }]);
+    });
+
+    it('qualifies Go methods by receiver type and dedupes overlapping patterns', () => {
+      const goMethod = 'func (s *Server) Handle(w http.ResponseWriter) {\n\ts.log()\n}';
+      const edges = collectCalls({
+        definitions: [def('Handle', [4, 0], [6, 1], goMethod), def('Handle', [4, 0], [6, 1], goMethod)],
+        calls: [
+          call('s.log', 5),
+          {
+            match: match('s.log()', [5, 1], [5, 8], { RECV: 's', CALLEE: 'log' }),
+            patternDef: { calleeVar: 'CALLEE', receiverVar: 'RECV' }
+          }
+        ]
+      });
+
+      expect(edges).toEqual([{ caller: 'Server.Handle', callee: 'log', line: 6, receiver: 's' }]);
+    });
+
+    it('skips matches without a callee or range', () => {
+      expect(collectCalls({ calls: [{ match: { text: 'x()' }, patternDef: {} }] })).toEqual([]);
+      expect(collectCalls({})).toEqual([]);
+    });
+  });
+
+  describe('buildCallGraph', () => {
+    const repoMap = {
+      files: {
+        'src/app.js': {
+          language: 'javascript',
+          symbols: { functions: [{ name: 'main' }, { name: 'helper' }], classes: [] },
+          imports: [{ source: './store', kind: 'require' }],
+          calls: [
+            { caller: 'main', callee: 'helper', line: 3 },
+            { caller: 'main', callee: 'save', line: 4, receiver: 'store' },
+            { caller: 'main', callee: 'render', line: 5 },
+            { caller: 'main', callee: 'missing', line: 6 }
+          ]
+        },
+        'src/store.js': {
+          language: 'javascript',
+          symbols: { functions: [], classes: [{ name: 'Store' }] },
+          imports: [],
+          calls: [
+            { caller: 'Store.save', callee: 'write', line: 8, receiver: 'this' },
+            { caller: 'Store.write', callee: 'flush', line: 12 }
+          ]
+        },
+        'src/legacy/store.js': {
+          language: 'javascript',
+          symbols: { functions: [{ name: 'save' }], classes: [] },
+          imports: []
+        },
+        'src/view.js': {
+          language: 'javascript',
+          symbols: { functions: [{ name: 'render' }], classes: [] },
+          imports: []
+        }
+      }
+    };
+
+    let graph;
+
+    beforeAll(() => {
+      graph = buildCallGraph(repoMap);
+    });
+
+    it('resolves callees locally, through imports, then by name', () => {
+      const byCallee = Object.fromEntries(graph.edges
+        .filter(edge => edge.file === 'src/app.js')
+        .map(edge => [edge.callee, [edge.resolution, edge.targets]]));
+
+      expect(byCallee).toEqual({
+        helper: ['local', ['src/app.js']],
+        save: ['import', ['src/store.js']],
+        render: ['name', ['src/view.js']],
+        missing: ['unresolved', []]
+      });
+    });
+
+    it('finds callers of a symbol, optionally by defining file', () => {
+      expect(findCallers(graph, 'save')).toEqual([
+        { file: 'src/app.js', caller: 'main', line: 4, resolution: 'import', receiver: 'store' }
+      ]);
+      expect(findCallers(graph, 'Store.save', { file: 'src/legacy/store.js' })).toEqual([]);
+      expect(findCallers(graph, 'write').map(c => c.caller)).toEqual(['Store.save']);
+    });
+
+    it('finds callees of a function', () => {
+      expect(findCallees(graph, 'main').map(c => c.callee)).toEqual(['helper', 'save', 'render', 'missing']);
+      expect(findCallees(graph, 'Store.write')).toEqual([
+        { callee: 'flush', line: 12, file: 'src/store.js', targets: [], resolution: 'unresolved' }
+      ]);
+      expect(findCallees(graph, 'Other.write')).toEqual([]);
+      expect(findCallees(graph, 'main', { file: 'src/view.js' })).toEqual([]);
+    });
+
+    it('filters callers of a qualified method by its owner', () => {
+      const graph = buildCallGraph({
+        files: {
+          'src/app.js': {
+            symbols: { functions: [{ name: 'main' }], classes: [] },
+            imports: [{ source: './store', kind: 'require' }],
+            calls: [
+              { caller: 'main', callee: 'save', line: 3, receiver: 'store' },
+              { caller: 'main', callee: 'save', line: 4, receiver: 'Cache' }
+            ]
+          },
+          'src/jobs.js': {
+            symbols: { functions: [{ name: 'run' }], classes: [] },
+            imports: [{ source: './cache', kind: 'require' }],
+            calls: [{ caller: 'run', callee: 'save', line: 5, receiver: 'cache' }]
+          },
+          'src/store.js': {
+            symbols: { functions: [], classes: [{ name: 'Store' }] },
+            imports: [],
+            calls: [{ caller: 'Store.save', callee: 'write', line: 2 }]
+          },
+          'src/cache.js': {
+            symbols: { functions: [], classes: [{ name: 'Cache' }] },
+            imports: [],
+            calls: [
+              { caller: 'Cache.save', callee: 'write', line: 2 },
+              { caller: 'Cache.flush', callee: 'save', line: 6, receiver: 'this' }
+            ]
+          }
+        }
+      });
+
+      expect(findCallers(graph, 'save').map(c => c.line)).toEqual([3, 4, 5, 6]);
+      expect(findCallers(graph, 'Store.save')).toEqual([
+        { file: 'src/app.js', caller: 'main', line: 3, resolution: 'import', receiver: 'store' }
+      ]);
+      expect(findCallers(graph, 'Cache.save').map(c => [c.caller, c.receiver])).toEqual([
+        ['main', 'Cache'],
+        ['run', 'cache'],
+        ['Cache.flush', 'this']
+      ]);
+      expect(findCallers(graph, 'Other.save')).toEqual([]);
+    });
+
+    it('returns an empty graph for maps without files', () => {
+      expect(buildCallGraph(null).edges).toEqual([]);
+      expect(findCallers(buildCallGraph({}), 'x')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Tests for lib/repo-map/dependency-graph.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  buildDependencyGraph,
+  findStronglyConnectedComponents,
+  findCycles,
+  loadLayerConfig,
+  normalizeLayers,
+  checkLayers,
+  analyzeDependencies,
+  toDot,
+  toMermaid,
+  toJSON,
+  formatGraph
+} = require('../lib/repo-map/dependency-graph');
+
+function file(imports, language = 'javascript') {
+  return {
+    language,
+    symbols: { exports: [], functions: [], classes: [], types: [], constants: [] },
+    imports: imports.map(source => ({ source, kind: 'require' }))
+  };
+}
+
+const repoMap = {
+  files: {
+    'src/ui/view.js': file(['../domain/model', '../services/api', 'react']),
+    'src/services/api.js': file(['../domain/model', '../ui/view', 'lodash']),
+    'src/domain/model.js': file(['./rules']),
+    'src/domain/rules.js': file(['./model']),
+    'src/util/self.js': file(['./self']),
+    'scripts/build.js': file([])
+  }
+};
+
+const LAYERS = [
+  { name: 'ui', paths: ['src/ui'] },
+  { name: 'services', paths: ['src/services/**'] },
+  { name: 'domain', paths: ['src/domain/**'] }
+];
+
+describe('repo-map dependency graph', () => {
+  describe('buildDependencyGraph', () => {
+    it('builds sorted file edges and counts external imports', () => {
+      const graph = buildDependencyGraph(repoMap);
+
+      expect(graph.nodes).toHaveLength(6);
+      expect(graph.edges.map(e => `${e.from} -> ${e.to}`)).toEqual([
+        'src/domain/model.js -> src/domain/rules.js',
+        'src/domain/rules.js -> src/domain/model.js',
+        'src/services/api.js -> src/domain/model.js',
+        'src/services/api.js -> src/ui/view.js',
+        'src/ui/view.js -> src/domain/model.js',
+        'src/ui/view.js -> src/services/api.js',
+        'src/util/self.js -> src/util/self.js'
+      ]);
+      expect(graph.edges[0].kinds).toEqual(['require']);
+      expect(graph.external).toBe(2);
+    });
+
+    it('handles missing maps', () => {
+      expect(buildDependencyGraph(null)).toEqual({ nodes: [], edges: [], external: 0 });
+    });
+  });
+
+  describe('cycles', () => {
+    it('finds strongly connected components including self-imports', () => {
+      const graph = buildDependencyGraph(repoMap);
+      expect(findStronglyConnectedComponents(graph)).toEqual([
+        ['src/domain/model.js', 'src/domain/rules.js'],
+        ['src/services/api.js', 'src/ui/view.js'],
+        ['src/util/self.js']
+      ]);
+    });
+
+    it('returns the shortest cycle through each component', () => {
+      const graph = buildDependencyGraph(repoMap);
+      expect(findCycles(graph)).toEqual([
+        ['src/domain/model.js', 'src/domain/rules.js', 'src/domain/model.js'],
+        ['src/services/api.js', 'src/ui/view.js', 'src/services/api.js'],
+        ['src/util/self.js', 'src/util/self.js']
+      ]);
+    });
+
+    it('handles long chains without recursion limits', () => {
+      const files = {};
+      const count = 5000;
+      for (let i = 0; i < count; i++) files[`m${i}.js`] = file([`./m${(i + 1) % count}`]);
+
+      const graph = buildDependencyGraph({ files });
+      const components = findStronglyConnectedComponents(graph);
+      expect(components).toHaveLength(1);
+      expect(components[0]).toHaveLength(count);
+      expect(findCycles(graph, components)[0]).toHaveLength(count + 1);
+    });
+  });
+
+  describe('layers', () => {
+    it('reports imports that go up the layer order', () => {
+      const graph = buildDependencyGraph(repoMap);
+      expect(checkLayers(graph, normalizeLayers(LAYERS))).toEqual([
+        { from: 'src/services/api.js', to: 'src/ui/view.js', fromLayer: 'services', toLayer: 'ui' }
+      ]);
+    });
+
+    it('honors allow lists and ignores files outside every layer', () => {
+      const graph = buildDependencyGraph(repoMap);
+      const layers = normalizeLayers([LAYERS[0], { ...LAYERS[1], allow: ['ui'] }, LAYERS[2]]);
+      expect(checkLayers(graph, layers)).toEqual([]);
+      expect(checkLayers(graph, [])).toEqual([]);
+    });
+
+    it('drops malformed layer declarations', () => {
+      const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      expect(normalizeLayers([{ name: 'ok', paths: ['lib/'] }, { name: 'empty', paths: [] }, null])).toEqual([
+        { name: 'ok', paths: ['lib', 'lib/**'], allow: [] }
+      ]);
+      expect(spy).toHaveBeenCalledTimes(2);
+      spy.mockRestore();
+    });
+
+    it('loads layers from .repomaprc.json', () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-map-layers-'));
+      try {
+        expect(loadLayerConfig(tmpDir)).toEqual({ layers: [], path: null });
+
+        fs.writeFileSync(path.join(tmpDir, '.repomaprc.json'), JSON.stringify({ layers: LAYERS }));
+        const loaded = loadLayerConfig(tmpDir);
+        expect(loaded.path).toBe(path.join(tmpDir, '.repomaprc.json'));
+        expect(loaded.layers.map(layer => layer.name)).toEqual(['ui', 'services', 'domain']);
+
+        const analysis = analyzeDependencies(repoMap, { basePath: tmpDir });
+        expect(analysis.violations).toHaveLength(1);
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('exports', () => {
+    const analysis = analyzeDependencies(repoMap, { layers: LAYERS });
+
+    it('renders DOT with layer clusters, cycles and violations', () => {
+      const dot = toDot(analysis);
+      expect(dot.startsWith('digraph "dependencies" {')).toBe(true);
+      expect(dot).toContain('  subgraph "cluster_0" {\n    label="ui";\n    "src/ui/view.js";\n  }');
+      expect(dot).toContain('  "scripts/build.js";');
+      expect(dot).toContain('"src/domain/model.js" -> "src/domain/rules.js" [color=red];');
+      expect(dot).toContain('"src/services/api.js" -> "src/ui/view.js" [color=red, style=dashed];');
+      expect(dot).toContain('"src/services/api.js" -> "src/domain/model.js";');
+      expect(dot.endsWith('}')).toBe(true);
+    });
+
+    it('renders Mermaid with subgraphs and link styles', () => {
+      const mermaid = toMermaid(analysis).split('\n');
+      expect(mermaid[0]).toBe('graph LR');
+      expect(mermaid).toContain('  subgraph layer0["ui"]');
+      expect(mermaid).toContain('    n4["src/ui/view.js"]');
+      expect(mermaid).toContain('  n3 -.-> n4');
+      expect(mermaid).toContain('  linkStyle 0 stroke:red');
+      expect(mermaid).not.toContain('  linkStyle 2 stroke:red');
+    });
+
+    it('renders JSON with layers and stats', () => {
+      const json = toJSON(analysis);
+      expect(json.nodes).toContainEqual({ id: 'src/domain/rules.js', layer: 'domain' });
+      expect(json.nodes).toContainEqual({ id: 'scripts/build.js', layer: null });
+      expect(json.stats).toEqual({ files: 6, edges: 7, external: 2, cycles: 3, violations: 1 });
+      expect(JSON.parse(formatGraph(analysis, 'json'))).toEqual(json);
+      expect(formatGraph(analysis, 'svg')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Tests for lib/repo-map/fallback-scanner.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const fallbackScanner = require('../lib/repo-map/fallback-scanner');
+const installer = require('../lib/repo-map/installer');
+const repoMap = require('../lib/repo-map');
+const { updateWithoutGit } = require('../lib/repo-map/updater');
+const { findUnusedExports, findOrphanedInfrastructure } = require('../lib/repo-map/usage-analyzer');
+
+const names = (list) => list.map(item => item.name);
+
+const JS_SOURCE = [
+  "import fs from 'fs';",
+  "import * as path from 'path';",
+  "import { a, b as c } from './lib/util';",
+  "import './polyfill';",
+  "const db = require('./db');",
+  '',
+  '// function commented() {}',
+  "const message = 'function inString() {}';",
+  'const template = `class InTemplate {}`;',
+  'const pattern = /function inRegex\\(/g;',
+  '/* export const hidden = 1; */',
+  '',
+  'export function createClient(options) {',
+  '  return options;',
+  '}',
+  'export async function fetchAll() {}',
+  'export const VERSION = 2;',
+  'export default class Store {}',
+  'const helper = (x, y = fn()) => x + y;',
+  'let handler = async event => event;',
+  'class Internal extends Base {}',
+  'const Factory = class {};',
+  "export { helper, Internal as Renamed };",
+  "export * from './more';",
+  'exports.extra = 1;'
+].join('\n');
+
+describe('repo-map fallback scanner', () => {
+  describe('extractFile', () => {
+    it('extracts JavaScript symbols, exports and imports', () => {
+      const { symbols, imports } = fallbackScanner.extractFile(JS_SOURCE, 'javascript');
+
+      expect(names(symbols.functions)).toEqual(['createClient', 'fetchAll', 'handler', 'helper']);
+      expect(names(symbols.classes)).toEqual(['Factory', 'Internal', 'Store']);
+      expect(names(symbols.exports)).toEqual(
+        ['*', 'createClient', 'extra', 'fetchAll', 'helper', 'Renamed', 'Store', 'VERSION']
+      );
+      expect(symbols.exports.find(e => e.name === 'createClient')).toEqual({ name: 'createClient', line: 13, kind: 'function' });
+      expect(symbols.exports.find(e => e.name === '*').kind).toBe('re-export');
+      expect(symbols.functions.find(f => f.name === 'helper').exported).toBe(true);
+
+      expect(imports).toEqual([
+        { source: 'fs', kind: 'default', line: 1 },
+        { source: 'path', kind: 'namespace', line: 2 },
+        { source: './lib/util', kind: 'named', line: 3 },
+        { source: './polyfill', kind: 'side-effect', line: 4 },
+        { source: './db', kind: 'require', line: 5 }
+      ]);
+    });
+
+    it('ignores declarations inside comments, strings, templates and regexes', () => {
+      const { symbols } = fallbackScanner.extractFile(JS_SOURCE, 'javascript');
+      const all = [...symbols.functions, ...symbols.classes, ...symbols.exports].map(s => s.name);
+      for (const name of ['commented', 'inString', 'InTemplate', 'inRegex', 'hidden']) {
+        expect(all).not.toContain(name);
+      }
+    });
+
+    it('reads module.exports object literals and identifiers', () => {
+      const source = [
+        'function start() {}',
+        'function stop() {}',
+        'module.exports = {',
+        '  start,',
+        '  halt: stop',
+        '};'
+      ].join('\n');
+      const { symbols } = fallbackScanner.extractFile(source, 'javascript');
+      expect(names(symbols.exports)).toEqual(['halt', 'start']);
+
+      const single = fallbackScanner.extractFile('class Cache {}\nmodule.exports = Cache;\n', 'javascript');
+      expect(single.symbols.exports).toEqual([{ name: 'Cache', line: 2, kind: 'value' }]);
+    });
+
+    it('extracts TypeScript types and type-only imports', () => {
+      const source = [
+        "import type { Config } from './config';",
+        "import { load } from './loader';",
+        'export interface Options { retries: number }',
+        'export type Mode = "a" | "b";',
+        'enum Level { Low, High }',
+        'export abstract class Base<T> {}',
+        'export function run<T>(value: T): T { return value; }',
+        'const parse = (input: string): number => Number(input);'
+      ].join('\n');
+      const { symbols, imports } = fallbackScanner.extractFile(source, 'typescript');
+
+      expect(names(symbols.types)).toEqual(['Level', 'Mode', 'Options']);
+      expect(names(symbols.classes)).toEqual(['Base']);
+      expect(names(symbols.functions)).toEqual(['parse', 'run']);
+      expect(names(symbols.exports)).toEqual(['Base', 'Mode', 'Options', 'run']);
+      expect(imports).toEqual([
+        { source: './config', kind: 'type', line: 1 },
+        { source: './loader', kind: 'named', line: 2 }
+      ]);
+    });
+
+    it('extracts Python definitions and imports with public-name exports', () => {
+      const source = [
+        'import os, sys as system',
+        'from .models import User',
+        '',
+        'class Service:',
+        '    """',
+        '    def in_docstring():',
+        '    """',
+        '    async def handle(self):',
+        '        pass',
+        '',
+        'def _private():',
+        '    # import hidden',
+        '    pass'
+      ].join('\n');
+      const { symbols, imports } = fallbackScanner.extractFile(source, 'python');
+
+      expect(names(symbols.functions)).toEqual(['_private', 'handle']);
+      expect(names(symbols.classes)).toEqual(['Service']);
+      expect(names(symbols.exports)).toEqual(['handle', 'Service']);
+      expect(imports).toEqual([
+        { source: 'os', kind: 'import', line: 1 },
+        { source: 'sys', kind: 'import', line: 1 },
+        { source: '.models', kind: 'from', line: 2 }
+      ]);
+    });
+
+    it('returns null for languages it does not handle', () => {
+      expect(fallbackScanner.supportsLanguage('rust')).toBe(false);
+      expect(fallbackScanner.extractFile('fn main() {}', 'rust')).toBeNull();
+    });
+  });
+
+  describe('scanning a project', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-map-fallback-'));
+      fs.mkdirSync(path.join(tmpDir, 'src'));
+      fs.writeFileSync(path.join(tmpDir, 'package.json'), '{"name":"fixture"}');
+      fs.writeFileSync(path.join(tmpDir, 'src', 'db.js'), 'class DatabaseClient {}\nmodule.exports = { DatabaseClient };\n');
+      fs.writeFileSync(path.join(tmpDir, 'src', 'app.js'), "const { DatabaseClient } = require('./db');\nfunction main() {}\n");
+      fs.writeFileSync(path.join(tmpDir, 'src', 'lib.rs'), 'pub fn ignored() {}\n');
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('builds a map with the standard schema flagged as low confidence', async () => {
+      const map = await fallbackScanner.fullScan(tmpDir, ['javascript', 'rust']);
+
+      expect(map.scanner).toBe('fallback');
+      expect(map.confidence).toBe('low');
+      expect(map.project.languages).toEqual(['javascript']);
+      expect(Object.keys(map.files).sort()).toEqual(['src/app.js', 'src/db.js']);
+      expect(map.files['src/db.js']).toMatchObject({ language: 'javascript', size: expect.any(Number), hash: expect.any(String) });
+      expect(map.dependencies).toEqual({ 'src/app.js': ['./db'] });
+      expect(map.stats.totalSymbols).toBe(2);
+    });
+
+    it('updates fallback maps without ast-grep', async () => {
+      const map = await fallbackScanner.fullScan(tmpDir, ['javascript']);
+      fs.writeFileSync(path.join(tmpDir, 'src', 'app.js'), 'function main() {}\nfunction extra() {}\n');
+      fs.writeFileSync(path.join(tmpDir, 'src', 'new.js'), 'export const added = () => 1;\n');
+
+      const result = await updateWithoutGit(tmpDir, map, null);
+
+      expect(result.success).toBe(true);
+      expect(result.changes).toMatchObject({ updated: 1, added: 1, deleted: 0 });
+      expect(names(result.map.files['src/app.js'].symbols.functions)).toEqual(['extra', 'main']);
+      expect(result.map.dependencies['src/app.js']).toBeUndefined();
+    });
+
+    it('is used by init when ast-grep is missing, unless disabled', async () => {
+      jest.spyOn(installer, 'checkInstalled').mockResolvedValue({ found: false });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const disabled = await repoMap.init(tmpDir, { fallback: false });
+      expect(disabled).toMatchObject({ success: false, error: 'ast-grep not found' });
+
+      const result = await repoMap.init(tmpDir, { languages: ['javascript', 'rust'] });
+      expect(result.success).toBe(true);
+      expect(result.summary).toMatchObject({ files: 2, scanner: 'fallback', confidence: 'low' });
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('[WARN] ast-grep not found'));
+      expect(repoMap.status(tmpDir).status.scanner).toBe('fallback');
+    });
+
+    it('fails init when no detected language is supported', async () => {
+      jest.spyOn(installer, 'checkInstalled').mockResolvedValue({ found: false });
+
+      const result = await repoMap.init(tmpDir, { languages: ['rust'] });
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('ast-grep not found');
+      expect(result.installSuggestion).toBeTruthy();
+    });
+  });
+
+  describe('usage analysis on low-confidence maps', () => {
+    const map = {
+      confidence: 'low',
+      files: {
+        'src/cache-client.js': {
+          language: 'javascript',
+          symbols: {
+            exports: [{ name: 'CacheClient', line: 1, kind: 'class' }],
+            functions: [],
+            classes: [{ name: 'CacheClient', line: 1, kind: 'class', exported: true }],
+            types: [],
+            constants: []
+          },
+          imports: []
+        }
+      }
+    };
+
+    it('lowers certainty by one level', () => {
+      expect(findOrphanedInfrastructure(map)[0].certainty).toBe('MEDIUM');
+      expect(findUnusedExports(map)[0].certainty).toBe('LOW');
+      expect(findOrphanedInfrastructure({ ...map, confidence: undefined })[0].certainty).toBe('HIGH');
+    });
+  });
+});
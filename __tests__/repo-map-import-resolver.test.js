@@ -0,0 +1,259 @@
+/**
+ * Tests for repo-map import resolver
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { createImportResolver, parseJsonc } = require('../lib/repo-map/import-resolver');
+const {
+  buildUsageIndex,
+  findDependents,
+  findUnusedExports,
+  resolveImportSource
+} = require('../lib/repo-map/usage-analyzer');
+
+function mapOf(files) {
+  const map = { files: {} };
+  for (const file of files) {
+    map.files[file] = { symbols: { exports: [] }, imports: [] };
+  }
+  return map;
+}
+
+describe('repo-map import resolver', () => {
+  let tmpDir;
+
+  function write(file, content) {
+    const filePath = path.join(tmpDir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-resolver-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('parseJsonc', () => {
+    test('strips comments and trailing commas outside strings', () => {
+      const parsed = parseJsonc(`{
+        // line comment
+        "paths": { "@/*": ["src/*"], }, /* block */
+        "url": "http://example.com/*not-a-comment*/",
+      }`);
+      expect(parsed).toEqual({ paths: { '@/*': ['src/*'] }, url: 'http://example.com/*not-a-comment*/' });
+    });
+  });
+
+  describe('JavaScript / TypeScript', () => {
+    test('keeps resolving relative imports without a basePath', () => {
+      const map = mapOf(['src/a.ts', 'src/util/index.ts', 'src/b.ts']);
+      const resolver = createImportResolver(map);
+      expect(resolver.resolve('src/a.ts', './util')).toEqual(['src/util/index.ts']);
+      // TS ESM imports name the emitted .js file
+      expect(resolver.resolve('src/a.ts', './b.js')).toEqual(['src/b.ts']);
+      expect(resolver.resolve('src/a.ts', 'lodash')).toEqual([]);
+    });
+
+    test('resolves tsconfig paths through extends, preferring the most specific pattern', () => {
+      write('tsconfig.base.json', `{
+        // shared aliases
+        "compilerOptions": {
+          "baseUrl": ".",
+          "paths": {
+            "@/*": ["src/*"],
+            "@/components/*": ["src/ui/components/*"],
+          }
+        }
+      }`);
+      write('tsconfig.json', { extends: './tsconfig.base', compilerOptions: { strict: true } });
+      const map = mapOf(['src/app.tsx', 'src/lib/db.ts', 'src/ui/components/Button.tsx', 'src/config.ts']);
+      const resolver = createImportResolver(map, { basePath: tmpDir });
+
+      expect(resolver.resolve('src/app.tsx', '@/lib/db')).toEqual(['src/lib/db.ts']);
+      expect(resolver.resolve('src/app.tsx', '@/components/Button')).toEqual(['src/ui/components/Button.tsx']);
+      // baseUrl alone makes non-relative imports resolvable from the root
+      expect(resolver.resolve('src/app.tsx', 'src/config')).toEqual(['src/config.ts']);
+    });
+
+    test('uses the nearest tsconfig and resolves paths relative to it', () => {
+      write('tsconfig.json', { compilerOptions: { paths: { '~/*': ['root/*'] } } });
+      write('apps/web/tsconfig.json', { compilerOptions: { paths: { '~/*': ['./src/*'] } } });
+      const map = mapOf(['apps/web/src/page.ts', 'apps/web/src/hooks.ts', 'root/hooks.ts']);
+      const resolver = createImportResolver(map, { basePath: tmpDir });
+
+      expect(resolver.resolve('apps/web/src/page.ts', '~/hooks')).toEqual(['apps/web/src/hooks.ts']);
+    });
+
+    test('resolves workspace packages through package.json exports', () => {
+      write('package.json', { name: 'monorepo', workspaces: ['packages/*'] });
+      write('packages/utils/package.json', {
+        name: '@acme/utils',
+        exports: {
+          '.': { types: './dist/index.d.ts', import: './dist/index.js' },
+          './strings': './src/strings.ts',
+          './fmt/*': './dist/fmt/*.js'
+        }
+      });
+      write('packages/legacy/package.json', { name: 'legacy', main: 'lib/main.js' });
+      const map = mapOf([
+        'apps/web/app.ts',
+        'packages/utils/src/index.ts',
+        'packages/utils/src/strings.ts',
+        'packages/utils/src/fmt/date.ts',
+        'packages/utils/src/internal.ts',
+        'packages/legacy/src/main.js'
+      ]);
+      const resolver = createImportResolver(map, { basePath: tmpDir });
+
+      expect(resolver.resolve('apps/web/app.ts', '@acme/utils')).toEqual(['packages/utils/src/index.ts']);
+      expect(resolver.resolve('apps/web/app.ts', '@acme/utils/strings')).toEqual(['packages/utils/src/strings.ts']);
+      expect(resolver.resolve('apps/web/app.ts', '@acme/utils/fmt/date')).toEqual(['packages/utils/src/fmt/date.ts']);
+      // Not in "exports": not importable
+      expect(resolver.resolve('apps/web/app.ts', '@acme/utils/internal')).toEqual([]);
+      expect(resolver.resolve('apps/web/app.ts', 'legacy')).toEqual(['packages/legacy/src/main.js']);
+    });
+
+    test('reads pnpm-workspace.yaml packages', () => {
+      write('pnpm-workspace.yaml', "packages:\n  - 'libs/*'\n  # comment\n  - \"!libs/ignored\"\n");
+      write('libs/core/package.json', { name: 'core' });
+      const map = mapOf(['app.js', 'libs/core/index.js']);
+      const resolver = createImportResolver(map, { basePath: tmpDir });
+
+      expect(resolver.resolve('app.js', 'core')).toEqual(['libs/core/index.js']);
+    });
+  });
+
+  describe('Python', () => {
+    test('resolves dotted imports from package roots and relative imports', () => {
+      const map = mapOf([
+        'src/shop/__init__.py',
+        'src/shop/models.py',
+        'src/shop/api/__init__.py',
+        'src/shop/api/views.py',
+        'scripts/run.py',
+        'scripts/helpers.py'
+      ]);
+      const resolver = createImportResolver(map);
+
+      expect(resolver.resolve('scripts/run.py', 'shop.models')).toEqual(['src/shop/models.py']);
+      expect(resolver.resolve('scripts/run.py', 'shop.api')).toEqual(['src/shop/api/__init__.py']);
+      expect(resolver.resolve('src/shop/api/views.py', '..models')).toEqual(['src/shop/models.py']);
+      expect(resolver.resolve('src/shop/api/views.py', '.')).toEqual(['src/shop/api/__init__.py']);
+      expect(resolver.resolve('scripts/run.py', 'helpers')).toEqual(['scripts/helpers.py']);
+      expect(resolver.resolve('scripts/run.py', 'os.path')).toEqual([]);
+    });
+
+    test('reads package roots from pyproject.toml', () => {
+      write('pyproject.toml', '[tool.setuptools.packages.find]\nwhere = ["python"]\n');
+      const map = mapOf(['python/tool/cli.py', 'bin/main.py']);
+      const resolver = createImportResolver(map, { basePath: tmpDir });
+
+      expect(resolver.resolve('bin/main.py', 'tool.cli')).toEqual(['python/tool/cli.py']);
+    });
+  });
+
+  describe('Go', () => {
+    test('resolves module imports to every non-test file in the package', () => {
+      write('go.mod', 'module github.com/acme/shop\n\ngo 1.22\n');
+      write('tools/go.mod', 'module github.com/acme/shop/tools\n');
+      const map = mapOf([
+        'cmd/server/main.go',
+        'internal/store/store.go',
+        'internal/store/cache.go',
+        'internal/store/store_test.go',
+        'tools/gen/gen.go'
+      ]);
+      const resolver = createImportResolver(map, { basePath: tmpDir });
+
+      expect(resolver.resolve('cmd/server/main.go', 'github.com/acme/shop/internal/store'))
+        .toEqual(['internal/store/cache.go', 'internal/store/store.go']);
+      // Nested module wins over the root module prefix
+      expect(resolver.resolve('cmd/server/main.go', 'github.com/acme/shop/tools/gen')).toEqual(['tools/gen/gen.go']);
+      expect(resolver.resolve('cmd/server/main.go', 'fmt')).toEqual([]);
+    });
+  });
+
+  describe('Rust', () => {
+    test('resolves crate, self and super paths', () => {
+      write('Cargo.toml', '[package]\nname = "shop"\n');
+      const map = mapOf(['src/main.rs', 'src/db.rs', 'src/api/mod.rs', 'src/api/routes.rs', 'src/api/auth.rs']);
+      const resolver = createImportResolver(map, { basePath: tmpDir });
+
+      expect(resolver.resolve('src/main.rs', 'crate::db::Pool')).toEqual(['src/db.rs']);
+      expect(resolver.resolve('src/main.rs', 'crate::api')).toEqual(['src/api/mod.rs']);
+      expect(resolver.resolve('src/api/routes.rs', 'super::auth::check')).toEqual(['src/api/auth.rs']);
+      expect(resolver.resolve('src/api/routes.rs', 'super::super::db')).toEqual(['src/db.rs']);
+      expect(resolver.resolve('src/api/mod.rs', 'self::routes')).toEqual(['src/api/routes.rs']);
+      expect(resolver.resolve('src/main.rs', 'std::collections::HashMap')).toEqual([]);
+    });
+
+    test('resolves workspace crates by name', () => {
+      write('Cargo.toml', '[workspace]\nmembers = [\n  "crates/*",\n]\n');
+      write('crates/shop-core/Cargo.toml', '[package]\nname = "shop-core"\nversion = "0.1.0"\n');
+      write('crates/app/Cargo.toml', '[package]\nname = "app"\n');
+      const map = mapOf(['crates/shop-core/src/lib.rs', 'crates/shop-core/src/model.rs', 'crates/app/src/main.rs']);
+      const resolver = createImportResolver(map, { basePath: tmpDir });
+
+      expect(resolver.resolve('crates/app/src/main.rs', 'shop_core::model::Order'))
+        .toEqual(['crates/shop-core/src/model.rs']);
+      expect(resolver.resolve('crates/app/src/main.rs', 'shop_core')).toEqual(['crates/shop-core/src/lib.rs']);
+    });
+  });
+
+  describe('Java', () => {
+    test('resolves class, static and wildcard imports', () => {
+      const map = mapOf(['src/main/java/com/acme/Order.java', 'src/main/java/com/acme/util/Strings.java']);
+      const resolver = createImportResolver(map);
+
+      expect(resolver.resolve('x/App.java', 'com.acme.Order')).toEqual(['src/main/java/com/acme/Order.java']);
+      expect(resolver.resolve('x/App.java', 'com.acme.util.Strings.trim'))
+        .toEqual(['src/main/java/com/acme/util/Strings.java']);
+      expect(resolver.resolve('x/App.java', 'java.util.List')).toEqual([]);
+    });
+  });
+
+  describe('usage analyzer integration', () => {
+    test('tracks dependents and usages through aliases and workspace packages', () => {
+      write('tsconfig.json', { compilerOptions: { baseUrl: '.', paths: { '@/*': ['src/*'] } } });
+      write('package.json', { name: 'root', workspaces: ['packages/*'] });
+      write('packages/utils/package.json', { name: '@acme/utils', main: 'src/index.ts' });
+
+      const repoMap = {
+        files: {
+          'src/app.ts': {
+            symbols: { exports: [] },
+            imports: [
+              { source: '@/lib/db', kind: 'named', names: ['connect'] },
+              { source: '@acme/utils', kind: 'named', names: ['slugify'] }
+            ]
+          },
+          'src/lib/db.ts': {
+            symbols: { exports: [{ name: 'connect', line: 1 }, { name: 'disconnect', line: 5 }] },
+            imports: []
+          },
+          'packages/utils/src/index.ts': {
+            symbols: { exports: [{ name: 'slugify', line: 1 }] },
+            imports: []
+          }
+        }
+      };
+
+      const index = buildUsageIndex(repoMap, { basePath: tmpDir });
+      expect(findDependents(index, 'src/lib/db.ts')).toEqual(['src/app.ts']);
+      expect(findDependents(index, 'packages/utils/src/index.ts')).toEqual(['src/app.ts']);
+
+      const unused = findUnusedExports(repoMap, index).map(e => `${e.file}:${e.name}`);
+      expect(unused).toEqual(['src/lib/db.ts:disconnect']);
+
+      // Without basePath aliases stay unresolved
+      expect(resolveImportSource('src/app.ts', '@/lib/db', repoMap)).toBeNull();
+      expect(resolveImportSource('src/app.ts', '@/lib/db', repoMap, { basePath: tmpDir })).toBe('src/lib/db.ts');
+    });
+  });
+});
@@ -0,0 +1,157 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const installer = require('../lib/repo-map/installer');
+const runner = require('../lib/repo-map/runner');
+const queries = require('../lib/repo-map/queries');
+
+const fixtureRoot = path.join(__dirname, 'fixtures', 'repo-map');
+
+// Expected extraction per fixture: symbol names by category, export names, import sources
+const FIXTURES = {
+  'c/sample.c': {
+    language: 'c',
+    functions: ['helper', 'sample_add'],
+    constants: ['MAX_ITEMS'],
+    exports: ['MAX_ITEMS', 'sample_add'],
+    imports: ['stdio.h', 'sample.h']
+  },
+  'cpp/sample.h': {
+    language: 'cpp',
+    functions: ['widget_count'],
+    classes: ['Point', 'Widget'],
+    types: ['Name'],
+    exports: ['Name', 'Point', 'Widget', 'widget_count'],
+    imports: ['string', 'util.hpp']
+  },
+  'cpp/widget.cpp': {
+    language: 'cpp',
+    functions: ['internal_size', 'size', 'widget_count'],
+    constants: ['kDefaultSize'],
+    exports: ['kDefaultSize', 'size', 'widget_count'],
+    imports: ['sample.h']
+  },
+  'csharp/Sample.cs': {
+    language: 'csharp',
+    functions: ['Count', 'Greet'],
+    classes: ['Greeter', 'Helper'],
+    types: ['Mood'],
+    constants: ['Prefix'],
+    exports: ['Greet', 'Greeter', 'Mood', 'Prefix'],
+    imports: ['System', 'System.Collections.Generic']
+  },
+  'ruby/sample.rb': {
+    language: 'ruby',
+    functions: ['build', 'greet', 'secret'],
+    classes: ['Greeter', 'Sample'],
+    exports: ['Greeter', 'Sample', 'build', 'greet'],
+    imports: ['json', 'helpers/format']
+  },
+  'php/Sample.php': {
+    language: 'php',
+    functions: ['greet', 'helper', 'secret'],
+    classes: ['Greeter', 'Greets'],
+    constants: ['VERSION'],
+    exports: ['Greeter', 'Greets', 'VERSION', 'greet', 'helper'],
+    imports: ['App\\Models\\User', 'helpers.php']
+  },
+  'kotlin/Sample.kt': {
+    language: 'kotlin',
+    functions: ['greet', 'helper', 'secret'],
+    classes: ['Greeter', 'User'],
+    types: ['Names'],
+    constants: ['DEFAULT_NAME'],
+    exports: ['DEFAULT_NAME', 'Greeter', 'Names', 'User', 'greet'],
+    imports: ['kotlin.math.max', 'java.util.UUID']
+  }
+};
+
+const NEW_LANGUAGES = ['c', 'cpp', 'csharp', 'ruby', 'php', 'kotlin'];
+
+// Symbol map for a fixture, with lines found by declaration text
+function symbolMapFor(content, names, declaration) {
+  const lines = content.split('\n');
+  const map = new Map();
+  for (const name of names || []) {
+    const index = lines.findIndex(line => declaration(name).test(line));
+    map.set(name, { name, line: index + 1 });
+  }
+  return map;
+}
+
+function declarationPattern(category) {
+  switch (category) {
+    case 'functions':
+      return name => new RegExp(`(?:\\bdef\\s+(?:self\\.)?|\\bfun\\s+|\\bfunction\\s+|\\s|::)${name}\\s*(?:\\(|$)`);
+    case 'constants':
+      return name => new RegExp(`(?:define|const(?:expr)?\\b.*|val)\\s+(?:\\w+\\s+)?${name}\\b`);
+    default:
+      return name => new RegExp(`\\b(?:class|struct|module|interface|enum|using|typealias)\\s+${name}\\b`);
+  }
+}
+
+describe('repo-map language support', () => {
+  it('registers queries and ast-grep languages for each new language', () => {
+    for (const lang of NEW_LANGUAGES) {
+      expect(runner.LANGUAGE_EXTENSIONS[lang]).toBeInstanceOf(Array);
+      expect(queries.getQueriesForLanguage(lang)).toHaveProperty('functions');
+      expect(queries.getSgLanguage(lang)).toBe(lang);
+    }
+    expect(queries.getQueriesForLanguage('kt')).toBe(queries.getQueriesForLanguage('kotlin'));
+    expect(queries.getSgLanguageForFile('include/a.h', 'cpp')).toBe('cpp');
+  });
+
+  it('maps every extension to a single language', () => {
+    const all = Object.values(runner.LANGUAGE_EXTENSIONS).flat();
+    expect(new Set(all).size).toBe(all.length);
+  });
+
+  it('detects the new languages and finds their files', async () => {
+    const languages = await runner.detectLanguages(fixtureRoot);
+    expect(languages).toEqual(expect.arrayContaining(NEW_LANGUAGES));
+
+    const cppFiles = runner.findFilesForLanguage(fixtureRoot, 'cpp')
+      .map(file => path.relative(fixtureRoot, file).replace(/\\/g, '/'))
+      .sort();
+    expect(cppFiles).toEqual(['cpp/sample.h', 'cpp/widget.cpp']);
+  });
+
+  describe('applyLanguageExportRules', () => {
+    for (const [fixture, expected] of Object.entries(FIXTURES)) {
+      it(`infers exports for ${fixture}`, () => {
+        const content = fs.readFileSync(path.join(fixtureRoot, fixture), 'utf8');
+        const maps = ['functions', 'classes', 'types', 'constants']
+          .map(category => symbolMapFor(content, expected[category], declarationPattern(category)));
+        for (const map of maps) {
+          for (const symbol of map.values()) expect(symbol.line).toBeGreaterThan(0);
+        }
+
+        const exportNames = new Set();
+        runner.applyLanguageExportRules(expected.language, content, exportNames, ...maps);
+        expect([...exportNames].sort()).toEqual(expected.exports);
+      });
+    }
+  });
+
+  describe('ast-grep extraction', () => {
+    const installed = installer.checkInstalledSync();
+    const runTest = installed.found ? test : test.skip;
+
+    for (const [fixture, expected] of Object.entries(FIXTURES)) {
+      runTest(`extracts symbols and imports from ${fixture}`, () => {
+        const fileData = runner.scanSingleFile(installed.command, path.join(fixtureRoot, fixture), fixtureRoot);
+        expect(fileData.language).toBe(expected.language);
+
+        for (const category of ['functions', 'classes', 'types', 'constants']) {
+          const names = fileData.symbols[category].map(symbol => symbol.name);
+          expect(names).toEqual(expect.arrayContaining(expected[category] || []));
+        }
+        expect(fileData.symbols.exports.map(symbol => symbol.name))
+          .toEqual(expect.arrayContaining(expected.exports));
+        expect(fileData.imports.map(imp => imp.source)).toEqual(expect.arrayContaining(expected.imports));
+      });
+    }
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Tests for lib/repo-map/map-diff.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const mapDiff = require('../lib/repo-map/map-diff');
+const installer = require('../lib/repo-map/installer');
+const repoMap = require('../lib/repo-map');
+const docsPatterns = require('../lib/collectors/docs-patterns');
+
+function fileData(language, exportsList, functions = []) {
+  return {
+    language,
+    symbols: {
+      exports: exportsList.map(name => ({ name, line: 1, kind: 'function' })),
+      functions,
+      classes: [],
+      types: [],
+      constants: []
+    },
+    imports: []
+  };
+}
+
+describe('repo-map map diff', () => {
+  describe('diffMaps', () => {
+    const fn = (name, params, returnType) => ({ name, line: 1, kind: 'function', params, ...(returnType ? { returnType } : {}) });
+
+    it('reports added, removed and changed exports with a semver suggestion', () => {
+      const before = { files: {
+        'src/api.ts': fileData('typescript', ['get', 'put', 'legacy'], [
+          fn('get', ['url: string'], 'Promise<Response>'),
+          fn('put', ['url: string', 'body: string'])
+        ]),
+        'src/old.ts': fileData('typescript', ['gone'])
+      } };
+      const after = { files: {
+        'src/api.ts': fileData('typescript', ['get', 'put', 'patch'], [
+          fn('get', ['url: string', 'opts?: Options'], 'Promise<Response>'),
+          fn('put', ['url: string', 'body: string', 'headers: Headers'])
+        ]),
+        'src/api.test.ts': fileData('typescript', ['helper'])
+      } };
+
+      const result = mapDiff.diffMaps(before, after);
+
+      expect(result.files.map(f => [f.file, f.status])).toEqual([['src/api.ts', 'modified'], ['src/old.ts', 'removed']]);
+      const api = result.files[0];
+      expect(api.added.map(e => e.name)).toEqual(['patch']);
+      expect(api.removed.map(e => e.name)).toEqual(['legacy']);
+      expect(api.changed).toEqual([
+        expect.objectContaining({ name: 'get', breaking: false, reasons: ['parameter added: opts'] }),
+        expect.objectContaining({
+          name: 'put',
+          breaking: true,
+          before: { params: ['url: string', 'body: string'] },
+          after: { params: ['url: string', 'body: string', 'headers: Headers'] },
+          reasons: ['parameter added: headers', 'required parameters: 2 -> 3']
+        })
+      ]);
+      expect(result.summary).toEqual({ files: 2, added: 1, removed: 2, changed: 2, breaking: 3 });
+      expect(result.semver).toBe('major');
+      expect(result.changelog.removed).toContain('- **BREAKING** `gone` removed from `src/old.ts`');
+      expect(result.changelog.changed[1]).toBe(
+        '- **BREAKING** `put` in `src/api.ts`: `(url: string, body: string)` -> `(url: string, body: string, headers: Headers)`'
+      );
+    });
+
+    it('classifies signature changes', () => {
+      const compare = (before, after, language = 'javascript') => mapDiff.compareExports(before, after, language);
+
+      expect(compare({ params: ['a', 'b'] }, { params: ['a'] }))
+        .toEqual({ breaking: true, reasons: ['parameter removed: b'] });
+      expect(compare({ params: ['a', 'b = 1'] }, { params: ['a', 'b'] }))
+        .toEqual({ breaking: true, reasons: ['required parameters: 1 -> 2'] });
+      expect(compare({ params: ['a'] }, { params: ['a', '...rest'] }).breaking).toBe(false);
+      expect(compare({ params: ['path'] }, { params: ['file'] }).breaking).toBe(false);
+      expect(compare({ params: ['self', 'path'] }, { params: ['self', 'file'] }, 'python'))
+        .toEqual({ breaking: true, reasons: ['parameter renamed: path -> file'] });
+      expect(compare({ params: ['a: string'], returnType: 'number' }, { params: ['a: string'], returnType: 'string' }))
+        .toEqual({ breaking: true, reasons: ['return type changed: number -> string'] });
+      expect(compare({ category: 'functions', kind: 'function' }, { category: 'classes', kind: 'class' }).breaking).toBe(true);
+      expect(compare({ params: ['a'] }, { params: ['a'] })).toEqual({ breaking: false, reasons: [] });
+    });
+
+    it('suggests minor for additions and nothing for unchanged surfaces', () => {
+      const before = { files: { 'a.js': fileData('javascript', ['a']) } };
+      const after = { files: { 'a.js': fileData('javascript', ['a', 'b']) } };
+      expect(mapDiff.diffMaps(before, after).semver).toBe('minor');
+      expect(mapDiff.diffMaps(before, before)).toMatchObject({ files: [], semver: null });
+    });
+
+    it('validates refs', () => {
+      expect(mapDiff.isValidRef('origin/main')).toBe(true);
+      expect(mapDiff.isValidRef('HEAD~2')).toBe(true);
+      expect(mapDiff.isValidRef('--output=x')).toBe(false);
+      expect(mapDiff.isValidRef('main; rm -rf /')).toBe(false);
+    });
+  });
+
+  describe('git refs', () => {
+    let tmpDir;
+    const run = (...args) => execFileSync('git', args, { cwd: tmpDir, stdio: 'pipe' });
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(tmpDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, file), content);
+    };
+    const commit = (message) => {
+      run('add', '-A');
+      run('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', message);
+    };
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-map-diff-'));
+      run('init', '-q');
+      write('src/api.js', 'export function load(path) {}\nexport function save(path, data) {}\n');
+      write('node_modules/dep/index.js', 'export function vendored() {}\n');
+      write('README.md', 'Call `save` to persist.\n');
+      commit('base');
+      run('tag', 'v1.0.0');
+      write('src/api.js', 'export function load(path, options = {}) {}\nexport function remove(path) {}\n');
+      commit('head');
+      jest.spyOn(installer, 'checkInstalled').mockResolvedValue({ found: false });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('builds maps from git objects and caches them per commit', async () => {
+      write('src/api.js', 'export function dirty() {}\n');
+      const built = await mapDiff.buildMapAtRef(tmpDir, 'v1.0.0', { scanner: 'fallback' });
+
+      expect(built).toMatchObject({ success: true, cached: false });
+      expect(Object.keys(built.map.files)).toEqual(['src/api.js']);
+      expect(built.map.files['src/api.js'].symbols.exports.map(e => e.name)).toEqual(['load', 'save']);
+      expect(built.map.git.commit).toBe(mapDiff.resolveRef(tmpDir, 'v1.0.0'));
+
+      const again = await mapDiff.buildMapAtRef(tmpDir, 'v1.0.0', { scanner: 'fallback' });
+      expect(again.cached).toBe(true);
+      expect(await mapDiff.buildMapAtRef(tmpDir, 'missing-branch')).toEqual({ success: false, error: 'Unknown git ref: missing-branch' });
+    });
+
+    it('diffs two refs through repoMap.diff', async () => {
+      const result = await repoMap.diff(tmpDir, 'v1.0.0');
+
+      expect(result).toMatchObject({
+        success: true,
+        base: { ref: 'v1.0.0' },
+        head: { ref: 'HEAD' },
+        summary: { added: 1, removed: 1, changed: 1, breaking: 1 },
+        semver: 'major'
+      });
+      expect(result.files[0].changed[0]).toMatchObject({ name: 'load', breaking: false });
+    });
+
+    it('reports breaking changes and the docs that mention them', async () => {
+      const result = await docsPatterns.findApiChanges({ cwd: tmpDir, baseRef: 'v1.0.0' });
+
+      expect(result.available).toBe(true);
+      expect(result.issues).toEqual([expect.objectContaining({
+        type: 'breaking-api-change',
+        file: 'src/api.js',
+        name: 'save',
+        docs: ['README.md']
+      })]);
+      expect(await docsPatterns.findApiChanges({ cwd: tmpDir, baseRef: 'v1;x' }))
+        .toMatchObject({ available: false, fallbackReason: 'invalid-base-ref' });
+    });
+  });
+});
@@ -230,6 +230,18 @@ describe('repo-map queries', () => {
             expect(hasNameExtraction).toBeTruthy();
           });
         });
+
+        test('call graph patterns have required fields', () => {
+          expect(patterns.callGraph.calls.length).toBeGreaterThan(0);
+          patterns.callGraph.calls.forEach(pattern => {
+            expect(typeof pattern.pattern).toBe('string');
+            expect(pattern).toHaveProperty('calleeVar');
+          });
+          [...patterns.callGraph.definitions, ...patterns.callGraph.owners].forEach(pattern => {
+            expect(typeof pattern.pattern).toBe('string');
+            expect(pattern).toHaveProperty('nameVar');
+          });
+        });
       });
     });
   });
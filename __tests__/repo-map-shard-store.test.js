@@ -0,0 +1,271 @@
+/**
+ * Tests for lib/repo-map/shard-store.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const shardStore = require('../lib/repo-map/shard-store');
+const cache = require('../lib/repo-map/cache');
+const fallbackScanner = require('../lib/repo-map/fallback-scanner');
+const { updateWithoutGit, recalculateStats } = require('../lib/repo-map/updater');
+const { buildUsageIndex, findUsages, findUnusedExports } = require('../lib/repo-map/usage-analyzer');
+
+function fileEntry(exportsList, imports = []) {
+  return {
+    hash: exportsList.join(','),
+    language: 'javascript',
+    size: 10,
+    symbols: {
+      exports: exportsList.map(name => ({ name, line: 1, kind: 'function' })),
+      functions: exportsList.map(name => ({ name, line: 1, kind: 'function', exported: true })),
+      classes: [],
+      types: [],
+      constants: []
+    },
+    imports: imports.map(source => ({ source, kind: 'named', names: ['connect'] }))
+  };
+}
+
+function makeMap() {
+  return {
+    version: '1.0.0',
+    generated: '2026-01-01T00:00:00.000Z',
+    git: { commit: 'abc123', branch: 'main' },
+    project: { languages: ['javascript'] },
+    stats: { totalFiles: 4, totalSymbols: 4, errors: [] },
+    files: {
+      'index.js': fileEntry(['main'], ['./packages/db/client']),
+      'packages/db/client.js': fileEntry(['connect']),
+      'packages/api/routes/users.js': fileEntry(['listUsers'], ['../../db/client']),
+      'packages/api/server.js': fileEntry(['start'])
+    },
+    dependencies: {
+      'index.js': ['./packages/db/client'],
+      'packages/api/routes/users.js': ['../../db/client']
+    }
+  };
+}
+
+describe('repo-map shard store', () => {
+  let tmpDir;
+  const originalStateDir = process.env.AI_STATE_DIR;
+
+  beforeEach(() => {
+    process.env.AI_STATE_DIR = '.test-state';
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-map-shards-'));
+  });
+
+  afterEach(() => {
+    process.env.AI_STATE_DIR = originalStateDir;
+    if (originalStateDir === undefined) delete process.env.AI_STATE_DIR;
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const shardFiles = () => fs.readdirSync(path.join(shardStore.getShardDir(tmpDir), 'shards')).filter(n => !n.startsWith('.'));
+  const manifest = () => JSON.parse(fs.readFileSync(shardStore.getManifestPath(tmpDir), 'utf8'));
+
+  it('derives shard keys from leading directories', () => {
+    expect(shardStore.getShardKey('index.js')).toBe('.');
+    expect(shardStore.getShardKey('src/a.js')).toBe('src');
+    expect(shardStore.getShardKey('packages/api/routes/users.js')).toBe('packages/api');
+    expect(shardStore.getShardKey('packages/api/routes/users.js', 1)).toBe('packages');
+  });
+
+  it('writes a manifest with per-shard data and index files', () => {
+    cache.save(tmpDir, makeMap(), { storage: 'sharded' });
+
+    expect(fs.existsSync(cache.getMapPath(tmpDir))).toBe(false);
+    const written = manifest();
+    expect(Object.keys(written.shards).sort()).toEqual(['.', 'packages/api', 'packages/db']);
+    expect(written.shards['packages/api']).toMatchObject({ files: 2, symbols: 2 });
+    expect(written.stats).toMatchObject({ totalFiles: 4, totalSymbols: 4 });
+    expect(written.files).toBeUndefined();
+    expect(shardFiles()).toHaveLength(6);
+  });
+
+  it('loads shards lazily on file access', () => {
+    cache.save(tmpDir, makeMap(), { storage: 'sharded' });
+    const map = cache.load(tmpDir);
+    const store = shardStore.getStore(map);
+
+    expect(cache.getStorage(map)).toBe('sharded');
+    expect(map.git.commit).toBe('abc123');
+    expect(store.loadedKeys()).toEqual([]);
+
+    expect(map.files['packages/db/client.js'].symbols.exports[0].name).toBe('connect');
+    expect('packages/db/missing.js' in map.files).toBe(false);
+    expect(store.loadedKeys()).toEqual(['packages/db']);
+
+    expect(Object.keys(map.files).sort()).toEqual(Object.keys(makeMap().files).sort());
+    expect(map.dependencies['index.js']).toEqual(['./packages/db/client']);
+    expect(JSON.parse(JSON.stringify(map)).files).toEqual(makeMap().files);
+  });
+
+  it('rewrites only changed shards on save', () => {
+    cache.save(tmpDir, makeMap(), { storage: 'sharded' });
+    const before = manifest().shards;
+
+    const map = cache.load(tmpDir);
+    map.files['packages/db/pool.js'] = fileEntry(['createPool']);
+    delete map.files['packages/api/server.js'];
+    recalculateStats(map);
+    expect(map.stats).toMatchObject({ totalFiles: 4, totalSymbols: 4 });
+    cache.save(tmpDir, map);
+
+    const after = manifest().shards;
+    expect(after['.']).toEqual(before['.']);
+    expect(after['packages/db'].data).not.toBe(before['packages/db'].data);
+    expect(after['packages/api'].files).toBe(1);
+    expect(shardStore.getStore(map).loadedKeys()).toEqual(['packages/api', 'packages/db']);
+    expect(Object.keys(cache.load(tmpDir).files)).toHaveLength(4);
+  });
+
+  it('keeps changes from concurrent writers on different shards', () => {
+    cache.save(tmpDir, makeMap(), { storage: 'sharded' });
+    const first = cache.load(tmpDir);
+    const second = cache.load(tmpDir);
+
+    first.files['packages/db/pool.js'] = fileEntry(['createPool']);
+    second.files['packages/api/health.js'] = fileEntry(['health']);
+    cache.save(tmpDir, first);
+    cache.save(tmpDir, second);
+
+    const merged = cache.load(tmpDir);
+    expect(merged.files['packages/db/pool.js']).toBeDefined();
+    expect(merged.files['packages/api/health.js']).toBeDefined();
+    expect(merged.stats.totalFiles).toBe(6);
+  });
+
+  it('keeps every shard when writers in separate processes save at once', async () => {
+    cache.save(tmpDir, makeMap(), { storage: 'sharded' });
+    const script = `
+      const cache = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'repo-map', 'cache'))});
+      const [worker, rounds, basePath] = process.argv.slice(1);
+      for (let i = 0; i < Number(rounds); i++) {
+        const map = cache.load(basePath);
+        map.files['packages/w' + worker + '/f' + i + '.js'] = { hash: String(i), language: 'javascript', symbols: {}, imports: [] };
+        cache.save(basePath, map);
+      }
+    `;
+    const workers = 3;
+    const rounds = 10;
+    await Promise.all(Array.from({ length: workers }, (_, worker) => new Promise((resolve, reject) => {
+      execFile(process.execPath, ['-e', script, String(worker), String(rounds), tmpDir], { timeout: 60000, env: { ...process.env } },
+        (error, stdout, stderr) => (error ? reject(new Error(stderr || error.message)) : resolve()));
+    })));
+
+    const files = Object.keys(cache.load(tmpDir).files);
+    expect(files).toHaveLength(4 + workers * rounds);
+    expect(fs.existsSync(`${shardStore.getManifestPath(tmpDir)}.lock`)).toBe(false);
+  }, 120000);
+
+  it('answers usage queries from the shard indexes', () => {
+    cache.save(tmpDir, makeMap(), { storage: 'sharded' });
+    const map = cache.load(tmpDir);
+
+    const index = buildUsageIndex(map);
+    expect(findUsages(index, 'packages/db/client.js', 'connect').sort()).toEqual([
+      'index.js',
+      'packages/api/routes/users.js'
+    ]);
+    expect(findUnusedExports(map).map(e => e.name)).toEqual(['listUsers']);
+    expect(shardStore.getStore(map).loadedKeys()).toEqual([]);
+  });
+
+  it('removes unreferenced shard files after the grace period', () => {
+    cache.save(tmpDir, makeMap(), { storage: 'sharded' });
+    const map = cache.load(tmpDir);
+    map.files['packages/db/pool.js'] = fileEntry(['createPool']);
+    cache.save(tmpDir, map);
+    expect(shardFiles()).toHaveLength(8);
+
+    const old = new Date(Date.now() - shardStore.GC_GRACE_MS - 1000);
+    for (const name of shardFiles()) {
+      fs.utimesSync(path.join(shardStore.getShardDir(tmpDir), 'shards', name), old, old);
+    }
+    map.files['packages/db/pool.js'] = fileEntry(['createPool', 'drain']);
+    cache.save(tmpDir, map);
+
+    expect(shardFiles()).toHaveLength(6);
+    expect(Object.keys(cache.load(tmpDir).files)).toHaveLength(5);
+  });
+
+  it('re-reads the manifest when a long-lived map finds its shard collected', () => {
+    cache.save(tmpDir, makeMap(), { storage: 'sharded' });
+    const longLived = cache.load(tmpDir);
+
+    const writer = cache.load(tmpDir);
+    writer.files['packages/api/server.js'] = fileEntry(['start', 'stop']);
+    cache.save(tmpDir, writer);
+    const old = new Date(Date.now() - shardStore.GC_GRACE_MS - 1000);
+    for (const name of shardFiles()) {
+      fs.utimesSync(path.join(shardStore.getShardDir(tmpDir), 'shards', name), old, old);
+    }
+    const other = cache.load(tmpDir);
+    other.files['index.js'] = fileEntry(['main', 'run']);
+    cache.save(tmpDir, other);
+
+    longLived.files['packages/api/health.js'] = fileEntry(['health']);
+    cache.save(tmpDir, longLived);
+
+    const files = cache.load(tmpDir).files;
+    expect(Object.keys(files).filter(file => file.startsWith('packages/api/')).sort()).toEqual([
+      'packages/api/health.js',
+      'packages/api/routes/users.js',
+      'packages/api/server.js'
+    ]);
+    expect(files['packages/api/server.js'].hash).toBe('start,stop');
+  });
+
+  it('refuses to write back a shard that could not be read', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    cache.save(tmpDir, makeMap(), { storage: 'sharded' });
+    const map = cache.load(tmpDir);
+    const shardPath = path.join(shardStore.getShardDir(tmpDir), manifest().shards['packages/api'].data);
+    fs.writeFileSync(shardPath, '{ truncated');
+
+    expect(() => { map.files['packages/api/health.js'] = fileEntry(['health']); }).toThrow('Repo map shard packages/api could not be loaded');
+    expect(shardStore.getStore(map).dirtyShards().size).toBe(0);
+    cache.save(tmpDir, map);
+    expect(fs.readFileSync(shardPath, 'utf8')).toBe('{ truncated');
+    expect(manifest().shards['packages/api'].files).toBe(2);
+  });
+
+  it('keeps the storage format unless another one is requested', () => {
+    cache.save(tmpDir, makeMap());
+    expect(fs.existsSync(cache.getMapPath(tmpDir))).toBe(true);
+    expect(cache.getStatus(tmpDir).storage).toBe('single');
+
+    cache.save(tmpDir, makeMap(), { storage: 'sharded' });
+    cache.save(tmpDir, makeMap());
+    expect(cache.getStatus(tmpDir)).toMatchObject({ storage: 'sharded', files: 4 });
+    expect(fs.existsSync(cache.getMapPath(tmpDir))).toBe(false);
+
+    cache.save(tmpDir, cache.load(tmpDir), { storage: 'single' });
+    expect(shardStore.exists(tmpDir)).toBe(false);
+    expect(Object.keys(cache.load(tmpDir).files)).toHaveLength(4);
+  });
+
+  it('supports non-git updates of sharded maps', async () => {
+    fs.mkdirSync(path.join(tmpDir, 'src'));
+    fs.writeFileSync(path.join(tmpDir, 'src', 'a.js'), 'function a() {}\n');
+    fs.writeFileSync(path.join(tmpDir, 'src', 'b.js'), 'function b() {}\n');
+    cache.save(tmpDir, await fallbackScanner.fullScan(tmpDir, ['javascript']), { storage: 'sharded' });
+
+    fs.writeFileSync(path.join(tmpDir, 'src', 'b.js'), 'function b() {}\nfunction c() {}\n');
+    fs.writeFileSync(path.join(tmpDir, 'main.js'), 'function main() {}\n');
+    const result = await updateWithoutGit(tmpDir, cache.load(tmpDir), null);
+    expect(result.changes).toMatchObject({ updated: 1, added: 1, deleted: 0 });
+    cache.save(tmpDir, result.map);
+
+    const reloaded = cache.load(tmpDir);
+    expect(reloaded.stats).toMatchObject({ totalFiles: 3, totalSymbols: 4 });
+    expect(Object.keys(manifest().shards).sort()).toEqual(['.', 'src']);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Tests for lib/repo-map/signatures.js
+ */
+
+'use strict';
+
+const {
+  MAX_DOC_LENGTH,
+  extractSignature,
+  splitParams,
+  getParamName,
+  extractDocComment,
+  attachDocComments
+} = require('../lib/repo-map/signatures');
+const runner = require('../lib/repo-map/runner');
+
+describe('repo-map signatures', () => {
+  describe('extractSignature', () => {
+    it('reads JavaScript and TypeScript declarations', () => {
+      expect(extractSignature('function load(path, { retries = 3 } = {}) {\n  return path;\n}', 'load', 'javascript'))
+        .toEqual({ params: ['path', '{ retries = 3 } = {}'] });
+      expect(extractSignature('export async function get<T>(url: string, opts?: Options<T>): Promise<T> {}', 'get', 'typescript'))
+        .toEqual({ params: ['url: string', 'opts?: Options<T>'], returnType: 'Promise<T>' });
+      expect(extractSignature('const add = (a: number, b = 2): number => a + b;', 'add', 'typescript'))
+        .toEqual({ params: ['a: number', 'b = 2'], returnType: 'number' });
+      expect(extractSignature('const id = async value => value;', 'id', 'javascript'))
+        .toEqual({ params: ['value'] });
+      expect(extractSignature('const fn = function (a, b) {};', 'fn', 'javascript'))
+        .toEqual({ params: ['a', 'b'] });
+    });
+
+    it('reads Python, Rust and Go return types', () => {
+      expect(extractSignature('def run(self, items: List[int], *args, **kw) -> Dict[str, int]:\n    pass', 'run', 'python'))
+        .toEqual({ params: ['self', 'items: List[int]', '*args', '**kw'], returnType: 'Dict[str, int]' });
+      expect(extractSignature('pub fn parse<T: Read>(input: &mut T) -> Result<Vec<u8>, Error> where T: Send {', 'parse', 'rust'))
+        .toEqual({ params: ['input: &mut T'], returnType: 'Result<Vec<u8>, Error>' });
+      expect(extractSignature('func (s *Server) Serve(addr string, port int) (int, error) {', 'Serve', 'go'))
+        .toEqual({ params: ['addr string', 'port int'], returnType: '(int, error)' });
+      expect(extractSignature('func Close() {', 'Close', 'go')).toEqual({ params: [] });
+    });
+
+    it('reads prefix return types for Java-style languages', () => {
+      expect(extractSignature('@Override\npublic static List<String> names(final Map<String, Integer> counts, int limit) {', 'names', 'java'))
+        .toEqual({ params: ['final Map<String, Integer> counts', 'int limit'], returnType: 'List<String>' });
+      expect(extractSignature('public MyClass(int size) {', 'MyClass', 'java'))
+        .toEqual({ params: ['int size'] });
+    });
+
+    it('returns an empty object when no parameter list follows the name', () => {
+      expect(extractSignature('const value = compute(1);', 'value', 'javascript')).toEqual({});
+      expect(extractSignature('function broken(a, b', 'broken', 'javascript')).toEqual({});
+      expect(extractSignature(undefined, 'x', 'javascript')).toEqual({});
+    });
+  });
+
+  describe('splitParams', () => {
+    it('splits at top-level commas only', () => {
+      expect(splitParams('a, cb = (x, y) => x, s = "a,b", m: Map<K, V>')).toEqual([
+        'a', 'cb = (x, y) => x', 's = "a,b"', 'm: Map<K, V>'
+      ]);
+      expect(splitParams('  ')).toEqual([]);
+    });
+  });
+
+  describe('getParamName', () => {
+    it('handles language-specific parameter forms', () => {
+      expect(getParamName('opts?: Options = {}', 'typescript')).toBe('opts');
+      expect(getParamName('private readonly db: Db', 'typescript')).toBe('db');
+      expect(getParamName('...rest', 'javascript')).toBe('rest');
+      expect(getParamName('**kwargs', 'python')).toBe('kwargs');
+      expect(getParamName('mut buf: &mut [u8]', 'rust')).toBe('buf');
+      expect(getParamName('count int', 'go')).toBe('count');
+      expect(getParamName('final int[] values', 'java')).toBe('values');
+      expect(getParamName('const char *name', 'c')).toBe('name');
+      expect(getParamName('?int $limit = 10', 'php')).toBe('limit');
+    });
+
+    it('returns null for destructured, receiver and unnamed parameters', () => {
+      expect(getParamName('{ a, b }', 'javascript')).toBeNull();
+      expect(getParamName('self', 'python')).toBeNull();
+      expect(getParamName('int', 'c')).toBeNull();
+      expect(getParamName('', 'javascript')).toBeNull();
+    });
+  });
+
+  describe('extractDocComment', () => {
+    it('reads JSDoc blocks and skips decorators', () => {
+      const lines = [
+        '/**',
+        ' * Load a file',
+        ' * @param {string} path',
+        ' */',
+        '@cached',
+        'function load(path) {}'
+      ];
+      expect(extractDocComment(lines, 6, 'typescript')).toBe('Load a file\n@param {string} path');
+    });
+
+    it('ignores plain block comments unless the language uses them for docs', () => {
+      const lines = ['/* license header */', 'function run() {}'];
+      expect(extractDocComment(lines, 2, 'javascript')).toBeNull();
+      expect(extractDocComment(lines, 2, 'c')).toBe('license header');
+    });
+
+    it('reads line doc comments', () => {
+      expect(extractDocComment(['// Serve starts the server', '// on addr.', 'func Serve() {}'], 3, 'go'))
+        .toBe('Serve starts the server\non addr.');
+      expect(extractDocComment(['/// Parses input', '#[inline]', 'pub fn parse() {}'], 3, 'rust')).toBe('Parses input');
+      expect(extractDocComment(['// not a doc', 'pub fn parse() {}'], 2, 'rust')).toBeNull();
+    });
+
+    it('reads Python docstrings after the def header', () => {
+      const lines = [
+        'def run(',
+        '    count,',
+        '):',
+        '    """Run it.',
+        '',
+        '    Args:',
+        '        count: How many',
+        '    """'
+      ];
+      expect(extractDocComment(lines, 1, 'python')).toBe('Run it.\n\nArgs:\ncount: How many');
+      expect(extractDocComment(['def one(): """One line."""'], 1, 'python')).toBeNull();
+      expect(extractDocComment(['def one():', "    '''One line.'''"], 1, 'python')).toBe('One line.');
+    });
+
+    it('truncates long comments', () => {
+      const doc = extractDocComment([`/** ${'x'.repeat(MAX_DOC_LENGTH + 50)} */`, 'function f() {}'], 2, 'javascript');
+      expect(doc).toHaveLength(MAX_DOC_LENGTH + 3);
+      expect(doc.endsWith('...')).toBe(true);
+    });
+  });
+
+  describe('attachDocComments', () => {
+    it('adds doc to symbols through finalizeSymbols', () => {
+      const content = [
+        '/** Cache entries */',
+        'class Cache {}',
+        '',
+        'function helper() {}'
+      ].join('\n');
+      const maps = runner.createSymbolMaps();
+      maps.classes.set('Cache', { name: 'Cache', line: 2, kind: 'class' });
+      maps.functions.set('helper', { name: 'helper', line: 4, kind: 'function' });
+
+      const symbols = runner.finalizeSymbols('javascript', content, maps);
+
+      expect(symbols.classes[0].doc).toBe('Cache entries');
+      expect(symbols.functions[0].doc).toBeUndefined();
+    });
+
+    it('keeps existing doc values', () => {
+      const map = new Map([['a', { name: 'a', line: 2, doc: 'kept' }]]);
+      attachDocComments('javascript', '/** replaced */\nfunction a() {}', [map]);
+      expect(map.get('a').doc).toBe('kept');
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for lib/repo-map/summarizer.js
+ */
+
+'use strict';
+
+const { estimateTokens, rankFiles, summarize } = require('../lib/repo-map/summarizer');
+
+function file(functions = [], imports = [], extra = {}) {
+  return {
+    language: 'javascript',
+    symbols: {
+      exports: functions.filter(fn => fn.exported).map(fn => ({ name: fn.name, line: fn.line })),
+      functions,
+      classes: extra.classes || [],
+      types: [],
+      constants: []
+    },
+    imports: imports.map(source => ({ source, kind: 'require' })),
+    ...(extra.calls ? { calls: extra.calls } : {})
+  };
+}
+
+// util.js is imported by three files, db.js by one
+const repoMap = {
+  files: {
+    'src/util.js': file([{ name: 'format', line: 1, exported: true }, { name: 'internal', line: 9 }]),
+    'src/db.js': file([{ name: 'query', line: 3, exported: true }], ['./util']),
+    'src/api/users.js': file([{ name: 'listUsers', line: 5, exported: true }], ['../db', '../util']),
+    'src/api/billing.js': file([{ name: 'charge', line: 2, exported: true }], ['../util']),
+    'scripts/release.js': file([{ name: 'release', line: 1 }])
+  }
+};
+
+describe('repo-map summarizer', () => {
+  describe('rankFiles', () => {
+    it('ranks widely imported files first', () => {
+      const ranked = rankFiles(repoMap);
+      expect(ranked[0].file).toBe('src/util.js');
+      expect(ranked[0].importers).toBe(3);
+      expect(ranked.findIndex(r => r.file === 'src/db.js'))
+        .toBeLessThan(ranked.findIndex(r => r.file === 'src/api/billing.js'));
+      expect(ranked).toHaveLength(5);
+    });
+
+    it('personalizes around focus files and keywords', () => {
+      const focused = rankFiles(repoMap, { focus: ['./scripts/release.js'] });
+      expect(focused[0].file).toBe('scripts/release.js');
+
+      const byKeyword = rankFiles(repoMap, { keywords: ['Billing'] });
+      expect(byKeyword[0].file).toBe('src/api/billing.js');
+    });
+
+    it('handles empty maps', () => {
+      expect(rankFiles(null)).toEqual([]);
+      expect(rankFiles({ files: {} })).toEqual([]);
+    });
+  });
+
+  describe('summarize', () => {
+    it('renders a tree outline with ranked symbols', () => {
+      const summary = summarize(repoMap, { tokenBudget: 1000 });
+      expect(summary.text).toBe([
+        'scripts/',
+        '  release.js',
+        '    function release:1',
+        'src/',
+        '  api/',
+        '    billing.js',
+        '      function charge:2',
+        '    users.js',
+        '      function listUsers:5',
+        '  db.js',
+        '    function query:3',
+        '  util.js',
+        '    function format:1',
+        '    function internal:9'
+      ].join('\n'));
+      expect(summary.omittedFiles).toBe(0);
+      expect(summary.tokens).toBe(estimateTokens(summary.text));
+    });
+
+    it('stays within the token budget, keeping the highest ranked files', () => {
+      for (const tokenBudget of [5, 12, 20, 30]) {
+        const summary = summarize(repoMap, { tokenBudget });
+        expect(summary.tokens).toBeLessThanOrEqual(tokenBudget);
+        expect(summary.files.length + summary.omittedFiles).toBe(5);
+      }
+
+      const small = summarize(repoMap, { tokenBudget: 12 });
+      expect(small.files[0].file).toBe('src/util.js');
+      expect(small.omittedFiles).toBeGreaterThan(0);
+    });
+
+    it('lists a file by path only when its symbols do not fit', () => {
+      const summary = summarize(repoMap, { tokenBudget: 4 });
+      expect(summary.text).toBe('src/\n  util.js');
+      expect(summary.files[0].symbols).toEqual([]);
+    });
+
+    it('skips a file that does not fit and keeps filling the budget with later ones', () => {
+      const nested = {
+        files: {
+          'core.js': file([], []),
+          'packages/server/handlers/legacy.js': file([], ['../../../core']),
+          'a.js': file([], ['./core', './packages/server/handlers/legacy'])
+        }
+      };
+      const ranked = rankFiles(nested).map(entry => entry.file);
+      expect(ranked.indexOf('packages/server/handlers/legacy.js')).toBeLessThan(ranked.indexOf('a.js'));
+
+      const summary = summarize(nested, { tokenBudget: 3 });
+      expect(summary.text).toBe('a.js\ncore.js');
+      expect(summary.files.map(entry => entry.file).sort()).toEqual(['a.js', 'core.js']);
+      expect(summary.omittedFiles).toBe(1);
+    });
+
+    it('ranks symbols by call references when the map has call sites', () => {
+      const withCalls = {
+        features: { calls: true },
+        files: {
+          'lib/store.js': file([{ name: 'open', line: 1, exported: true }, { name: 'save', line: 8, exported: true }]),
+          'lib/app.js': file([{ name: 'main', line: 1 }], ['./store'], {
+            calls: [
+              { caller: 'main', callee: 'save', line: 2 },
+              { caller: 'main', callee: 'save', line: 3 }
+            ]
+          })
+        }
+      };
+
+      const summary = summarize(withCalls, { maxSymbolsPerFile: 1 });
+      const store = summary.files.find(entry => entry.file === 'lib/store.js');
+      expect(store.symbols).toEqual([{ name: 'save', kind: 'function', line: 8, references: 2 }]);
+      expect(summary.text).toContain('function save:8 (2 refs)');
+    });
+
+    it('returns an empty summary without a map', () => {
+      expect(summarize(null)).toEqual({ text: '', tokens: 0, files: [], totalFiles: 0, omittedFiles: 0 });
+    });
+  });
+});
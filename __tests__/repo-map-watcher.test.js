@@ -0,0 +1,181 @@
+/**
+ * Tests for lib/repo-map/watcher.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createWatcher, createPathFilter, getFileLanguage, removeFromMap } = require('../lib/repo-map/watcher');
+const fallbackScanner = require('../lib/repo-map/fallback-scanner');
+const installer = require('../lib/repo-map/installer');
+const cache = require('../lib/repo-map/cache');
+const repoMap = require('../lib/repo-map');
+
+const names = (list) => list.map(item => item.name);
+
+describe('repo-map watcher', () => {
+  let tmpDir;
+  let watcher;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-map-watch-'));
+    fs.mkdirSync(path.join(tmpDir, 'src'));
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), '{"name":"fixture"}');
+    fs.writeFileSync(path.join(tmpDir, '.gitignore'), 'generated/\n');
+    fs.writeFileSync(path.join(tmpDir, 'src', 'app.js'), 'function main() {}\n');
+    fs.writeFileSync(path.join(tmpDir, 'src', 'old.js'), 'function legacy() {}\n');
+  });
+
+  afterEach(async () => {
+    if (watcher) await watcher.stop();
+    watcher = null;
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function saveFallbackMap() {
+    const map = await fallbackScanner.fullScan(tmpDir, ['javascript']);
+    cache.save(tmpDir, map);
+    return map;
+  }
+
+  describe('helpers', () => {
+    it('filters paths like the full scan', () => {
+      const isWatched = createPathFilter(tmpDir);
+
+      expect(isWatched('src/app.js')).toBe(true);
+      expect(isWatched('.eslintrc.js')).toBe(true);
+      expect(isWatched('src', true)).toBe(true);
+      expect(isWatched('node_modules/pkg/index.js')).toBe(false);
+      expect(isWatched('.github/scripts/run.js')).toBe(false);
+      expect(isWatched('generated', true)).toBe(false);
+      expect(isWatched('../outside.js')).toBe(false);
+      expect(isWatched('.claude/repo-map.json')).toBe(false);
+    });
+
+    it('maps extensions to languages', () => {
+      expect(getFileLanguage('src/a.tsx')).toBe('typescript');
+      expect(getFileLanguage('main.PY')).toBe('python');
+      expect(getFileLanguage('notes.md')).toBeNull();
+    });
+
+    it('removes files and directories from the map', () => {
+      const map = {
+        files: { 'src/a.js': {}, 'src/lib/b.js': {}, 'src/libx.js': {} },
+        dependencies: { 'src/lib/b.js': ['./c'] }
+      };
+      expect(removeFromMap(map, 'src/lib')).toEqual(['src/lib/b.js']);
+      expect(Object.keys(map.files)).toEqual(['src/a.js', 'src/libx.js']);
+      expect(map.dependencies).toEqual({});
+    });
+  });
+
+  describe('createWatcher', () => {
+    it('fails to start without a cached map', () => {
+      watcher = createWatcher(tmpDir);
+      expect(watcher.start()).toEqual({ success: false, error: 'No repo map found. Run /repo-map init first.' });
+      expect(watcher.isRunning()).toBe(false);
+    });
+
+    it('requires ast-grep for maps built with it', async () => {
+      const map = await saveFallbackMap();
+      delete map.scanner;
+      cache.save(tmpDir, map);
+      jest.spyOn(installer, 'checkInstalledSync').mockReturnValue({ found: false });
+
+      watcher = createWatcher(tmpDir);
+      const result = watcher.start();
+      expect(result).toMatchObject({ success: false, error: 'ast-grep not found' });
+    });
+
+    it('rescans only queued files, saves the map and clears the stale marker', async () => {
+      await saveFallbackMap();
+      cache.markStale(tmpDir);
+      const updates = [];
+      watcher = createWatcher(tmpDir, { debounceMs: 10000, onUpdate: (update) => updates.push(update) });
+      expect(watcher.start().success).toBe(true);
+
+      fs.writeFileSync(path.join(tmpDir, 'src', 'app.js'), 'function main() {}\nfunction extra() {}\n');
+      fs.writeFileSync(path.join(tmpDir, 'src', 'added.js'), "const db = require('./db');\n");
+      fs.writeFileSync(path.join(tmpDir, 'README.md'), '# Not scanned\n');
+      fs.unlinkSync(path.join(tmpDir, 'src', 'old.js'));
+      for (const file of ['src/app.js', 'src/added.js', 'README.md', 'src/old.js', 'node_modules/x.js']) {
+        watcher.enqueue(file);
+      }
+      await watcher.flush();
+
+      expect(updates).toEqual([{
+        changes: { total: 3, updated: 1, added: 1, deleted: 1 },
+        files: ['src/added.js', 'src/app.js', 'src/old.js']
+      }]);
+      const saved = cache.load(tmpDir);
+      expect(Object.keys(saved.files).sort()).toEqual(['src/added.js', 'src/app.js']);
+      expect(names(saved.files['src/app.js'].symbols.functions)).toEqual(['extra', 'main']);
+      expect(saved.dependencies['src/added.js']).toEqual(['./db']);
+      expect(saved.stats.totalFiles).toBe(2);
+      expect(cache.isMarkedStale(tmpDir)).toBe(false);
+    });
+
+    it('skips saving when queued files are unchanged', async () => {
+      await saveFallbackMap();
+      const onUpdate = jest.fn();
+      watcher = createWatcher(tmpDir, { debounceMs: 10000, onUpdate });
+      watcher.start();
+
+      watcher.enqueue('src/app.js');
+      await watcher.flush();
+
+      expect(onUpdate).not.toHaveBeenCalled();
+    });
+
+    it('picks up files in new directories', async () => {
+      await saveFallbackMap();
+      watcher = createWatcher(tmpDir, { debounceMs: 10000 });
+      watcher.start();
+
+      fs.mkdirSync(path.join(tmpDir, 'src', 'feature', 'deep'), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, 'src', 'feature', 'deep', 'x.js'), 'function x() {}\n');
+      watcher.enqueue('src/feature');
+      await watcher.flush();
+
+      expect(cache.load(tmpDir).files['src/feature/deep/x.js']).toBeDefined();
+    });
+
+    it('updates the map from file system events after the debounce', async () => {
+      await saveFallbackMap();
+      let resolveUpdate;
+      const updated = new Promise((resolve) => { resolveUpdate = resolve; });
+      watcher = createWatcher(tmpDir, { debounceMs: 20, onUpdate: resolveUpdate });
+      watcher.start();
+
+      fs.writeFileSync(path.join(tmpDir, 'src', 'live.js'), 'function live() {}\n');
+      const update = await updated;
+
+      expect(update.files).toEqual(['src/live.js']);
+      expect(cache.load(tmpDir).files['src/live.js']).toBeDefined();
+    }, 10000);
+  });
+
+  describe('repoMap.watch', () => {
+    it('returns the update error when no map exists', async () => {
+      jest.spyOn(installer, 'checkInstalled').mockResolvedValue({ found: false });
+      const result = await repoMap.watch(tmpDir);
+      expect(result.success).toBe(false);
+    });
+
+    it('catches up before watching', async () => {
+      await saveFallbackMap();
+      jest.spyOn(installer, 'checkInstalled').mockResolvedValue({ found: false });
+      fs.writeFileSync(path.join(tmpDir, 'src', 'offline.js'), 'function offline() {}\n');
+
+      const result = await repoMap.watch(tmpDir, { debounceMs: 10000 });
+      watcher = result.watcher;
+
+      expect(result.success).toBe(true);
+      expect(cache.load(tmpDir).files['src/offline.js']).toBeDefined();
+    });
+  });
+});
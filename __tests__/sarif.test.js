@@ -0,0 +1,152 @@
+/**
+ * Tests for sarif.js
+ * SARIF 2.1.0 export of slop pipeline findings
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { runPipeline } = require('../lib/patterns/pipeline');
+const { toSarif, buildRule, fingerprintFinding, CERTAINTY_LEVELS } = require('../lib/patterns/sarif');
+
+describe('sarif', () => {
+  const findings = [
+    {
+      file: 'src/app.js',
+      line: 3,
+      patternName: 'console_debugging',
+      severity: 'medium',
+      certainty: 'HIGH',
+      description: 'Console.log debugging',
+      autoFix: 'remove',
+      content: 'console.log("x");',
+      phase: 1
+    },
+    {
+      file: 'src/app.js',
+      line: 10,
+      patternName: 'doc_code_ratio',
+      severity: 'medium',
+      certainty: 'MEDIUM',
+      description: 'Excessive docs',
+      autoFix: 'flag',
+      content: 'foo()',
+      phase: 1
+    },
+    {
+      file: 'project-level',
+      line: 0,
+      patternName: 'shotgun_surgery',
+      severity: 'medium',
+      certainty: 'MEDIUM',
+      description: 'Files change together',
+      autoFix: 'flag',
+      content: 'a.js, b.js',
+      phase: 1
+    },
+    {
+      file: 'src/util.js',
+      line: 1,
+      patternName: 'code_duplication',
+      severity: 'medium',
+      certainty: 'LOW',
+      description: 'Code duplication',
+      autoFix: 'flag',
+      content: '12 lines duplicated',
+      phase: 2
+    }
+  ];
+
+  it('produces a SARIF 2.1.0 log with one run', () => {
+    const log = toSarif(findings);
+    expect(log.version).toBe('2.1.0');
+    expect(log.$schema).toMatch(/sarif-2\.1\.0/);
+    expect(log.runs).toHaveLength(1);
+    expect(log.runs[0].tool.driver.name).toBe('deslop');
+    expect(log.runs[0].results).toHaveLength(4);
+  });
+
+  it('derives one rule per pattern from slopPatterns metadata', () => {
+    const { rules } = toSarif(findings).runs[0].tool.driver;
+    expect(rules.map(r => r.id)).toEqual(['console_debugging', 'doc_code_ratio', 'shotgun_surgery', 'code_duplication']);
+
+    const docRule = rules.find(r => r.id === 'doc_code_ratio');
+    expect(docRule.properties.language).toBeUndefined();
+    expect(docRule.shortDescription.text).not.toBe('Excessive docs');
+
+    const dupRule = rules.find(r => r.id === 'code_duplication');
+    expect(dupRule.shortDescription.text).toMatch(/jscpd/);
+  });
+
+  it('maps certainty to level and rank', () => {
+    const { results } = toSarif(findings).runs[0];
+    expect(results.map(r => r.level)).toEqual(['error', 'warning', 'warning', 'note']);
+    expect(results[0].rank).toBe(CERTAINTY_LEVELS.HIGH.rank);
+    expect(results[3].rank).toBe(CERTAINTY_LEVELS.LOW.rank);
+  });
+
+  it('links results to rules by index', () => {
+    const run = toSarif([...findings, findings[0]]).runs[0];
+    expect(run.results[4].ruleIndex).toBe(0);
+    expect(run.tool.driver.rules[run.results[4].ruleIndex].id).toBe('console_debugging');
+  });
+
+  it('emits repo-relative locations and omits them for project-level findings', () => {
+    const { results } = toSarif(findings).runs[0];
+    expect(results[0].locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'src/app.js', uriBaseId: '%SRCROOT%' },
+      region: { startLine: 3, snippet: { text: 'console.log("x");' } }
+    });
+    expect(results[2].locations).toEqual([]);
+  });
+
+  it('uses block end lines for consecutive-line findings', () => {
+    const { results } = toSarif([{
+      ...findings[0],
+      patternName: 'excessive_comments',
+      details: { startLine: 3, endLine: 9 }
+    }]).runs[0];
+    expect(results[0].locations[0].physicalLocation.region).toEqual({ startLine: 3, endLine: 9 });
+  });
+
+  it('fingerprints findings independent of line number', () => {
+    const moved = { ...findings[0], line: 40 };
+    expect(fingerprintFinding(moved)).toBe(fingerprintFinding(findings[0]));
+    expect(fingerprintFinding({ ...findings[0], file: 'src/other.js' })).not.toBe(fingerprintFinding(findings[0]));
+  });
+
+  it('numbers identical lines in one file so their fingerprints stay unique', () => {
+    const copies = [{ ...findings[0], line: 30 }, { ...findings[0], line: 10 }, { ...findings[0], line: 20 }];
+    const fingerprints = toSarif(copies).runs[0].results.map(result => result.partialFingerprints['deslopFingerprint/v1']);
+
+    expect(new Set(fingerprints).size).toBe(3);
+    expect(fingerprints[1]).toBe(fingerprintFinding(findings[0]));
+    expect(fingerprints[2]).toBe(fingerprintFinding(findings[0], undefined, 1));
+    expect(fingerprints[0]).toBe(fingerprintFinding(findings[0], undefined, 2));
+  });
+
+  it('falls back to finding metadata for unknown patterns', () => {
+    const rule = buildRule('custom_rule', { description: 'Custom', severity: 'low' });
+    expect(rule.name).toBe('CustomRule');
+    expect(rule.shortDescription.text).toBe('Custom');
+    expect(rule.defaultConfiguration.level).toBe('note');
+  });
+
+  it('exports a pipeline result with the repo root as %SRCROOT%', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sarif-test-'));
+    try {
+      fs.writeFileSync(path.join(tmpDir, 'app.js'), 'console.log("debug");\n');
+      const result = await runPipeline(tmpDir, { thoroughness: 'quick', targetFiles: ['app.js'] });
+
+      const log = toSarif(result, { toolVersion: '1.2.3' });
+      const run = log.runs[0];
+      expect(run.tool.driver.version).toBe('1.2.3');
+      expect(run.originalUriBaseIds['%SRCROOT%'].uri).toMatch(/^file:\/\/.*\/$/);
+      expect(run.properties).toEqual({ thoroughness: 'quick', mode: 'report' });
+      expect(run.results.some(r => r.ruleId === 'console_debugging')).toBe(true);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for slop-baseline.js
+ * Baseline mode so only new slop is reported
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { runPipeline } = require('../lib/patterns/pipeline');
+const {
+  DEFAULT_BASELINE_FILE,
+  fingerprintFinding,
+  fingerprintFindings,
+  createBaseline,
+  loadBaseline,
+  writeBaseline,
+  compareToBaseline
+} = require('../lib/patterns/slop-baseline');
+
+function finding(overrides) {
+  return {
+    file: 'app.js',
+    line: 1,
+    patternName: 'console_debugging',
+    severity: 'medium',
+    certainty: 'HIGH',
+    content: 'console.log(1);',
+    ...overrides
+  };
+}
+
+describe('slop-baseline', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slop-baseline-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('fingerprintFinding', () => {
+    it('ignores line numbers and whitespace changes', () => {
+      const a = fingerprintFinding(finding({ line: 3 }), '  console.log(1);');
+      const b = fingerprintFinding(finding({ line: 40 }), '\tconsole.log(1);   ');
+      expect(a).toBe(b);
+    });
+
+    it('distinguishes pattern, file and line text', () => {
+      const base = fingerprintFinding(finding(), 'console.log(1);');
+      expect(fingerprintFinding(finding({ patternName: 'trailing_whitespace' }), 'console.log(1);')).not.toBe(base);
+      expect(fingerprintFinding(finding({ file: 'other.js' }), 'console.log(1);')).not.toBe(base);
+      expect(fingerprintFinding(finding(), 'console.log(2);')).not.toBe(base);
+    });
+
+    it('falls back to finding content without line text', () => {
+      expect(fingerprintFinding(finding(), null)).toBe(fingerprintFinding(finding(), 'console.log(1);'));
+    });
+
+    it('relativizes absolute paths', () => {
+      const absolute = finding({ file: path.join(tmpDir, 'app.js') });
+      expect(fingerprintFinding(absolute, 'x', tmpDir)).toBe(fingerprintFinding(finding(), 'x'));
+    });
+  });
+
+  describe('fingerprintFindings', () => {
+    it('reads the source line of each finding', () => {
+      const getContent = jest.fn(() => 'a();\nconsole.log(1);\n');
+      const [fp] = fingerprintFindings([finding({ line: 2, content: 'stale' })], { getContent });
+      expect(fp).toBe(fingerprintFinding(finding(), 'console.log(1);'));
+      expect(getContent).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('compareToBaseline', () => {
+    const getContent = () => 'console.log(1);\nconsole.log(1);\nconsole.log(2);\n';
+
+    it('counts duplicate lines so extra copies are new', () => {
+      const baseline = createBaseline([finding({ line: 1 })], { getContent });
+      const result = compareToBaseline(
+        [finding({ line: 1 }), finding({ line: 2 }), finding({ line: 3 })],
+        baseline,
+        { getContent }
+      );
+      expect(result.baselined.map(f => f.line)).toEqual([1]);
+      expect(result.newFindings.map(f => f.line)).toEqual([2, 3]);
+      expect(result.fixed).toBe(0);
+    });
+
+    it('counts baselined findings that are gone', () => {
+      const baseline = createBaseline([finding({ line: 1 }), finding({ line: 3 })], { getContent });
+      const result = compareToBaseline([finding({ line: 1 })], baseline, { getContent });
+      expect(result.fixed).toBe(1);
+      expect(result.newFindings).toEqual([]);
+    });
+  });
+
+  describe('writeBaseline / loadBaseline', () => {
+    it('round-trips through the default file', () => {
+      fs.writeFileSync(path.join(tmpDir, 'app.js'), 'console.log(1);\n');
+
+      const written = writeBaseline(tmpDir, [finding()]);
+
+      expect(written).toEqual({ path: path.join(tmpDir, DEFAULT_BASELINE_FILE), total: 1 });
+      const baseline = loadBaseline(tmpDir);
+      expect(Object.values(baseline.fingerprints)).toEqual([{ patternName: 'console_debugging', file: 'app.js', count: 1 }]);
+    });
+
+    it('returns null for missing or foreign files', () => {
+      expect(loadBaseline(tmpDir)).toBeNull();
+      fs.writeFileSync(path.join(tmpDir, 'other.json'), JSON.stringify({ version: 99 }));
+      expect(loadBaseline(tmpDir, 'other.json')).toBeNull();
+    });
+  });
+
+  describe('runPipeline integration', () => {
+    it('reports only findings added after the baseline', async () => {
+      const file = path.join(tmpDir, 'app.js');
+      fs.writeFileSync(file, 'function f() {\n  console.log("old");\n  return 1;\n}\n');
+      const recorded = await runPipeline(tmpDir, { thoroughness: 'quick', updateBaseline: true });
+      expect(recorded.metadata.baseline).toMatchObject({ updated: true, total: recorded.findings.length });
+
+      // Shift the old finding down and add a new one
+      fs.writeFileSync(file, '// header\nfunction f() {\n  console.log("new");\n  console.log("old");\n  return 1;\n}\n');
+      const result = await runPipeline(tmpDir, { thoroughness: 'quick', baseline: true });
+
+      expect(result.findings.map(f => `${f.patternName}:${f.line}`)).toEqual(['console_debugging:3']);
+      expect(result.baselined.map(f => f.line)).toEqual([4]);
+      expect(result.metadata.baseline).toMatchObject({ newCount: 1, baselinedCount: 1, fixedCount: 0 });
+      expect(result.summary.total).toBe(1);
+    });
+
+    it('reports everything when the baseline is missing', async () => {
+      fs.writeFileSync(path.join(tmpDir, 'app.js'), 'console.log("x");\n');
+      const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        const result = await runPipeline(tmpDir, { thoroughness: 'quick', baseline: 'missing.json' });
+        expect(result.metadata.baseline).toEqual({ path: path.join(tmpDir, 'missing.json'), missing: true });
+        expect(result.findings.length).toBeGreaterThan(0);
+      } finally {
+        spy.mockRestore();
+      }
+    });
+  });
+});
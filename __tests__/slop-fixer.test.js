@@ -0,0 +1,206 @@
+/**
+ * Tests for slop-fixer.js
+ * Deterministic auto-fixes for slop pipeline findings
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { runPipeline } = require('../lib/patterns/pipeline');
+const { applyFixes, restoreFixes, resolveStrategy, buildDiff } = require('../lib/patterns/slop-fixer');
+
+function finding(overrides) {
+  return {
+    file: 'app.js',
+    line: 1,
+    patternName: 'console_debugging',
+    severity: 'medium',
+    certainty: 'HIGH',
+    autoFix: 'remove',
+    phase: 1,
+    ...overrides
+  };
+}
+
+describe('slop-fixer', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slop-fixer-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function write(name, content) {
+    fs.writeFileSync(path.join(tmpDir, name), content);
+  }
+
+  function read(name) {
+    return fs.readFileSync(path.join(tmpDir, name), 'utf8');
+  }
+
+  describe('resolveStrategy', () => {
+    it('only fixes HIGH certainty remove/replace findings', () => {
+      expect(resolveStrategy(finding({ certainty: 'MEDIUM' }))).toEqual({ reason: 'Not HIGH certainty' });
+      expect(resolveStrategy(finding({ autoFix: 'flag' })).reason).toMatch(/not deterministic/);
+      expect(resolveStrategy(finding({ autoFix: 'add_logging' })).reason).toMatch(/not deterministic/);
+      expect(resolveStrategy(finding())).toEqual({ strategy: 'remove_statement' });
+    });
+
+    it('falls back to block removal for unknown remove patterns with a range', () => {
+      expect(resolveStrategy(finding({ patternName: 'other', details: { endLine: 4 } })))
+        .toEqual({ strategy: 'remove_block' });
+      expect(resolveStrategy(finding({ patternName: 'other' })).reason).toMatch(/No deterministic fixer/);
+    });
+  });
+
+  describe('applyFixes', () => {
+    it('removes debug statements, including multi-line calls', () => {
+      write('app.js', [
+        'function run(x) {',
+        '  console.log("start");',
+        '  console.debug({',
+        '    x',
+        '  });',
+        '  return x;',
+        '}'
+      ].join('\n'));
+
+      const results = applyFixes([finding({ line: 2 }), finding({ line: 3 })], { repoPath: tmpDir });
+
+      expect(read('app.js')).toBe('function run(x) {\n  return x;\n}');
+      expect(results.applied).toHaveLength(2);
+      expect(results.applied.every(f => f.verified)).toBe(true);
+    });
+
+    it('skips statements that would leave a braceless body', () => {
+      write('app.js', 'if (debug)\n  console.log("x");\nrun();');
+
+      const results = applyFixes([finding({ line: 2 })], { repoPath: tmpDir });
+
+      expect(read('app.js')).toBe('if (debug)\n  console.log("x");\nrun();');
+      expect(results.skipped[0].reason).toMatch(/braceless/);
+    });
+
+    it('skips python prints that are the only statement in a block', () => {
+      write('app.py', 'def f():\n    print("x")\n\nf()\n');
+
+      const results = applyFixes([finding({ file: 'app.py', line: 2, patternName: 'python_debugging' })], { repoPath: tmpDir });
+
+      expect(results.applied).toHaveLength(0);
+      expect(results.skipped[0].reason).toMatch(/empty/);
+    });
+
+    it('skips debug calls used as expressions', () => {
+      write('app.js', 'const v = console.log("x") || 1;\n');
+
+      const results = applyFixes([finding({ line: 1 })], { repoPath: tmpDir });
+
+      expect(results.skipped[0].reason).toBe('Not a standalone statement');
+    });
+
+    it('strips trailing comments but keeps the code', () => {
+      write('app.js', 'const a = 1; // fixed in #123\n// see issue #45\nconst b = 2;\n');
+      const findings = [
+        finding({ line: 1, patternName: 'issue_pr_references' }),
+        finding({ line: 2, patternName: 'issue_pr_references' })
+      ];
+
+      applyFixes(findings, { repoPath: tmpDir });
+
+      expect(read('app.js')).toBe('const a = 1;\nconst b = 2;\n');
+    });
+
+    it('replaces trailing whitespace and mixed indentation', () => {
+      write('app.js', 'const a = 1;   \n\t  const b = 2;\n');
+      const findings = [
+        finding({ line: 1, patternName: 'trailing_whitespace' }),
+        finding({ line: 2, patternName: 'mixed_indentation', autoFix: 'replace' })
+      ];
+
+      applyFixes(findings, { repoPath: tmpDir, tabWidth: 4 });
+
+      expect(read('app.js')).toBe('const a = 1;\n      const b = 2;\n');
+    });
+
+    it('removes commented-out code blocks but keeps prose', () => {
+      const code = ['// const a = foo();', '// if (a) {', '//   bar(a);', '// }', '// return a;'];
+      const prose = ['// Explains why', '// things happen', '// across lines', '// without code', '// whatsoever'];
+      write('app.js', [...code, 'run();', ...prose, 'done();'].join('\n'));
+      const findings = [
+        finding({ line: 1, patternName: 'commented_code', details: { startLine: 1, endLine: 5 } }),
+        finding({ line: 7, patternName: 'commented_code', details: { startLine: 7, endLine: 11 } })
+      ];
+
+      const results = applyFixes(findings, { repoPath: tmpDir });
+
+      expect(read('app.js')).toBe(['run();', ...prose, 'done();'].join('\n'));
+      expect(results.skipped[0].reason).toMatch(/prose/);
+    });
+
+    it('computes diffs without writing in dry-run mode', () => {
+      write('app.js', 'a();\nconsole.log(1);\nb();\n');
+
+      const results = applyFixes([finding({ line: 2 })], { repoPath: tmpDir, dryRun: true });
+
+      expect(read('app.js')).toBe('a();\nconsole.log(1);\nb();\n');
+      expect(results.backups).toEqual([]);
+      expect(results.diffs[0].diff).toBe([
+        '--- a/app.js',
+        '+++ b/app.js',
+        '@@ -1,4 +1,3 @@',
+        ' a();',
+        '-console.log(1);',
+        ' b();',
+        ' '
+      ].join('\n'));
+      expect(results.applied[0].verified).toBe(true);
+    });
+
+    it('backs up and restores edited files', () => {
+      write('app.js', 'console.log(1);\nb();\n');
+
+      const results = applyFixes([finding({ line: 1 })], { repoPath: tmpDir });
+      expect(read('app.js')).toBe('b();\n');
+      expect(fs.existsSync(path.join(tmpDir, 'app.js.backup'))).toBe(true);
+
+      expect(restoreFixes(results)).toBe(1);
+      expect(read('app.js')).toBe('console.log(1);\nb();\n');
+      expect(fs.existsSync(path.join(tmpDir, 'app.js.backup'))).toBe(false);
+    });
+
+    it('leaves verification unset when re-scan is disabled', () => {
+      write('app.js', 'console.log(1);\n');
+
+      const results = applyFixes([finding({ line: 1 })], { repoPath: tmpDir, dryRun: true, rescan: false });
+
+      expect(results.applied[0].verified).toBeNull();
+      expect(results.unresolved).toEqual([]);
+    });
+
+    it('reports missing files as errors', () => {
+      const results = applyFixes([finding({ file: 'missing.js' })], { repoPath: tmpDir });
+      expect(results.errors[0].file).toBe('missing.js');
+    });
+
+    it('fixes HIGH certainty findings from a pipeline run', async () => {
+      write('app.js', 'function f() {\n  console.log("debug");\n  return 1;\n}\n');
+      const { findings } = await runPipeline(tmpDir, { thoroughness: 'quick', targetFiles: ['app.js'] });
+
+      const results = applyFixes(findings, { repoPath: tmpDir });
+
+      expect(results.applied.map(f => f.patternName)).toContain('console_debugging');
+      const rescan = await runPipeline(tmpDir, { thoroughness: 'quick', targetFiles: ['app.js'] });
+      expect(rescan.findings.filter(f => f.patternName === 'console_debugging')).toHaveLength(0);
+    });
+  });
+
+  describe('buildDiff', () => {
+    it('returns empty string for unchanged documents', () => {
+      expect(buildDiff('a.js', [{ original: 'x', text: 'x', removed: false }])).toBe('');
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Tests for slop-suppression.js
+ * Inline and config-file suppressions for deslop findings
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { runPipeline } = require('../lib/patterns/pipeline');
+const {
+  loadConfig,
+  mergeConfig,
+  extractInlineSuppressions,
+  filterFindings,
+  formatSuppressionSummary,
+  DEFAULT_CONFIG
+} = require('../lib/patterns/slop-suppression');
+
+function finding(overrides) {
+  return {
+    file: 'src/app.js',
+    line: 2,
+    patternName: 'console_debugging',
+    severity: 'medium',
+    certainty: 'HIGH',
+    ...overrides
+  };
+}
+
+describe('slop-suppression', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slop-suppression-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('extractInlineSuppressions', () => {
+    it('covers the next line for standalone comments and the same line for trailing ones', () => {
+      const inline = extractInlineSuppressions([
+        '// deslop-ignore console_debugging',
+        'console.log(1);',
+        'console.log(2); // deslop-ignore console_debugging, magic_numbers',
+        'x = 1 # deslop-ignore'
+      ].join('\n'));
+
+      expect([...inline.lines.get(2)]).toEqual(['console_debugging']);
+      expect([...inline.lines.get(3)]).toEqual(['console_debugging', 'magic_numbers']);
+      expect(inline.lines.has(5)).toBe(false);
+      expect([...inline.lines.get(4)]).toEqual(['*']);
+    });
+
+    it('collects file-wide suppressions', () => {
+      const inline = extractInlineSuppressions('/* deslop-ignore-file trailing_whitespace */\ncode();');
+      expect([...inline.file]).toEqual(['trailing_whitespace']);
+      expect(inline.lines.size).toBe(0);
+    });
+
+    it('returns empty sets for content without markers', () => {
+      const inline = extractInlineSuppressions('const a = 1;');
+      expect(inline.file.size).toBe(0);
+      expect(inline.lines.size).toBe(0);
+    });
+  });
+
+  describe('loadConfig', () => {
+    it('returns defaults without a config file', () => {
+      expect(loadConfig(tmpDir)).toEqual({ config: DEFAULT_CONFIG, path: null });
+    });
+
+    it('merges .desloprc.json over defaults', () => {
+      fs.writeFileSync(path.join(tmpDir, '.desloprc.json'), JSON.stringify({
+        ignore: { files: ['vendor/**'] },
+        severity: { magic_numbers: 'high' }
+      }));
+
+      const { config, path: configPath } = loadConfig(tmpDir);
+
+      expect(configPath).toBe(path.join(tmpDir, '.desloprc.json'));
+      expect(config.ignore.files).toEqual(['vendor/**']);
+      expect(config.ignore.patterns).toEqual([]);
+      expect(config.severity).toEqual({ magic_numbers: 'high' });
+    });
+
+    it('ignores invalid config files', () => {
+      fs.writeFileSync(path.join(tmpDir, '.desloprc.json'), '{ nope');
+      const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        expect(loadConfig(tmpDir).path).toBeNull();
+        expect(spy).toHaveBeenCalledWith(expect.stringContaining('Invalid .desloprc.json'));
+      } finally {
+        spy.mockRestore();
+      }
+    });
+  });
+
+  describe('filterFindings', () => {
+    const config = mergeConfig(DEFAULT_CONFIG, {
+      ignore: {
+        files: ['vendor/**'],
+        patterns: ['magic_numbers'],
+        rules: {
+          console_debugging: { files: ['scripts/**'], reason: 'CLI output' },
+          bare_urls: 'off'
+        }
+      },
+      severity: { trailing_whitespace: 'high', process_exit: 'off' }
+    });
+
+    it('applies path, pattern and rule ignores', () => {
+      const { active, suppressed } = filterFindings([
+        finding({ file: 'vendor/lib.js' }),
+        finding({ patternName: 'magic_numbers' }),
+        finding({ file: 'scripts/run.js' }),
+        finding({ patternName: 'bare_urls' }),
+        finding({ patternName: 'process_exit' }),
+        finding()
+      ], config);
+
+      expect(active).toEqual([finding()]);
+      expect(suppressed.map(f => f.suppression.source)).toEqual([
+        'config: ignore.files',
+        'config: ignore.patterns',
+        'config: ignore.rules.console_debugging',
+        'config: ignore.rules.bare_urls',
+        'config: severity.process_exit'
+      ]);
+      expect(suppressed[2].suppression.userReason).toBe('CLI output');
+    });
+
+    it('overrides severity and keeps the original', () => {
+      const { active } = filterFindings([finding({ patternName: 'trailing_whitespace', severity: 'low' })], config);
+      expect(active[0]).toMatchObject({ severity: 'high', originalSeverity: 'low' });
+    });
+
+    it('honors inline comments via getContent', () => {
+      const { active, suppressed } = filterFindings(
+        [finding({ line: 2 }), finding({ line: 3 })],
+        DEFAULT_CONFIG,
+        { getContent: () => '// deslop-ignore console_debugging\nconsole.log(1);\nconsole.log(2);' }
+      );
+      expect(active.map(f => f.line)).toEqual([3]);
+      expect(suppressed[0].suppression.reason).toBe('inline');
+    });
+
+    it('applies only pattern-level rules to project-level findings', () => {
+      const { active } = filterFindings(
+        [finding({ file: 'project-level', line: 0, patternName: 'shotgun_surgery' })],
+        mergeConfig(DEFAULT_CONFIG, { ignore: { files: ['**'] } })
+      );
+      expect(active).toHaveLength(1);
+    });
+  });
+
+  describe('formatSuppressionSummary', () => {
+    it('groups by source and pattern', () => {
+      const summary = formatSuppressionSummary([
+        finding({ suppression: { reason: 'inline', source: 'inline comment (line 2)' } }),
+        finding({ suppression: { reason: 'inline', source: 'inline comment (line 9)' } })
+      ]);
+      expect(summary).toContain('2 findings suppressed');
+      expect(summary).toContain('| inline | console_debugging | 2 |');
+      expect(formatSuppressionSummary([])).toBe('');
+    });
+  });
+
+  describe('runPipeline integration', () => {
+    it('reports suppressed findings separately', async () => {
+      fs.mkdirSync(path.join(tmpDir, 'vendor'));
+      fs.writeFileSync(path.join(tmpDir, 'app.js'), [
+        'function f() {',
+        '  // deslop-ignore console_debugging',
+        '  console.log("kept on purpose");',
+        '  console.log("debug");',
+        '}'
+      ].join('\n'));
+      fs.writeFileSync(path.join(tmpDir, 'vendor', 'lib.js'), 'console.log("vendored");\n');
+      fs.writeFileSync(path.join(tmpDir, '.desloprc.json'), JSON.stringify({ ignore: { files: ['vendor/**'] } }));
+
+      const result = await runPipeline(tmpDir, {
+        thoroughness: 'quick',
+        targetFiles: ['app.js', 'vendor/lib.js']
+      });
+
+      const consoleFindings = result.findings.filter(f => f.patternName === 'console_debugging');
+      expect(consoleFindings.map(f => `${f.file}:${f.line}`)).toEqual(['app.js:4']);
+      expect(result.suppressed.map(f => f.suppression.reason).sort()).toEqual(['config', 'inline']);
+      expect(result.metadata.suppressedCount).toBe(2);
+      expect(result.metadata.suppressionConfig).toBe(path.join(tmpDir, '.desloprc.json'));
+      expect(result.summary.total).toBe(result.findings.length);
+      expect(result.phase3Prompt).toContain('2 findings suppressed');
+    });
+
+    it('can be disabled', async () => {
+      fs.writeFileSync(path.join(tmpDir, 'app.js'), 'console.log(1); // deslop-ignore console_debugging\n');
+
+      const result = await runPipeline(tmpDir, { thoroughness: 'quick', targetFiles: ['app.js'], suppressions: false });
+
+      expect(result.suppressed).toEqual([]);
+      expect(result.findings.some(f => f.patternName === 'console_debugging')).toBe(true);
+    });
+  });
+});
@@ -538,6 +538,32 @@ describe('Edge cases and boundary conditions', () => {
     });
   });
 
+  describe('validate - type unions, enum and items', () => {
+    test('accepts any type in a type array', () => {
+      const schema = { type: 'object', properties: { pr: { type: ['object', 'null'] } } };
+      expect(SchemaValidator.validate({ pr: null }, schema).valid).toBe(true);
+      expect(SchemaValidator.validate({ pr: { number: 1 } }, schema).valid).toBe(true);
+      expect(SchemaValidator.validate({ pr: 'x' }, schema).errors).toEqual(['pr: expected type object|null, got string']);
+    });
+
+    test('distinguishes integer from number', () => {
+      expect(SchemaValidator.validate(3, { type: 'integer' }).valid).toBe(true);
+      expect(SchemaValidator.validate(3.5, { type: 'integer' }).valid).toBe(false);
+    });
+
+    test('checks enum values', () => {
+      const schema = { type: 'object', properties: { status: { type: 'string', enum: ['open', 'closed'] } } };
+      expect(SchemaValidator.validate({ status: 'open' }, schema).valid).toBe(true);
+      expect(SchemaValidator.validate({ status: 'done' }, schema).errors).toEqual(['status: must be one of: "open", "closed"']);
+    });
+
+    test('validates each array item', () => {
+      const schema = { type: 'array', items: { type: 'object', required: ['id'] } };
+      expect(SchemaValidator.validate([{ id: 1 }, { id: 2 }], schema).valid).toBe(true);
+      expect(SchemaValidator.validate([{ id: 1 }, {}], schema).errors).toEqual(['[1].Missing required property: id']);
+    });
+  });
+
   describe('validate - null handling', () => {
     test('null does not cause crash with required check', () => {
       const schema = { type: 'object', required: ['name'] };
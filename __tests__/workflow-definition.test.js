@@ -0,0 +1,196 @@
+/**
+ * Tests for declarative workflow definitions
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const workflowDefinition = require('../lib/state/workflow-definition');
+const {
+  PHASES,
+  createFlow,
+  getTask,
+  readFlow,
+  setPhase,
+  completePhase,
+  skipToPhase,
+  getPhaseStats
+} = require('../lib/state/workflow-state');
+
+describe('workflow-definition', () => {
+  let testDir;
+
+  const writeDefinition = (dir, definition) => {
+    const definitionPath = workflowDefinition.getDefinitionPath(dir);
+    fs.mkdirSync(path.dirname(definitionPath), { recursive: true });
+    fs.writeFileSync(definitionPath, typeof definition === 'string' ? definition : JSON.stringify(definition));
+  };
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-definition-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('validateDefinition', () => {
+    test('accepts phase names and phase objects', () => {
+      expect(workflowDefinition.validateDefinition({
+        phases: [
+          'exploration',
+          { name: 'planning', transitions: ['implementation', 'complete'] },
+          'implementation',
+          { name: 'docs-review', resultField: 'docsReview', skipIf: [{ path: 'task.labels', includes: 'docs' }] }
+        ]
+      })).toEqual({ ok: true, errors: [] });
+    });
+
+    test('reports every problem in the definition', () => {
+      const result = workflowDefinition.validateDefinition({
+        phases: [
+          { name: 'exploration', skipIf: { path: 'plan.docsOnly', equals: true } },
+          { name: 'Planning' },
+          { name: 'review', resultField: 'status', transitions: ['shipping'] },
+          { name: 'review' },
+          { name: 'complete' },
+          { name: 'audit', skip_if: {}, skipIf: { path: 'a', equals: 1, exists: true } }
+        ]
+      });
+
+      expect(result.ok).toBe(false);
+      expect(result.errors).toEqual([
+        'phases[0]: the first phase cannot be skipped',
+        'phases[1].name must be a kebab-case string',
+        "phases[2].resultField 'status' is reserved",
+        "phases[2].transitions: unknown phase 'shipping'",
+        "phases[3]: duplicate phase 'review'",
+        "phases[4]: 'complete' is implicit and cannot be declared",
+        'phases[5] has unknown field(s): skip_if',
+        'phases[5].skipIf must have exactly one of: equals, in, includes, exists'
+      ]);
+      expect(workflowDefinition.validateDefinition({ phases: [] }).errors).toEqual(['phases must be a non-empty array']);
+    });
+
+    test('reserves every field in the flow schema', () => {
+      const flowSchema = require('../lib/schemas/workflow-flow.schema.json');
+      for (const field of [...Object.keys(flowSchema.properties), 'failContext']) {
+        const result = workflowDefinition.validateDefinition({ phases: [{ name: 'review', resultField: field }] });
+        expect(result.errors).toEqual([`phases[0].resultField '${field}' is reserved`]);
+      }
+    });
+  });
+
+  describe('loadDefinition', () => {
+    test('falls back to the default pipeline', () => {
+      const definition = workflowDefinition.loadDefinition(testDir);
+
+      expect(definition.source).toBe('default');
+      expect(workflowDefinition.getPhaseNames(definition)).toEqual(PHASES);
+      expect(workflowDefinition.getResultField(definition, 'planning')).toBe('plan');
+    });
+
+    test('uses the first definition found and keeps built-in result fields', () => {
+      const worktree = path.join(testDir, 'worktree');
+      fs.mkdirSync(worktree);
+      writeDefinition(testDir, { phases: ['planning', { name: 'implementation', resultField: 'changes' }] });
+
+      const definition = workflowDefinition.loadDefinition(worktree, testDir);
+
+      expect(definition.source).toBe(workflowDefinition.getDefinitionPath(testDir));
+      expect(workflowDefinition.getPhaseNames(definition)).toEqual(['planning', 'implementation', 'complete']);
+      expect(workflowDefinition.getResultField(definition, 'planning')).toBe('plan');
+      expect(workflowDefinition.getResultField(definition, 'implementation')).toBe('changes');
+    });
+
+    test('throws on invalid definitions', () => {
+      writeDefinition(testDir, '{ not json');
+      expect(() => workflowDefinition.loadDefinition(testDir)).toThrow(/Invalid workflow definition .*workflow\.json/);
+
+      writeDefinition(testDir, { phases: ['planning', 'planning'] });
+      expect(() => workflowDefinition.loadDefinition(testDir)).toThrow("duplicate phase 'planning'");
+    });
+  });
+
+  describe('getNextPhase', () => {
+    const definition = workflowDefinition.loadDefinition();
+
+    test('evaluates skip conditions against the flow', () => {
+      const flow = { task: { labels: ['docs'] }, plan: { docsOnly: true }, pr: null };
+
+      expect(workflowDefinition.evaluateCondition({ path: 'task.labels', includes: 'docs' }, flow)).toBe(true);
+      expect(workflowDefinition.evaluateCondition({ path: 'plan.docsOnly', equals: true }, flow)).toBe(true);
+      expect(workflowDefinition.evaluateCondition({ path: 'plan.size', in: ['small', 'medium'] }, flow)).toBe(false);
+      expect(workflowDefinition.evaluateCondition({ path: 'pr', exists: false }, flow)).toBe(true);
+    });
+
+    test('follows the definition order', () => {
+      expect(workflowDefinition.getNextPhase(definition, 'planning')).toEqual({ phase: 'user-approval', skipped: [] });
+      expect(workflowDefinition.getNextPhase(definition, 'shipping')).toEqual({ phase: 'complete', skipped: [] });
+      expect(() => workflowDefinition.getNextPhase(definition, 'unknown')).toThrow("Phase 'unknown' is not part of the workflow definition");
+    });
+  });
+
+  describe('workflow-state integration', () => {
+    beforeEach(() => {
+      writeDefinition(testDir, {
+        phases: [
+          'exploration',
+          { name: 'planning', transitions: ['implementation'] },
+          'implementation',
+          { name: 'security-review', resultField: 'securityReview', description: 'Audit the diff' },
+          { name: 'delivery-validation', skipIf: { path: 'plan.docsOnly', equals: true } },
+          'shipping'
+        ]
+      });
+      createFlow({ id: '7', title: 'Fix docs', source: 'manual' }, {}, testDir);
+    });
+
+    test('starts at the first phase and stores results in declared fields', () => {
+      expect(readFlow(testDir).phase).toBe('exploration');
+
+      completePhase({ files: ['README.md'] }, testDir);
+      expect(completePhase({ docsOnly: true }, testDir).phase).toBe('implementation');
+      completePhase(null, testDir);
+      const flow = completePhase({ findings: 0 }, testDir);
+
+      expect(flow.securityReview).toEqual({ findings: 0 });
+      expect(flow.plan).toEqual({ docsOnly: true });
+      expect(flow.phase).toBe('shipping');
+      expect(flow.history.at(-1)).toMatchObject({ type: 'complete', from: 'security-review', to: 'shipping', skipped: ['delivery-validation'] });
+      expect(getPhaseStats(testDir)['delivery-validation']).toMatchObject({ skipped: true });
+    });
+
+    test('registers the first phase of the definition', () => {
+      const worktree = path.join(testDir, 'worktree');
+      createFlow({ id: '8', title: 'Other', source: 'manual' }, {}, worktree, testDir);
+
+      expect(readFlow(worktree).phase).toBe('exploration');
+      expect(getTask('8', testDir).phase).toBe('exploration');
+    });
+
+    test('fails the phase when the current phase is not in the definition', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      completePhase(null, testDir);
+      writeDefinition(testDir, { phases: ['exploration', 'implementation', 'shipping'] });
+
+      const flow = completePhase({ steps: 3 }, testDir);
+
+      expect(flow).toMatchObject({ phase: 'planning', status: 'failed', failContext: { phase: 'planning' } });
+      expect(flow.error).toContain("Cannot complete phase 'planning': it is not part of the workflow definition");
+      expect(flow.history.at(-1)).toMatchObject({ type: 'fail', from: 'planning' });
+      expect(skipToPhase('implementation', 'definition changed', testDir)).toBe(true);
+      console.error.mockRestore();
+    });
+
+    test('enforces declared transitions and phases', () => {
+      completePhase(null, testDir);
+
+      expect(() => skipToPhase('shipping', 'no review', testDir)).toThrow('Transition not allowed: planning -> shipping');
+      expect(() => setPhase('user-approval', testDir)).toThrow('Invalid phase: user-approval');
+      expect(skipToPhase('implementation', 'plan is trivial', testDir)).toBe(true);
+      expect(setPhase('security-review', testDir)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for workflow state schema versioning, migrations and quarantine
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const migrations = require('../lib/state/migrations');
+const {
+  SCHEMA_VERSION,
+  readTasks,
+  writeTasks,
+  readFlow,
+  writeFlow,
+  updateFlow,
+  listTasks
+} = require('../lib/state/workflow-state');
+
+describe('workflow state migrations', () => {
+  let testDir;
+  let stateDir;
+
+  const writeRaw = (file, content) => {
+    fs.mkdirSync(stateDir, { recursive: true });
+    fs.writeFileSync(path.join(stateDir, file), typeof content === 'string' ? content : JSON.stringify(content));
+  };
+  const quarantined = (file) => fs.readdirSync(stateDir).filter(name => name.startsWith(`${file}.corrupt-`));
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-migrations-test-'));
+    stateDir = path.join(testDir, '.claude');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('migrates legacy flow.json on read and stamps the version on write', () => {
+    writeRaw('flow.json', { task: { id: '1', title: 'Old' }, phase: 'planning', status: 'in_progress', _version: 3 });
+
+    expect(readFlow(testDir)).toMatchObject({ schemaVersion: SCHEMA_VERSION, phase: 'planning', history: [], phaseStartedAt: null });
+    expect(updateFlow({ status: 'failed' }, testDir)).toBe(true);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(stateDir, 'flow.json'), 'utf8'));
+    expect(saved).toMatchObject({ schemaVersion: SCHEMA_VERSION, status: 'failed', history: [], _version: 4 });
+  });
+
+  test('migrates legacy tasks.json shapes', () => {
+    writeRaw('tasks.json', { version: '1.0.0', active: 'stale' });
+
+    expect(readTasks(testDir)).toEqual({ schemaVersion: SCHEMA_VERSION, active: null, tasks: [] });
+  });
+
+  test('migrates registry entries written by the old worktree-manager agent', () => {
+    const claimedAt = '2025-01-01T00:00:00.000Z';
+    writeRaw('tasks.json', {
+      version: '1.0.0',
+      tasks: [{
+        id: '42', source: 'github', title: 'Fix login',
+        branch: 'feature/fix-login-42', worktreePath: '/repo/worktrees/fix-login-42',
+        claimedAt, claimedBy: 'workflow-abc', status: 'claimed', lastActivityAt: claimedAt
+      }]
+    });
+
+    expect(readTasks(testDir).tasks).toEqual([{
+      id: '42', source: 'github', title: 'Fix login',
+      branch: 'feature/fix-login-42', worktree: '/repo/worktrees/fix-login-42',
+      claimedAt, session: 'workflow-abc', status: 'in_progress', lastActivityAt: claimedAt
+    }]);
+    expect(listTasks({ status: 'in_progress', session: 'workflow-abc' }, testDir).map(entry => entry.id)).toEqual(['42']);
+  });
+
+  test('quarantines unparseable files instead of discarding them', () => {
+    writeRaw('flow.json', '{ truncated');
+    writeRaw('tasks.json', 'invalid json');
+
+    expect(readFlow(testDir)).toBeNull();
+    expect(readTasks(testDir)).toEqual({ schemaVersion: SCHEMA_VERSION, active: null, tasks: [] });
+    expect(fs.existsSync(path.join(stateDir, 'flow.json'))).toBe(false);
+    expect(quarantined('flow.json')).toHaveLength(1);
+    expect(fs.readFileSync(path.join(stateDir, quarantined('flow.json')[0]), 'utf8')).toBe('{ truncated');
+    expect(quarantined('tasks.json')).toHaveLength(1);
+    expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/^\[CRITICAL\] Corrupted flow\.json at .*moved to .*flow\.json\.corrupt-/));
+  });
+
+  test('keeps files that parse but do not match the schema, with a warning', () => {
+    writeRaw('tasks.json', { schemaVersion: 1, active: null, tasks: [{ title: 'no id' }] });
+    writeRaw('flow.json', { schemaVersion: 1, phase: 'planning', status: 'done' });
+
+    expect(listTasks({}, testDir)).toEqual([{ title: 'no id' }]);
+    expect(readFlow(testDir)).toMatchObject({ phase: 'planning', status: 'done' });
+    expect(fs.existsSync(path.join(stateDir, 'tasks.json'))).toBe(true);
+    expect(fs.existsSync(path.join(stateDir, 'flow.json'))).toBe(true);
+    expect(quarantined('tasks.json')).toHaveLength(0);
+    expect(quarantined('flow.json')).toHaveLength(0);
+    expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/^\[WARN\] tasks\.json .*tasks\[0\]\.Missing required property: id/));
+  });
+
+  test('quarantines files that cannot be migrated', () => {
+    writeRaw('flow.json', []);
+    jest.spyOn(migrations.TASKS_MIGRATIONS, 0).mockImplementation(() => { throw new TypeError('bad shape'); });
+    writeRaw('tasks.json', { version: '1.0.0' });
+
+    expect(readFlow(testDir)).toBeNull();
+    expect(readTasks(testDir).tasks).toEqual([]);
+    expect(quarantined('flow.json')).toHaveLength(1);
+    expect(quarantined('tasks.json')).toHaveLength(1);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('migration failed: bad shape'));
+  });
+
+  test('starts updates on a worktree without flow.json at the first phase', () => {
+    expect(updateFlow({ status: 'in_progress' }, testDir)).toBe(true);
+
+    expect(readFlow(testDir)).toMatchObject({ schemaVersion: SCHEMA_VERSION, phase: 'policy-selection', status: 'in_progress' });
+  });
+
+  test('refuses files from a newer schema version without touching them', () => {
+    writeRaw('flow.json', { schemaVersion: SCHEMA_VERSION + 1, phase: 'planning' });
+
+    expect(() => readFlow(testDir)).toThrow(`flow.json schemaVersion ${SCHEMA_VERSION + 1} is newer than supported`);
+    expect(fs.existsSync(path.join(stateDir, 'flow.json'))).toBe(true);
+  });
+
+  test('rejects invalid state on write', () => {
+    expect(() => writeFlow({ phase: 'planning', status: 'done' }, testDir)).toThrow(/Invalid flow\.json: status: must be one of/);
+    expect(() => writeTasks({ schemaVersion: SCHEMA_VERSION, active: null, tasks: 'none' }, testDir)).toThrow('Invalid tasks.json: tasks: expected type array, got string');
+    expect(fs.existsSync(path.join(stateDir, 'flow.json'))).toBe(false);
+  });
+
+  test('applies one migration per version step', () => {
+    expect(migrations.FLOW_MIGRATIONS).toHaveLength(SCHEMA_VERSION);
+    expect(migrations.TASKS_MIGRATIONS).toHaveLength(SCHEMA_VERSION);
+    expect(migrations.migrate({ schemaVersion: SCHEMA_VERSION, phase: 'x' }, migrations.FLOW_STATE))
+      .toEqual({ data: { schemaVersion: SCHEMA_VERSION, phase: 'x' }, fromVersion: SCHEMA_VERSION });
+  });
+});
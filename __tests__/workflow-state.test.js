@@ -13,6 +13,13 @@ const {
   setActiveTask,
   clearActiveTask,
   hasActiveTask,
+  listTasks,
+  getTask,
+  findTask,
+  claimTask,
+  attachTask,
+  detachTask,
+  releaseTask,
   readFlow,
   writeFlow,
   updateFlow,
@@ -21,6 +28,11 @@ const {
   isValidPhase,
   setPhase,
   completePhase,
+  failPhase,
+  skipToPhase,
+  getHistory,
+  getPhaseStats,
+  formatHistory,
   failWorkflow,
   completeWorkflow,
   abortWorkflow,
@@ -53,9 +65,9 @@ describe('workflow-state', () => {
   });
 
   describe('tasks.json operations', () => {
-    test('readTasks returns null active when file does not exist', () => {
+    test('readTasks returns an empty registry when file does not exist', () => {
       const tasks = readTasks(testDir);
-      expect(tasks).toEqual({ active: null });
+      expect(tasks).toEqual({ schemaVersion: 1, active: null, tasks: [] });
     });
 
     test('writeTasks creates .claude directory and file', () => {
@@ -138,6 +150,81 @@ describe('workflow-state', () => {
     });
   });
 
+  describe('task registry', () => {
+    const task = (id) => ({ id, title: `Task ${id}`, source: 'gh-issues' });
+
+    test('tracks several in-flight workflows', () => {
+      claimTask(task('1'), { session: 's1', worktree: '../wt-1', branch: 'feature/1' }, testDir);
+      claimTask(task('2'), { session: 's2', worktree: '../wt-2' }, testDir);
+
+      expect(listTasks({}, testDir).map(t => t.id)).toEqual(['1', '2']);
+      expect(listTasks({ session: 's2' }, testDir).map(t => t.id)).toEqual(['2']);
+      expect(getTask('1', testDir)).toMatchObject({ branch: 'feature/1', phase: 'policy-selection', status: 'in_progress' });
+      expect(findTask('feature/1', testDir).id).toBe('1');
+      expect(findTask('../wt-2', testDir).id).toBe('2');
+      expect(hasActiveTask(testDir)).toBe(true);
+      expect(hasActiveTask(testDir, 's2')).toBe(true);
+      expect(hasActiveTask(testDir, 's3')).toBe(false);
+
+      releaseTask('1', testDir);
+      releaseTask('2', testDir);
+      expect(hasActiveTask(testDir)).toBe(false);
+    });
+
+    test('rejects a second session claiming the same task', () => {
+      expect(claimTask(task('1'), { session: 's1' }, testDir).success).toBe(true);
+
+      const second = claimTask(task('1'), { session: 's2' }, testDir);
+      expect(second.success).toBe(false);
+      expect(second.error).toContain('already claimed by s1');
+      expect(claimTask(task('1'), { session: 's1', branch: 'b' }, testDir).entry.branch).toBe('b');
+    });
+
+    test('attaches and detaches sessions', () => {
+      claimTask(task('1'), { session: 's1' }, testDir);
+
+      expect(attachTask('1', 's2', {}, testDir).success).toBe(false);
+      expect(detachTask('1', 's2', testDir).success).toBe(false);
+      expect(detachTask('1', 's1', testDir).entry.session).toBeNull();
+      expect(claimTask(task('1'), { session: 's2' }, testDir).success).toBe(false);
+      expect(attachTask('1', 's2', {}, testDir).entry.session).toBe('s2');
+      expect(attachTask('1', 's3', { force: true }, testDir).entry.session).toBe('s3');
+      expect(attachTask('missing', 's1', {}, testDir).success).toBe(false);
+    });
+
+    test('keeps the registry when reading files without an active field', () => {
+      fs.mkdirSync(path.join(testDir, '.claude'), { recursive: true });
+      fs.writeFileSync(path.join(testDir, '.claude', 'tasks.json'), JSON.stringify({ version: '1.0.0', tasks: [{ id: '7', session: 'x' }] }));
+      expect(readTasks(testDir)).toEqual({ schemaVersion: 1, active: null, tasks: [{ id: '7', session: 'x' }] });
+      expect(releaseTask('7', testDir)).toBe(true);
+      expect(listTasks({}, testDir)).toEqual([]);
+    });
+
+    test('createFlow claims the task and syncs phases until completion', () => {
+      const worktreeA = path.join(testDir, 'wt-a');
+      const worktreeB = path.join(testDir, 'wt-b');
+      const flow = createFlow(task('1'), {}, worktreeA, testDir);
+      createFlow(task('2'), {}, worktreeB, testDir, { session: 'other' });
+
+      expect(flow.session).toBe(getTask('1', testDir).session);
+      expect(readTasks(testDir).active).toBeNull();
+      expect(hasActiveTask(testDir)).toBe(true);
+      expect(hasActiveTask(testDir, 'other')).toBe(true);
+      expect(() => createFlow(task('1'), {}, path.join(testDir, 'wt-c'), testDir)).toThrow('already claimed');
+      expect(readFlow(path.join(testDir, 'wt-c'))).toBeNull();
+
+      setPhase('implementation', worktreeA);
+      expect(getTask('1', testDir).phase).toBe('implementation');
+
+      completeWorkflow(worktreeA);
+      expect(getTask('1', testDir)).toBeNull();
+      expect(getTask('2', testDir).session).toBe('other');
+
+      abortWorkflow('stop', worktreeB);
+      expect(listTasks({}, testDir)).toEqual([]);
+    });
+  });
+
   describe('phase management', () => {
     beforeEach(() => {
       createFlow(
@@ -205,6 +292,74 @@ describe('workflow-state', () => {
     });
   });
 
+  describe('phase history', () => {
+    const MINUTE = 60 * 1000;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2026-03-01T10:00:00.000Z') });
+      createFlow({ id: '1', title: 'Test', source: 'manual' }, {}, testDir);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('records transitions with durations, results and reasons', () => {
+      jest.advanceTimersByTime(2 * MINUTE);
+      setPhase('exploration', testDir);
+      jest.advanceTimersByTime(5 * MINUTE);
+      completePhase({ summary: 'Found 3 key files' }, testDir);
+      setPhase('planning', testDir);
+      skipToPhase('implementation', 'plan approved upfront', testDir);
+
+      expect(getHistory(testDir)).toEqual([
+        expect.objectContaining({ type: 'start', from: null, to: 'policy-selection', durationMs: null }),
+        expect.objectContaining({ type: 'enter', from: 'policy-selection', to: 'exploration', durationMs: 2 * MINUTE }),
+        expect.objectContaining({ type: 'complete', from: 'exploration', to: 'planning', durationMs: 5 * MINUTE, result: 'Found 3 key files' }),
+        expect.objectContaining({ type: 'skip', from: 'planning', to: 'implementation', durationMs: 0, reason: 'plan approved upfront' })
+      ]);
+      expect(getPhaseStats(testDir)['user-approval']).toMatchObject({ skipped: true, entries: 0 });
+    });
+
+    test('counts retries and failures per phase', () => {
+      setPhase('implementation', testDir);
+      jest.advanceTimersByTime(MINUTE);
+      completePhase(null, testDir);
+      jest.advanceTimersByTime(MINUTE);
+      failPhase('review found blockers', {}, testDir);
+      setPhase('implementation', testDir);
+      jest.advanceTimersByTime(3 * MINUTE);
+      setPhase('review-loop', testDir);
+      jest.advanceTimersByTime(MINUTE);
+
+      const stats = getPhaseStats(testDir);
+      expect(stats.implementation).toEqual({ entries: 2, retries: 1, failures: 0, skipped: false, durationMs: 4 * MINUTE });
+      expect(stats['review-loop']).toEqual({ entries: 2, retries: 1, failures: 1, skipped: false, durationMs: 2 * MINUTE });
+      expect(getHistory(testDir).find(e => e.type === 'fail')).toMatchObject({ from: 'review-loop', to: 'review-loop', reason: 'review found blockers' });
+    });
+
+    test('ends the history when the workflow completes', () => {
+      setPhase('shipping', testDir);
+      completePhase(null, testDir);
+      completeWorkflow(testDir);
+
+      const history = getHistory(testDir);
+      expect(history[history.length - 1]).toMatchObject({ type: 'complete', from: 'shipping', to: 'complete' });
+      expect(history.filter(e => e.to === 'complete')).toHaveLength(1);
+      expect(readFlow(testDir).phaseStartedAt).toBeNull();
+    });
+
+    test('formats a history report', () => {
+      jest.advanceTimersByTime(90 * 1000);
+      completePhase('policy | chosen', testDir);
+
+      const report = formatHistory(testDir);
+      expect(report).toContain('| complete | policy-selection | task-discovery | 1m 30s | policy \\| chosen |');
+      expect(report).toContain('| policy-selection | 1m 30s | 1 | 0 | 0 |');
+      expect(formatHistory(path.join(testDir, 'missing'))).toBeNull();
+    });
+  });
+
   describe('convenience functions', () => {
     test('getFlowSummary returns summary object', () => {
       createFlow(
@@ -294,7 +449,7 @@ describe('workflow-state', () => {
       fs.writeFileSync(path.join(testDir, '.claude', 'tasks.json'), 'invalid json');
 
       const tasks = readTasks(testDir);
-      expect(tasks).toEqual({ active: null });
+      expect(tasks).toEqual({ schemaVersion: 1, active: null, tasks: [] });
     });
 
     test('readFlow handles corrupted JSON gracefully', () => {
@@ -153,6 +153,16 @@ async function ensureRepoMap(options = {}) {
       }
     }
     
+    // Build the map with the built-in fallback scanner (lower confidence)
+    try {
+      const fallbackResult = await repoMap.init(cwd, { force: false });
+      if (fallbackResult.success) {
+        return { available: true, map: fallbackResult.map, fallbackReason: null };
+      }
+    } catch {
+      // Fall through to regex-based doc checks
+    }
+    
     return { available: false, map: null, fallbackReason: 'ast-grep-not-installed' };
   }
   
@@ -300,6 +310,177 @@ function findUndocumentedExports(changedFiles, options = {}) {
   return issues;
 }
 
+/**
+ * Read the parameter names a doc comment documents
+ * Supports JSDoc `@param`, Sphinx `:param x:` and Google-style `Args:` sections.
+ * @param {string} doc - Doc comment text (from the repo-map `doc` field)
+ * @returns {string[]} Documented names in order (nested `a.b` entries are skipped)
+ */
+function getDocumentedParams(doc) {
+  if (!doc) return [];
+  const names = [];
+  const add = (name) => {
+    if (name && !name.includes('.') && !names.includes(name)) names.push(name);
+  };
+
+  for (const match of doc.matchAll(/@param\s+(?:\{[^}]*\}\s*)?\[?(?:\.\.\.)?([A-Za-z_$][\w$.]*)/g)) {
+    add(match[1]);
+  }
+  for (const match of doc.matchAll(/:param\s+(?:[^:\n]*\s)?\*{0,2}(\w+)\s*:/g)) {
+    add(match[1]);
+  }
+
+  let inArgs = false;
+  for (const line of doc.split('\n')) {
+    const text = line.trim();
+    if (/^(?:Args|Arguments|Parameters):$/.test(text)) {
+      inArgs = true;
+      continue;
+    }
+    if (!inArgs) continue;
+    if (!text || /^[A-Z]\w*(?: \w+)*:$/.test(text)) {
+      inArgs = false;
+      continue;
+    }
+    const entry = /^\*{0,2}(\w+)\s*(?:\([^)]*\))?\s*:/.exec(text);
+    if (entry) add(entry[1]);
+  }
+
+  return names;
+}
+
+/**
+ * Find functions whose doc comment documents different parameters than the
+ * function declares (uses `doc` and `params` from the repo-map)
+ * @param {string[]} changedFiles - List of changed file paths
+ * @param {Object} options - Options
+ * @param {Object} [options.repoMapStatus] - Pre-fetched repo-map status (avoids redundant calls)
+ * @returns {Array<{type: string, severity: string, file: string, name: string, line: number, documented: string[], actual: string[], missing: string[], extra: string[], certainty: string}>}
+ */
+function findSignatureMismatches(changedFiles, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const repoMapStatus = opts.repoMapStatus || ensureRepoMapSync(opts);
+  const repoMap = getRepoMap();
+
+  if (!repoMap || !repoMapStatus.available || !repoMapStatus.map) {
+    return [];
+  }
+
+  const map = repoMapStatus.map;
+  const issues = [];
+
+  for (const file of changedFiles) {
+    const normalizedFile = file.replace(/\\/g, '/');
+    const fileData = map.files[normalizedFile] || map.files[normalizedFile.replace(/^\.\//, '')];
+    if (!fileData || !fileData.symbols || !Array.isArray(fileData.symbols.functions)) continue;
+
+    for (const fn of fileData.symbols.functions) {
+      if (!fn.doc || !Array.isArray(fn.params)) continue;
+
+      const documented = getDocumentedParams(fn.doc);
+      if (documented.length === 0) continue;
+
+      // Receivers and Python's `*` / `/` markers are never documented
+      const declared = fn.params.filter(param => !/^(?:self|cls|this)\b|^[*/]$/.test(param));
+      const actual = declared.map(param => repoMap.signatures.getParamName(param, fileData.language));
+      // Destructured or unnamed parameters can be documented under any name
+      if (actual.includes(null)) continue;
+
+      const missing = actual.filter(name => !documented.includes(name));
+      const extra = documented.filter(name => !actual.includes(name));
+      if (missing.length === 0 && extra.length === 0) continue;
+
+      issues.push({
+        type: 'signature-mismatch',
+        severity: 'medium',
+        file: normalizedFile,
+        name: fn.name,
+        line: fn.line || 0,
+        documented,
+        actual,
+        missing,
+        extra,
+        certainty: 'MEDIUM',
+        suggestion: `Doc comment of '${fn.name}' in ${normalizedFile} documents (${documented.join(', ')}) but the function takes (${actual.join(', ')})`
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Find public API changes between two refs using repo-map diffs
+ * Breaking changes (removed exports, incompatible signatures) become issues,
+ * together with the docs that still mention the symbol.
+ * @param {Object} options - Options
+ * @param {string} options.baseRef - Base ref (e.g. main, the last release tag)
+ * @param {string|null} [options.headRef='HEAD'] - Head ref; null uses the working tree
+ * @returns {Promise<{available: boolean, fallbackReason?: string, semver?: string|null, summary?: Object, changelog?: Object, files?: Array, issues: Array}>}
+ */
+async function findApiChanges(options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const repoMap = getRepoMap();
+  if (!repoMap) {
+    return { available: false, fallbackReason: 'repo-map-module-not-found', issues: [] };
+  }
+  if (!isValidGitRef(opts.baseRef)) {
+    return { available: false, fallbackReason: 'invalid-base-ref', issues: [] };
+  }
+
+  const headRef = opts.headRef === undefined ? 'HEAD' : opts.headRef;
+  const result = await repoMap.diff(opts.cwd, opts.baseRef, headRef);
+  if (!result.success) {
+    return { available: false, fallbackReason: result.error, issues: [] };
+  }
+
+  const docContents = new Map();
+  for (const doc of findMarkdownFiles(opts.cwd)) {
+    try {
+      docContents.set(doc, fs.readFileSync(path.join(opts.cwd, doc), 'utf8'));
+    } catch {
+      // Skip unreadable docs
+    }
+  }
+  const docsMentioning = (name) => {
+    const pattern = new RegExp(`\\b${escapeRegex(name)}\\b`);
+    return Array.from(docContents.keys()).filter(doc => pattern.test(docContents.get(doc)));
+  };
+
+  const issues = [];
+  for (const file of result.files) {
+    const breaking = [
+      ...file.removed.map(exp => ({ ...exp, reasons: ['export removed'] })),
+      ...file.changed.filter(exp => exp.breaking)
+    ];
+    for (const exp of breaking) {
+      const docs = docsMentioning(exp.name);
+      issues.push({
+        type: 'breaking-api-change',
+        severity: 'high',
+        file: file.file,
+        name: exp.name,
+        line: exp.line || 0,
+        reasons: exp.reasons,
+        docs,
+        certainty: 'MEDIUM',
+        suggestion: `'${exp.name}' in ${file.file}: ${exp.reasons.join('; ')}` +
+          (docs.length > 0 ? `. Update ${docs.join(', ')}` : '') +
+          '. Add a BREAKING CHANGELOG entry'
+      });
+    }
+  }
+
+  return {
+    available: true,
+    semver: result.semver,
+    summary: result.summary,
+    changelog: result.changelog,
+    files: result.files,
+    issues
+  };
+}
+
 /**
  * Find documentation files related to changed source files
  * @param {string[]} changedFiles - List of changed file paths
@@ -685,6 +866,10 @@ function collect(options = {}) {
     // New: undocumented exports detection (pass repoMapStatus to avoid redundant call)
     undocumentedExports: repoMapStatus.available 
       ? findUndocumentedExports(changedFiles, { ...opts, repoMapStatus })
+      : [],
+    // Doc comments that disagree with the declared parameters
+    signatureMismatches: repoMapStatus.available
+      ? findSignatureMismatches(changedFiles, { ...opts, repoMapStatus })
       : []
   };
 }
@@ -704,6 +889,9 @@ module.exports = {
   ensureRepoMapSync,
   getExportsFromRepoMap,
   findUndocumentedExports,
+  findSignatureMismatches,
+  findApiChanges,
+  getDocumentedParams,
   isInternalExport,
   isEntryPoint,
   // Utilities
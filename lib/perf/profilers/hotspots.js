@@ -0,0 +1,321 @@
+/**
+ * Shared hotspot normalization for profiler output parsers.
+ *
+ * Every profiler reduces its native output to the same hotspot shape:
+ * { name, file, line, selfMs, totalMs, selfPercent, totalPercent }
+ *
+ * @module lib/perf/profilers/hotspots
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const DEFAULT_LIMIT = 20;
+const DURATION_UNITS_MS = {
+  ns: 1e-6,
+  us: 1e-3,
+  'µs': 1e-3,
+  ms: 1,
+  s: 1000,
+  min: 60000,
+  mins: 60000,
+  h: 3600000,
+  hr: 3600000,
+  hrs: 3600000
+};
+
+function round(value, digits = 2) {
+  if (!Number.isFinite(value)) return 0;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Map a profiler-reported location to a repo-relative POSIX path.
+ * Locations outside the repo (runtime internals, system libraries) are returned unchanged.
+ * @param {string} location
+ * @param {string} repoPath
+ * @returns {string|null}
+ */
+function toRepoRelative(location, repoPath) {
+  if (!location || typeof location !== 'string') return null;
+
+  let filePath = location;
+  if (filePath.startsWith('file://')) {
+    try {
+      filePath = decodeURIComponent(new URL(filePath).pathname);
+    } catch {
+      filePath = filePath.slice('file://'.length);
+    }
+    // file:///C:/x -> /C:/x on Windows
+    if (/^\/[A-Za-z]:\//.test(filePath)) {
+      filePath = filePath.slice(1);
+    }
+  }
+
+  if (!repoPath || !path.isAbsolute(filePath)) {
+    return filePath;
+  }
+
+  const relative = path.relative(path.resolve(repoPath), filePath);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    return filePath;
+  }
+  return relative.split(path.sep).join('/');
+}
+
+/**
+ * Parse a duration such as "1.20s", "350ms" or "12µs" into milliseconds.
+ * @param {string} value
+ * @returns {number} NaN when the unit is not a time unit
+ */
+function parseDurationMs(value) {
+  const match = String(value || '').trim().match(/^(-?[\d.]+)\s*([a-zµ]+)$/i);
+  if (!match) return NaN;
+  const factor = DURATION_UNITS_MS[match[2].toLowerCase()];
+  return factor === undefined ? NaN : parseFloat(match[1]) * factor;
+}
+
+/**
+ * Parse collapsed/folded stacks ("a;b;c 42" per line) as written by
+ * async-profiler, jfrconv, stackcollapse-perf.pl and inferno.
+ * @param {string} text
+ * @returns {Array<{ frames: string[], count: number }>}
+ */
+function parseCollapsedStacks(text) {
+  const stacks = [];
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+    const match = line.match(/^(.*\S)\s+(\d+(?:\.\d+)?)$/);
+    if (!match) continue;
+    const count = parseFloat(match[2]);
+    const frames = match[1].split(';').filter(Boolean);
+    if (frames.length === 0 || !(count > 0)) continue;
+    stacks.push({ frames, count });
+  }
+  return stacks;
+}
+
+/**
+ * Check whether text is entirely collapsed-stack lines (used to sniff stdout).
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isCollapsedText(text) {
+  const lines = String(text || '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  return lines.length > 0
+    && lines.every((line) => /^\S.*\s\d+(?:\.\d+)?$/.test(line))
+    && lines.some((line) => line.includes(';'));
+}
+
+/**
+ * Aggregate stack samples into per-function self/total entries.
+ * Self time goes to the leaf frame; total time is counted once per stack per
+ * function so recursion does not inflate it.
+ * @param {Array<{ frames: string[], count: number }>} stacks - Root-first frames
+ * @param {object} [options]
+ * @param {number} [options.intervalMs=1] - Time represented by one sample
+ * @param {Function} [options.resolveFrame] - frame => { name, file, line }
+ * @returns {{ entries: object[], totalMs: number }}
+ */
+function aggregateStacks(stacks, options = {}) {
+  const intervalMs = Number.isFinite(options.intervalMs) && options.intervalMs > 0 ? options.intervalMs : 1;
+  const resolveFrame = typeof options.resolveFrame === 'function'
+    ? options.resolveFrame
+    : (frame) => ({ name: frame, file: null, line: null });
+  const byFrame = new Map();
+  let totalMs = 0;
+
+  const entryFor = (frame) => {
+    let entry = byFrame.get(frame);
+    if (!entry) {
+      const resolved = resolveFrame(frame) || {};
+      entry = {
+        name: resolved.name || frame,
+        file: resolved.file || null,
+        line: resolved.line || null,
+        selfMs: 0,
+        totalMs: 0
+      };
+      byFrame.set(frame, entry);
+    }
+    return entry;
+  };
+
+  for (const stack of Array.isArray(stacks) ? stacks : []) {
+    const frames = stack.frames || [];
+    if (frames.length === 0) continue;
+    const weight = stack.count * intervalMs;
+    totalMs += weight;
+    entryFor(frames[frames.length - 1]).selfMs += weight;
+    for (const frame of new Set(frames)) {
+      entryFor(frame).totalMs += weight;
+    }
+  }
+
+  return { entries: Array.from(byFrame.values()), totalMs };
+}
+
+/**
+ * Find the first existing file among candidate names relative to the repo.
+ * Files last modified before startedAt are left over from an earlier run
+ * and skipped.
+ * @param {string} repoPath
+ * @param {string[]} candidates
+ * @param {number} [startedAt] - Epoch ms when the profiling run began
+ * @returns {string|null} Absolute path
+ */
+function findFirstExisting(repoPath, candidates, startedAt) {
+  const since = Number.isFinite(startedAt) ? startedAt : 0;
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    const fullPath = path.resolve(repoPath, candidate);
+    if (!fs.existsSync(fullPath)) continue;
+    const stat = fs.statSync(fullPath);
+    if (stat.isFile() && stat.mtimeMs >= since) {
+      return fullPath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a file was last modified before another one, e.g. folded stacks
+ * rendered from an earlier recording than the current one.
+ * @param {string} filePath
+ * @param {string} otherPath
+ * @returns {boolean}
+ */
+function isOlderThan(filePath, otherPath) {
+  return fs.statSync(filePath).mtimeMs < fs.statSync(otherPath).mtimeMs;
+}
+
+/**
+ * Run a profiler's own reporting tool to turn a binary profile into text.
+ * @param {string} executable
+ * @param {string[]} args
+ * @param {object} [options]
+ * @param {string} [options.cwd]
+ * @param {number} [options.timeoutMs=60000]
+ * @returns {{ ok: boolean, stdout?: string, error?: string }}
+ */
+function renderProfile(executable, args, options = {}) {
+  try {
+    const stdout = execFileSync(executable, args, {
+      cwd: options.cwd,
+      stdio: 'pipe',
+      timeout: options.timeoutMs || 60000,
+      maxBuffer: 64 * 1024 * 1024,
+      windowsHide: true
+    });
+    return { ok: true, stdout: String(stdout) };
+  } catch (error) {
+    const stderr = error.stderr ? String(error.stderr).trim() : '';
+    return { ok: false, error: stderr || error.message };
+  }
+}
+
+/**
+ * Format a hotspot as "file:line name (self x%)" for logs.
+ * Plain strings are returned as-is so older results keep rendering.
+ * @param {object|string} hotspot
+ * @returns {string}
+ */
+function formatHotspot(hotspot) {
+  if (typeof hotspot === 'string') return hotspot;
+  if (!hotspot || typeof hotspot !== 'object') return String(hotspot);
+
+  const location = hotspot.file
+    ? (hotspot.line ? `${hotspot.file}:${hotspot.line}` : hotspot.file)
+    : '(unknown)';
+  const name = hotspot.name ? ` ${hotspot.name}` : '';
+  const share = Number.isFinite(hotspot.selfPercent) ? ` (self ${hotspot.selfPercent}%)` : '';
+  return `${location}${name}${share}`;
+}
+
+/**
+ * Sort, trim and attach percentages to raw function entries.
+ * @param {Array<{name: string, file: string|null, line: number|null, selfMs: number, totalMs: number}>} entries
+ * @param {object} [options]
+ * @param {number} [options.totalMs] - Profile duration used as the percentage base
+ * @param {number} [options.limit]
+ * @returns {object[]}
+ */
+function rankHotspots(entries, options = {}) {
+  const list = Array.isArray(entries) ? entries : [];
+  const totalMs = Number.isFinite(options.totalMs) && options.totalMs > 0
+    ? options.totalMs
+    : list.reduce((sum, entry) => sum + (entry.selfMs || 0), 0);
+  const limit = Number.isInteger(options.limit) && options.limit > 0 ? options.limit : DEFAULT_LIMIT;
+
+  return list
+    .filter((entry) => entry.selfMs > 0 || entry.totalMs > 0)
+    .sort((a, b) => (b.selfMs - a.selfMs) || (b.totalMs - a.totalMs) || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map((entry) => ({
+      name: entry.name,
+      file: entry.file || null,
+      line: Number.isInteger(entry.line) && entry.line > 0 ? entry.line : null,
+      selfMs: round(entry.selfMs),
+      totalMs: round(entry.totalMs),
+      selfPercent: totalMs > 0 ? round((entry.selfMs / totalMs) * 100) : 0,
+      totalPercent: totalMs > 0 ? round((entry.totalMs / totalMs) * 100) : 0
+    }));
+}
+
+/**
+ * Aggregate function entries into per-file totals.
+ * File total time is the max inclusive time of any function in the file, which
+ * avoids double counting when functions in the same file call each other.
+ * @param {object[]} entries
+ * @param {object} [options]
+ * @param {number} [options.totalMs]
+ * @param {number} [options.limit]
+ * @returns {Array<{file: string, selfMs: number, totalMs: number, selfPercent: number, totalPercent: number, functions: number}>}
+ */
+function aggregateByFile(entries, options = {}) {
+  const byFile = new Map();
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    if (!entry.file) continue;
+    const current = byFile.get(entry.file) || { file: entry.file, selfMs: 0, totalMs: 0, functions: 0 };
+    current.selfMs += entry.selfMs || 0;
+    current.totalMs = Math.max(current.totalMs, entry.totalMs || 0);
+    current.functions += 1;
+    byFile.set(entry.file, current);
+  }
+
+  const list = Array.from(byFile.values());
+  const totalMs = Number.isFinite(options.totalMs) && options.totalMs > 0
+    ? options.totalMs
+    : list.reduce((sum, entry) => sum + entry.selfMs, 0);
+  const limit = Number.isInteger(options.limit) && options.limit > 0 ? options.limit : DEFAULT_LIMIT;
+
+  return list
+    .sort((a, b) => (b.selfMs - a.selfMs) || a.file.localeCompare(b.file))
+    .slice(0, limit)
+    .map((entry) => ({
+      file: entry.file,
+      selfMs: round(entry.selfMs),
+      totalMs: round(Math.max(entry.totalMs, entry.selfMs)),
+      selfPercent: totalMs > 0 ? round((entry.selfMs / totalMs) * 100) : 0,
+      totalPercent: totalMs > 0 ? round((Math.max(entry.totalMs, entry.selfMs) / totalMs) * 100) : 0,
+      functions: entry.functions
+    }));
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  toRepoRelative,
+  parseDurationMs,
+  parseCollapsedStacks,
+  isCollapsedText,
+  findFirstExisting,
+  isOlderThan,
+  renderProfile,
+  aggregateStacks,
+  formatHotspot,
+  rankHotspots,
+  aggregateByFile
+};
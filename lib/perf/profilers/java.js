@@ -4,20 +4,200 @@
  * @module lib/perf/profilers/java
  */
 
+const fs = require('fs');
+const path = require('path');
+const {
+  toRepoRelative,
+  parseCollapsedStacks,
+  isCollapsedText,
+  aggregateStacks,
+  rankHotspots,
+  aggregateByFile,
+  findFirstExisting,
+  isOlderThan,
+  renderProfile
+} = require('./hotspots');
+
+const DEFAULT_OUTPUT = 'profile.jfr';
+const DEFAULT_INTERVAL_MS = 10;
+const SOURCE_ROOTS = ['src/main/java', 'src/main/kotlin', 'src/test/java', 'src', ''];
+const SOURCE_EXTENSIONS = ['.java', '.kt'];
+
+/**
+ * Build a frame resolver mapping "com/acme/App$Inner.run:42_[j]" style frames
+ * to the source file of the top-level class.
+ * @param {string} repoPath
+ * @returns {Function}
+ */
+function createFrameResolver(repoPath) {
+  const fileCache = new Map();
+
+  const findSource = (className) => {
+    if (fileCache.has(className)) return fileCache.get(className);
+    const relative = className.split('$')[0].replace(/\./g, '/');
+    let found = null;
+    if (repoPath) {
+      const candidates = [];
+      for (const root of SOURCE_ROOTS) {
+        for (const ext of SOURCE_EXTENSIONS) {
+          candidates.push(path.join(root, `${relative}${ext}`));
+        }
+      }
+      const match = findFirstExisting(repoPath, candidates);
+      found = match ? toRepoRelative(match, repoPath) : null;
+    }
+    fileCache.set(className, found);
+    return found;
+  };
+
+  return (frame) => {
+    let name = frame.replace(/_\[[a-z0-9]\]$/i, '');
+    let line = null;
+    const lineMatch = name.match(/^(.*):(\d+)$/);
+    if (lineMatch) {
+      name = lineMatch[1];
+      line = parseInt(lineMatch[2], 10);
+    }
+    name = name.replace(/\//g, '.');
+
+    const lastDot = name.lastIndexOf('.');
+    const className = lastDot > 0 ? name.slice(0, lastDot) : null;
+    const file = className && /^[\w$.]+$/.test(className) ? findSource(className) : null;
+    return { name, file, line };
+  };
+}
+
+/**
+ * Parse `jfr print --events jdk.ExecutionSample` output into root-first stacks.
+ * @param {string} text
+ * @returns {Array<{ frames: string[], count: number }>}
+ */
+function parseJfrPrint(text) {
+  const stacks = [];
+  let current = null;
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (/^stackTrace = \[/.test(line)) {
+      current = [];
+      continue;
+    }
+    if (!current) continue;
+    if (line === ']' || line.startsWith(']')) {
+      if (current.length > 0) {
+        stacks.push({ frames: current.reverse(), count: 1 });
+      }
+      current = null;
+      continue;
+    }
+    if (line === '...' || !line) continue;
+    const match = line.match(/^([\w$.<>/]+)\(.*?\)(?:\s+line:\s*(\d+))?/);
+    if (match) {
+      current.push(match[1]);
+    }
+  }
+  return stacks;
+}
+
+/**
+ * Aggregate root-first Java stacks into hotspots.
+ * @param {Array<{ frames: string[], count: number }>} stacks
+ * @param {object} [options]
+ * @param {string} [options.repoPath]
+ * @param {number} [options.intervalMs]
+ * @param {number} [options.limit]
+ * @returns {{ hotspots: object[], files: object[], totalMs: number }}
+ */
+function summarizeStacks(stacks, options = {}) {
+  if (stacks.length === 0) {
+    throw new Error('No stack samples found');
+  }
+  const { entries, totalMs } = aggregateStacks(stacks, {
+    intervalMs: options.intervalMs || DEFAULT_INTERVAL_MS,
+    resolveFrame: createFrameResolver(options.repoPath)
+  });
+  return {
+    hotspots: rankHotspots(entries, { totalMs, limit: options.limit }),
+    files: aggregateByFile(entries, { totalMs, limit: options.limit }),
+    totalMs: Math.round(totalMs * 100) / 100
+  };
+}
+
+/**
+ * Parse JFR/async-profiler collapsed stacks into hotspots.
+ * @param {string} text
+ * @param {object} [options]
+ * @returns {{ hotspots: object[], files: object[], totalMs: number }}
+ */
+function parseCollapsed(text, options = {}) {
+  return summarizeStacks(parseCollapsedStacks(text), options);
+}
+
 module.exports = {
   id: 'jfr',
   tool: 'jfr',
   buildCommand(options = {}) {
     const command = options.command || 'java';
-    const output = options.output || 'profile.jfr';
+    const output = options.output || DEFAULT_OUTPUT;
     const duration = options.duration || '60s';
     return `${command} -XX:StartFlightRecording=duration=${duration},filename=${output}`;
   },
-  parseOutput() {
-    return {
-      tool: 'jfr',
-      hotspots: [],
-      artifacts: []
-    };
-  }
+  /**
+   * Parse Java profiling output. Uses collapsed stacks when present
+   * (stdout, <name>.collapsed or <name>.folded next to the recording),
+   * otherwise renders the recording with `jfr print`.
+   * @param {object} [context]
+   * @param {string} [context.repoPath]
+   * @param {string} [context.output]
+   * @param {number} [context.startedAt] - Epoch ms when the run began
+   * @param {string} [context.stdout]
+   * @param {number} [context.intervalMs] - Sampling interval per stack sample
+   * @param {number} [context.limit]
+   * @returns {{ tool: string, hotspots: object[], files: object[], artifacts: string[], totalMs?: number, warnings: string[] }}
+   */
+  parseOutput(context = {}) {
+    const repoPath = context.repoPath || process.cwd();
+    const output = context.output || DEFAULT_OUTPUT;
+    const base = output.replace(/\.jfr$/i, '');
+    const recordingPath = findFirstExisting(repoPath, [output], context.startedAt);
+    const collapsed = findFirstExisting(repoPath, [`${base}.collapsed`, `${base}.folded`], context.startedAt);
+    // Stacks collapsed from an earlier recording are stale
+    const collapsedPath = collapsed && recordingPath && isOlderThan(collapsed, recordingPath) ? null : collapsed;
+    const artifacts = [recordingPath, collapsedPath]
+      .filter(Boolean)
+      .map((filePath) => toRepoRelative(filePath, repoPath));
+    const result = { tool: 'jfr', hotspots: [], files: [], artifacts, warnings: [] };
+    const options = { repoPath, intervalMs: context.intervalMs, limit: context.limit };
+
+    let stacks = null;
+    if (context.stdout && isCollapsedText(context.stdout)) {
+      stacks = parseCollapsedStacks(context.stdout);
+    } else if (collapsedPath) {
+      stacks = parseCollapsedStacks(fs.readFileSync(collapsedPath, 'utf8'));
+    } else if (recordingPath) {
+      const rendered = renderProfile(
+        'jfr',
+        ['print', '--events', 'jdk.ExecutionSample', '--stack-depth', '64', recordingPath],
+        { cwd: repoPath }
+      );
+      if (rendered.ok) {
+        stacks = parseJfrPrint(rendered.stdout);
+      } else {
+        result.warnings.push(`Failed to render ${output} with jfr print: ${rendered.error}`);
+      }
+    } else {
+      result.warnings.push('No JFR recording or collapsed stacks found after profiling run');
+    }
+
+    if (!stacks) return result;
+
+    try {
+      const parsed = summarizeStacks(stacks, options);
+      return { ...result, hotspots: parsed.hotspots, files: parsed.files, totalMs: parsed.totalMs };
+    } catch (error) {
+      result.warnings.push(`Failed to parse Java profile: ${error.message}`);
+      return result;
+    }
+  },
+  parseCollapsed,
+  parseJfrPrint
 };
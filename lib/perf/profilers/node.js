@@ -4,12 +4,253 @@
  * @module lib/perf/profilers/node
  */
 
+const fs = require('fs');
+const path = require('path');
+const { toRepoRelative, rankHotspots, aggregateByFile, findFirstExisting } = require('./hotspots');
+
+const DEFAULT_OUTPUT = 'node.cpuprofile';
+const META_FRAMES = new Set(['(root)', '(program)', '(idle)']);
+
+/**
+ * Locate the .cpuprofile written by the profiling run.
+ * Prefers the requested output name; otherwise falls back to the newest
+ * .cpuprofile in the repo root. Either way, profiles older than
+ * context.startedAt are left over from an earlier run and ignored.
+ * @param {object} context
+ * @returns {string|null}
+ */
+function findProfileFile(context = {}) {
+  const repoPath = context.repoPath || process.cwd();
+  const output = context.output || DEFAULT_OUTPUT;
+  const startedAt = Number.isFinite(context.startedAt) ? context.startedAt : 0;
+  const direct = findFirstExisting(repoPath, [output], startedAt);
+  if (direct) return direct;
+
+  let entries;
+  try {
+    entries = fs.readdirSync(repoPath, { withFileTypes: true });
+  } catch {
+    return null;
+  }
+
+  let newest = null;
+  for (const entry of entries) {
+    if (!entry.isFile() || !entry.name.endsWith('.cpuprofile')) continue;
+    const fullPath = path.join(repoPath, entry.name);
+    const mtime = fs.statSync(fullPath).mtimeMs;
+    if (mtime < startedAt) continue;
+    if (!newest || mtime > newest.mtime) {
+      newest = { fullPath, mtime };
+    }
+  }
+  return newest ? newest.fullPath : null;
+}
+
+/**
+ * Compute self time (ms) per profile node id.
+ * Sample i is weighted by the delta to the next sample, matching DevTools.
+ * @param {object} profile
+ * @param {Map<number, object>} nodesById
+ * @returns {Map<number, number>}
+ */
+function computeSelfTimes(profile, nodesById) {
+  const selfTimes = new Map();
+  const samples = Array.isArray(profile.samples) ? profile.samples : [];
+  const deltas = Array.isArray(profile.timeDeltas) ? profile.timeDeltas : [];
+
+  if (samples.length > 0 && deltas.length === samples.length) {
+    const sampled = deltas.slice(1).reduce((sum, value) => sum + Math.max(0, value), 0);
+    const fallback = samples.length > 1 ? sampled / (samples.length - 1) : 0;
+    for (let i = 0; i < samples.length; i++) {
+      const weight = i + 1 < deltas.length ? Math.max(0, deltas[i + 1]) : fallback;
+      selfTimes.set(samples[i], (selfTimes.get(samples[i]) || 0) + weight / 1000);
+    }
+    return selfTimes;
+  }
+
+  const totalHits = Array.from(nodesById.values()).reduce((sum, node) => sum + (node.hitCount || 0), 0);
+  const durationUs = Number.isFinite(profile.endTime) && Number.isFinite(profile.startTime)
+    ? profile.endTime - profile.startTime
+    : 0;
+  const intervalMs = totalHits > 0 && durationUs > 0 ? durationUs / totalHits / 1000 : 1;
+  for (const node of nodesById.values()) {
+    if (node.hitCount) {
+      selfTimes.set(node.id, node.hitCount * intervalMs);
+    }
+  }
+  return selfTimes;
+}
+
+function frameKey(callFrame) {
+  return [
+    callFrame.functionName || '',
+    callFrame.url || '',
+    callFrame.lineNumber,
+    callFrame.columnNumber
+  ].join('|');
+}
+
+/**
+ * Aggregate a parsed V8 CPU profile into ranked hotspots.
+ * @param {object} profile - Parsed .cpuprofile JSON
+ * @param {object} [options]
+ * @param {string} [options.repoPath]
+ * @param {number} [options.limit]
+ * @returns {{ hotspots: object[], files: object[], totalMs: number }}
+ */
+function parseCpuProfile(profile, options = {}) {
+  if (!profile || !Array.isArray(profile.nodes)) {
+    throw new Error('Invalid .cpuprofile: missing nodes array');
+  }
+
+  const nodesById = new Map();
+  const parents = new Map();
+  for (const node of profile.nodes) {
+    nodesById.set(node.id, node);
+  }
+  for (const node of profile.nodes) {
+    for (const childId of node.children || []) {
+      parents.set(childId, node.id);
+    }
+  }
+
+  const selfTimes = computeSelfTimes(profile, nodesById);
+  const totalMs = Array.from(selfTimes.values()).reduce((sum, value) => sum + value, 0);
+
+  // Inclusive time per node via iterative post-order walk
+  const roots = profile.nodes.filter((node) => !parents.has(node.id));
+  const inclusive = new Map();
+  const order = [];
+  const pending = roots.map((node) => node.id);
+  while (pending.length > 0) {
+    const id = pending.pop();
+    order.push(id);
+    for (const childId of nodesById.get(id)?.children || []) {
+      if (nodesById.has(childId)) pending.push(childId);
+    }
+  }
+  for (let i = order.length - 1; i >= 0; i--) {
+    const node = nodesById.get(order[i]);
+    let sum = selfTimes.get(node.id) || 0;
+    for (const childId of node.children || []) {
+      sum += inclusive.get(childId) || 0;
+    }
+    inclusive.set(node.id, sum);
+  }
+
+  // Per-function totals: count a subtree only at the outermost frame of a
+  // function so recursion does not inflate total time.
+  const functions = new Map();
+  const active = new Map();
+  const stack = roots.map((node) => ({ id: node.id, exit: false }));
+  while (stack.length > 0) {
+    const { id, exit } = stack.pop();
+    const node = nodesById.get(id);
+    const callFrame = node.callFrame || {};
+    const key = frameKey(callFrame);
+
+    if (exit) {
+      const depth = active.get(key) - 1;
+      if (depth > 0) active.set(key, depth);
+      else active.delete(key);
+      continue;
+    }
+
+    if (!META_FRAMES.has(callFrame.functionName)) {
+      let entry = functions.get(key);
+      if (!entry) {
+        const line = Number.isInteger(callFrame.lineNumber) && callFrame.lineNumber >= 0
+          ? callFrame.lineNumber + 1
+          : null;
+        entry = {
+          name: callFrame.functionName || '(anonymous)',
+          file: toRepoRelative(callFrame.url, options.repoPath),
+          line,
+          selfMs: 0,
+          totalMs: 0
+        };
+        functions.set(key, entry);
+      }
+      entry.selfMs += selfTimes.get(id) || 0;
+      if (!active.has(key)) {
+        entry.totalMs += inclusive.get(id) || 0;
+      }
+    }
+
+    active.set(key, (active.get(key) || 0) + 1);
+    stack.push({ id, exit: true });
+    for (const childId of node.children || []) {
+      if (nodesById.has(childId)) stack.push({ id: childId, exit: false });
+    }
+  }
+
+  const entries = Array.from(functions.values());
+  return {
+    hotspots: rankHotspots(entries, { totalMs, limit: options.limit }),
+    files: aggregateByFile(entries, { totalMs, limit: options.limit }),
+    totalMs: Math.round(totalMs * 100) / 100
+  };
+}
+
+/**
+ * Convert a V8 CPU profile into root-first collapsed stacks weighted in ms,
+ * for flamegraph rendering. Idle and root frames are dropped.
+ * @param {object} profile - Parsed .cpuprofile JSON
+ * @param {object} [options]
+ * @param {string} [options.repoPath]
+ * @returns {Array<{ frames: string[], count: number }>}
+ */
+function toCollapsedStacks(profile, options = {}) {
+  if (!profile || !Array.isArray(profile.nodes)) {
+    throw new Error('Invalid .cpuprofile: missing nodes array');
+  }
+  const nodesById = new Map(profile.nodes.map((node) => [node.id, node]));
+  const parents = new Map();
+  for (const node of profile.nodes) {
+    for (const childId of node.children || []) {
+      parents.set(childId, node.id);
+    }
+  }
+
+  const labelFor = (callFrame = {}) => {
+    const name = callFrame.functionName || '(anonymous)';
+    const file = toRepoRelative(callFrame.url, options.repoPath);
+    if (!file) return name;
+    const line = Number.isInteger(callFrame.lineNumber) && callFrame.lineNumber >= 0
+      ? `:${callFrame.lineNumber + 1}`
+      : '';
+    return `${name} ${file}${line}`;
+  };
+
+  const stacks = [];
+  for (const [id, selfMs] of computeSelfTimes(profile, nodesById)) {
+    if (!(selfMs > 0)) continue;
+    const frames = [];
+    let current = nodesById.get(id);
+    while (current) {
+      const functionName = current.callFrame?.functionName;
+      if (functionName === '(idle)') {
+        frames.length = 0;
+        break;
+      }
+      if (functionName !== '(root)') {
+        frames.push(labelFor(current.callFrame));
+      }
+      current = nodesById.get(parents.get(current.id));
+    }
+    if (frames.length > 0) {
+      stacks.push({ frames: frames.reverse(), count: selfMs });
+    }
+  }
+  return stacks;
+}
+
 module.exports = {
   id: 'node',
   tool: '--cpu-prof',
   buildCommand(options = {}) {
     const command = options.command || 'node';
-    const output = options.output || 'node.cpuprofile';
+    const output = options.output || DEFAULT_OUTPUT;
     const trimmed = command.trim();
     if (trimmed.startsWith('node ')) {
       const rest = trimmed.slice(5);
@@ -17,11 +258,51 @@ module.exports = {
     }
     return `${command} --cpu-prof --cpu-prof-name=${output}`.trim();
   },
-  parseOutput() {
-    return {
-      tool: 'node',
-      hotspots: [],
-      artifacts: []
-    };
-  }
+  /**
+   * Parse the .cpuprofile produced by buildCommand().
+   * @param {object} [context]
+   * @param {string} [context.repoPath]
+   * @param {string} [context.output]
+   * @param {number} [context.startedAt] - Epoch ms when the run began
+   * @param {number} [context.limit]
+   * @returns {{ tool: string, hotspots: object[], files: object[], artifacts: string[], totalMs?: number, warnings: string[] }}
+   */
+  parseOutput(context = {}) {
+    const repoPath = context.repoPath || process.cwd();
+    const profilePath = findProfileFile({ ...context, repoPath });
+    if (!profilePath) {
+      return {
+        tool: 'node',
+        hotspots: [],
+        files: [],
+        artifacts: [],
+        warnings: ['No .cpuprofile file found after profiling run']
+      };
+    }
+
+    const artifact = toRepoRelative(profilePath, repoPath);
+    try {
+      const profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+      const parsed = parseCpuProfile(profile, { repoPath, limit: context.limit });
+      return {
+        tool: 'node',
+        hotspots: parsed.hotspots,
+        files: parsed.files,
+        artifacts: [artifact],
+        totalMs: parsed.totalMs,
+        warnings: []
+      };
+    } catch (error) {
+      return {
+        tool: 'node',
+        hotspots: [],
+        files: [],
+        artifacts: [artifact],
+        warnings: [`Failed to parse ${artifact}: ${error.message}`]
+      };
+    }
+  },
+  findProfileFile,
+  parseCpuProfile,
+  toCollapsedStacks
 };
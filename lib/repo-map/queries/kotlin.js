@@ -0,0 +1,56 @@
+/**
+ * Kotlin query patterns for ast-grep
+ */
+
+'use strict';
+
+module.exports = {
+  // Public by default: all but private/internal/protected are exported (see applyLanguageExportRules)
+  exports: [],
+  functions: [
+    { pattern: 'fun $NAME($$$) { $$$ }', nameVar: 'NAME' },
+    { pattern: 'fun $NAME($$$): $RET { $$$ }', nameVar: 'NAME' },
+    { pattern: 'fun $NAME($$$) = $EXPR', nameVar: 'NAME' },
+    { pattern: 'fun $NAME($$$): $RET = $EXPR', nameVar: 'NAME' },
+    { pattern: 'suspend fun $NAME($$$) { $$$ }', nameVar: 'NAME' },
+    { pattern: 'suspend fun $NAME($$$): $RET { $$$ }', nameVar: 'NAME' },
+    { pattern: 'private fun $NAME($$$) { $$$ }', nameVar: 'NAME' },
+    { pattern: 'private fun $NAME($$$): $RET { $$$ }', nameVar: 'NAME' },
+    { pattern: 'internal fun $NAME($$$) { $$$ }', nameVar: 'NAME' },
+    { pattern: 'internal fun $NAME($$$): $RET { $$$ }', nameVar: 'NAME' },
+    { pattern: 'override fun $NAME($$$) { $$$ }', nameVar: 'NAME' },
+    { pattern: 'override fun $NAME($$$): $RET { $$$ }', nameVar: 'NAME' },
+    { pattern: 'fun $RECV.$NAME($$$): $RET { $$$ }', nameVar: 'NAME', kind: 'extension' }
+  ],
+  classes: [
+    { pattern: 'class $NAME { $$$ }', nameVar: 'NAME' },
+    { pattern: 'class $NAME($$$) { $$$ }', nameVar: 'NAME' },
+    { pattern: 'class $NAME($$$)', nameVar: 'NAME' },
+    { pattern: 'data class $NAME($$$)', nameVar: 'NAME' },
+    { pattern: 'sealed class $NAME { $$$ }', nameVar: 'NAME' },
+    { pattern: 'abstract class $NAME { $$$ }', nameVar: 'NAME' },
+    { pattern: 'private class $NAME { $$$ }', nameVar: 'NAME' },
+    { pattern: 'internal class $NAME { $$$ }', nameVar: 'NAME' },
+    { pattern: 'interface $NAME { $$$ }', nameVar: 'NAME', kind: 'interface' },
+    { pattern: 'object $NAME { $$$ }', nameVar: 'NAME', kind: 'object' },
+    { pattern: 'enum class $NAME { $$$ }', nameVar: 'NAME', kind: 'enum' }
+  ],
+  types: [
+    { pattern: 'typealias $NAME = $TYPE', nameVar: 'NAME' }
+  ],
+  constants: [
+    { pattern: 'const val $NAME = $VALUE', nameVar: 'NAME' },
+    { pattern: 'const val $NAME: $TYPE = $VALUE', nameVar: 'NAME' },
+    { pattern: 'private const val $NAME = $VALUE', nameVar: 'NAME' }
+  ],
+  imports: [
+    { pattern: 'import $SOURCE', sourceVar: 'SOURCE', kind: 'import' }
+  ],
+  callGraph: {
+    definitions: [],
+    owners: [],
+    calls: [
+      { pattern: '$CALLEE($$$)', calleeVar: 'CALLEE' }
+    ]
+  }
+};
@@ -15,6 +15,8 @@ const verifyTools = require('./platform/verify-tools');
 const reviewPatterns = require('./patterns/review-patterns');
 const slopPatterns = require('./patterns/slop-patterns');
 const pipeline = require('./patterns/pipeline');
+const sarif = require('./patterns/sarif');
+const slopFixer = require('./patterns/slop-fixer');
 const cliEnhancers = require('./patterns/cli-enhancers');
 const workflowState = require('./state/workflow-state');
 const contextOptimizer = require('./utils/context-optimizer');
@@ -84,7 +86,9 @@ const patterns = {
     CERTAINTY: pipeline.CERTAINTY,
     THOROUGHNESS: pipeline.THOROUGHNESS,
     formatHandoffPrompt: pipeline.formatHandoffPrompt,
-    buildSummary: pipeline.buildSummary
+    buildSummary: pipeline.buildSummary,
+    toSarif: sarif.toSarif,
+    applyFixes: slopFixer.applyFixes
   },
 
   /**
@@ -124,6 +128,10 @@ const state = {
   updateState: workflowState.updateState,
   deleteState: workflowState.deleteState,
 
+  // Workflow definition ({stateDir}/workflow.json)
+  loadWorkflowDefinition: workflowState.loadWorkflowDefinition,
+  validateWorkflowDefinition: workflowState.validateWorkflowDefinition,
+
   // Phase management
   startPhase: workflowState.startPhase,
   completePhase: workflowState.completePhase,
@@ -0,0 +1,518 @@
+/**
+ * Repo map diff between git refs
+ *
+ * Builds (or loads) a repo map for a commit and compares the public export
+ * surface of two maps: added, removed and changed exports per file, with
+ * signature changes classified as breaking or not. The result carries a
+ * semver bump suggestion and CHANGELOG lines for /sync-docs and /ship.
+ *
+ * Maps built for a ref are cached under {stateDir}/repo-map-refs, keyed by
+ * commit and scanner, so repeated comparisons against the same base are cheap.
+ *
+ * @module lib/repo-map/map-diff
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const runner = require('./runner');
+const fallbackScanner = require('./fallback-scanner');
+const signatures = require('./signatures');
+const slopAnalyzers = require('../patterns/slop-analyzers');
+const { getStateDirPath } = require('../platform/state-dir');
+const { writeJsonAtomic } = require('../utils/atomic-write');
+
+const REF_MAPS_DIRNAME = 'repo-map-refs';
+const MAX_CACHED_REF_MAPS = 8;
+// Blobs requested per `git cat-file --batch` call
+const BLOB_BATCH_SIZE = 200;
+const GIT_MAX_BUFFER = 256 * 1024 * 1024;
+
+// Languages where callers can pass arguments by name, so a rename breaks them
+const NAMED_ARGUMENT_LANGUAGES = new Set(['python', 'kotlin', 'csharp', 'php']);
+
+// Receivers and Python's `*` / `/` markers are not part of the call signature
+const RECEIVER_PARAM = /^(?:self|cls|this)\b|^[*/]$/;
+
+const EXTENSION_LANGUAGES = new Map(
+  Object.entries(runner.LANGUAGE_EXTENSIONS).flatMap(([language, exts]) => exts.map(ext => [ext, language]))
+);
+
+/**
+ * Validate a git ref before passing it to git
+ * @param {string} ref - Branch, tag, commit or HEAD~N style ref
+ * @returns {boolean}
+ */
+function isValidRef(ref) {
+  return typeof ref === 'string' &&
+    !ref.startsWith('-') &&
+    /^[a-zA-Z0-9_./@-]+(?:[~^][0-9]*)*$/.test(ref);
+}
+
+function git(basePath, args, options = {}) {
+  return execFileSync('git', args, {
+    cwd: basePath,
+    stdio: ['pipe', 'pipe', 'pipe'],
+    maxBuffer: GIT_MAX_BUFFER,
+    ...options
+  });
+}
+
+/**
+ * Resolve a ref to a full commit hash
+ * @param {string} basePath - Repository root
+ * @param {string} ref - Git ref
+ * @returns {string|null}
+ */
+function resolveRef(basePath, ref) {
+  if (!isValidRef(ref)) return null;
+  try {
+    return git(basePath, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], { encoding: 'utf8' }).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List files at a commit that the given scanner can read
+ * @param {string} basePath - Repository root
+ * @param {string} commit - Full commit hash
+ * @param {string[]|null} languages - Languages to keep (null for all)
+ * @returns {Map<string, string>} Relative path -> language
+ */
+function listFilesAtCommit(basePath, commit, languages) {
+  const output = git(basePath, ['ls-tree', '-r', '-z', '--name-only', commit], { encoding: 'utf8' });
+  const files = new Map();
+
+  for (const file of output.split('\0')) {
+    // Paths with newlines cannot be requested through the batch protocol
+    if (!file || file.includes('\n')) continue;
+    const language = EXTENSION_LANGUAGES.get(path.extname(file).toLowerCase());
+    if (!language || (languages && !languages.includes(language))) continue;
+    if (file.split('/').some(part => runner.EXCLUDE_DIRS.includes(part))) continue;
+    files.set(file, language);
+  }
+
+  return files;
+}
+
+/**
+ * Read file contents at a commit with `git cat-file --batch`
+ * @param {string} basePath - Repository root
+ * @param {string} commit - Full commit hash
+ * @param {string[]} files - Relative paths
+ * @returns {Map<string, Buffer>}
+ */
+function readFilesAtCommit(basePath, commit, files) {
+  const contents = new Map();
+
+  for (let i = 0; i < files.length; i += BLOB_BATCH_SIZE) {
+    const batch = files.slice(i, i + BLOB_BATCH_SIZE);
+    const output = git(basePath, ['cat-file', '--batch'], {
+      input: batch.map(file => `${commit}:${file}`).join('\n') + '\n'
+    });
+
+    // Each object: "<sha> <type> <size>\n<content>\n", or "<name> missing\n"
+    let offset = 0;
+    for (const file of batch) {
+      const headerEnd = output.indexOf(0x0a, offset);
+      if (headerEnd === -1) break;
+      const header = output.toString('utf8', offset, headerEnd).split(' ');
+      offset = headerEnd + 1;
+      if (header.length !== 3) continue;
+
+      const size = Number(header[2]);
+      if (header[1] === 'blob') {
+        contents.set(file, output.subarray(offset, offset + size));
+      }
+      offset += size + 1;
+    }
+  }
+
+  return contents;
+}
+
+function getRefMapsDir(basePath) {
+  return path.join(getStateDirPath(basePath), REF_MAPS_DIRNAME);
+}
+
+function getRefMapPath(basePath, commit, scanner) {
+  return path.join(getRefMapsDir(basePath), `${commit}-${scanner}.json`);
+}
+
+function loadRefMap(basePath, commit, scanner) {
+  try {
+    return JSON.parse(fs.readFileSync(getRefMapPath(basePath, commit, scanner), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Cache a ref map, keeping only the most recently written ones
+ */
+function saveRefMap(basePath, map, scanner) {
+  const dir = getRefMapsDir(basePath);
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    writeJsonAtomic(getRefMapPath(basePath, map.git.commit, scanner), map);
+
+    const cached = fs.readdirSync(dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => ({ name, mtime: fs.statSync(path.join(dir, name)).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime);
+    for (const entry of cached.slice(MAX_CACHED_REF_MAPS)) {
+      fs.rmSync(path.join(dir, entry.name), { force: true });
+    }
+  } catch (err) {
+    console.error(`[WARN] Could not cache repo map for ${map.git.commit}: ${err.message}`);
+  }
+}
+
+/**
+ * Build the repo map of a commit without touching the working tree
+ * Files are read from git into a temporary directory and scanned there.
+ * @param {string} basePath - Repository root
+ * @param {string} ref - Git ref
+ * @param {Object} [options]
+ * @param {string} [options.scanner='ast-grep'] - 'ast-grep' | 'fallback'
+ * @param {boolean} [options.cache=true] - Reuse and store maps in {stateDir}/repo-map-refs
+ * @returns {Promise<{success: boolean, map?: Object, cached?: boolean, error?: string}>}
+ */
+async function buildMapAtRef(basePath, ref, options = {}) {
+  const scanner = options.scanner || 'ast-grep';
+  const useCache = options.cache !== false;
+  const commit = resolveRef(basePath, ref);
+  if (!commit) {
+    return { success: false, error: `Unknown git ref: ${ref}` };
+  }
+
+  if (useCache) {
+    const cached = loadRefMap(basePath, commit, scanner);
+    if (cached) {
+      cached.git = { ...cached.git, ref };
+      return { success: true, map: cached, cached: true };
+    }
+  }
+
+  const usesFallback = scanner === fallbackScanner.SCANNER_NAME;
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-map-ref-'));
+  try {
+    const files = listFilesAtCommit(basePath, commit, usesFallback ? fallbackScanner.FALLBACK_LANGUAGES : null);
+    const contents = readFilesAtCommit(basePath, commit, Array.from(files.keys()));
+
+    for (const [file, content] of contents) {
+      const target = path.join(tmpDir, file);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, content);
+    }
+
+    const languages = Array.from(new Set(files.values())).sort();
+    const map = usesFallback
+      ? await fallbackScanner.fullScan(tmpDir, languages)
+      : await runner.fullScan(tmpDir, languages);
+    map.git = { commit, ref };
+
+    if (useCache) saveRefMap(basePath, map, scanner);
+    return { success: true, map, cached: false };
+  } catch (err) {
+    return { success: false, error: `Failed to build repo map for ${ref}: ${err.message}` };
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Public export surface of a map, with signatures joined from declarations
+ * Test files and `export *` re-exports are skipped.
+ * @param {Object} map - Repo map
+ * @returns {Object<string, {language: string, exports: Object<string, Object>}>}
+ */
+function getExportSurface(map) {
+  const surface = {};
+
+  for (const [file, fileData] of Object.entries(map?.files || {})) {
+    const exportsList = fileData?.symbols?.exports || [];
+    if (exportsList.length === 0 || slopAnalyzers.isTestFile(file)) continue;
+
+    const declarations = new Map();
+    for (const category of ['functions', 'classes', 'types', 'constants']) {
+      for (const symbol of fileData.symbols[category] || []) {
+        if (!declarations.has(symbol.name)) declarations.set(symbol.name, { category, symbol });
+      }
+    }
+
+    const entries = {};
+    for (const exp of exportsList) {
+      if (exp.name === '*' || entries[exp.name]) continue;
+      const declaration = declarations.get(exp.name);
+      const entry = {
+        kind: declaration?.symbol.kind || exp.kind || 'export',
+        line: declaration?.symbol.line || exp.line || 0
+      };
+      if (declaration) entry.category = declaration.category;
+      if (Array.isArray(declaration?.symbol.params)) entry.params = declaration.symbol.params;
+      if (declaration?.symbol.returnType) entry.returnType = declaration.symbol.returnType;
+      entries[exp.name] = entry;
+    }
+
+    surface[file] = { language: fileData.language, exports: entries };
+  }
+
+  return surface;
+}
+
+/**
+ * Whether a parameter can be left out by callers
+ * @param {string} param - Parameter declaration
+ * @returns {boolean}
+ */
+function isOptionalParam(param) {
+  return /=(?!>)/.test(param) ||     // default value
+    /^[\w$]+\?/.test(param) ||         // TypeScript optional
+    /\.\.\.|^\*{1,2}\w/.test(param);   // rest / variadic / *args, **kwargs
+}
+
+/**
+ * Describe how an exported symbol's shape changed
+ * Breaking: a parameter removed, more required parameters, a different return
+ * type, a renamed parameter where callers can pass it by name, or a
+ * declaration of another category (function -> class). Parameter type
+ * changes are reported but not classified, since widening is compatible.
+ * @param {Object} before - Export surface entry before
+ * @param {Object} after - Export surface entry after
+ * @param {string} language - File language
+ * @returns {{breaking: boolean, reasons: string[]}}
+ */
+function compareExports(before, after, language) {
+  const reasons = [];
+  let breaking = false;
+  const flag = (reason, isBreaking) => {
+    reasons.push(reason);
+    if (isBreaking) breaking = true;
+  };
+
+  if (before.category && after.category && before.category !== after.category) {
+    flag(`kind changed: ${before.kind} -> ${after.kind}`, true);
+  }
+
+  if (Array.isArray(before.params) && Array.isArray(after.params)) {
+    const oldParams = before.params.filter(param => !RECEIVER_PARAM.test(param));
+    const newParams = after.params.filter(param => !RECEIVER_PARAM.test(param));
+    const name = (param) => signatures.getParamName(param, language) || param;
+
+    for (let i = 0; i < Math.min(oldParams.length, newParams.length); i++) {
+      if (oldParams[i] === newParams[i]) continue;
+      const oldName = name(oldParams[i]);
+      const newName = name(newParams[i]);
+      if (oldName !== newName) {
+        flag(`parameter renamed: ${oldName} -> ${newName}`, NAMED_ARGUMENT_LANGUAGES.has(language));
+      } else if (!isOptionalParam(oldParams[i]) || isOptionalParam(newParams[i])) {
+        flag(`parameter changed: ${oldParams[i]} -> ${newParams[i]}`, false);
+      }
+    }
+    for (const param of oldParams.slice(newParams.length)) {
+      flag(`parameter removed: ${name(param)}`, true);
+    }
+    for (const param of newParams.slice(oldParams.length)) {
+      flag(`parameter added: ${name(param)}`, false);
+    }
+
+    const oldRequired = oldParams.filter(param => !isOptionalParam(param)).length;
+    const newRequired = newParams.filter(param => !isOptionalParam(param)).length;
+    if (newRequired > oldRequired) {
+      flag(`required parameters: ${oldRequired} -> ${newRequired}`, true);
+    }
+  }
+
+  if (before.returnType !== after.returnType) {
+    if (before.returnType && after.returnType) {
+      flag(`return type changed: ${before.returnType} -> ${after.returnType}`, true);
+    } else if (after.returnType) {
+      flag(`return type annotated: ${after.returnType}`, false);
+    } else if (Array.isArray(after.params)) {
+      flag(`return type annotation removed: ${before.returnType}`, false);
+    }
+  }
+
+  return { breaking, reasons };
+}
+
+function describeExport(name, entry) {
+  const described = { name, kind: entry.kind, line: entry.line };
+  if (entry.params) described.params = entry.params;
+  if (entry.returnType) described.returnType = entry.returnType;
+  return described;
+}
+
+function signatureOf(entry) {
+  const signature = {};
+  if (entry.params) signature.params = entry.params;
+  if (entry.returnType) signature.returnType = entry.returnType;
+  return signature;
+}
+
+/**
+ * Compare the export surfaces of two maps
+ * @param {Object} before - Map at the base ref
+ * @param {Object} after - Map at the head ref
+ * @returns {{files: Array<Object>, summary: Object, semver: string|null, changelog: Object}}
+ */
+function diffMaps(before, after) {
+  const oldSurface = getExportSurface(before);
+  const newSurface = getExportSurface(after);
+  const fileNames = Array.from(new Set([...Object.keys(oldSurface), ...Object.keys(newSurface)])).sort();
+  const files = [];
+
+  for (const file of fileNames) {
+    const oldFile = oldSurface[file];
+    const newFile = newSurface[file];
+    const oldExports = oldFile?.exports || {};
+    const newExports = newFile?.exports || {};
+    const language = newFile?.language || oldFile?.language;
+
+    const added = Object.keys(newExports).filter(name => !oldExports[name]).sort()
+      .map(name => describeExport(name, newExports[name]));
+    const removed = Object.keys(oldExports).filter(name => !newExports[name]).sort()
+      .map(name => ({ ...describeExport(name, oldExports[name]), breaking: true }));
+    const changed = [];
+
+    for (const name of Object.keys(newExports).filter(n => oldExports[n]).sort()) {
+      const comparison = compareExports(oldExports[name], newExports[name], language);
+      if (comparison.reasons.length === 0) continue;
+      changed.push({
+        name,
+        kind: newExports[name].kind,
+        line: newExports[name].line,
+        before: signatureOf(oldExports[name]),
+        after: signatureOf(newExports[name]),
+        breaking: comparison.breaking,
+        reasons: comparison.reasons
+      });
+    }
+
+    if (added.length + removed.length + changed.length === 0) continue;
+    files.push({
+      file,
+      status: !oldFile ? 'added' : !newFile ? 'removed' : 'modified',
+      added,
+      removed,
+      changed
+    });
+  }
+
+  const summary = {
+    files: files.length,
+    added: files.reduce((sum, f) => sum + f.added.length, 0),
+    removed: files.reduce((sum, f) => sum + f.removed.length, 0),
+    changed: files.reduce((sum, f) => sum + f.changed.length, 0),
+    breaking: files.reduce((sum, f) => sum + f.removed.length + f.changed.filter(c => c.breaking).length, 0)
+  };
+
+  return {
+    files,
+    summary,
+    semver: suggestSemverBump(summary),
+    changelog: buildChangelogEntries(files)
+  };
+}
+
+/**
+ * Suggest a semver bump from a diff summary
+ * @param {{added: number, changed: number, breaking: number}} summary - diffMaps summary
+ * @returns {'major'|'minor'|'patch'|null} null when the export surface is unchanged
+ */
+function suggestSemverBump(summary) {
+  if (summary.breaking > 0) return 'major';
+  if (summary.added > 0) return 'minor';
+  if (summary.changed > 0) return 'patch';
+  return null;
+}
+
+function formatSignature(signature) {
+  if (!signature.params) return '';
+  return `(${signature.params.join(', ')})${signature.returnType ? `: ${signature.returnType}` : ''}`;
+}
+
+/**
+ * CHANGELOG lines grouped by Keep a Changelog section
+ * @param {Array<Object>} files - diffMaps files
+ * @returns {{added: string[], changed: string[], removed: string[]}}
+ */
+function buildChangelogEntries(files) {
+  const entries = { added: [], changed: [], removed: [] };
+
+  for (const { file, added, removed, changed } of files) {
+    for (const exp of added) {
+      entries.added.push(`- \`${exp.name}\` ${exp.kind} in \`${file}\``);
+    }
+    for (const exp of changed) {
+      const prefix = exp.breaking ? '**BREAKING** ' : '';
+      const shape = formatSignature(exp.before) && formatSignature(exp.after)
+        ? `: \`${formatSignature(exp.before)}\` -> \`${formatSignature(exp.after)}\``
+        : ` (${exp.reasons.join('; ')})`;
+      entries.changed.push(`- ${prefix}\`${exp.name}\` in \`${file}\`${shape}`);
+    }
+    for (const exp of removed) {
+      entries.removed.push(`- **BREAKING** \`${exp.name}\` removed from \`${file}\``);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Compare the export surface at two refs
+ * @param {string} basePath - Repository root
+ * @param {string} baseRef - Base git ref (e.g. main, v1.2.0, HEAD~1)
+ * @param {string|null} [headRef='HEAD'] - Head git ref; null compares against options.headMap
+ * @param {Object} [options]
+ * @param {string} [options.scanner='ast-grep'] - Scanner used for maps built at a ref
+ * @param {Object} [options.headMap] - Map to use as the head (e.g. the live working-tree map)
+ * @param {boolean} [options.cache=true] - Reuse cached ref maps
+ * @returns {Promise<{success: boolean, base?: Object, head?: Object, files?: Array, summary?: Object, semver?: string|null, changelog?: Object, error?: string}>}
+ */
+async function compareRefs(basePath, baseRef, headRef = 'HEAD', options = {}) {
+  const buildOptions = { scanner: options.scanner, cache: options.cache };
+
+  const base = await buildMapAtRef(basePath, baseRef, buildOptions);
+  if (!base.success) return base;
+
+  let headMap = options.headMap || null;
+  if (!headMap) {
+    if (headRef === null) {
+      return { success: false, error: 'No head map given for a working tree comparison' };
+    }
+    const head = await buildMapAtRef(basePath, headRef, buildOptions);
+    if (!head.success) return head;
+    headMap = head.map;
+  }
+
+  return {
+    success: true,
+    base: { ref: baseRef, commit: base.map.git.commit },
+    head: headRef === null
+      ? { ref: 'working tree', commit: headMap.git?.commit || null }
+      : { ref: headRef, commit: headMap.git?.commit || null },
+    ...diffMaps(base.map, headMap)
+  };
+}
+
+module.exports = {
+  REF_MAPS_DIRNAME,
+  MAX_CACHED_REF_MAPS,
+  isValidRef,
+  resolveRef,
+  buildMapAtRef,
+  getExportSurface,
+  isOptionalParam,
+  compareExports,
+  diffMaps,
+  suggestSemverBump,
+  buildChangelogEntries,
+  compareRefs
+};
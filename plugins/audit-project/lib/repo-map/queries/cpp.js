@@ -0,0 +1,89 @@
+/**
+ * C++ query patterns for ast-grep
+ * Extends C patterns; `.h` headers are parsed as C++
+ */
+
+'use strict';
+
+const c = require('./c');
+
+// Function snippets don't parse as C++ patterns (`$$$` params and bodies become
+// declarations and initializer lists), so functions are matched with kind rules.
+// Storage specifiers, `template <...>` and `inline`/`constexpr` need no variants.
+const PLAIN_NAME = { kind: 'identifier', pattern: '$NAME' };
+const MEMBER_NAME = { kind: 'field_identifier', pattern: '$NAME' };
+// Class::method and ns::Class::method
+const QUALIFIED_NAME = {
+  kind: 'qualified_identifier',
+  has: { field: 'name', stopBy: 'end', kind: 'identifier', pattern: '$NAME' }
+};
+
+/**
+ * Rule for a function definition or declaration with the given name node
+ * Pointer and reference return types wrap the function declarator
+ * @param {string} kind - Node kind (function_definition, declaration)
+ * @param {Object} name - Rule for the declarator name
+ * @returns {Object} ast-grep rule
+ */
+function functionRule(kind, name) {
+  const declarator = { kind: 'function_declarator', has: { field: 'declarator', ...name } };
+  return {
+    kind,
+    has: {
+      field: 'declarator',
+      any: [
+        declarator,
+        { kind: 'pointer_declarator', has: { field: 'declarator', ...declarator } },
+        { kind: 'reference_declarator', has: declarator }
+      ]
+    }
+  };
+}
+
+module.exports = {
+  exports: [],
+  functions: [
+    { rule: functionRule('function_definition', PLAIN_NAME), nameVar: 'NAME' },
+    // Out-of-line member definitions (Class::method)
+    { rule: functionRule('function_definition', QUALIFIED_NAME), nameVar: 'NAME', kind: 'method' },
+    // Prototypes in headers
+    { rule: functionRule('declaration', PLAIN_NAME), nameVar: 'NAME', kind: 'declaration' }
+  ],
+  classes: [
+    ...c.classes,
+    // Same shape as the C struct rule
+    {
+      rule: {
+        kind: 'class_specifier',
+        all: [
+          { has: { field: 'name', kind: 'type_identifier', pattern: '$NAME' } },
+          { has: { field: 'body', kind: 'field_declaration_list' } }
+        ]
+      },
+      nameVar: 'NAME'
+    }
+  ],
+  types: [
+    // The C enum rule also matches `enum class`
+    ...c.types,
+    { pattern: 'using $NAME = $TYPE;', nameVar: 'NAME' },
+    { pattern: 'namespace $NAME { $$$ }', nameVar: 'NAME', kind: 'namespace' }
+  ],
+  constants: [
+    ...c.constants,
+    { pattern: 'constexpr $TYPE $NAME = $VALUE;', nameVar: 'NAME' },
+    { pattern: 'static constexpr $TYPE $NAME = $VALUE;', nameVar: 'NAME' }
+  ],
+  imports: [
+    ...c.imports,
+    { pattern: 'import $SOURCE;', sourceVar: 'SOURCE', kind: 'import' }
+  ],
+  callGraph: {
+    definitions: [
+      // Methods defined in the class body
+      { rule: functionRule('function_definition', MEMBER_NAME), nameVar: 'NAME' }
+    ],
+    owners: [],
+    calls: c.callGraph.calls
+  }
+};
@@ -34,5 +34,16 @@ module.exports = {
   imports: [
     { pattern: 'import $SOURCE;', sourceVar: 'SOURCE', kind: 'import' },
     { pattern: 'import static $SOURCE;', sourceVar: 'SOURCE', kind: 'import' }
-  ]
+  ],
+  callGraph: {
+    definitions: [
+      { pattern: '$RET $NAME($$$) { $$$ }', nameVar: 'NAME' },
+      { pattern: 'static $RET $NAME($$$) { $$$ }', nameVar: 'NAME' }
+    ],
+    owners: [],
+    calls: [
+      { pattern: '$CALLEE($$$)', calleeVar: 'CALLEE' },
+      { pattern: '$RECV.$CALLEE($$$)', calleeVar: 'CALLEE', receiverVar: 'RECV' }
+    ]
+  }
 };
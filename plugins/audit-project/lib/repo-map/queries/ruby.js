@@ -0,0 +1,36 @@
+/**
+ * Ruby query patterns for ast-grep
+ */
+
+'use strict';
+
+module.exports = {
+  // Methods outside `private`/`protected` sections are exported (see applyLanguageExportRules)
+  exports: [],
+  functions: [
+    { pattern: 'def $NAME($$$) $$$ end', nameVar: 'NAME' },
+    { pattern: 'def $NAME $$$ end', nameVar: 'NAME' },
+    { pattern: 'def self.$NAME($$$) $$$ end', nameVar: 'NAME', kind: 'singleton' },
+    { pattern: 'def self.$NAME $$$ end', nameVar: 'NAME', kind: 'singleton' }
+  ],
+  classes: [
+    { pattern: 'class $NAME $$$ end', nameVar: 'NAME' },
+    { pattern: 'class $NAME < $BASE $$$ end', nameVar: 'NAME' },
+    { pattern: 'module $NAME $$$ end', nameVar: 'NAME', kind: 'module' }
+  ],
+  types: [],
+  constants: [],
+  imports: [
+    { pattern: 'require $SOURCE', sourceVar: 'SOURCE', kind: 'require' },
+    { pattern: 'require($SOURCE)', sourceVar: 'SOURCE', kind: 'require' },
+    { pattern: 'require_relative $SOURCE', sourceVar: 'SOURCE', kind: 'require_relative' },
+    { pattern: 'require_relative($SOURCE)', sourceVar: 'SOURCE', kind: 'require_relative' }
+  ],
+  callGraph: {
+    definitions: [],
+    owners: [],
+    calls: [
+      { pattern: '$CALLEE($$$)', calleeVar: 'CALLEE' }
+    ]
+  }
+};
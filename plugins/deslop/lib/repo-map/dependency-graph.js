@@ -0,0 +1,481 @@
+/**
+ * Repo Map Dependency Graph
+ *
+ * File-level module graph built from repo-map imports (resolved with the
+ * import resolver), with:
+ * - findStronglyConnectedComponents / findCycles: import cycles for any language
+ * - checkLayers: imports that break a declared layer order
+ * - toDot / toMermaid / toJSON: exports for visualization and tooling
+ *
+ * Layers are declared top to bottom in `.repomaprc.json`:
+ *   { "layers": [
+ *       { "name": "ui", "paths": ["src/ui/**"] },
+ *       { "name": "domain", "paths": ["src/domain/**"], "allow": ["ui-types"] }
+ *   ] }
+ * A file may import its own layer and layers below it; `allow` lists extra
+ * layers it may import. Files outside every layer are not checked.
+ *
+ * @module lib/repo-map/dependency-graph
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const slopPatterns = require('../patterns/slop-patterns');
+const { createImportResolver } = require('./import-resolver');
+const { getUsageView } = require('./shard-store');
+
+// Config file names, checked in order
+const CONFIG_FILES = ['.repomaprc.json', '.repomaprc'];
+
+// Maximum config file size (1MB) to prevent DoS via large files
+const MAX_CONFIG_SIZE = 1024 * 1024;
+
+const GRAPH_FORMATS = ['dot', 'mermaid', 'json'];
+
+/**
+ * Build the file-level dependency graph
+ * @param {Object} repoMap - The repo map
+ * @param {Object} [options]
+ * @param {string} [options.basePath] - Repository root (for tsconfig/workspace resolution)
+ * @param {Object} [options.resolver] - Pre-built import resolver
+ * @returns {{nodes: string[], edges: Array<{from: string, to: string, kinds: string[]}>, external: number}}
+ *   external counts imports that did not resolve to a mapped file (packages, stdlib)
+ */
+function buildDependencyGraph(repoMap, options = {}) {
+  const view = repoMap ? getUsageView(repoMap) : null;
+  const files = view?.files || {};
+  const nodes = Object.keys(files).sort();
+  const resolver = options.resolver || createImportResolver(view, { basePath: options.basePath });
+  const edgesByKey = new Map();
+  let external = 0;
+
+  for (const from of nodes) {
+    for (const imp of files[from].imports || []) {
+      if (!imp.source) continue;
+      const targets = resolver.resolve(from, imp.source).filter(target => files[target]);
+      if (targets.length === 0) {
+        external++;
+        continue;
+      }
+      for (const to of targets) {
+        const key = `${from}\0${to}`;
+        if (!edgesByKey.has(key)) edgesByKey.set(key, { from, to, kinds: [] });
+        const edge = edgesByKey.get(key);
+        const kind = imp.kind || 'import';
+        if (!edge.kinds.includes(kind)) edge.kinds.push(kind);
+      }
+    }
+  }
+
+  const edges = Array.from(edgesByKey.values()).sort((a, b) => {
+    return a.from.localeCompare(b.from) || a.to.localeCompare(b.to);
+  });
+  for (const edge of edges) edge.kinds.sort();
+
+  return { nodes, edges, external };
+}
+
+function getAdjacency(graph) {
+  const adjacency = new Map();
+  for (const node of graph.nodes) adjacency.set(node, []);
+  for (const { from, to } of graph.edges) {
+    if (!adjacency.has(from)) adjacency.set(from, []);
+    adjacency.get(from).push(to);
+  }
+  return adjacency;
+}
+
+/**
+ * Find strongly connected components (Tarjan, iterative)
+ * @param {Object} graph - Result of buildDependencyGraph
+ * @returns {string[][]} Components with more than one file, or a file importing itself;
+ *   each sorted, ordered by first file
+ */
+function findStronglyConnectedComponents(graph) {
+  if (!graph || !Array.isArray(graph.nodes)) return [];
+
+  const adjacency = getAdjacency(graph);
+  const indices = new Map();
+  const lowlinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let nextIndex = 0;
+
+  const visit = (node) => {
+    indices.set(node, nextIndex);
+    lowlinks.set(node, nextIndex);
+    nextIndex++;
+    stack.push(node);
+    onStack.add(node);
+  };
+
+  for (const root of adjacency.keys()) {
+    if (indices.has(root)) continue;
+    visit(root);
+    const work = [{ node: root, next: 0 }];
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const neighbors = adjacency.get(frame.node) || [];
+
+      if (frame.next < neighbors.length) {
+        const neighbor = neighbors[frame.next++];
+        if (!indices.has(neighbor)) {
+          visit(neighbor);
+          work.push({ node: neighbor, next: 0 });
+        } else if (onStack.has(neighbor)) {
+          lowlinks.set(frame.node, Math.min(lowlinks.get(frame.node), indices.get(neighbor)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node;
+        lowlinks.set(parent, Math.min(lowlinks.get(parent), lowlinks.get(frame.node)));
+      }
+
+      if (lowlinks.get(frame.node) === indices.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+
+        const selfLoop = component.length === 1 && neighbors.includes(frame.node);
+        if (component.length > 1 || selfLoop) components.push(component.sort());
+      }
+    }
+  }
+
+  return components.sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+/**
+ * Shortest cycle through `start`, staying inside its component
+ */
+function shortestCycle(adjacency, start, members) {
+  const previous = new Map();
+  const queue = [start];
+
+  for (let i = 0; i < queue.length; i++) {
+    const node = queue[i];
+    for (const neighbor of adjacency.get(node) || []) {
+      if (!members.has(neighbor)) continue;
+      if (neighbor === start) {
+        const cycle = [start];
+        for (let step = node; step !== start; step = previous.get(step)) cycle.splice(1, 0, step);
+        return [...cycle, start];
+      }
+      if (!previous.has(neighbor)) {
+        previous.set(neighbor, node);
+        queue.push(neighbor);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find one representative cycle per strongly connected component
+ * @param {Object} graph - Result of buildDependencyGraph
+ * @param {string[][]} [components] - Precomputed components
+ * @returns {string[][]} Cycles as file paths, first file repeated at the end (a -> b -> a)
+ */
+function findCycles(graph, components = null) {
+  const adjacency = getAdjacency(graph || { nodes: [], edges: [] });
+  const cycles = [];
+  for (const component of components || findStronglyConnectedComponents(graph)) {
+    const cycle = shortestCycle(adjacency, component[0], new Set(component));
+    if (cycle) cycles.push(cycle);
+  }
+  return cycles;
+}
+
+/**
+ * Load the layer declaration from the project config
+ * @param {string} basePath - Repository root
+ * @returns {{layers: Array<Object>, path: string|null}}
+ */
+function loadLayerConfig(basePath) {
+  for (const name of CONFIG_FILES) {
+    const configPath = path.join(basePath, name);
+    if (!fs.existsSync(configPath)) continue;
+    try {
+      const stats = fs.statSync(configPath);
+      if (stats.size > MAX_CONFIG_SIZE) {
+        console.error(`[WARN] Config file too large (${stats.size} bytes), ignoring layers`);
+        continue;
+      }
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      return { layers: normalizeLayers(config.layers), path: configPath };
+    } catch (err) {
+      console.error(`[WARN] Invalid ${name}, ignoring: ${err.message}`);
+    }
+  }
+
+  return { layers: [], path: null };
+}
+
+/**
+ * Validate layer declarations, dropping malformed entries
+ * @param {Array<Object>} layers - Raw layers ({name, paths, allow?})
+ * @returns {Array<{name: string, paths: string[], allow: string[]}>}
+ */
+function normalizeLayers(layers) {
+  if (!Array.isArray(layers)) return [];
+
+  const normalized = [];
+  for (const layer of layers) {
+    const paths = Array.isArray(layer?.paths) ? layer.paths.filter(p => typeof p === 'string' && p) : [];
+    if (typeof layer?.name !== 'string' || !layer.name || paths.length === 0) {
+      console.error(`[WARN] Skipping invalid layer: ${JSON.stringify(layer)}`);
+      continue;
+    }
+    normalized.push({
+      name: layer.name,
+      // A plain directory covers everything below it
+      paths: paths.flatMap(p => p.includes('*') ? [p] : [p.replace(/\/+$/, ''), `${p.replace(/\/+$/, '')}/**`]),
+      allow: Array.isArray(layer.allow) ? layer.allow.filter(name => typeof name === 'string') : []
+    });
+  }
+  return normalized;
+}
+
+/**
+ * Index of the first layer containing a file
+ * @returns {number} -1 when the file is in no layer
+ */
+function getLayerIndex(file, layers) {
+  return layers.findIndex(layer => slopPatterns.isFileExcluded(file, layer.paths));
+}
+
+/**
+ * Find imports that go up the declared layer order
+ * @param {Object} graph - Result of buildDependencyGraph
+ * @param {Array<Object>} layers - Normalized layers, top to bottom
+ * @returns {Array<{from: string, to: string, fromLayer: string, toLayer: string}>}
+ */
+function checkLayers(graph, layers) {
+  if (!graph || !Array.isArray(layers) || layers.length === 0) return [];
+
+  const layerOf = new Map(graph.nodes.map(node => [node, getLayerIndex(node, layers)]));
+  const violations = [];
+
+  for (const { from, to } of graph.edges) {
+    const fromIndex = layerOf.get(from);
+    const toIndex = layerOf.get(to);
+    if (fromIndex === undefined || toIndex === undefined || fromIndex < 0 || toIndex < 0) continue;
+    if (toIndex >= fromIndex) continue;
+    if (layers[fromIndex].allow.includes(layers[toIndex].name)) continue;
+
+    violations.push({ from, to, fromLayer: layers[fromIndex].name, toLayer: layers[toIndex].name });
+  }
+
+  return violations;
+}
+
+/**
+ * Build the graph and run cycle and layer checks
+ * @param {Object} repoMap - The repo map
+ * @param {Object} [options]
+ * @param {string} [options.basePath] - Repository root (resolution and layer config)
+ * @param {Array<Object>} [options.layers] - Layers to use instead of the project config
+ * @returns {{graph: Object, components: string[][], cycles: string[][], layers: Array<Object>, violations: Array<Object>}}
+ */
+function analyzeDependencies(repoMap, options = {}) {
+  const graph = buildDependencyGraph(repoMap, options);
+  const components = findStronglyConnectedComponents(graph);
+  const layers = options.layers
+    ? normalizeLayers(options.layers)
+    : (options.basePath ? loadLayerConfig(options.basePath).layers : []);
+
+  return {
+    graph,
+    components,
+    cycles: findCycles(graph, components),
+    layers,
+    violations: checkLayers(graph, layers)
+  };
+}
+
+function edgeKey(from, to) {
+  return `${from}\0${to}`;
+}
+
+// Edges on a cycle: consecutive pairs of each cycle path
+function getCycleEdges(cycles) {
+  const keys = new Set();
+  for (const cycle of cycles || []) {
+    for (let i = 0; i < cycle.length - 1; i++) keys.add(edgeKey(cycle[i], cycle[i + 1]));
+  }
+  return keys;
+}
+
+function getViolationEdges(violations) {
+  return new Set((violations || []).map(v => edgeKey(v.from, v.to)));
+}
+
+// Files grouped by layer name (files in no layer are omitted)
+function groupByLayer(nodes, layers) {
+  const groups = new Map((layers || []).map(layer => [layer.name, []]));
+  for (const node of nodes) {
+    const index = getLayerIndex(node, layers || []);
+    if (index >= 0) groups.get(layers[index].name).push(node);
+  }
+  return groups;
+}
+
+/**
+ * Render the analysis as Graphviz DOT
+ * Cycle edges are red, layer violations dashed orange.
+ * @param {Object} analysis - Result of analyzeDependencies
+ * @param {Object} [options]
+ * @param {string} [options.name='dependencies'] - Graph name
+ * @returns {string}
+ */
+function toDot(analysis, options = {}) {
+  const { graph, cycles, layers, violations } = analysis;
+  const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const cycleEdges = getCycleEdges(cycles);
+  const violationEdges = getViolationEdges(violations);
+  const lines = [`digraph ${quote(options.name || 'dependencies')} {`, '  rankdir=LR;', '  node [shape=box];'];
+
+  const layered = new Set();
+  let clusterIndex = 0;
+  for (const [name, files] of groupByLayer(graph.nodes, layers)) {
+    if (files.length === 0) continue;
+    lines.push(`  subgraph ${quote(`cluster_${clusterIndex++}`)} {`, `    label=${quote(name)};`);
+    for (const file of files) {
+      lines.push(`    ${quote(file)};`);
+      layered.add(file);
+    }
+    lines.push('  }');
+  }
+  for (const node of graph.nodes) {
+    if (!layered.has(node)) lines.push(`  ${quote(node)};`);
+  }
+
+  for (const { from, to } of graph.edges) {
+    const attributes = [];
+    if (cycleEdges.has(edgeKey(from, to))) attributes.push('color=red');
+    if (violationEdges.has(edgeKey(from, to))) {
+      if (attributes.length === 0) attributes.push('color=orange');
+      attributes.push('style=dashed');
+    }
+    const suffix = attributes.length > 0 ? ` [${attributes.join(', ')}]` : '';
+    lines.push(`  ${quote(from)} -> ${quote(to)}${suffix};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Render the analysis as a Mermaid flowchart
+ * Cycle edges are red, layer violations dashed orange.
+ * @param {Object} analysis - Result of analyzeDependencies
+ * @returns {string}
+ */
+function toMermaid(analysis) {
+  const { graph, cycles, layers, violations } = analysis;
+  const ids = new Map(graph.nodes.map((node, i) => [node, `n${i}`]));
+  const label = (value) => `"${String(value).replace(/"/g, '#quot;')}"`;
+  const cycleEdges = getCycleEdges(cycles);
+  const violationEdges = getViolationEdges(violations);
+  const lines = ['graph LR'];
+
+  const layered = new Set();
+  let layerIndex = 0;
+  for (const [name, files] of groupByLayer(graph.nodes, layers)) {
+    if (files.length === 0) continue;
+    lines.push(`  subgraph layer${layerIndex++}[${label(name)}]`);
+    for (const file of files) {
+      lines.push(`    ${ids.get(file)}[${label(file)}]`);
+      layered.add(file);
+    }
+    lines.push('  end');
+  }
+  for (const node of graph.nodes) {
+    if (!layered.has(node)) lines.push(`  ${ids.get(node)}[${label(node)}]`);
+  }
+
+  const styles = [];
+  graph.edges.forEach(({ from, to }, i) => {
+    const violation = violationEdges.has(edgeKey(from, to));
+    lines.push(`  ${ids.get(from)} ${violation ? '-.->' : '-->'} ${ids.get(to)}`);
+    if (cycleEdges.has(edgeKey(from, to))) styles.push(`  linkStyle ${i} stroke:red`);
+    else if (violation) styles.push(`  linkStyle ${i} stroke:orange`);
+  });
+
+  return [...lines, ...styles].join('\n');
+}
+
+/**
+ * Plain JSON view of the analysis
+ * @param {Object} analysis - Result of analyzeDependencies
+ * @returns {Object} { nodes: [{id, layer}], edges, cycles, components, violations, stats }
+ */
+function toJSON(analysis) {
+  const { graph, components, cycles, layers, violations } = analysis;
+  const layerOf = new Map();
+  for (const [name, files] of groupByLayer(graph.nodes, layers)) {
+    for (const file of files) layerOf.set(file, name);
+  }
+
+  return {
+    nodes: graph.nodes.map(id => ({ id, layer: layerOf.get(id) || null })),
+    edges: graph.edges,
+    cycles,
+    components,
+    violations,
+    stats: {
+      files: graph.nodes.length,
+      edges: graph.edges.length,
+      external: graph.external,
+      cycles: cycles.length,
+      violations: violations.length
+    }
+  };
+}
+
+/**
+ * Render the analysis in one of GRAPH_FORMATS
+ * @param {Object} analysis - Result of analyzeDependencies
+ * @param {string} format - dot | mermaid | json
+ * @returns {string|null} - Null for unknown formats
+ */
+function formatGraph(analysis, format) {
+  switch (format) {
+    case 'dot':
+      return toDot(analysis);
+    case 'mermaid':
+      return toMermaid(analysis);
+    case 'json':
+      return JSON.stringify(toJSON(analysis), null, 2);
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  GRAPH_FORMATS,
+  buildDependencyGraph,
+  findStronglyConnectedComponents,
+  findCycles,
+  loadLayerConfig,
+  normalizeLayers,
+  checkLayers,
+  analyzeDependencies,
+  toDot,
+  toMermaid,
+  toJSON,
+  formatGraph
+};
@@ -23,5 +23,16 @@ module.exports = {
   imports: [
     { pattern: 'import $SOURCE', sourceVar: 'SOURCE', kind: 'import' },
     { pattern: 'import $NAME $SOURCE', sourceVar: 'SOURCE', kind: 'import' }
-  ]
+  ],
+  // Methods are qualified by their receiver type
+  callGraph: {
+    definitions: [
+      { pattern: 'func $NAME($$$) $RET { $$$ }', nameVar: 'NAME' },
+      { pattern: 'func ($$$) $NAME($$$) $RET { $$$ }', nameVar: 'NAME' }
+    ],
+    owners: [],
+    calls: [
+      { pattern: '$CALLEE($$$)', calleeVar: 'CALLEE' }
+    ]
+  }
 };
@@ -0,0 +1,411 @@
+/**
+ * Repo map watch mode
+ *
+ * Keeps the cached map in sync with the working tree: file system events are
+ * debounced, only the touched files are rescanned and the map is saved
+ * atomically (which also clears the stale marker).
+ *
+ * @module lib/repo-map/watcher
+ */
+
+'use strict';
+
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+
+const runner = require('./runner');
+const cache = require('./cache');
+const installer = require('./installer');
+const updater = require('./updater');
+const fallbackScanner = require('./fallback-scanner');
+const slopAnalyzers = require('../patterns/slop-analyzers');
+const { getStateDirPath } = require('../platform/state-dir');
+const { runWithConcurrency } = require('./concurrency');
+
+const DEFAULT_DEBOUNCE_MS = 300;
+const SCAN_CONCURRENCY = 8;
+
+// Platforms with native recursive watching. Elsewhere (Linux) a recursive
+// watch would also descend into node_modules and other excluded directories,
+// so each watched directory gets its own watcher instead.
+const NATIVE_RECURSIVE_PLATFORMS = new Set(['darwin', 'win32']);
+
+const EXTENSION_LANGUAGES = new Map();
+for (const [language, extensions] of Object.entries(runner.LANGUAGE_EXTENSIONS)) {
+  for (const ext of extensions) {
+    if (!EXTENSION_LANGUAGES.has(ext)) EXTENSION_LANGUAGES.set(ext, language);
+  }
+}
+
+/**
+ * Get the map language of a file from its extension
+ * @param {string} filePath - File path
+ * @returns {string|null}
+ */
+function getFileLanguage(filePath) {
+  return EXTENSION_LANGUAGES.get(path.extname(filePath).toLowerCase()) || null;
+}
+
+/**
+ * Create a path filter matching the full scan's exclusions
+ * (EXCLUDE_DIRS, hidden directories, .gitignore and the state directory)
+ * @param {string} basePath - Repository root
+ * @returns {Function} (relativePath, isDirectory) => boolean
+ */
+function createPathFilter(basePath) {
+  const isIgnored = slopAnalyzers.parseGitignore(basePath, fs, path);
+  const stateDir = path.relative(basePath, getStateDirPath(basePath)).replace(/\\/g, '/');
+
+  return (relativePath, isDirectory = false) => {
+    const normalized = relativePath.replace(/\\/g, '/');
+    if (!normalized || normalized.startsWith('../')) return false;
+    if (stateDir && (normalized === stateDir || normalized.startsWith(`${stateDir}/`))) return false;
+    if (slopAnalyzers.shouldExclude(normalized, runner.EXCLUDE_DIRS)) return false;
+
+    const dirs = normalized.split('/');
+    if (!isDirectory) dirs.pop();
+    if (dirs.some(part => part.startsWith('.'))) return false;
+
+    return !(isIgnored && isIgnored(normalized, isDirectory));
+  };
+}
+
+/**
+ * List watched files and directories below a directory
+ * @param {string} basePath - Repository root
+ * @param {string} dir - Absolute directory to walk
+ * @param {Function} isWatched - Filter from createPathFilter
+ * @returns {{files: string[], dirs: string[]}} Paths relative to basePath
+ */
+function walkDirectory(basePath, dir, isWatched) {
+  const files = [];
+  const dirs = [];
+
+  const walk = (current) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const fullPath = path.join(current, entry.name);
+      const relativePath = path.relative(basePath, fullPath).replace(/\\/g, '/');
+      if (entry.isDirectory()) {
+        if (!isWatched(relativePath, true)) continue;
+        dirs.push(relativePath);
+        walk(fullPath);
+      } else if (entry.isFile() && isWatched(relativePath, false)) {
+        files.push(relativePath);
+      }
+    }
+  };
+
+  walk(dir);
+  return { files, dirs };
+}
+
+/**
+ * Remove a file (or every file below a directory) from the map
+ * @param {Object} map - Repo map
+ * @param {string} relativePath - Deleted path
+ * @returns {string[]} Removed files
+ */
+function removeFromMap(map, relativePath) {
+  const prefix = `${relativePath}/`;
+  const removed = Object.keys(map.files).filter(file => file === relativePath || file.startsWith(prefix));
+  for (const file of removed) {
+    delete map.files[file];
+    if (map.dependencies) delete map.dependencies[file];
+  }
+  return removed;
+}
+
+/**
+ * Pick the file scanner for a map, checking ast-grep for non-fallback maps
+ * @param {Object} map - Repo map
+ * @returns {{scanFile?: Function, error?: string}}
+ */
+function resolveScanner(map) {
+  if (map.scanner === fallbackScanner.SCANNER_NAME) {
+    return { scanFile: updater.getFileScanner(map, null) };
+  }
+
+  const installed = installer.checkInstalledSync();
+  if (!installed.found) {
+    return { error: 'ast-grep not found' };
+  }
+  if (!installer.meetsMinimumVersion(installed.version)) {
+    return {
+      error: `ast-grep version ${installed.version || 'unknown'} is too old. Minimum required: ${installer.getMinimumVersion()}`
+    };
+  }
+  return { scanFile: updater.getFileScanner(map, installed.command) };
+}
+
+/**
+ * Create a watcher that keeps the cached repo map live
+ * @param {string} basePath - Repository root
+ * @param {Object} [options]
+ * @param {number} [options.debounceMs=300] - Quiet period before changed files are rescanned
+ * @param {Function} [options.onUpdate] - Called with {changes, files} after each save
+ * @param {Function} [options.onError] - Called with {file?, error} for scan, watch and save errors
+ * @returns {{start: Function, stop: Function, enqueue: Function, flush: Function, isRunning: Function}}
+ */
+function createWatcher(basePath, options = {}) {
+  const debounceMs = Number.isFinite(options.debounceMs) ? Math.max(0, options.debounceMs) : DEFAULT_DEBOUNCE_MS;
+  const onUpdate = typeof options.onUpdate === 'function' ? options.onUpdate : () => {};
+  const onError = typeof options.onError === 'function' ? options.onError : () => {};
+
+  const watchers = new Map();
+  const pending = new Set();
+  let recursive = false;
+  let running = false;
+  let timer = null;
+  let flushing = Promise.resolve();
+  let map = null;
+  let scanFile = null;
+  let isWatched = null;
+
+  const reportError = (error) => {
+    try {
+      onError(error);
+    } catch {
+      // Listener errors must not stop the watcher
+    }
+  };
+
+  const schedule = () => {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, debounceMs);
+  };
+
+  const handleEvent = (dirRelative, filename) => {
+    if (!running || !filename) return;
+    const relativePath = path.posix.join(dirRelative, filename.toString().replace(/\\/g, '/'));
+    if (relativePath === '.gitignore') {
+      isWatched = createPathFilter(basePath);
+      return;
+    }
+    enqueue(relativePath);
+  };
+
+  const watchDirectory = (relativePath) => {
+    if (!running || watchers.has(relativePath)) return;
+    try {
+      const watcher = fs.watch(path.join(basePath, relativePath), (eventType, filename) => {
+        handleEvent(relativePath, filename);
+      });
+      watcher.on('error', () => {
+        // Directory removed while watched
+        watcher.close();
+        watchers.delete(relativePath);
+      });
+      watchers.set(relativePath, watcher);
+    } catch (error) {
+      reportError({ file: relativePath || '.', error: `Failed to watch directory: ${error.message}` });
+    }
+  };
+
+  const unwatchDirectory = (relativePath) => {
+    const prefix = `${relativePath}/`;
+    for (const [dir, watcher] of watchers) {
+      if (dir && (dir === relativePath || dir.startsWith(prefix))) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+  };
+
+  /**
+   * Queue a path (file or directory, relative to basePath) for rescanning
+   * @param {string} relativePath - Changed path
+   */
+  function enqueue(relativePath) {
+    const normalized = path.posix.normalize(relativePath.replace(/\\/g, '/'));
+    if (!isWatched || (!isWatched(normalized, false) && !isWatched(normalized, true))) return;
+    pending.add(normalized);
+    schedule();
+  }
+
+  async function processPending() {
+    if (!map || pending.size === 0) return;
+    const paths = Array.from(pending);
+    pending.clear();
+
+    const languages = new Set(map.project?.languages || []);
+    const changes = { added: [], modified: [], deleted: [] };
+    const targets = new Set();
+
+    for (const relativePath of paths) {
+      let stats = null;
+      try {
+        stats = await fsPromises.stat(path.join(basePath, relativePath));
+      } catch {
+        if (!recursive) unwatchDirectory(relativePath);
+        changes.deleted.push(...removeFromMap(map, relativePath));
+        continue;
+      }
+
+      if (stats.isDirectory()) {
+        if (!isWatched(relativePath, true)) continue;
+        const listing = walkDirectory(basePath, path.join(basePath, relativePath), isWatched);
+        if (!recursive) {
+          watchDirectory(relativePath);
+          listing.dirs.forEach(watchDirectory);
+        }
+        listing.files.forEach(file => targets.add(file));
+      } else if (isWatched(relativePath, false)) {
+        targets.add(relativePath);
+      }
+    }
+
+    const scanTargets = Array.from(targets).filter(file => languages.has(getFileLanguage(file)));
+    const results = await runWithConcurrency(scanTargets, SCAN_CONCURRENCY, async (file) => {
+      const errors = [];
+      const fileData = await scanFile(path.join(basePath, file), basePath, {
+        onError: (error) => errors.push(error)
+      });
+      return { file, fileData, errors };
+    });
+
+    map.stats = map.stats || {};
+    if (!Array.isArray(map.stats.errors)) map.stats.errors = [];
+    map.dependencies = map.dependencies || {};
+
+    for (const result of results) {
+      if (!result) continue;
+      if (result.errors.length > 0) {
+        map.stats.errors.push(...result.errors);
+        result.errors.forEach(reportError);
+      }
+      if (!result.fileData) {
+        // Removed between the event and the scan
+        if (!fs.existsSync(path.join(basePath, result.file))) {
+          changes.deleted.push(...removeFromMap(map, result.file));
+        }
+        continue;
+      }
+
+      const previous = map.files[result.file];
+      if (previous && previous.hash === result.fileData.hash) continue;
+
+      map.files[result.file] = result.fileData;
+      if (result.fileData.imports && result.fileData.imports.length > 0) {
+        map.dependencies[result.file] = Array.from(new Set(result.fileData.imports.map(imp => imp.source)));
+      } else {
+        delete map.dependencies[result.file];
+      }
+      (previous ? changes.modified : changes.added).push(result.file);
+    }
+
+    const total = changes.added.length + changes.modified.length + changes.deleted.length;
+    if (total === 0) return;
+
+    updater.recalculateStats(map);
+    map.git = runner.getGitInfo(basePath) || map.git;
+
+    try {
+      cache.save(basePath, map);
+    } catch (error) {
+      reportError({ error: `Failed to save repo map: ${error.message}` });
+      return;
+    }
+
+    try {
+      onUpdate({
+        changes: {
+          total,
+          updated: changes.modified.length,
+          added: changes.added.length,
+          deleted: changes.deleted.length
+        },
+        files: [...changes.added, ...changes.modified, ...changes.deleted]
+      });
+    } catch {
+      // Listener errors must not stop the watcher
+    }
+  }
+
+  /**
+   * Rescan queued paths now instead of waiting for the debounce
+   * @returns {Promise<void>} Resolves once the map is saved
+   */
+  function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    flushing = flushing.then(processPending).catch((error) => {
+      reportError({ error: `Watch update failed: ${error.message}` });
+    });
+    return flushing;
+  }
+
+  /**
+   * Load the cached map and start watching
+   * @returns {{success: boolean, recursive?: boolean, error?: string, installSuggestion?: string}}
+   */
+  function start() {
+    if (running) return { success: true, recursive };
+
+    map = cache.load(basePath);
+    if (!map || !map.files) {
+      return { success: false, error: 'No repo map found. Run /repo-map init first.' };
+    }
+
+    const scanner = resolveScanner(map);
+    if (scanner.error) {
+      return { success: false, error: scanner.error, installSuggestion: installer.getInstallInstructions() };
+    }
+    scanFile = scanner.scanFile;
+    isWatched = createPathFilter(basePath);
+    running = true;
+
+    recursive = NATIVE_RECURSIVE_PLATFORMS.has(process.platform);
+    if (recursive) {
+      const watcher = fs.watch(basePath, { recursive: true }, (eventType, filename) => {
+        handleEvent('', filename);
+      });
+      watcher.on('error', (error) => reportError({ error: `Watch error: ${error.message}` }));
+      watchers.set('', watcher);
+    } else {
+      watchDirectory('');
+      walkDirectory(basePath, basePath, isWatched).dirs.forEach(watchDirectory);
+    }
+
+    return { success: true, recursive };
+  }
+
+  /**
+   * Stop watching; queued changes are written first
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    if (!running) return;
+    running = false;
+    await flush();
+    for (const watcher of watchers.values()) watcher.close();
+    watchers.clear();
+  }
+
+  return {
+    start,
+    stop,
+    enqueue,
+    flush,
+    isRunning: () => running
+  };
+}
+
+module.exports = {
+  DEFAULT_DEBOUNCE_MS,
+  createWatcher,
+  createPathFilter,
+  getFileLanguage,
+  removeFromMap
+};
@@ -1,6 +1,6 @@
 /**
  * JSON Schema Validator
- * Validates plugin manifests against JSON Schema
+ * Validates plugin manifests and workflow state files against JSON Schema
  *
  * @module lib/schemas/validator
  * @author Avi Fenesh
@@ -25,6 +25,38 @@ class SchemaValidator {
     return JSON.parse(content);
   }
 
+  /**
+   * Get the JSON Schema type name of a value (arrays and null handled separately)
+   * @param {*} value - Value to inspect
+   * @returns {string} Type name
+   */
+  static typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  /**
+   * Check a value against a schema type (a type name or an array of them)
+   * @param {*} value - Value to check
+   * @param {string|string[]} type - Schema type
+   * @returns {boolean} True if the value matches one of the types
+   */
+  static matchesType(value, type) {
+    return [].concat(type).some(t => (t === 'integer' ? Number.isInteger(value) : this.typeOf(value) === t));
+  }
+
+  /**
+   * Check a value against a schema enum
+   * @param {*} value - Value to check
+   * @param {Array} values - Allowed values
+   * @returns {boolean} True if the value is allowed
+   */
+  static matchesEnum(value, values) {
+    const key = JSON.stringify(value);
+    return values.some(allowed => JSON.stringify(allowed) === key);
+  }
+
   /**
    * Validate data against a schema
    * @param {Object} data - Data to validate
@@ -33,26 +65,20 @@ class SchemaValidator {
    */
   static validate(data, schema) {
     const errors = [];
+    const types = [].concat(schema.type || []);
 
     // Check type (handle arrays correctly and null separately)
-    if (schema.type) {
-      let actualType;
-      if (data === null) {
-        actualType = 'null';
-      } else if (Array.isArray(data)) {
-        actualType = 'array';
-      } else {
-        actualType = typeof data;
-      }
+    if (schema.type && !this.matchesType(data, schema.type)) {
+      errors.push(`Expected type ${types.join('|')}, got ${this.typeOf(data)}`);
+      return { valid: false, errors };
+    }
 
-      if (actualType !== schema.type) {
-        errors.push(`Expected type ${schema.type}, got ${actualType}`);
-        return { valid: false, errors };
-      }
+    if (schema.enum && !this.matchesEnum(data, schema.enum)) {
+      errors.push(`Value must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
     }
 
     // String validations (for primitive string values)
-    if (schema.type === 'string' && typeof data === 'string') {
+    if (types.includes('string') && typeof data === 'string') {
       if (schema.minLength && data.length < schema.minLength) {
         errors.push(`String too short (min ${schema.minLength})`);
       }
@@ -65,7 +91,7 @@ class SchemaValidator {
     }
 
     // Array validations (for primitive array values)
-    if (schema.type === 'array' && Array.isArray(data)) {
+    if (types.includes('array') && Array.isArray(data)) {
       if (schema.minItems && data.length < schema.minItems) {
         errors.push(`Array too short (min ${schema.minItems})`);
       }
@@ -83,6 +109,11 @@ class SchemaValidator {
           seen.add(key);
         }
       }
+      if (schema.items) {
+        data.forEach((item, index) => {
+          errors.push(...this.validateProperty(item, schema.items, `[${index}]`).errors);
+        });
+      }
     }
 
     // Check required properties
@@ -132,18 +163,20 @@ class SchemaValidator {
    */
   static validateProperty(value, schema, path) {
     const errors = [];
+    const types = [].concat(schema.type || []);
 
     // Type check
-    if (schema.type) {
-      const actualType = Array.isArray(value) ? 'array' : typeof value;
-      if (actualType !== schema.type) {
-        errors.push(`${path}: expected type ${schema.type}, got ${actualType}`);
-        return { valid: false, errors };
-      }
+    if (schema.type && !this.matchesType(value, schema.type)) {
+      errors.push(`${path}: expected type ${types.join('|')}, got ${this.typeOf(value)}`);
+      return { valid: false, errors };
+    }
+
+    if (schema.enum && !this.matchesEnum(value, schema.enum)) {
+      errors.push(`${path}: must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
     }
 
     // String validations
-    if (schema.type === 'string' && typeof value === 'string') {
+    if (types.includes('string') && typeof value === 'string') {
       if (schema.minLength && value.length < schema.minLength) {
         errors.push(`${path}: string too short (min ${schema.minLength})`);
       }
@@ -156,7 +189,7 @@ class SchemaValidator {
     }
 
     // Array validations
-    if (schema.type === 'array' && Array.isArray(value)) {
+    if (types.includes('array') && Array.isArray(value)) {
       if (schema.minItems && value.length < schema.minItems) {
         errors.push(`${path}: array too short (min ${schema.minItems})`);
       }
@@ -174,10 +207,15 @@ class SchemaValidator {
           seen.add(key);
         }
       }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(...this.validateProperty(item, schema.items, `${path}[${index}]`).errors);
+        });
+      }
     }
 
     // Object validations
-    if (schema.type === 'object' && typeof value === 'object' && value !== null) {
+    if (types.includes('object') && this.typeOf(value) === 'object') {
       const result = this.validate(value, schema);
       for (const error of result.errors) {
         errors.push(`${path}.${error}`);
@@ -197,6 +235,26 @@ class SchemaValidator {
     const schema = this.loadSchema(schemaPath);
     return this.validate(manifest, schema);
   }
+
+  /**
+   * Validate a workflow flow.json
+   * @param {Object} flow - Flow state to validate
+   * @returns {{valid: boolean, errors: string[]}} Validation result
+   */
+  static validateWorkflowFlow(flow) {
+    const schema = this.loadSchema(path.join(__dirname, 'workflow-flow.schema.json'));
+    return this.validate(flow, schema);
+  }
+
+  /**
+   * Validate a workflow tasks.json
+   * @param {Object} tasks - Task registry to validate
+   * @returns {{valid: boolean, errors: string[]}} Validation result
+   */
+  static validateWorkflowTasks(tasks) {
+    const schema = this.loadSchema(path.join(__dirname, 'workflow-tasks.schema.json'));
+    return this.validate(tasks, schema);
+  }
 }
 
 /**
@@ -3,7 +3,7 @@
  * Slop Detection CLI
  * Runs the detection pipeline and outputs structured findings
  *
- * Usage: node detect.js [path] [--apply] [--deep] [--compact]
+ * Usage: node detect.js [path] [--apply [--dry-run]] [--deep | --quick | --thoroughness <quick|normal|deep>] [--compact] [--sarif] [--cache] [--baseline [file] | --update-baseline] [--diff [--base REF]]
  */
 
 const path = require('path');
@@ -11,29 +11,66 @@ const fs = require('fs');
 
 // Resolve lib relative to script location (works with ${CLAUDE_PLUGIN_ROOT})
 const libPath = path.join(__dirname, '..', 'lib');
-const { runPipeline } = require(path.join(libPath, 'patterns', 'pipeline'));
+const { runPipeline, buildSummary } = require(path.join(libPath, 'patterns', 'pipeline'));
+const { applyFixes } = require(path.join(libPath, 'patterns', 'slop-fixer'));
+const { toSarif } = require(path.join(libPath, 'patterns', 'sarif'));
+
+const THOROUGHNESS_LEVELS = ['quick', 'normal', 'deep'];
 
 function parseArgs(args) {
   const options = {
     path: '.',
     mode: 'report',
+    dryRun: false,
     thoroughness: 'normal',
     compact: false,
-    maxFindings: 10
+    sarif: false,
+    maxFindings: 10,
+    cache: false,
+    maxFiles: undefined,
+    baseline: false,
+    updateBaseline: false,
+    diff: false,
+    base: undefined
   };
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
     if (arg === '--apply') {
       options.mode = 'apply';
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
     } else if (arg === '--deep') {
       options.thoroughness = 'deep';
     } else if (arg === '--quick') {
       options.thoroughness = 'quick';
+    } else if (arg === '--thoroughness' || arg.startsWith('--thoroughness=')) {
+      const level = arg === '--thoroughness' ? args[++i] : arg.slice('--thoroughness='.length);
+      if (!THOROUGHNESS_LEVELS.includes(level)) {
+        throw new Error(`Invalid --thoroughness: ${level} (expected ${THOROUGHNESS_LEVELS.join(', ')})`);
+      }
+      options.thoroughness = level;
     } else if (arg === '--compact') {
       options.compact = true;
+    } else if (arg === '--sarif') {
+      options.sarif = true;
     } else if (arg === '--max' && args[i + 1]) {
       options.maxFindings = parseInt(args[++i], 10);
+    } else if (arg === '--max-files' && args[i + 1]) {
+      options.maxFiles = parseInt(args[++i], 10);
+    } else if (arg === '--cache') {
+      options.cache = true;
+    } else if (arg === '--baseline') {
+      // Optional file argument (anything that is not another flag or the scan path)
+      const next = args[i + 1];
+      options.baseline = next && next.endsWith('.json') ? args[++i] : true;
+    } else if (arg === '--update-baseline') {
+      options.updateBaseline = true;
+    } else if (arg === '--diff') {
+      options.diff = true;
+    } else if (arg === '--base' && args[i + 1]) {
+      options.diff = true;
+      options.base = args[++i];
     } else if (!arg.startsWith('-')) {
       options.path = arg;
     }
@@ -68,6 +105,19 @@ function formatFindings(result, compact, maxFindings = 10) {
     const bySeverity = summary.bySeverity || {};
     console.log(`\n**Total**: ${total} findings`);
     console.log(`**By Severity**: critical=${bySeverity.critical || 0}, high=${bySeverity.high || 0}, medium=${bySeverity.medium || 0}, low=${bySeverity.low || 0}`);
+    if (result.suppressed && result.suppressed.length > 0) {
+      console.log(`**Suppressed**: ${result.suppressed.length} (deslop-ignore comments / .desloprc.json)`);
+    }
+    const baseline = result.metadata?.baseline;
+    if (baseline?.updated) {
+      console.log(`**Baseline**: recorded ${baseline.total} findings in ${baseline.path}`);
+    } else if (baseline && !baseline.missing) {
+      console.log(`**Baseline**: ${baseline.newCount} new, ${baseline.baselinedCount} baselined, ${baseline.fixedCount} fixed since baseline`);
+    }
+    const diff = result.metadata?.diff;
+    if (diff && !diff.error) {
+      console.log(`**Diff**: ${diff.changedFiles} changed files since ${diff.base} (${diff.mergeBase.slice(0, 7)})`);
+    }
   } else {
     // Full JSON output
     console.log(JSON.stringify(result, null, 2));
@@ -86,16 +136,30 @@ Usage: node detect.js [path] [options]
 
 Options:
   --apply      Apply auto-fixes (default: report only)
+  --dry-run    With --apply, print fix diffs without writing files
   --deep       Deep analysis with all analyzers
   --quick      Quick regex-only scan
+  --thoroughness LEVEL  quick | normal | deep (default: normal)
   --compact    Output as markdown table (token efficient)
+  --sarif      Output all findings as SARIF 2.1.0 JSON (for code scanning)
   --max N      Maximum findings to return (default: 10)
+  --max-files N  Maximum files to scan (default: 200, or 10000 with --cache)
+  --cache      Reuse findings for unchanged files (stored in slop-cache.json)
+  --baseline [file.json]  Report only findings not in the baseline
+               (default: .deslop-baseline.json); exits 2 if any are new
+  --update-baseline  Record current findings as the baseline
+  --diff       Report only slop in code changed since the merge-base with
+               origin/HEAD (or main/master), including uncommitted changes
+  --base REF   Base ref for --diff (implies --diff)
   --help       Show this help
 
 Examples:
   node detect.js                    # Scan current directory
   node detect.js src/               # Scan src/ directory
   node detect.js --apply --compact  # Fix and show compact results
+  node detect.js --sarif > deslop.sarif  # Export for code scanning upload
+  node detect.js --update-baseline  # Accept existing slop, then gate with --baseline
+  node detect.js --diff --base origin/main --compact  # Only what this branch introduced
 `);
     process.exit(0);
   }
@@ -112,14 +176,51 @@ Examples:
     // runPipeline takes (repoPath, options) - async function
     const result = await runPipeline(options.path, {
       mode: options.mode,
-      thoroughness: options.thoroughness
+      thoroughness: options.thoroughness,
+      cache: options.cache,
+      maxFiles: options.maxFiles,
+      baseline: options.baseline,
+      updateBaseline: options.updateBaseline,
+      diff: options.diff ? { base: options.base } : false
     });
 
-    formatFindings(result, options.compact, options.maxFindings);
+    // Apply deterministic HIGH-certainty fixes; verified fixes leave the findings list
+    if (options.mode === 'apply') {
+      const fixes = applyFixes(result.findings, { repoPath: options.path, dryRun: options.dryRun });
+      const fixed = new Set(fixes.applied
+        .filter(f => f.verified !== false)
+        .map(f => `${f.file}:${f.line}:${f.patternName}`));
+      if (!options.dryRun) {
+        result.findings = result.findings.filter(f => !fixed.has(`${f.file}:${f.line}:${f.patternName}`));
+        result.summary = buildSummary(result.findings);
+      }
+      result.fixes = {
+        dryRun: options.dryRun,
+        applied: fixes.applied,
+        skipped: fixes.skipped.length,
+        unresolved: fixes.unresolved,
+        errors: fixes.errors,
+        diffs: fixes.diffs
+      };
+      if (options.compact) {
+        const verb = options.dryRun ? 'Would fix' : 'Fixed';
+        console.log(`\n**${verb}**: ${fixes.applied.length} findings in ${fixes.diffs.length} files`);
+        if (options.dryRun) {
+          for (const { diff } of fixes.diffs) console.log(`\n\`\`\`diff\n${diff}\n\`\`\``);
+        }
+      }
+    }
+
+    if (options.sarif) {
+      console.log(JSON.stringify(toSarif(result), null, 2));
+    } else {
+      formatFindings(result, options.compact, options.maxFindings);
+    }
 
-    // Exit with error code if critical findings
+    // Exit with error code if critical findings (or any new finding against a baseline)
     const bySeverity = result.summary?.bySeverity || {};
-    if (bySeverity.critical > 0) {
+    const newAgainstBaseline = options.baseline && !result.metadata?.baseline?.missing && result.findings.length > 0;
+    if (bySeverity.critical > 0 || newAgainstBaseline) {
       process.exit(2);
     }
   } catch (error) {
@@ -128,7 +229,11 @@ Examples:
   }
 }
 
-main().catch(err => {
-  console.error(`Fatal error: ${err.message}`);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`Fatal error: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs };
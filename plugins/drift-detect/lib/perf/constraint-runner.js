@@ -19,6 +19,7 @@ const { compareBaselines } = require('./baseline-comparator');
  * @param {number} [options.runs]
  * @param {string} [options.aggregate]
  * @param {object} [options.env]
+ * @param {object} [options.comparison] - compareBaselines options (noiseThreshold, alpha, directions)
  * @returns {{ constraints: object, baseline: object, constrained: object, delta: object }}
  */
 function runConstraintTest(options) {
@@ -54,14 +55,15 @@ function runConstraintTest(options) {
   });
 
   const delta = compareBaselines(
-    { metrics: baselineResult.metrics },
-    { metrics: constrainedResult.metrics }
+    { metrics: baselineResult.metrics, samples: baselineResult.samples },
+    { metrics: constrainedResult.metrics, samples: constrainedResult.samples },
+    options.comparison
   );
 
   return {
     constraints,
-    baseline: { metrics: baselineResult.metrics },
-    constrained: { metrics: constrainedResult.metrics },
+    baseline: { metrics: baselineResult.metrics, samples: baselineResult.samples },
+    constrained: { metrics: constrainedResult.metrics, samples: constrainedResult.samples },
     delta
   };
 }
@@ -0,0 +1,753 @@
+/**
+ * Repo Map Import Resolver
+ *
+ * Per-language resolution of import sources to files in the repo map:
+ * - JS/TS: relative paths, tsconfig/jsconfig `baseUrl` and `paths`,
+ *   workspace packages via package.json `exports`/`main`
+ * - Python: relative and dotted imports against package roots
+ * - Go: module paths from go.mod (a package import resolves to every file in the package)
+ * - Rust: `crate::`, `self::`, `super::` and workspace crate paths from Cargo.toml
+ * - Java: fully qualified class names
+ *
+ * Project config files are read from `basePath` when given; without it only
+ * what can be inferred from the map's file paths is used.
+ *
+ * @module lib/repo-map/import-resolver
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const JS_EXTENSIONS = ['.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs'];
+
+// TS ESM imports name the emitted file: './util.js' may be util.ts on disk
+const TS_SOURCE_EXTENSIONS = {
+  '.js': ['.ts', '.tsx'],
+  '.jsx': ['.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts']
+};
+
+// package.json "exports" conditions, in preference order (sources first)
+const EXPORT_CONDITIONS = ['source', 'import', 'require', 'node', 'default'];
+
+// Build output directories mapped back to src/ for workspace packages
+const BUILD_DIRS = ['dist', 'lib', 'build', 'out'];
+
+const LANGUAGE_BY_EXTENSION = {
+  '.js': 'javascript',
+  '.jsx': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.ts': 'javascript',
+  '.tsx': 'javascript',
+  '.mts': 'javascript',
+  '.cts': 'javascript',
+  '.py': 'python',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.java': 'java'
+};
+
+// Maximum directory depth when expanding workspace globs
+const MAX_GLOB_DEPTH = 4;
+
+/**
+ * Normalize a repo-relative path (forward slashes, no leading ./, '' for root)
+ * @param {string} filePath
+ * @returns {string}
+ */
+function normalize(filePath) {
+  const normalized = path.posix.normalize(String(filePath).replace(/\\/g, '/'));
+  return normalized === '.' ? '' : normalized.replace(/^\.\//, '').replace(/\/$/, '');
+}
+
+/**
+ * Join repo-relative path segments
+ * @param {...string} parts
+ * @returns {string}
+ */
+function join(...parts) {
+  return normalize(path.posix.join(...parts.map(part => part || '.')));
+}
+
+/**
+ * Parent directory of a repo-relative path ('' for the root)
+ * @param {string} filePath
+ * @returns {string}
+ */
+function dirname(filePath) {
+  const dir = path.posix.dirname(filePath);
+  return dir === '.' ? '' : dir;
+}
+
+/**
+ * Parse JSON with comments and trailing commas (tsconfig/jsconfig)
+ * @param {string} text
+ * @returns {Object|null}
+ */
+function parseJsonc(text) {
+  let output = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      output += char;
+      if (char === '\\') {
+        output += text[++i] || '';
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      output += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      output += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      i = text.indexOf('*/', i + 2);
+      if (i === -1) break;
+      i++;
+    } else {
+      output += char;
+    }
+  }
+
+  try {
+    return JSON.parse(output.replace(/,(\s*[}\]])/g, '$1'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the language resolver key for a file
+ * @param {string} filePath
+ * @returns {string|null}
+ */
+function getResolverLanguage(filePath) {
+  return LANGUAGE_BY_EXTENSION[path.extname(filePath)] || null;
+}
+
+/**
+ * Create an import resolver for a repo map
+ * @param {Object} repoMap - The repo map
+ * @param {Object} [options]
+ * @param {string} [options.basePath] - Repository root, for reading project config files
+ * @returns {{resolve: Function}} resolve(importerPath, source) => string[] of repo map files
+ */
+function createImportResolver(repoMap, options = {}) {
+  const files = (repoMap && repoMap.files) || {};
+  const basePath = options.basePath || null;
+
+  const resolved = new Map();
+  const textCache = new Map();
+  const findUpCache = new Map();
+  const tsConfigCache = new Map();
+  let filesByDir = null;
+  let workspacePackages = null;
+  let pythonRoots = null;
+  let goModules = null;
+  let rustCrates = null;
+  let javaClasses = null;
+
+  // --- file system helpers (all paths repo-relative) ---
+
+  function readText(relativePath) {
+    if (!basePath) return null;
+    if (textCache.has(relativePath)) return textCache.get(relativePath);
+    let text = null;
+    try {
+      text = fs.readFileSync(path.join(basePath, relativePath), 'utf8');
+    } catch {
+      // Missing config files are expected
+    }
+    textCache.set(relativePath, text);
+    return text;
+  }
+
+  function readJson(relativePath) {
+    const text = readText(relativePath);
+    return text === null ? null : parseJsonc(text);
+  }
+
+  /**
+   * Nearest directory at or above `dir` containing one of `names`
+   * @returns {{dir: string, file: string}|null}
+   */
+  function findUp(dir, names) {
+    const key = `${dir}\0${names.join('|')}`;
+    if (findUpCache.has(key)) return findUpCache.get(key);
+    let found = null;
+    if (basePath) {
+      let current = dir;
+      for (;;) {
+        const name = names.find(candidate => readText(join(current, candidate)) !== null);
+        if (name) {
+          found = { dir: current, file: join(current, name) };
+          break;
+        }
+        if (!current) break;
+        current = dirname(current);
+      }
+    }
+    findUpCache.set(key, found);
+    return found;
+  }
+
+  function listDirs(relativeDir) {
+    if (!basePath) return [];
+    try {
+      return fs.readdirSync(path.join(basePath, relativeDir), { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.'))
+        .map(entry => join(relativeDir, entry.name));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Expand a workspace glob ('packages/*', 'crates/**', 'apps/web') to directories
+   */
+  function expandGlob(pattern) {
+    let dirs = [''];
+    for (const segment of normalize(pattern).split('/').filter(Boolean)) {
+      if (segment === '**') {
+        const all = [];
+        let level = dirs;
+        for (let depth = 0; depth < MAX_GLOB_DEPTH && level.length > 0; depth++) {
+          all.push(...level);
+          level = level.flatMap(listDirs);
+        }
+        dirs = all;
+      } else if (segment.includes('*')) {
+        const matcher = new RegExp(`^${segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+        dirs = dirs.flatMap(listDirs).filter(dir => matcher.test(path.posix.basename(dir)));
+      } else {
+        dirs = dirs.map(dir => join(dir, segment));
+      }
+    }
+    return dirs;
+  }
+
+  function getFilesByDir() {
+    if (!filesByDir) {
+      filesByDir = new Map();
+      for (const file of Object.keys(files)) {
+        const dir = dirname(file);
+        if (!filesByDir.has(dir)) filesByDir.set(dir, []);
+        filesByDir.get(dir).push(file);
+      }
+      for (const list of filesByDir.values()) list.sort();
+    }
+    return filesByDir;
+  }
+
+  // --- JavaScript / TypeScript ---
+
+  /**
+   * Resolve a path to a map file, trying extensions and index files
+   */
+  function resolveJsFile(candidate) {
+    const candidatePath = normalize(candidate);
+    if (files[candidatePath]) return candidatePath;
+
+    const ext = path.posix.extname(candidatePath);
+    for (const sourceExt of TS_SOURCE_EXTENSIONS[ext] || []) {
+      const sourcePath = candidatePath.slice(0, -ext.length) + sourceExt;
+      if (files[sourcePath]) return sourcePath;
+    }
+
+    for (const extension of JS_EXTENSIONS) {
+      if (files[candidatePath + extension]) return candidatePath + extension;
+    }
+    for (const extension of JS_EXTENSIONS) {
+      const indexPath = join(candidatePath, 'index' + extension);
+      if (files[indexPath]) return indexPath;
+    }
+    return null;
+  }
+
+  /**
+   * Load a tsconfig, following relative `extends`
+   * @returns {{baseUrl: string|null, paths: Object|null, pathsBase: string}}
+   */
+  function loadTsConfig(configPath, seen = new Set()) {
+    if (tsConfigCache.has(configPath)) return tsConfigCache.get(configPath);
+    const empty = { baseUrl: null, paths: null, pathsBase: dirname(configPath) };
+    const config = readJson(configPath);
+    if (!config || seen.has(configPath)) return empty;
+    seen.add(configPath);
+
+    const configDir = dirname(configPath);
+    let result = { ...empty };
+    const parents = Array.isArray(config.extends) ? config.extends : [config.extends];
+    for (const parent of parents) {
+      if (typeof parent !== 'string' || !parent.startsWith('.')) continue;
+      const parentPath = join(configDir, parent.endsWith('.json') ? parent : `${parent}.json`);
+      const inherited = loadTsConfig(parentPath, seen);
+      result = {
+        baseUrl: inherited.baseUrl ?? result.baseUrl,
+        paths: inherited.paths ?? result.paths,
+        pathsBase: inherited.paths ? inherited.pathsBase : result.pathsBase
+      };
+    }
+
+    const compilerOptions = config.compilerOptions || {};
+    if (typeof compilerOptions.baseUrl === 'string') {
+      result.baseUrl = join(configDir, compilerOptions.baseUrl);
+    }
+    if (compilerOptions.paths && typeof compilerOptions.paths === 'object') {
+      result.paths = compilerOptions.paths;
+      result.pathsBase = configDir;
+    }
+    // `paths` are relative to baseUrl when one is set
+    if (result.paths && result.baseUrl !== null) {
+      result.pathsBase = result.baseUrl;
+    }
+
+    tsConfigCache.set(configPath, result);
+    return result;
+  }
+
+  function resolveTsConfigPaths(importerDir, source) {
+    const found = findUp(importerDir, ['tsconfig.json', 'jsconfig.json']);
+    if (!found) return null;
+    const config = loadTsConfig(found.file);
+
+    if (config.paths) {
+      // Most specific pattern wins: exact match, then longest prefix before '*'
+      let best = null;
+      for (const [pattern, targets] of Object.entries(config.paths)) {
+        const star = pattern.indexOf('*');
+        let captured = null;
+        if (star === -1) {
+          if (pattern === source) captured = '';
+        } else {
+          const prefix = pattern.slice(0, star);
+          const suffix = pattern.slice(star + 1);
+          if (source.startsWith(prefix) && source.endsWith(suffix) && source.length >= prefix.length + suffix.length) {
+            captured = source.slice(prefix.length, source.length - suffix.length);
+          }
+        }
+        if (captured === null || !Array.isArray(targets)) continue;
+        const specificity = star === -1 ? Infinity : star;
+        if (!best || specificity > best.specificity) {
+          best = { specificity, captured, targets };
+        }
+      }
+      if (best) {
+        for (const target of best.targets) {
+          const file = resolveJsFile(join(config.pathsBase, target.replace('*', best.captured)));
+          if (file) return file;
+        }
+      }
+    }
+
+    if (config.baseUrl !== null) {
+      return resolveJsFile(join(config.baseUrl, source));
+    }
+    return null;
+  }
+
+  /**
+   * Workspace packages by name: root package.json `workspaces` and pnpm-workspace.yaml
+   * @returns {Map<string, string>} name -> package directory
+   */
+  function getWorkspacePackages() {
+    if (workspacePackages) return workspacePackages;
+    workspacePackages = new Map();
+
+    const rootPackage = readJson('package.json');
+    const patterns = [];
+    if (rootPackage) {
+      const workspaces = Array.isArray(rootPackage.workspaces)
+        ? rootPackage.workspaces
+        : rootPackage.workspaces?.packages;
+      if (Array.isArray(workspaces)) patterns.push(...workspaces);
+    }
+    const pnpmWorkspace = readText('pnpm-workspace.yaml');
+    if (pnpmWorkspace) {
+      const block = pnpmWorkspace.match(/^packages:\s*\n((?:[ \t]+-.*\n?|[ \t]*#.*\n?|\s*\n)*)/m);
+      if (block) {
+        for (const match of block[1].matchAll(/^[ \t]+-\s*['"]?([^'"\n#]+?)['"]?\s*$/gm)) {
+          patterns.push(match[1]);
+        }
+      }
+    }
+
+    const dirs = new Set(['']);
+    for (const pattern of patterns) {
+      if (typeof pattern !== 'string' || pattern.startsWith('!')) continue;
+      for (const dir of expandGlob(pattern)) dirs.add(dir);
+    }
+    for (const dir of dirs) {
+      const pkg = readJson(join(dir, 'package.json'));
+      if (pkg && typeof pkg.name === 'string' && !workspacePackages.has(pkg.name)) {
+        workspacePackages.set(pkg.name, dir);
+      }
+    }
+    return workspacePackages;
+  }
+
+  /**
+   * Pick a target from a package.json "exports" value
+   */
+  function pickExportTarget(value) {
+    if (typeof value === 'string') return value;
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        const target = pickExportTarget(item);
+        if (target) return target;
+      }
+      return null;
+    }
+    if (value && typeof value === 'object') {
+      for (const condition of EXPORT_CONDITIONS) {
+        if (condition in value) {
+          const target = pickExportTarget(value[condition]);
+          if (target) return target;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve a subpath ('.' or './x') through a package.json "exports" field
+   */
+  function resolveExports(exportsField, subpath) {
+    const isSubpathMap = exportsField && typeof exportsField === 'object' && !Array.isArray(exportsField) &&
+      Object.keys(exportsField).some(key => key.startsWith('.'));
+    const map = isSubpathMap ? exportsField : { '.': exportsField };
+
+    if (subpath in map) return pickExportTarget(map[subpath]);
+
+    let best = null;
+    for (const key of Object.keys(map)) {
+      const star = key.indexOf('*');
+      if (star !== -1) {
+        const prefix = key.slice(0, star);
+        const suffix = key.slice(star + 1);
+        if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && (!best || prefix.length > best.prefix.length)) {
+          best = { prefix, key, captured: subpath.slice(prefix.length, subpath.length - suffix.length) };
+        }
+      } else if (key.endsWith('/') && subpath.startsWith(key) && (!best || key.length > best.prefix.length)) {
+        best = { prefix: key, key, captured: subpath.slice(key.length), folder: true };
+      }
+    }
+    if (!best) return null;
+    const target = pickExportTarget(map[best.key]);
+    if (!target) return null;
+    return best.folder ? target + best.captured : target.replace(/\*/g, best.captured);
+  }
+
+  /**
+   * Resolve a package-relative target, mapping build output back to sources
+   */
+  function resolvePackageTarget(packageDir, target) {
+    const relative = normalize(target);
+    const candidates = [relative];
+    const [first, ...rest] = relative.split('/');
+    if (BUILD_DIRS.includes(first) && rest.length > 0) {
+      const inner = rest.join('/').replace(/\.d\.ts$/, '.ts');
+      candidates.push(`src/${inner}`, inner);
+    }
+    for (const candidate of candidates) {
+      const file = resolveJsFile(join(packageDir, candidate));
+      if (file) return file;
+    }
+    return null;
+  }
+
+  function resolveWorkspacePackage(source) {
+    const parts = source.split('/');
+    const nameLength = source.startsWith('@') ? 2 : 1;
+    const name = parts.slice(0, nameLength).join('/');
+    const subpath = parts.slice(nameLength).join('/');
+
+    const packageDir = getWorkspacePackages().get(name);
+    if (packageDir === undefined) return null;
+    const pkg = readJson(join(packageDir, 'package.json')) || {};
+
+    if (pkg.exports !== undefined && pkg.exports !== null) {
+      const target = resolveExports(pkg.exports, subpath ? `./${subpath}` : '.');
+      // Unexported subpaths are not importable
+      return target ? resolvePackageTarget(packageDir, target) : null;
+    }
+
+    if (subpath) return resolvePackageTarget(packageDir, subpath);
+    for (const field of ['source', 'module', 'main']) {
+      if (typeof pkg[field] === 'string') {
+        const file = resolvePackageTarget(packageDir, pkg[field]);
+        if (file) return file;
+      }
+    }
+    return resolveJsFile(join(packageDir, 'src/index')) || resolveJsFile(join(packageDir, 'index'));
+  }
+
+  function resolveJs(importerPath, source) {
+    const importerDir = dirname(importerPath);
+    if (source.startsWith('.') || source.startsWith('/')) {
+      return [resolveJsFile(join(importerDir, source))].filter(Boolean);
+    }
+    const file = resolveTsConfigPaths(importerDir, source) || resolveWorkspacePackage(source);
+    return file ? [file] : [];
+  }
+
+  // --- Python ---
+
+  /**
+   * Python package roots: '' and src/, roots configured in pyproject.toml/setup.cfg,
+   * and parents of top-level packages (directories with __init__.py) in the map
+   */
+  function getPythonRoots() {
+    if (pythonRoots) return pythonRoots;
+    const roots = new Set(['', 'src']);
+
+    const pyproject = readText('pyproject.toml') || '';
+    for (const match of pyproject.matchAll(/^\s*where\s*=\s*\[([^\]]*)\]/gm)) {
+      for (const root of match[1].matchAll(/["']([^"']+)["']/g)) roots.add(normalize(root[1]));
+    }
+    const packageDir = pyproject.match(/^\s*package-dir\s*=\s*\{[^}]*["']{2}\s*=\s*["']([^"']+)["']/m);
+    if (packageDir) roots.add(normalize(packageDir[1]));
+    const setupCfg = readText('setup.cfg') || '';
+    const cfgPackageDir = setupCfg.match(/^\s*package_dir\s*=\s*(?:\n\s*)?=\s*(\S+)/m);
+    if (cfgPackageDir) roots.add(normalize(cfgPackageDir[1]));
+
+    for (const file of Object.keys(files)) {
+      if (path.posix.basename(file) !== '__init__.py') continue;
+      let packageRoot = dirname(file);
+      while (packageRoot && files[join(dirname(packageRoot), '__init__.py')]) {
+        packageRoot = dirname(packageRoot);
+      }
+      roots.add(dirname(packageRoot));
+    }
+
+    pythonRoots = [...roots];
+    return pythonRoots;
+  }
+
+  function resolvePythonModule(dir, segments) {
+    const modulePath = join(dir, ...segments);
+    for (const candidate of [`${modulePath}.py`, join(modulePath, '__init__.py')]) {
+      if (files[candidate]) return candidate;
+    }
+    return null;
+  }
+
+  function resolvePython(importerPath, source) {
+    const dots = source.match(/^\.*/)[0].length;
+    const segments = source.slice(dots).split('.').filter(Boolean);
+
+    if (dots > 0) {
+      let dir = dirname(importerPath);
+      for (let i = 1; i < dots; i++) dir = dirname(dir);
+      const file = resolvePythonModule(dir, segments);
+      return file ? [file] : [];
+    }
+
+    // Scripts can also import siblings (their directory is on sys.path)
+    for (const root of [...getPythonRoots(), dirname(importerPath)]) {
+      const file = resolvePythonModule(root, segments);
+      if (file) return [file];
+    }
+    return [];
+  }
+
+  // --- Go ---
+
+  /**
+   * Go modules from go.mod files above Go files in the map
+   * @returns {Array<{module: string, dir: string}>} Longest module path first
+   */
+  function getGoModules() {
+    if (goModules) return goModules;
+    const byDir = new Map();
+    for (const dir of getFilesByDir().keys()) {
+      const found = findUp(dir, ['go.mod']);
+      if (!found || byDir.has(found.dir)) continue;
+      const match = (readText(found.file) || '').match(/^\s*module\s+("?)([^\s"]+)\1/m);
+      if (match) byDir.set(found.dir, match[2]);
+    }
+    goModules = [...byDir.entries()]
+      .map(([dir, module]) => ({ module, dir }))
+      .sort((a, b) => b.module.length - a.module.length);
+    return goModules;
+  }
+
+  function resolveGo(importerPath, source) {
+    for (const { module, dir } of getGoModules()) {
+      if (source !== module && !source.startsWith(`${module}/`)) continue;
+      const packageDir = join(dir, source.slice(module.length + 1));
+      return (getFilesByDir().get(packageDir) || [])
+        .filter(file => file.endsWith('.go') && !file.endsWith('_test.go'));
+    }
+    return [];
+  }
+
+  // --- Rust ---
+
+  /**
+   * Workspace crates by name (hyphens as underscores): root Cargo.toml
+   * [package] and [workspace] members
+   * @returns {Map<string, string>} crate name -> crate directory
+   */
+  function getRustCrates() {
+    if (rustCrates) return rustCrates;
+    rustCrates = new Map();
+
+    const addCrate = (dir) => {
+      const name = getCargoPackageName(join(dir, 'Cargo.toml'));
+      if (name && !rustCrates.has(name)) rustCrates.set(name, dir);
+    };
+
+    addCrate('');
+    const workspace = (readText('Cargo.toml') || '').match(/^\[workspace\][^[]*?^\s*members\s*=\s*\[([^\]]*)\]/ms);
+    if (workspace) {
+      for (const member of workspace[1].matchAll(/["']([^"']+)["']/g)) {
+        expandGlob(member[1]).forEach(addCrate);
+      }
+    }
+    return rustCrates;
+  }
+
+  function getCargoPackageName(cargoPath) {
+    const match = (readText(cargoPath) || '').match(/^\[package\][^[]*?^\s*name\s*=\s*["']([^"']+)["']/ms);
+    return match ? match[1].replace(/-/g, '_') : null;
+  }
+
+  /**
+   * src/ directory of the crate containing a file
+   */
+  function getRustSrcDir(importerPath) {
+    const found = findUp(dirname(importerPath), ['Cargo.toml']);
+    if (found) return join(found.dir, 'src');
+    // Without Cargo.toml, assume the nearest enclosing src/ is the crate root
+    const parts = importerPath.split('/');
+    const srcIndex = parts.lastIndexOf('src');
+    return srcIndex === -1 ? dirname(importerPath) : parts.slice(0, srcIndex + 1).join('/');
+  }
+
+  /**
+   * Module path of a file within its crate ('src/a/b.rs' -> ['a', 'b'])
+   */
+  function getRustModulePath(importerPath, srcDir) {
+    const relative = srcDir ? path.posix.relative(srcDir, importerPath) : importerPath;
+    const segments = relative.replace(/\.rs$/, '').split('/').filter(Boolean);
+    if (['mod', 'lib', 'main'].includes(segments[segments.length - 1])) segments.pop();
+    return segments;
+  }
+
+  /**
+   * Longest module prefix of `segments` that exists as a file (the rest are items)
+   */
+  function resolveRustModule(srcDir, segments) {
+    for (let length = segments.length; length > 0; length--) {
+      const modulePath = join(srcDir, ...segments.slice(0, length));
+      for (const candidate of [`${modulePath}.rs`, join(modulePath, 'mod.rs')]) {
+        if (files[candidate]) return candidate;
+      }
+    }
+    for (const root of ['lib.rs', 'main.rs']) {
+      if (files[join(srcDir, root)]) return join(srcDir, root);
+    }
+    return null;
+  }
+
+  function resolveRust(importerPath, source) {
+    const segments = source
+      .replace(/\s+as\s+\w+$/, '')
+      .split('::')
+      .map(segment => segment.trim())
+      .filter(segment => segment && segment !== '*' && !segment.startsWith('{'));
+    if (segments.length === 0) return [];
+
+    let srcDir = getRustSrcDir(importerPath);
+    let moduleSegments;
+    if (segments[0] === 'crate') {
+      moduleSegments = segments.slice(1);
+    } else if (segments[0] === 'self' || segments[0] === 'super') {
+      const base = getRustModulePath(importerPath, srcDir);
+      let index = 0;
+      if (segments[0] === 'self') index = 1;
+      while (segments[index] === 'super') {
+        base.pop();
+        index++;
+      }
+      moduleSegments = [...base, ...segments.slice(index)];
+    } else {
+      const crateDir = getRustCrates().get(segments[0]);
+      if (crateDir === undefined) return [];
+      srcDir = join(crateDir, 'src');
+      moduleSegments = segments.slice(1);
+    }
+
+    const file = resolveRustModule(srcDir, moduleSegments);
+    return file ? [file] : [];
+  }
+
+  // --- Java ---
+
+  function resolveJava(importerPath, source) {
+    if (!javaClasses) {
+      javaClasses = new Map();
+      for (const file of Object.keys(files)) {
+        if (!file.endsWith('.java')) continue;
+        const className = path.posix.basename(file, '.java');
+        if (!javaClasses.has(className)) javaClasses.set(className, []);
+        javaClasses.get(className).push(file);
+      }
+    }
+
+    // Static imports name a member; wildcard imports name a package
+    const segments = source.replace(/\.\*$/, '').split('.');
+    for (let length = segments.length; length > 0; length--) {
+      const className = segments[length - 1];
+      const suffix = `${segments.slice(0, length).join('/')}.java`;
+      const match = (javaClasses.get(className) || []).find(file => file === suffix || file.endsWith(`/${suffix}`));
+      if (match) return [match];
+    }
+    return [];
+  }
+
+  const RESOLVERS = {
+    javascript: resolveJs,
+    python: resolvePython,
+    go: resolveGo,
+    rust: resolveRust,
+    java: resolveJava
+  };
+
+  /**
+   * Resolve an import source to repo map files
+   * @param {string} importerPath - Path of the importing file
+   * @param {string} source - Import source as recorded in the map
+   * @returns {string[]} Resolved files (empty for external or unknown imports)
+   */
+  function resolve(importerPath, source) {
+    if (!source || typeof source !== 'string') return [];
+    const language = getResolverLanguage(importerPath);
+    const resolver = RESOLVERS[language];
+    if (!resolver) return [];
+
+    // Results depend on the importer's directory (relative paths, nearest config),
+    // except Rust self::/super:: which depend on the importer's module
+    const scope = language === 'rust' && /^(self|super)\b/.test(source) ? importerPath : dirname(importerPath);
+    const key = `${language}\0${scope}\0${source}`;
+    if (!resolved.has(key)) {
+      resolved.set(key, resolver(normalize(importerPath), source.trim()));
+    }
+    return resolved.get(key);
+  }
+
+  return { resolve };
+}
+
+module.exports = {
+  createImportResolver,
+  getResolverLanguage,
+  parseJsonc
+};
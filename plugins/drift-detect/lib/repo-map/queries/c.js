@@ -0,0 +1,64 @@
+/**
+ * C query patterns for ast-grep
+ */
+
+'use strict';
+
+/**
+ * Rule for a struct/union/enum definition (`struct $NAME { $$$ };` doesn't parse
+ * as a pattern; forward declarations have no body)
+ * @param {string} kind - Specifier node kind
+ * @param {string} bodyKind - Body node kind
+ * @returns {Object} ast-grep rule
+ */
+function specifierRule(kind, bodyKind) {
+  return {
+    kind,
+    all: [
+      { has: { field: 'name', kind: 'type_identifier', pattern: '$NAME' } },
+      { has: { field: 'body', kind: bodyKind } }
+    ]
+  };
+}
+
+module.exports = {
+  // Non-static definitions are exported (see applyLanguageExportRules)
+  exports: [],
+  functions: [
+    { pattern: '$RET $NAME($$$) { $$$ }', nameVar: 'NAME' },
+    { pattern: '$RET *$NAME($$$) { $$$ }', nameVar: 'NAME' },
+    { pattern: 'static $RET $NAME($$$) { $$$ }', nameVar: 'NAME' },
+    { pattern: 'static $RET *$NAME($$$) { $$$ }', nameVar: 'NAME' },
+    { pattern: 'static inline $RET $NAME($$$) { $$$ }', nameVar: 'NAME' },
+    // Prototypes in headers
+    { pattern: '$RET $NAME($$$);', nameVar: 'NAME', kind: 'declaration' },
+    { pattern: '$RET *$NAME($$$);', nameVar: 'NAME', kind: 'declaration' },
+    { pattern: 'extern $RET $NAME($$$);', nameVar: 'NAME', kind: 'declaration' }
+  ],
+  classes: [
+    { rule: specifierRule('struct_specifier', 'field_declaration_list'), nameVar: 'NAME', kind: 'struct' },
+    { rule: specifierRule('union_specifier', 'field_declaration_list'), nameVar: 'NAME', kind: 'union' }
+  ],
+  types: [
+    { pattern: 'typedef $TYPE $NAME;', nameVar: 'NAME' },
+    { pattern: 'typedef struct { $$$ } $NAME;', nameVar: 'NAME' },
+    { pattern: 'typedef struct $TAG { $$$ } $NAME;', nameVar: 'NAME' },
+    { pattern: 'typedef enum { $$$ } $NAME;', nameVar: 'NAME' },
+    { rule: specifierRule('enum_specifier', 'enumerator_list'), nameVar: 'NAME', kind: 'enum' }
+  ],
+  constants: [
+    { pattern: '#define $NAME $VALUE', nameVar: 'NAME', kind: 'macro' },
+    { pattern: 'const $TYPE $NAME = $VALUE;', nameVar: 'NAME' },
+    { pattern: 'static const $TYPE $NAME = $VALUE;', nameVar: 'NAME' }
+  ],
+  imports: [
+    { pattern: '#include $SOURCE', sourceVar: 'SOURCE', kind: 'include' }
+  ],
+  callGraph: {
+    definitions: [],
+    owners: [],
+    calls: [
+      { pattern: '$CALLEE($$$)', calleeVar: 'CALLEE' }
+    ]
+  }
+};
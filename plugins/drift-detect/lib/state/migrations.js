@@ -0,0 +1,193 @@
+/**
+ * Schema versioning for workflow state files
+ *
+ * flow.json and tasks.json carry a `schemaVersion`. Files written before
+ * versioning count as version 0. On read, the ordered migrations bring a file
+ * up to SCHEMA_VERSION and the result is validated against its JSON Schema
+ * (lib/schemas/workflow-*.schema.json). Files that cannot be parsed or
+ * migrated are quarantined (renamed to `<file>.corrupt-<timestamp>`) so the
+ * state is never silently discarded. Files that parse but fail validation are
+ * left in place and used as-is with a warning; writes are still validated.
+ *
+ * To change a file's shape: bump SCHEMA_VERSION, append a migration from the
+ * previous version to both lists (identity if a file is unchanged) and update
+ * the schema.
+ */
+
+const fs = require('fs');
+const { SchemaValidator } = require('../schemas/validator');
+const { isPlainObject } = require('../utils/state-helpers');
+
+const SCHEMA_VERSION = 1;
+
+// FLOW_MIGRATIONS[n] migrates flow.json from version n to n + 1
+const FLOW_MIGRATIONS = [
+  // 0 -> 1: history and phase timing (added without a version bump)
+  (flow) => ({
+    ...flow,
+    phaseStartedAt: flow.phaseStartedAt ?? null,
+    history: Array.isArray(flow.history) ? flow.history : []
+  })
+];
+
+/**
+ * Rename the fields of a registry entry written by the old worktree-manager
+ * agent (`{worktreePath, claimedBy, status: 'claimed'}`)
+ * @param {Object} entry - Registry entry
+ * @returns {Object}
+ */
+function migrateLegacyTaskEntry(entry) {
+  if (!isPlainObject(entry)) return entry;
+  const { worktreePath, claimedBy, ...migrated } = entry;
+  if (migrated.worktree === undefined && worktreePath !== undefined) migrated.worktree = worktreePath;
+  if (migrated.session === undefined && claimedBy !== undefined) migrated.session = claimedBy;
+  if (migrated.status === 'claimed') migrated.status = 'in_progress';
+  return migrated;
+}
+
+// TASKS_MIGRATIONS[n] migrates tasks.json from version n to n + 1
+const TASKS_MIGRATIONS = [
+  // 0 -> 1: always an `active` slot and a `tasks` registry; the legacy
+  // string `version` is superseded by schemaVersion and legacy entries
+  // use the registry field names
+  (tasks) => {
+    const { version: _legacyVersion, ...rest } = tasks;
+    return {
+      ...rest,
+      active: isPlainObject(tasks.active) ? tasks.active : null,
+      tasks: Array.isArray(tasks.tasks) ? tasks.tasks.map(migrateLegacyTaskEntry) : []
+    };
+  }
+];
+
+const FLOW_STATE = {
+  name: 'flow.json',
+  migrations: FLOW_MIGRATIONS,
+  validate: (flow) => SchemaValidator.validateWorkflowFlow(flow)
+};
+
+const TASKS_STATE = {
+  name: 'tasks.json',
+  migrations: TASKS_MIGRATIONS,
+  validate: (tasks) => SchemaValidator.validateWorkflowTasks(tasks)
+};
+
+/**
+ * Bring state data up to the current schema version
+ * @param {Object} data - Parsed state file
+ * @param {Object} kind - FLOW_STATE or TASKS_STATE
+ * @returns {{data: Object, fromVersion: number}}
+ * @throws {Error} If the data was written by a newer schema version
+ */
+function migrate(data, kind) {
+  if (!isPlainObject(data)) {
+    return { data, fromVersion: 0 };
+  }
+
+  const fromVersion = data.schemaVersion === undefined ? 0 : data.schemaVersion;
+  if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+    return { data, fromVersion };
+  }
+  if (fromVersion > SCHEMA_VERSION) {
+    const error = new Error(`${kind.name} schemaVersion ${fromVersion} is newer than supported (${SCHEMA_VERSION}); upgrade agentsys to use it`);
+    error.code = 'ESCHEMAVERSION';
+    throw error;
+  }
+
+  let migrated = data;
+  for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+    migrated = kind.migrations[version](migrated);
+  }
+  return { data: { ...migrated, schemaVersion: SCHEMA_VERSION }, fromVersion };
+}
+
+/**
+ * Migrate and validate state before writing it
+ * @param {Object} data - State to write (any schema version)
+ * @param {Object} kind - FLOW_STATE or TASKS_STATE
+ * @returns {Object} State at the current schema version
+ * @throws {Error} If the state is invalid
+ */
+function prepareForWrite(data, kind) {
+  const { data: migrated } = migrate(data, kind);
+  const validation = kind.validate(migrated);
+  if (!validation.valid) {
+    throw new Error(`Invalid ${kind.name}: ${validation.errors.join('; ')}`);
+  }
+  return migrated;
+}
+
+/**
+ * Move a corrupt state file aside
+ * @param {string} filePath - State file
+ * @returns {string|null} Quarantine path, or null if the file could not be moved
+ */
+function quarantineFile(filePath) {
+  const quarantinePath = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  try {
+    fs.renameSync(filePath, quarantinePath);
+    return quarantinePath;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read, migrate and validate a state file
+ * Files that cannot be parsed or migrated are quarantined and reported as
+ * missing. Files that fail schema validation are returned unchanged with a
+ * warning, so a state the schema does not yet describe is never moved aside.
+ * @param {string} filePath - State file
+ * @param {Object} kind - FLOW_STATE or TASKS_STATE
+ * @returns {Object|null} State at the current schema version, or null if missing or corrupt
+ * @throws {Error} If the file was written by a newer schema version
+ */
+function readStateFile(filePath, kind) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  let problem;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!isPlainObject(parsed)) {
+      problem = `expected a JSON object, got ${Array.isArray(parsed) ? 'array' : typeof parsed}`;
+    } else {
+      const { data } = migrate(parsed, kind);
+      const validation = kind.validate(data);
+      if (!validation.valid) {
+        console.error(`[WARN] ${kind.name} at ${filePath} does not match its schema: ${validation.errors.join('; ')}`);
+      }
+      return data;
+    }
+  } catch (e) {
+    if (e.code === 'ESCHEMAVERSION') {
+      throw e;
+    }
+    if (e instanceof SyntaxError || e.code === 'EISDIR') {
+      problem = e.message;
+    } else if (!e.code) {
+      // A migration step threw on data it could not handle
+      problem = `migration failed: ${e.message}`;
+    } else {
+      throw e;
+    }
+  }
+
+  const quarantinePath = quarantineFile(filePath);
+  console.error(`[CRITICAL] Corrupted ${kind.name} at ${filePath}: ${problem}` +
+    (quarantinePath ? ` (moved to ${quarantinePath})` : ''));
+  return null;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  FLOW_MIGRATIONS,
+  TASKS_MIGRATIONS,
+  FLOW_STATE,
+  TASKS_STATE,
+  migrate,
+  prepareForWrite,
+  quarantineFile,
+  readStateFile
+};
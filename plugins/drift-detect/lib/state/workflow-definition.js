@@ -0,0 +1,359 @@
+/**
+ * Declarative workflow definition
+ *
+ * A project can replace the default /next-task phase pipeline with
+ * {stateDir}/workflow.json:
+ *
+ *   {
+ *     "phases": [
+ *       "exploration",
+ *       { "name": "planning", "transitions": ["implementation"] },
+ *       "implementation",
+ *       { "name": "security-review", "resultField": "securityReview",
+ *         "description": "Run the security checklist on the diff" },
+ *       { "name": "delivery-validation",
+ *         "skipIf": { "path": "plan.docsOnly", "equals": true } },
+ *       "shipping"
+ *     ]
+ *   }
+ *
+ * Phases run in the listed order and end with the implicit 'complete' phase.
+ * Each phase may declare:
+ * - resultField: flow.json field that stores the completePhase result
+ *   (built-in phases keep their default; null disables)
+ * - transitions: phases skipToPhase may jump to from here (default: any)
+ * - skipIf: condition(s) on the flow; a matching phase is skipped by completePhase
+ * - description: what the orchestrator should do in a custom phase
+ *
+ * Conditions are { path, equals | in | includes | exists } where path is a
+ * dotted path into flow.json. An array of conditions matches if any does.
+ *
+ * Definitions are validated when loaded; an invalid file throws.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getStateDir } = require('../platform/state-dir');
+const { isPlainObject } = require('../utils/state-helpers');
+const flowSchema = require('../schemas/workflow-flow.schema.json');
+
+const WORKFLOW_FILE = 'workflow.json';
+const COMPLETE_PHASE = 'complete';
+const MAX_DEFINITION_SIZE = 64 * 1024;
+
+const PHASE_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+const RESULT_FIELD_PATTERN = /^[A-Za-z_$][\w$]*$/;
+const PHASE_KEYS = ['name', 'description', 'resultField', 'transitions', 'skipIf'];
+const CONDITION_OPERATORS = ['equals', 'in', 'includes', 'exists'];
+
+// Flow fields managed by workflow-state that a phase result must not overwrite:
+// everything in the flow schema, plus the fields set on fail/skip/abort/complete
+const RESERVED_FIELDS = [
+  ...Object.keys(flowSchema.properties),
+  'error', 'failContext', 'skipReason', 'abortReason', 'abortedAt', 'completedAt', 'userNotes'
+];
+
+// Default pipeline (previously hardcoded in workflow-state)
+const DEFAULT_PHASES = [
+  { name: 'policy-selection' },
+  { name: 'task-discovery' },
+  { name: 'worktree-setup' },
+  { name: 'exploration', resultField: 'exploration' },
+  { name: 'planning', resultField: 'plan' },
+  { name: 'user-approval' },
+  { name: 'implementation' },
+  { name: 'review-loop', resultField: 'reviewResult' },
+  { name: 'delivery-validation' },
+  { name: 'shipping' }
+];
+
+const DEFAULT_RESULT_FIELDS = Object.fromEntries(
+  DEFAULT_PHASES.filter(p => p.resultField).map(p => [p.name, p.resultField])
+);
+
+/**
+ * Get the workflow definition path for a project or worktree
+ * @param {string} basePath - Project or worktree path
+ * @returns {string}
+ */
+function getDefinitionPath(basePath = process.cwd()) {
+  return path.join(path.resolve(basePath), getStateDir(basePath), WORKFLOW_FILE);
+}
+
+function validateCondition(condition, label, errors) {
+  if (!isPlainObject(condition)) {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+  if (typeof condition.path !== 'string' || condition.path.length === 0) {
+    errors.push(`${label}.path must be a non-empty string`);
+  }
+  const operators = Object.keys(condition).filter(key => key !== 'path');
+  const unknown = operators.filter(key => !CONDITION_OPERATORS.includes(key));
+  if (unknown.length > 0) {
+    errors.push(`${label} has unknown operator(s): ${unknown.join(', ')}`);
+  } else if (operators.length !== 1) {
+    errors.push(`${label} must have exactly one of: ${CONDITION_OPERATORS.join(', ')}`);
+  } else if (operators[0] === 'in' && !Array.isArray(condition.in)) {
+    errors.push(`${label}.in must be an array`);
+  } else if (operators[0] === 'exists' && typeof condition.exists !== 'boolean') {
+    errors.push(`${label}.exists must be a boolean`);
+  }
+}
+
+/**
+ * Validate a workflow definition
+ * @param {Object} definition - Parsed workflow.json
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function validateDefinition(definition) {
+  const errors = [];
+
+  if (!isPlainObject(definition)) {
+    return { ok: false, errors: ['definition must be an object'] };
+  }
+  if (!Array.isArray(definition.phases) || definition.phases.length === 0) {
+    return { ok: false, errors: ['phases must be a non-empty array'] };
+  }
+
+  const entries = definition.phases.map(entry => (typeof entry === 'string' ? { name: entry } : entry));
+  const names = entries.map(entry => (isPlainObject(entry) ? entry.name : undefined));
+  const resultFields = new Map();
+
+  entries.forEach((entry, index) => {
+    const label = `phases[${index}]`;
+    if (!isPlainObject(entry)) {
+      errors.push(`${label} must be a phase name or an object`);
+      return;
+    }
+
+    const unknown = Object.keys(entry).filter(key => !PHASE_KEYS.includes(key));
+    if (unknown.length > 0) {
+      errors.push(`${label} has unknown field(s): ${unknown.join(', ')}`);
+    }
+
+    if (typeof entry.name !== 'string' || !PHASE_NAME_PATTERN.test(entry.name)) {
+      errors.push(`${label}.name must be a kebab-case string`);
+    } else if (entry.name === COMPLETE_PHASE) {
+      errors.push(`${label}: '${COMPLETE_PHASE}' is implicit and cannot be declared`);
+    } else if (names.indexOf(entry.name) !== index) {
+      errors.push(`${label}: duplicate phase '${entry.name}'`);
+    }
+
+    if (entry.description !== undefined && typeof entry.description !== 'string') {
+      errors.push(`${label}.description must be a string`);
+    }
+
+    if (entry.resultField !== undefined && entry.resultField !== null) {
+      if (typeof entry.resultField !== 'string' || !RESULT_FIELD_PATTERN.test(entry.resultField)) {
+        errors.push(`${label}.resultField must be an identifier`);
+      } else if (RESERVED_FIELDS.includes(entry.resultField)) {
+        errors.push(`${label}.resultField '${entry.resultField}' is reserved`);
+      } else if (resultFields.has(entry.resultField)) {
+        errors.push(`${label}.resultField '${entry.resultField}' is already used by '${resultFields.get(entry.resultField)}'`);
+      } else {
+        resultFields.set(entry.resultField, entry.name);
+      }
+    }
+
+    if (entry.transitions !== undefined) {
+      if (!Array.isArray(entry.transitions)) {
+        errors.push(`${label}.transitions must be an array`);
+      } else {
+        for (const target of entry.transitions) {
+          if (target !== COMPLETE_PHASE && !names.includes(target)) {
+            errors.push(`${label}.transitions: unknown phase '${target}'`);
+          }
+        }
+      }
+    }
+
+    if (entry.skipIf !== undefined) {
+      if (index === 0) {
+        errors.push(`${label}: the first phase cannot be skipped`);
+      }
+      const conditions = Array.isArray(entry.skipIf) ? entry.skipIf : [entry.skipIf];
+      conditions.forEach((condition, i) => {
+        validateCondition(condition, Array.isArray(entry.skipIf) ? `${label}.skipIf[${i}]` : `${label}.skipIf`, errors);
+      });
+    }
+  });
+
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Normalize a validated definition
+ * @param {Object} definition - Valid workflow.json contents
+ * @param {string} source - File path, or 'default'
+ * @returns {{source: string, phases: Array<Object>}}
+ */
+function normalizeDefinition(definition, source) {
+  const phases = definition.phases.map(entry => {
+    const phase = typeof entry === 'string' ? { name: entry } : entry;
+    return {
+      name: phase.name,
+      description: phase.description || null,
+      resultField: phase.resultField !== undefined ? phase.resultField : (DEFAULT_RESULT_FIELDS[phase.name] || null),
+      transitions: phase.transitions || null,
+      skipIf: phase.skipIf === undefined ? null : [].concat(phase.skipIf)
+    };
+  });
+  return { source, phases };
+}
+
+const DEFAULT_DEFINITION = normalizeDefinition({ phases: DEFAULT_PHASES }, 'default');
+
+/**
+ * Load the workflow definition for a project or worktree
+ * @param {string} basePath - Project or worktree path
+ * @returns {Object|null} Normalized definition, or null if the file does not exist
+ * @throws {Error} If the file is unreadable, too large or invalid
+ */
+function readDefinition(basePath = process.cwd()) {
+  const definitionPath = getDefinitionPath(basePath);
+  if (!fs.existsSync(definitionPath)) {
+    return null;
+  }
+
+  const stats = fs.statSync(definitionPath);
+  if (stats.size > MAX_DEFINITION_SIZE) {
+    throw new Error(`Invalid workflow definition ${definitionPath}: file too large (${stats.size} bytes)`);
+  }
+
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(definitionPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid workflow definition ${definitionPath}: ${error.message}`);
+  }
+
+  const validation = validateDefinition(definition);
+  if (!validation.ok) {
+    throw new Error(`Invalid workflow definition ${definitionPath}: ${validation.errors.join('; ')}`);
+  }
+  return normalizeDefinition(definition, definitionPath);
+}
+
+/**
+ * Load the first workflow definition found, falling back to the default pipeline
+ * @param {...string} basePaths - Paths to search in order (e.g. worktree, then main project)
+ * @returns {Object} Normalized definition
+ * @throws {Error} If a definition file exists but is invalid
+ */
+function loadDefinition(...basePaths) {
+  const searched = new Set();
+  for (const basePath of basePaths.length > 0 ? basePaths : [process.cwd()]) {
+    if (!basePath || searched.has(path.resolve(basePath))) continue;
+    searched.add(path.resolve(basePath));
+    const definition = readDefinition(basePath);
+    if (definition) return definition;
+  }
+  return DEFAULT_DEFINITION;
+}
+
+/**
+ * Phase names in order, ending with 'complete'
+ */
+function getPhaseNames(definition) {
+  return [...definition.phases.map(phase => phase.name), COMPLETE_PHASE];
+}
+
+function getPhase(definition, name) {
+  return definition.phases.find(phase => phase.name === name) || null;
+}
+
+/**
+ * Get the flow field that stores a phase's result
+ * @returns {string|null}
+ */
+function getResultField(definition, name) {
+  return getPhase(definition, name)?.resultField || null;
+}
+
+function getPathValue(source, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+/**
+ * Evaluate a skipIf condition against a flow
+ * @param {Object} condition - { path, equals | in | includes | exists }
+ * @param {Object} flow - Flow state
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, flow) {
+  const value = getPathValue(flow, condition.path);
+  if ('exists' in condition) {
+    return (value !== undefined && value !== null) === condition.exists;
+  }
+  if ('in' in condition) {
+    return condition.in.includes(value);
+  }
+  if ('includes' in condition) {
+    return (Array.isArray(value) || typeof value === 'string') && value.includes(condition.includes);
+  }
+  return value === condition.equals;
+}
+
+/**
+ * Check whether a phase's skipIf matches the flow
+ * @returns {boolean}
+ */
+function shouldSkipPhase(definition, name, flow) {
+  const phase = getPhase(definition, name);
+  return Boolean(phase?.skipIf && phase.skipIf.some(condition => evaluateCondition(condition, flow)));
+}
+
+/**
+ * Find the phase that follows `current`, skipping phases whose skipIf matches
+ * @param {Object} definition - Normalized definition
+ * @param {string} current - Phase being completed
+ * @param {Object} flow - Flow state the skip conditions are evaluated against
+ * @returns {{phase: string, skipped: string[]}}
+ * @throws {Error} If current is not part of the definition
+ */
+function getNextPhase(definition, current, flow = {}) {
+  const names = getPhaseNames(definition);
+  const index = names.indexOf(current);
+  if (index === -1) {
+    throw new Error(`Phase '${current}' is not part of the workflow definition (${definition.source})`);
+  }
+
+  const skipped = [];
+  for (const name of names.slice(index + 1)) {
+    if (name === COMPLETE_PHASE || !shouldSkipPhase(definition, name, flow)) {
+      return { phase: name, skipped };
+    }
+    skipped.push(name);
+  }
+  return { phase: COMPLETE_PHASE, skipped };
+}
+
+/**
+ * Check whether skipToPhase may move from one phase to another
+ * @returns {boolean}
+ */
+function canTransition(definition, from, to) {
+  if (!getPhaseNames(definition).includes(to)) {
+    return false;
+  }
+  const transitions = getPhase(definition, from)?.transitions;
+  return !transitions || transitions.includes(to);
+}
+
+module.exports = {
+  WORKFLOW_FILE,
+  COMPLETE_PHASE,
+  DEFAULT_DEFINITION,
+  getDefinitionPath,
+  validateDefinition,
+  readDefinition,
+  loadDefinition,
+  getPhaseNames,
+  getPhase,
+  getResultField,
+  evaluateCondition,
+  shouldSkipPhase,
+  getNextPhase,
+  canTransition
+};
@@ -0,0 +1,225 @@
+/**
+ * Diff Scope
+ *
+ * Computes which files and line ranges changed between the worktree and a
+ * base ref's merge-base, so the pipeline can report only slop introduced by
+ * the current change. Untracked files count as fully changed.
+ *
+ * @module patterns/diff-scope
+ * @author Avi Fenesh
+ * @license MIT
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Tried in order when no base ref is given (after origin/HEAD)
+const DEFAULT_BASE_REFS = ['origin/main', 'origin/master', 'main', 'master'];
+
+// Range end for files that changed as a whole (untracked)
+const WHOLE_FILE = Number.MAX_SAFE_INTEGER;
+
+const HUNK_HEADER = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Run git and return trimmed stdout, or null on failure
+ * @param {string} repoPath - Working directory
+ * @param {string[]} args - git arguments
+ * @returns {string|null}
+ */
+function git(repoPath, args) {
+  try {
+    // Use execFileSync with arg array to prevent command injection
+    return execFileSync('git', args, {
+      cwd: repoPath,
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      maxBuffer: 64 * 1024 * 1024
+    }).replace(/\s+$/, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate a user-supplied ref name (branch, tag, remote ref or commit)
+ * @param {string} ref
+ * @returns {boolean}
+ */
+function isValidRef(ref) {
+  // Leading '-' would be parsed as an option
+  return typeof ref === 'string' && /^[\w./@^~{}-]+$/.test(ref) && !ref.startsWith('-') && !ref.includes('..');
+}
+
+/**
+ * Resolve the base ref to diff against
+ * @param {string} repoPath - Repository path
+ * @param {string} [base] - Explicit base ref
+ * @returns {string|null} Ref name, or null if none resolves
+ */
+function resolveBaseRef(repoPath, base) {
+  const exists = (ref) => git(repoPath, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]) !== null;
+
+  if (base) {
+    return isValidRef(base) && exists(base) ? base : null;
+  }
+
+  const originHead = git(repoPath, ['symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD']);
+  const candidates = originHead ? [originHead, ...DEFAULT_BASE_REFS] : DEFAULT_BASE_REFS;
+  return candidates.find(ref => isValidRef(ref) && exists(ref)) || null;
+}
+
+/**
+ * Unquote a path from git diff headers (quoted when it has special characters)
+ * @param {string} file
+ * @returns {string}
+ */
+function unquotePath(file) {
+  if (!file.startsWith('"')) return file;
+  try {
+    return JSON.parse(file);
+  } catch {
+    return file.slice(1, -1);
+  }
+}
+
+/**
+ * Parse `git diff --unified=0` output into changed line ranges per file
+ * @param {string} diff - Unified diff
+ * @returns {Map<string, Array<{start: number, end: number}>>} New-side ranges (1-based, inclusive);
+ *   deleted files are omitted, files with only deletions map to []
+ */
+function parseUnifiedDiff(diff) {
+  const files = new Map();
+  let current = null;
+
+  for (const line of String(diff || '').split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      current = null;
+    } else if (line.startsWith('+++ ')) {
+      const target = line.slice(4);
+      current = target === '/dev/null' ? null : unquotePath(target).replace(/^b\//, '');
+      if (current && !files.has(current)) files.set(current, []);
+    } else if (current && line.startsWith('@@')) {
+      const match = HUNK_HEADER.exec(line);
+      if (!match) continue;
+      const start = Number(match[1]);
+      const count = match[2] === undefined ? 1 : Number(match[2]);
+      // count 0 is a pure deletion: nothing on the new side to report
+      if (count > 0) files.get(current).push({ start, end: start + count - 1 });
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Compute the diff scope of the worktree against a base ref's merge-base
+ *
+ * @param {string} repoPath - Repository path (may be a subdirectory; paths are relative to it)
+ * @param {Object} [options]
+ * @param {string} [options.base] - Base ref (default: origin/HEAD, then main/master)
+ * @param {boolean} [options.untracked=true] - Treat untracked files as fully changed
+ * @returns {{ok: boolean, error?: string, base?: string, mergeBase?: string,
+ *   files?: Map<string, Array<{start: number, end: number}>>}}
+ */
+function getDiffScope(repoPath, options = {}) {
+  if (git(repoPath, ['rev-parse', '--is-inside-work-tree']) !== 'true') {
+    return { ok: false, error: 'Not a git repository' };
+  }
+
+  const base = resolveBaseRef(repoPath, options.base);
+  if (!base) {
+    return {
+      ok: false,
+      error: options.base ? `Base ref not found: ${options.base}` : 'No base ref found (tried origin/HEAD, main, master)'
+    };
+  }
+
+  const mergeBase = git(repoPath, ['merge-base', 'HEAD', base]);
+  if (!mergeBase) {
+    return { ok: false, error: `No merge-base between HEAD and ${base}` };
+  }
+
+  // Worktree vs merge-base covers committed, staged and unstaged changes
+  const diff = git(repoPath, [
+    '-c', 'core.quotePath=false',
+    'diff', '--unified=0', '--no-color', '--no-ext-diff', '--relative', '--src-prefix=a/', '--dst-prefix=b/', '-M', mergeBase, '--'
+  ]);
+  if (diff === null) {
+    return { ok: false, error: 'git diff failed' };
+  }
+
+  const files = parseUnifiedDiff(diff);
+
+  if (options.untracked !== false) {
+    const untracked = git(repoPath, ['-c', 'core.quotePath=false', 'ls-files', '--others', '--exclude-standard']);
+    for (const file of (untracked || '').split('\n').filter(Boolean)) {
+      files.set(unquotePath(file), [{ start: 1, end: WHOLE_FILE }]);
+    }
+  }
+
+  return { ok: true, base, mergeBase, files };
+}
+
+/**
+ * Repo-relative, forward-slash path for a finding or target file
+ * @param {string} file
+ * @param {string} repoPath
+ * @returns {string}
+ */
+function toRelative(file, repoPath) {
+  const relative = path.isAbsolute(file) ? path.relative(repoPath, file) : path.normalize(file);
+  return relative.split(path.sep).join('/');
+}
+
+/**
+ * Check whether a line span overlaps a changed range of a file
+ * @param {Object} scope - getDiffScope() result
+ * @param {string} file - Repo-relative path
+ * @param {number} startLine
+ * @param {number} [endLine=startLine]
+ * @returns {boolean}
+ */
+function isLineChanged(scope, file, startLine, endLine = startLine) {
+  const ranges = scope.files.get(file);
+  if (!ranges) return false;
+  return ranges.some(range => startLine <= range.end && endLine >= range.start);
+}
+
+/**
+ * Keep findings inside the diff scope
+ *
+ * With `lines` a finding must overlap a changed range (block findings use
+ * details.startLine/endLine); otherwise any finding in a touched file is
+ * kept. Project-level findings are always dropped.
+ *
+ * @param {Array} findings - Pipeline findings
+ * @param {Object} scope - getDiffScope() result
+ * @param {Object} [options]
+ * @param {string} [options.repoPath=process.cwd()]
+ * @param {boolean} [options.lines=false] - Filter by changed line ranges
+ * @returns {Array}
+ */
+function filterFindings(findings, scope, options = {}) {
+  const repoPath = options.repoPath || process.cwd();
+
+  return findings.filter(finding => {
+    if (!finding.file || finding.file === 'project-level') return false;
+    const file = toRelative(finding.file, repoPath);
+    if (!scope.files.has(file)) return false;
+    if (!options.lines || !(finding.line > 0)) return true;
+    const start = finding.details?.startLine || finding.line;
+    const end = Math.max(finding.details?.endLine || start, finding.line);
+    return isLineChanged(scope, file, start, end);
+  });
+}
+
+module.exports = {
+  DEFAULT_BASE_REFS,
+  resolveBaseRef,
+  parseUnifiedDiff,
+  getDiffScope,
+  isLineChanged,
+  filterFindings
+};
@@ -4,20 +4,161 @@
  * @module lib/perf/profilers/python
  */
 
+const fs = require('fs');
+const path = require('path');
+const {
+  toRepoRelative,
+  rankHotspots,
+  aggregateByFile,
+  findFirstExisting,
+  renderProfile
+} = require('./hotspots');
+
+const DEFAULT_OUTPUT = 'profile.prof';
+const STATS_HEADER = /ncalls\s+tottime\s+percall\s+cumtime\s+percall\s+filename:lineno\(function\)/;
+const PSTATS_SCRIPT = [
+  'import pstats, sys',
+  "pstats.Stats(sys.argv[1]).sort_stats('tottime').print_stats()"
+].join('\n');
+
+/**
+ * Split a pstats location ("app.py:10(fib)", "{built-in method x}") into parts.
+ * @param {string} location
+ * @param {string} [repoPath]
+ * @returns {{ name: string, file: string|null, line: number|null }}
+ */
+function parseLocation(location, repoPath) {
+  if (location.startsWith('{') && location.endsWith('}')) {
+    return { name: location.slice(1, -1), file: null, line: null };
+  }
+  const match = location.match(/^(.*):(\d+)\((.*)\)$/);
+  if (!match) {
+    return { name: location, file: null, line: null };
+  }
+  const [, file, line, name] = match;
+  if (file === '~') {
+    return { name, file: null, line: null };
+  }
+  return {
+    name,
+    file: toRepoRelative(path.normalize(file), repoPath),
+    line: parseInt(line, 10) || null
+  };
+}
+
+/**
+ * Parse pstats print_stats() text (also what `python -m cProfile -s` prints).
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.repoPath]
+ * @param {number} [options.limit]
+ * @returns {{ hotspots: object[], files: object[], totalMs: number }}
+ */
+function parsePstatsText(text, options = {}) {
+  const lines = String(text || '').split(/\r?\n/);
+  const headerIndex = lines.findIndex((line) => STATS_HEADER.test(line));
+  if (headerIndex === -1) {
+    throw new Error('No pstats table found');
+  }
+
+  let totalMs = 0;
+  for (const line of lines.slice(0, headerIndex)) {
+    const match = line.match(/in\s+([\d.]+)\s+seconds/);
+    if (match) totalMs = parseFloat(match[1]) * 1000;
+  }
+
+  const entries = [];
+  for (const line of lines.slice(headerIndex + 1)) {
+    const match = line.trim().match(/^(\d+(?:\/\d+)?)\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+(.+)$/);
+    if (!match) continue;
+    const [, , tottime, , cumtime, , location] = match;
+    const parsed = parseLocation(location.trim(), options.repoPath);
+    entries.push({
+      ...parsed,
+      selfMs: parseFloat(tottime) * 1000,
+      totalMs: parseFloat(cumtime) * 1000
+    });
+  }
+
+  if (totalMs === 0) {
+    totalMs = entries.reduce((sum, entry) => sum + entry.selfMs, 0);
+  }
+
+  return {
+    hotspots: rankHotspots(entries, { totalMs, limit: options.limit }),
+    files: aggregateByFile(entries, { totalMs, limit: options.limit }),
+    totalMs: Math.round(totalMs * 100) / 100
+  };
+}
+
+function readStatsText(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  return STATS_HEADER.test(text) ? text : null;
+}
+
 module.exports = {
   id: 'cprofile',
   tool: 'cProfile',
   buildCommand(options = {}) {
     const command = options.command || 'python';
     const target = options.target || '-m';
-    const output = options.output || 'profile.prof';
+    const output = options.output || DEFAULT_OUTPUT;
     return `${command} -m cProfile -o ${output} ${target}`;
   },
-  parseOutput() {
-    return {
-      tool: 'cprofile',
-      hotspots: [],
-      artifacts: []
-    };
-  }
+  /**
+   * Parse cProfile output: pstats text from stdout or a text report, or the
+   * binary profile rendered through `python -c pstats`.
+   * @param {object} [context]
+   * @param {string} [context.repoPath]
+   * @param {string} [context.output]
+   * @param {number} [context.startedAt] - Epoch ms when the run began
+   * @param {string} [context.stdout]
+   * @param {string} [context.python='python']
+   * @param {number} [context.limit]
+   * @returns {{ tool: string, hotspots: object[], files: object[], artifacts: string[], totalMs?: number, warnings: string[] }}
+   */
+  parseOutput(context = {}) {
+    const repoPath = context.repoPath || process.cwd();
+    const output = context.output || DEFAULT_OUTPUT;
+    const profilePath = findFirstExisting(repoPath, [output], context.startedAt);
+    const reportPath = findFirstExisting(repoPath, [`${output}.txt`], context.startedAt);
+    const artifacts = [profilePath, reportPath]
+      .filter(Boolean)
+      .map((filePath) => toRepoRelative(filePath, repoPath));
+    const result = { tool: 'cprofile', hotspots: [], files: [], artifacts, warnings: [] };
+
+    let text = null;
+    if (context.stdout && STATS_HEADER.test(context.stdout)) {
+      text = context.stdout;
+    } else if (reportPath) {
+      text = readStatsText(reportPath);
+    }
+    if (!text && profilePath) {
+      text = readStatsText(profilePath);
+      if (!text) {
+        const rendered = renderProfile(context.python || 'python', ['-c', PSTATS_SCRIPT, profilePath], { cwd: repoPath });
+        if (rendered.ok) {
+          text = rendered.stdout;
+        } else {
+          result.warnings.push(`Failed to render ${output} with pstats: ${rendered.error}`);
+        }
+      }
+    }
+
+    if (!text) {
+      if (result.warnings.length === 0) {
+        result.warnings.push('No cProfile output found after profiling run');
+      }
+      return result;
+    }
+
+    try {
+      const parsed = parsePstatsText(text, { repoPath, limit: context.limit });
+      return { ...result, hotspots: parsed.hotspots, files: parsed.files, totalMs: parsed.totalMs };
+    } catch (error) {
+      result.warnings.push(`Failed to parse cProfile output: ${error.message}`);
+      return result;
+    }
+  },
+  parsePstatsText
 };
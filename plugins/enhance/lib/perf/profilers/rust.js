@@ -4,20 +4,221 @@
  * @module lib/perf/profilers/rust
  */
 
+const fs = require('fs');
+const path = require('path');
+const {
+  toRepoRelative,
+  parseCollapsedStacks,
+  isCollapsedText,
+  aggregateStacks,
+  rankHotspots,
+  aggregateByFile,
+  findFirstExisting,
+  isOlderThan,
+  renderProfile
+} = require('./hotspots');
+
+const DEFAULT_OUTPUT = 'perf.data';
+const DEFAULT_INTERVAL_MS = 1;
+
+/**
+ * Strip perf/rustc decorations: "+0x1f" offsets and "::h0123456789abcdef" hashes.
+ * @param {string} symbol
+ * @returns {string}
+ */
+function cleanSymbol(symbol) {
+  return symbol
+    .replace(/\+0x[0-9a-f]+$/i, '')
+    .replace(/::h[0-9a-f]{16}$/, '')
+    .trim();
+}
+
+/**
+ * Read the [package] name from Cargo.toml, normalized to its crate identifier.
+ * @param {string} repoPath
+ * @returns {string|null}
+ */
+function readCrateName(repoPath) {
+  try {
+    const manifest = fs.readFileSync(path.join(repoPath, 'Cargo.toml'), 'utf8');
+    const section = manifest.split(/^\[package\]\s*$/m)[1];
+    const match = section && section.match(/^\s*name\s*=\s*"([^"]+)"/m);
+    return match ? match[1].replace(/-/g, '_') : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build a frame resolver mapping "my_crate::parser::parse" to src/parser.rs.
+ * Only frames in the local crate (or `crate::`) are mapped to files.
+ * @param {string} repoPath
+ * @returns {Function}
+ */
+function createFrameResolver(repoPath) {
+  const crateName = repoPath ? readCrateName(repoPath) : null;
+  const fileCache = new Map();
+
+  const findSource = (modules) => {
+    const key = modules.join('::');
+    if (fileCache.has(key)) return fileCache.get(key);
+    const candidates = [];
+    // Drop trailing segments (types, functions) until a module file matches
+    for (let depth = modules.length; depth > 0; depth--) {
+      const modulePath = modules.slice(0, depth).join('/');
+      candidates.push(`src/${modulePath}.rs`, `src/${modulePath}/mod.rs`);
+    }
+    candidates.push('src/lib.rs', 'src/main.rs');
+    const match = findFirstExisting(repoPath, candidates);
+    const found = match ? toRepoRelative(match, repoPath) : null;
+    fileCache.set(key, found);
+    return found;
+  };
+
+  return (frame) => {
+    const name = cleanSymbol(frame);
+    const segments = name.replace(/^<|>$/g, '').split(/\s+as\s+/)[0].split('::');
+    const isLocal = repoPath && segments.length > 1
+      && (segments[0] === 'crate' || (crateName && segments[0] === crateName));
+    const file = isLocal ? findSource(segments.slice(1, -1)) : null;
+    return { name, file, line: null };
+  };
+}
+
+/**
+ * Collapse `perf script` output into root-first stacks.
+ * @param {string} text
+ * @returns {Array<{ frames: string[], count: number }>}
+ */
+function parsePerfScript(text) {
+  const counts = new Map();
+  let frames = null;
+
+  const flush = () => {
+    if (frames && frames.length > 0) {
+      const key = frames.reverse().join(';');
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    frames = null;
+  };
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    if (!rawLine.trim()) {
+      flush();
+      continue;
+    }
+    if (!/^\s/.test(rawLine)) {
+      // Sample header: "app 1234 5678.9: 250000 cpu-clock:"
+      flush();
+      frames = [];
+      continue;
+    }
+    if (!frames) continue;
+    const match = rawLine.trim().match(/^[0-9a-f]+\s+(.+?)(?:\s+\(([^)]*)\))?$/i);
+    if (match) {
+      frames.push(cleanSymbol(match[1]));
+    }
+  }
+  flush();
+
+  return Array.from(counts.entries()).map(([key, count]) => ({ frames: key.split(';'), count }));
+}
+
+/**
+ * Aggregate root-first Rust stacks into hotspots.
+ * @param {Array<{ frames: string[], count: number }>} stacks
+ * @param {object} [options]
+ * @param {string} [options.repoPath]
+ * @param {number} [options.intervalMs]
+ * @param {number} [options.limit]
+ * @returns {{ hotspots: object[], files: object[], totalMs: number }}
+ */
+function summarizeStacks(stacks, options = {}) {
+  if (stacks.length === 0) {
+    throw new Error('No stack samples found');
+  }
+  const { entries, totalMs } = aggregateStacks(stacks, {
+    intervalMs: options.intervalMs || DEFAULT_INTERVAL_MS,
+    resolveFrame: createFrameResolver(options.repoPath)
+  });
+  return {
+    hotspots: rankHotspots(entries, { totalMs, limit: options.limit }),
+    files: aggregateByFile(entries, { totalMs, limit: options.limit }),
+    totalMs: Math.round(totalMs * 100) / 100
+  };
+}
+
+/**
+ * Parse flamegraph folded stacks into hotspots.
+ * @param {string} text
+ * @param {object} [options]
+ * @returns {{ hotspots: object[], files: object[], totalMs: number }}
+ */
+function parseFolded(text, options = {}) {
+  return summarizeStacks(parseCollapsedStacks(text), options);
+}
+
 module.exports = {
   id: 'perf',
   tool: 'perf',
   buildCommand(options = {}) {
     const command = options.command || 'perf record';
-    const output = options.output || 'perf.data';
+    const output = options.output || DEFAULT_OUTPUT;
     const target = options.target || './target/release/app';
-    return `${command} -o ${output} ${target}`;
+    return `${command} -g -o ${output} ${target}`;
   },
-  parseOutput() {
-    return {
-      tool: 'perf',
-      hotspots: [],
-      artifacts: []
-    };
-  }
+  /**
+   * Parse perf output. Uses folded stacks when present (stdout,
+   * <name>.folded or out.folded), otherwise collapses `perf script`.
+   * @param {object} [context]
+   * @param {string} [context.repoPath]
+   * @param {string} [context.output]
+   * @param {number} [context.startedAt] - Epoch ms when the run began
+   * @param {string} [context.stdout]
+   * @param {number} [context.intervalMs] - Time per sample; percentages do not depend on it
+   * @param {number} [context.limit]
+   * @returns {{ tool: string, hotspots: object[], files: object[], artifacts: string[], totalMs?: number, warnings: string[] }}
+   */
+  parseOutput(context = {}) {
+    const repoPath = context.repoPath || process.cwd();
+    const output = context.output || DEFAULT_OUTPUT;
+    const base = output.replace(/\.data$/, '');
+    const dataPath = findFirstExisting(repoPath, [output], context.startedAt);
+    const folded = findFirstExisting(repoPath, [`${base}.folded`, `${output}.folded`, 'out.folded'], context.startedAt);
+    // Stacks folded from an earlier perf.data are stale
+    const foldedPath = folded && dataPath && isOlderThan(folded, dataPath) ? null : folded;
+    const artifacts = [dataPath, foldedPath]
+      .filter(Boolean)
+      .map((filePath) => toRepoRelative(filePath, repoPath));
+    const result = { tool: 'perf', hotspots: [], files: [], artifacts, warnings: [] };
+    const options = { repoPath, intervalMs: context.intervalMs, limit: context.limit };
+
+    let stacks = null;
+    if (context.stdout && isCollapsedText(context.stdout)) {
+      stacks = parseCollapsedStacks(context.stdout);
+    } else if (foldedPath) {
+      stacks = parseCollapsedStacks(fs.readFileSync(foldedPath, 'utf8'));
+    } else if (dataPath) {
+      const rendered = renderProfile('perf', ['script', '-i', dataPath], { cwd: repoPath });
+      if (rendered.ok) {
+        stacks = parsePerfScript(rendered.stdout);
+      } else {
+        result.warnings.push(`Failed to render ${output} with perf script: ${rendered.error}`);
+      }
+    } else {
+      result.warnings.push('No perf data or folded stacks found after profiling run');
+    }
+
+    if (!stacks) return result;
+
+    try {
+      const parsed = summarizeStacks(stacks, options);
+      return { ...result, hotspots: parsed.hotspots, files: parsed.files, totalMs: parsed.totalMs };
+    } catch (error) {
+      result.warnings.push(`Failed to parse perf output: ${error.message}`);
+      return result;
+    }
+  },
+  parseFolded,
+  parsePerfScript
 };
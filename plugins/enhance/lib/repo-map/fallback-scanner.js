@@ -0,0 +1,571 @@
+/**
+ * Fallback scanner for machines without ast-grep
+ *
+ * Dependency-free extractor for JavaScript/TypeScript and Python. Comments
+ * and string contents are masked (offsets preserved) and declarations are
+ * matched with regexes, producing the same map schema as the ast-grep
+ * runner. Maps built this way are flagged `scanner: 'fallback'` and
+ * `confidence: 'low'`.
+ *
+ * @module lib/repo-map/fallback-scanner
+ */
+
+'use strict';
+
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const runner = require('./runner');
+const signatures = require('./signatures');
+
+const SCANNER_NAME = 'fallback';
+const FALLBACK_LANGUAGES = ['javascript', 'typescript', 'python'];
+
+const IDENT = '[A-Za-z_$][\\w$]*';
+// Keyword not preceded by an identifier character or member access
+const KW = '(?<![\\w$.])';
+
+// Source read after a function declaration when looking for its signature
+const SIGNATURE_WINDOW = 4000;
+
+// Characters after which `/` starts a regex literal rather than division
+const REGEX_PRECEDERS = new Set(['', '(', ',', '=', ':', '[', '!', '&', '|', '?', '{', '}', ';', '+', '-', '*', '%', '<', '>', '~', '^']);
+const REGEX_KEYWORDS = new Set(['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'yield', 'await']);
+
+/**
+ * Check whether the fallback scanner handles a language
+ * @param {string} language - Language name
+ * @returns {boolean}
+ */
+function supportsLanguage(language) {
+  return FALLBACK_LANGUAGES.includes(language);
+}
+
+/**
+ * Get the language for a file from its extension
+ * @param {string} file - File path
+ * @returns {string|null}
+ */
+function getLanguageForFile(file) {
+  const ext = path.extname(file).toLowerCase();
+  for (const [language, exts] of Object.entries(runner.LANGUAGE_EXTENSIONS)) {
+    if (exts.includes(ext)) return language;
+  }
+  return null;
+}
+
+/**
+ * Blank out characters, keeping newlines so offsets and lines stay aligned
+ */
+function blank(text) {
+  return text.replace(/[^\n]/g, ' ');
+}
+
+/**
+ * Find the end of a quoted run (index of the closing quote, or of the newline/end)
+ */
+function findQuoteEnd(content, start, quote, multiline) {
+  let i = start;
+  while (i < content.length) {
+    const ch = content[i];
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (content.startsWith(quote, i)) return i;
+    if (ch === '\n' && !multiline) return i;
+    i++;
+  }
+  return content.length;
+}
+
+/**
+ * Mask JavaScript/TypeScript comments and string/template/regex contents
+ * @param {string} content - Source
+ * @returns {string} Same length; quotes are kept, contents become spaces
+ */
+function maskJavaScript(content) {
+  let out = '';
+  let i = 0;
+  let lastSignificant = '';
+  let lastWord = '';
+
+  while (i < content.length) {
+    const ch = content[i];
+    const next = content[i + 1];
+
+    if (ch === '/' && next === '/') {
+      const end = content.indexOf('\n', i);
+      const stop = end === -1 ? content.length : end;
+      out += blank(content.slice(i, stop));
+      i = stop;
+      continue;
+    }
+
+    if (ch === '/' && next === '*') {
+      const end = content.indexOf('*/', i + 2);
+      const stop = end === -1 ? content.length : end + 2;
+      out += blank(content.slice(i, stop));
+      i = stop;
+      continue;
+    }
+
+    if (ch === '"' || ch === '\'' || ch === '`') {
+      const end = findQuoteEnd(content, i + 1, ch, ch === '`');
+      out += ch + blank(content.slice(i + 1, end));
+      if (content[end] === ch) out += ch;
+      i = content[end] === ch ? end + 1 : end;
+      lastSignificant = ch;
+      lastWord = '';
+      continue;
+    }
+
+    if (ch === '/' && (REGEX_PRECEDERS.has(lastSignificant) || REGEX_KEYWORDS.has(lastWord))) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < content.length && content[j] !== '\n') {
+        if (content[j] === '\\') {
+          j += 2;
+          continue;
+        }
+        if (content[j] === '[') inClass = true;
+        else if (content[j] === ']') inClass = false;
+        else if (content[j] === '/' && !inClass) break;
+        j++;
+      }
+      if (content[j] === '/') {
+        j++;
+        while (j < content.length && /[a-z]/i.test(content[j])) j++;
+        out += '/' + blank(content.slice(i + 1, j - 1)) + '/';
+        i = j;
+        lastSignificant = '/';
+        lastWord = '';
+        continue;
+      }
+    }
+
+    out += ch;
+    if (/[\w$]/.test(ch)) {
+      lastWord = /[\w$]/.test(content[i - 1] || '') ? lastWord + ch : ch;
+      lastSignificant = ch;
+    } else if (!/\s/.test(ch)) {
+      lastSignificant = ch;
+      lastWord = '';
+    }
+    i++;
+  }
+
+  return out;
+}
+
+/**
+ * Mask Python comments and string contents (including triple-quoted and prefixed strings)
+ * @param {string} content - Source
+ * @returns {string} Same length; quotes are kept, contents become spaces
+ */
+function maskPython(content) {
+  let out = '';
+  let i = 0;
+
+  while (i < content.length) {
+    const ch = content[i];
+
+    if (ch === '#') {
+      const end = content.indexOf('\n', i);
+      const stop = end === -1 ? content.length : end;
+      out += blank(content.slice(i, stop));
+      i = stop;
+      continue;
+    }
+
+    if (ch === '"' || ch === '\'') {
+      const quote = content.startsWith(ch.repeat(3), i) ? ch.repeat(3) : ch;
+      const end = findQuoteEnd(content, i + quote.length, quote, quote.length === 3);
+      const closed = content.startsWith(quote, end);
+      out += quote + blank(content.slice(i + quote.length, end)) + (closed ? quote : '');
+      i = closed ? end + quote.length : end;
+      continue;
+    }
+
+    out += ch;
+    i++;
+  }
+
+  return out;
+}
+
+/**
+ * Map offsets to 1-based line numbers
+ * @param {string} content
+ * @returns {Function} offset => line
+ */
+function createLineIndex(content) {
+  const starts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') starts.push(i + 1);
+  }
+  return (offset) => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  };
+}
+
+/**
+ * Read the raw string literal value whose opening quote is at `index`
+ */
+function readStringAt(content, index) {
+  const quote = content[index];
+  const end = findQuoteEnd(content, index + 1, quote, false);
+  return content.slice(index + 1, end);
+}
+
+/**
+ * Offset of the brace matching the `{` at `index` (in masked code)
+ */
+function findClosingBrace(masked, index) {
+  let depth = 0;
+  for (let i = index; i < masked.length; i++) {
+    if (masked[i] === '{') depth++;
+    else if (masked[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+function addSymbol(map, name, line, kind, extra = {}) {
+  if (!name || map.has(name)) return;
+  map.set(name, { name, line, kind, ...extra });
+}
+
+// Parameters and return type of the function declared at `offset`
+function signatureAt(content, offset, name, language) {
+  return signatures.extractSignature(content.slice(offset, offset + SIGNATURE_WINDOW), name, language);
+}
+
+function forEachMatch(text, source, flags, callback) {
+  const regex = new RegExp(source, flags);
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    callback(match);
+    if (match[0].length === 0) regex.lastIndex++;
+  }
+}
+
+/**
+ * Extract JavaScript/TypeScript symbols and imports
+ * @returns {{symbolMaps: Object, imports: Array}}
+ */
+function extractJavaScript(content, language) {
+  const masked = maskJavaScript(content);
+  const lineAt = createLineIndex(content);
+  const symbolMaps = runner.createSymbolMaps();
+  const isTypeScript = language === 'typescript';
+  const imports = [];
+  const seenImports = new Set();
+
+  const addImport = (source, kind, offset) => {
+    const key = `${source}:${kind}`;
+    if (!source || seenImports.has(key)) return;
+    seenImports.add(key);
+    imports.push({ source, kind, line: lineAt(offset) });
+  };
+  const quoteIndex = (match) => match.index + match[0].length - 1;
+
+  // Exports
+  const exportRules = [
+    [`${KW}export\\s+(?:async\\s+)?function\\s*\\*?\\s*(${IDENT})`, 'function'],
+    [`${KW}export\\s+(?:abstract\\s+)?class\\s+(${IDENT})`, 'class'],
+    [`${KW}export\\s+const\\s+(${IDENT})\\s*[=:]`, 'constant'],
+    [`${KW}export\\s+(?:let|var)\\s+(${IDENT})`, 'variable'],
+    [`${KW}export\\s+default\\s+(?:async\\s+)?function\\s*\\*?\\s*(${IDENT})`, 'function'],
+    [`${KW}export\\s+default\\s+(?:abstract\\s+)?class\\s+(${IDENT})`, 'class'],
+    [`${KW}export\\s+default\\s+(?!function\\b|class\\b|async\\b)(${IDENT})\\s*(?:;|\\n|$)`, 'value'],
+    [`${KW}module\\.exports\\s*=\\s*(${IDENT})\\s*(?:;|\\n|$)`, 'value'],
+    [`${KW}exports\\.(${IDENT})\\s*=`, 'value']
+  ];
+  if (isTypeScript) {
+    exportRules.push(
+      [`${KW}export\\s+(?:declare\\s+)?(?:interface|enum|namespace|const\\s+enum)\\s+(${IDENT})`, 'type'],
+      [`${KW}export\\s+(?:declare\\s+)?type\\s+(${IDENT})\\s*(?:<[^=]*>)?\\s*=`, 'type'],
+      [`${KW}export\\s*=\\s*(${IDENT})`, 'value'],
+      [`${KW}export\\s+as\\s+namespace\\s+(${IDENT})`, 'namespace']
+    );
+  }
+  for (const [source, kind] of exportRules) {
+    forEachMatch(masked, source, 'gm', (match) => addSymbol(symbolMaps.exports, match[1], lineAt(match.index), kind));
+  }
+
+  forEachMatch(masked, `${KW}export\\s+default\\s+(?:async\\s+)?function\\s*\\*?\\s*\\(`, 'g', (match) => {
+    addSymbol(symbolMaps.exports, 'default', lineAt(match.index), 'function');
+  });
+  forEachMatch(masked, `${KW}export\\s+default\\s+class\\s*(?:extends\\b[^{]*)?\\{`, 'g', (match) => {
+    addSymbol(symbolMaps.exports, 'default', lineAt(match.index), 'class');
+  });
+  forEachMatch(masked, `${KW}export\\s*(?:type\\s*)?\\{([^}]*)\\}(\\s*from\\s*['"])?`, 'g', (match) => {
+    const kind = match[2] ? 're-export' : 'value';
+    for (const name of runner.extractNamesFromExportList(`{${match[1]}}`)) {
+      addSymbol(symbolMaps.exports, name, lineAt(match.index), kind);
+    }
+  });
+  forEachMatch(masked, `${KW}export\\s*\\*\\s*(?:as\\s+${IDENT}\\s*)?from\\s*['"]`, 'g', (match) => {
+    addSymbol(symbolMaps.exports, '*', lineAt(match.index), 're-export');
+  });
+  forEachMatch(masked, `${KW}module\\.exports\\s*=\\s*\\{`, 'g', (match) => {
+    const open = match.index + match[0].length - 1;
+    const close = findClosingBrace(masked, open);
+    if (close === -1) return;
+    for (const name of runner.extractNamesFromObjectLiteral(masked.slice(open, close + 1))) {
+      addSymbol(symbolMaps.exports, name, lineAt(match.index), 'value');
+    }
+  });
+
+  // Functions
+  const params = '\\((?:[^()]|\\([^()]*\\))*\\)';
+  forEachMatch(masked, `${KW}(?:async\\s+)?function\\s*\\*?\\s*(${IDENT})\\s*[(<]`, 'g', (match) => {
+    addSymbol(symbolMaps.functions, match[1], lineAt(match.index), 'function',
+      signatureAt(content, match.index, match[1], language));
+  });
+  forEachMatch(masked,
+    `${KW}(?:const|let|var)\\s+(${IDENT})\\s*(?::[^=;]*)?=\\s*(?:async\\s+)?(?:function\\b|${params}\\s*(?::[^=;{]+)?=>|${IDENT}\\s*=>)`,
+    'g',
+    (match) => addSymbol(symbolMaps.functions, match[1], lineAt(match.index), 'function',
+      signatureAt(content, match.index, match[1], language)));
+
+  // Classes
+  forEachMatch(masked, `${KW}(?:abstract\\s+)?class\\s+(${IDENT})`, 'g', (match) => {
+    addSymbol(symbolMaps.classes, match[1], lineAt(match.index), 'class');
+  });
+  forEachMatch(masked, `${KW}const\\s+(${IDENT})\\s*=\\s*class\\b`, 'g', (match) => {
+    addSymbol(symbolMaps.classes, match[1], lineAt(match.index), 'class');
+  });
+
+  // Types (TypeScript)
+  if (isTypeScript) {
+    forEachMatch(masked, `${KW}(?:interface|enum|namespace)\\s+(${IDENT})\\s*[{<]?`, 'g', (match) => {
+      addSymbol(symbolMaps.types, match[1], lineAt(match.index), 'type');
+    });
+    forEachMatch(masked, `${KW}type\\s+(${IDENT})\\s*(?:<[^=]*>)?\\s*=`, 'g', (match) => {
+      addSymbol(symbolMaps.types, match[1], lineAt(match.index), 'type');
+    });
+  }
+
+  // Imports
+  if (isTypeScript) {
+    forEachMatch(masked, `${KW}import\\s+type\\s+[^;'"]*?\\bfrom\\s*['"]`, 'g', (match) => {
+      addImport(readStringAt(content, quoteIndex(match)), 'type', match.index);
+    });
+  }
+  forEachMatch(masked, `${KW}import\\s+(?!type\\s)([\\w$*{][^;'"]*?)\\bfrom\\s*['"]`, 'g', (match) => {
+    const clause = match[1].trim();
+    const kind = clause.startsWith('*') ? 'namespace' : clause.startsWith('{') ? 'named' : 'default';
+    addImport(readStringAt(content, quoteIndex(match)), kind, match.index);
+  });
+  forEachMatch(masked, `${KW}import\\s*['"]`, 'g', (match) => {
+    addImport(readStringAt(content, quoteIndex(match)), 'side-effect', match.index);
+  });
+  forEachMatch(masked, `${KW}require\\s*\\(\\s*['"]`, 'g', (match) => {
+    addImport(readStringAt(content, quoteIndex(match)), 'require', match.index);
+  });
+
+  return { symbolMaps, imports };
+}
+
+/**
+ * Extract Python symbols and imports
+ * @returns {{symbolMaps: Object, imports: Array}}
+ */
+function extractPython(content) {
+  const masked = maskPython(content);
+  const lineAt = createLineIndex(content);
+  const symbolMaps = runner.createSymbolMaps();
+  const imports = [];
+  const seenImports = new Set();
+
+  const addImport = (source, kind, offset) => {
+    const key = `${source}:${kind}`;
+    if (!source || seenImports.has(key)) return;
+    seenImports.add(key);
+    imports.push({ source, kind, line: lineAt(offset) });
+  };
+
+  forEachMatch(masked, '^[ \\t]*(?:async[ \\t]+)?def[ \\t]+([A-Za-z_]\\w*)', 'gm', (match) => {
+    addSymbol(symbolMaps.functions, match[1], lineAt(match.index), 'function',
+      signatureAt(content, match.index, match[1], 'python'));
+  });
+  forEachMatch(masked, '^[ \\t]*class[ \\t]+([A-Za-z_]\\w*)', 'gm', (match) => {
+    addSymbol(symbolMaps.classes, match[1], lineAt(match.index), 'class');
+  });
+  forEachMatch(masked, '^[ \\t]*import[ \\t]+([^\\n;]+)', 'gm', (match) => {
+    for (const source of runner.splitMultiSource(match[1].replace(/\\\s*$/, ''))) {
+      addImport(source, 'import', match.index);
+    }
+  });
+  forEachMatch(masked, '^[ \\t]*from[ \\t]+(\\.*[\\w.]*)[ \\t]+import\\b', 'gm', (match) => {
+    addImport(match[1], 'from', match.index);
+  });
+
+  return { symbolMaps, imports };
+}
+
+/**
+ * Extract symbols and imports from file content
+ * @param {string} content - File content
+ * @param {string} language - Language name (javascript, typescript, python)
+ * @returns {{symbols: Object, imports: Array}|null} - Null for unsupported languages
+ */
+function extractFile(content, language) {
+  if (!supportsLanguage(language)) return null;
+  const { symbolMaps, imports } = language === 'python'
+    ? extractPython(content)
+    : extractJavaScript(content, language);
+  return {
+    symbols: runner.finalizeSymbols(language, content, symbolMaps),
+    imports
+  };
+}
+
+function buildFileData(content, language) {
+  const extracted = extractFile(content, language);
+  if (!extracted) return null;
+  return {
+    hash: crypto.createHash('sha256').update(content).digest('hex').slice(0, 16),
+    language,
+    size: content.length,
+    symbols: extracted.symbols,
+    imports: extracted.imports
+  };
+}
+
+/**
+ * Scan a single file (for incremental updates)
+ * @param {string} file - File path
+ * @param {string} basePath - Repository root
+ * @param {Object} [options]
+ * @param {Function} [options.onError] - Receives {file, error}
+ * @returns {Object|null} - File data or null if unsupported/failed
+ */
+function scanFile(file, basePath, options = {}) {
+  const language = getLanguageForFile(file);
+  if (!supportsLanguage(language)) return null;
+  try {
+    return buildFileData(fs.readFileSync(file, 'utf8'), language);
+  } catch (error) {
+    if (typeof options.onError === 'function') {
+      options.onError({
+        file: path.relative(basePath, file).replace(/\\/g, '/'),
+        error: `Failed to scan file: ${error.message}`
+      });
+    }
+    return null;
+  }
+}
+
+/**
+ * Scan a single file asynchronously (for incremental updates)
+ * @param {string} file - File path
+ * @param {string} basePath - Repository root
+ * @param {Object} [options] - See scanFile
+ * @returns {Promise<Object|null>}
+ */
+async function scanFileAsync(file, basePath, options = {}) {
+  const language = getLanguageForFile(file);
+  if (!supportsLanguage(language)) return null;
+  try {
+    return buildFileData(await fsPromises.readFile(file, 'utf8'), language);
+  } catch (error) {
+    if (typeof options.onError === 'function') {
+      options.onError({
+        file: path.relative(basePath, file).replace(/\\/g, '/'),
+        error: `Failed to scan file: ${error.message}`
+      });
+    }
+    return null;
+  }
+}
+
+/**
+ * Run a full scan without ast-grep
+ * @param {string} basePath - Repository root
+ * @param {string[]} languages - Languages to scan (unsupported ones are skipped)
+ * @param {Object} [options]
+ * @param {number} [options.fileLimit] - Maximum files to scan
+ * @returns {Promise<Object>} - The generated map (scanner: 'fallback', confidence: 'low')
+ */
+async function fullScan(basePath, languages, options = {}) {
+  const supported = languages.filter(supportsLanguage);
+  const fileLimit = Number.isFinite(options.fileLimit) ? Math.max(0, Math.floor(options.fileLimit)) : null;
+  const filesByLanguage = runner.collectFilesByLanguage(basePath, supported, { maxFiles: fileLimit });
+
+  const map = {
+    version: '1.0.0',
+    generated: new Date().toISOString(),
+    updated: null,
+    scanner: SCANNER_NAME,
+    confidence: 'low',
+    git: runner.getGitInfo(basePath),
+    project: {
+      type: runner.detectProjectType(supported),
+      languages: supported,
+      frameworks: []
+    },
+    stats: {
+      totalFiles: 0,
+      totalSymbols: 0,
+      scanDurationMs: 0,
+      errors: []
+    },
+    files: {},
+    dependencies: {}
+  };
+
+  for (const language of supported) {
+    const files = (filesByLanguage.get(language) || []).filter(file => {
+      return !map.files[path.relative(basePath, file).replace(/\\/g, '/')];
+    });
+    const contents = await runner.batchReadFiles(files);
+
+    for (const file of files) {
+      const relativePath = path.relative(basePath, file).replace(/\\/g, '/');
+      const readResult = contents.get(file);
+      if (readResult.error || readResult.content === null) {
+        map.stats.errors.push({
+          file: relativePath,
+          error: readResult.error?.message || 'Failed to read file'
+        });
+        continue;
+      }
+
+      const fileData = buildFileData(readResult.content, language);
+      map.files[relativePath] = fileData;
+      map.stats.totalFiles++;
+      map.stats.totalSymbols +=
+        fileData.symbols.functions.length +
+        fileData.symbols.classes.length +
+        fileData.symbols.types.length +
+        fileData.symbols.constants.length;
+
+      if (fileData.imports.length > 0) {
+        map.dependencies[relativePath] = Array.from(new Set(fileData.imports.map(imp => imp.source)));
+      }
+    }
+  }
+
+  return map;
+}
+
+module.exports = {
+  SCANNER_NAME,
+  FALLBACK_LANGUAGES,
+  supportsLanguage,
+  extractFile,
+  scanFile,
+  scanFileAsync,
+  fullScan
+};
@@ -51,5 +51,15 @@ module.exports = {
     { pattern: 'const $NAME = require($SOURCE)', sourceVar: 'SOURCE', kind: 'require' },
     { pattern: 'const { $$$ } = require($SOURCE)', sourceVar: 'SOURCE', kind: 'require' },
     { pattern: 'require($SOURCE)', sourceVar: 'SOURCE', kind: 'require' }
-  ]
+  ],
+  // Optional call-site pass: definitions/owners extend functions/classes
+  callGraph: {
+    definitions: [
+      { pattern: 'class C { $NAME($$$) { $$$ } }', selector: 'method_definition', nameVar: 'NAME' }
+    ],
+    owners: [],
+    calls: [
+      { pattern: '$CALLEE($$$)', calleeVar: 'CALLEE' }
+    ]
+  }
 };
@@ -0,0 +1,251 @@
+/**
+ * Cross-Process File Lock Utility
+ *
+ * Serializes read-modify-write cycles on state files across processes with a
+ * `<file>.lock` lockfile created exclusively (O_EXCL). The lockfile records
+ * the owner's PID, hostname and creation time so locks left behind by a
+ * crashed process can be detected and broken:
+ * - same host and the owning PID no longer exists, or
+ * - the lock is older than `staleMs` (covers other hosts and PID reuse)
+ *
+ * Locks are re-entrant within a process, so a locked update can call other
+ * locked helpers on the same file. The API is synchronous, like the state
+ * modules that use it.
+ *
+ * @module utils/file-lock
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { sleepForRetry } = require('./state-helpers');
+
+const LOCK_SUFFIX = '.lock';
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_STALE_MS = 30000;
+const RETRY_MIN_MS = 5;
+const RETRY_MAX_MS = 25;
+
+// Lock paths held by this process -> { token, depth }
+const heldLocks = new Map();
+
+/**
+ * Get the lockfile path for a target file
+ * @param {string} targetPath - File being protected
+ * @returns {string} Lockfile path
+ */
+function getLockPath(targetPath) {
+  return path.resolve(targetPath) + LOCK_SUFFIX;
+}
+
+function readLockInfo(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Check whether a lock was left behind by a dead or stuck owner
+ * @param {Object|null} info - Parsed lockfile contents
+ * @param {fs.Stats} stats - Lockfile stats (fallback age for unreadable locks)
+ * @param {number} staleMs - Maximum lock age
+ * @returns {boolean}
+ */
+function isStale(info, stats, staleMs) {
+  const createdAt = info && Number.isFinite(Date.parse(info.createdAt))
+    ? Date.parse(info.createdAt)
+    : stats.mtimeMs;
+  if (Date.now() - createdAt > staleMs) {
+    return true;
+  }
+  if (info && info.hostname === os.hostname() && Number.isInteger(info.pid)) {
+    return !isProcessAlive(info.pid);
+  }
+  return false;
+}
+
+/**
+ * Check that a claimed lockfile is the one judged stale: same token, or for
+ * an unreadable lockfile (owner crashed before writing it) the same file
+ */
+function isSameLock(claimedPath, staleInfo, staleStats) {
+  const claimed = readLockInfo(claimedPath);
+  if (staleInfo && staleInfo.token) {
+    return Boolean(claimed) && claimed.token === staleInfo.token;
+  }
+  if (claimed) {
+    return false;
+  }
+  try {
+    const stats = fs.statSync(claimedPath);
+    return stats.ino === staleStats.ino && stats.mtimeMs === staleStats.mtimeMs;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Remove a stale lock, unless it was replaced since we inspected it
+ * The lock is first renamed to a unique name, which only one process can do,
+ * and checked there: a fresh lock taken in the meantime is put back instead
+ * of deleted.
+ * @param {string} lockPath - Lockfile
+ * @param {Object|null} staleInfo - Lockfile contents when it was judged stale
+ * @param {fs.Stats} staleStats - Lockfile stats when it was judged stale
+ * @returns {boolean} True if the stale lock was removed
+ */
+function breakStaleLock(lockPath, staleInfo, staleStats) {
+  const claimedPath = `${lockPath}.stale-${crypto.randomBytes(6).toString('hex')}`;
+  try {
+    fs.renameSync(lockPath, claimedPath);
+  } catch {
+    return false; // Another process removed or claimed it first
+  }
+
+  if (isSameLock(claimedPath, staleInfo, staleStats)) {
+    try {
+      fs.unlinkSync(claimedPath);
+    } catch {
+      // Already removed
+    }
+    return true;
+  }
+
+  // Not the lock we judged stale: put it back unless a new lock exists
+  try {
+    fs.linkSync(claimedPath, lockPath);
+  } catch {
+    // The path was taken again; the newer lock wins
+  }
+  try {
+    fs.unlinkSync(claimedPath);
+  } catch {
+    // Already removed
+  }
+  return false;
+}
+
+/**
+ * Acquire the lock for a file, waiting while another process holds it
+ * @param {string} targetPath - File being protected
+ * @param {Object} options - Options
+ * @param {number} options.timeoutMs - Maximum wait (default: 10000)
+ * @param {number} options.staleMs - Age after which a lock is considered abandoned (default: 30000)
+ * @returns {Function} Release function
+ * @throws {Error} With code ELOCKTIMEOUT when the lock cannot be acquired in time
+ */
+function acquireLock(targetPath, options = {}) {
+  const { timeoutMs = DEFAULT_TIMEOUT_MS, staleMs = DEFAULT_STALE_MS } = options;
+  const lockPath = getLockPath(targetPath);
+
+  const held = heldLocks.get(lockPath);
+  if (held) {
+    held.depth++;
+    return () => releaseLock(lockPath, held.token);
+  }
+
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  const token = crypto.randomBytes(8).toString('hex');
+  const info = JSON.stringify({ pid: process.pid, hostname: os.hostname(), createdAt: new Date().toISOString(), token });
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      try {
+        fs.writeSync(fd, info);
+      } finally {
+        fs.closeSync(fd);
+      }
+      heldLocks.set(lockPath, { token, depth: 1 });
+      return () => releaseLock(lockPath, token);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    let stats = null;
+    try {
+      stats = fs.statSync(lockPath);
+    } catch {
+      continue; // Released between our open and stat
+    }
+    const owner = readLockInfo(lockPath);
+    if (isStale(owner, stats, staleMs) && breakStaleLock(lockPath, owner, stats)) {
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      const error = new Error(`Timed out waiting for lock on ${targetPath}` +
+        (owner ? ` (held by pid ${owner.pid} on ${owner.hostname})` : ''));
+      error.code = 'ELOCKTIMEOUT';
+      throw error;
+    }
+    sleepForRetry(RETRY_MIN_MS + Math.floor(Math.random() * (RETRY_MAX_MS - RETRY_MIN_MS)));
+  }
+}
+
+/**
+ * Release a lock acquired by this process
+ */
+function releaseLock(lockPath, token) {
+  const held = heldLocks.get(lockPath);
+  if (!held || held.token !== token) {
+    return;
+  }
+  if (--held.depth > 0) {
+    return;
+  }
+  heldLocks.delete(lockPath);
+
+  // Only remove the lockfile if it is still ours (it may have been broken as stale)
+  const current = readLockInfo(lockPath);
+  if (!current || current.token !== token) {
+    return;
+  }
+  try {
+    fs.unlinkSync(lockPath);
+  } catch {
+    // Already removed
+  }
+}
+
+/**
+ * Run a synchronous function while holding the lock for a file
+ * @param {string} targetPath - File being protected
+ * @param {Function} fn - Critical section
+ * @param {Object} options - acquireLock options
+ * @returns {*} Return value of fn
+ */
+function withLock(targetPath, fn, options = {}) {
+  const release = acquireLock(targetPath, options);
+  try {
+    return fn();
+  } finally {
+    release();
+  }
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  DEFAULT_STALE_MS,
+  getLockPath,
+  acquireLock,
+  withLock,
+  // Exported for testing
+  breakStaleLock
+};
@@ -0,0 +1,63 @@
+/**
+ * C# query patterns for ast-grep
+ */
+
+'use strict';
+
+module.exports = {
+  // Declarations marked `public` are exported (see applyLanguageExportRules)
+  exports: [],
+  functions: [
+    // Members don't parse as standalone snippets; match them in a class context
+    { pattern: 'class C { public $RET $NAME($$$) { $$$ } }', selector: 'method_declaration', nameVar: 'NAME' },
+    { pattern: 'class C { public static $RET $NAME($$$) { $$$ } }', selector: 'method_declaration', nameVar: 'NAME' },
+    { pattern: 'class C { public async $RET $NAME($$$) { $$$ } }', selector: 'method_declaration', nameVar: 'NAME' },
+    { pattern: 'class C { public override $RET $NAME($$$) { $$$ } }', selector: 'method_declaration', nameVar: 'NAME' },
+    { pattern: 'class C { public virtual $RET $NAME($$$) { $$$ } }', selector: 'method_declaration', nameVar: 'NAME' },
+    { pattern: 'class C { public $RET $NAME($$$) => $EXPR; }', selector: 'method_declaration', nameVar: 'NAME' },
+    { pattern: 'class C { internal $RET $NAME($$$) { $$$ } }', selector: 'method_declaration', nameVar: 'NAME' },
+    { pattern: 'class C { protected $RET $NAME($$$) { $$$ } }', selector: 'method_declaration', nameVar: 'NAME' },
+    { pattern: 'class C { private $RET $NAME($$$) { $$$ } }', selector: 'method_declaration', nameVar: 'NAME' },
+    { pattern: 'class C { private static $RET $NAME($$$) { $$$ } }', selector: 'method_declaration', nameVar: 'NAME' },
+    { pattern: 'class C { private async $RET $NAME($$$) { $$$ } }', selector: 'method_declaration', nameVar: 'NAME' },
+    { pattern: 'class C { $RET $NAME($$$) { $$$ } }', selector: 'method_declaration', nameVar: 'NAME' }
+  ],
+  classes: [
+    { pattern: 'class $NAME { $$$ }', nameVar: 'NAME' },
+    { pattern: 'public class $NAME { $$$ }', nameVar: 'NAME' },
+    { pattern: 'public class $NAME : $$$ { $$$ }', nameVar: 'NAME' },
+    { pattern: 'public static class $NAME { $$$ }', nameVar: 'NAME' },
+    { pattern: 'public abstract class $NAME { $$$ }', nameVar: 'NAME' },
+    { pattern: 'public sealed class $NAME { $$$ }', nameVar: 'NAME' },
+    { pattern: 'internal class $NAME { $$$ }', nameVar: 'NAME' },
+    { pattern: 'public interface $NAME { $$$ }', nameVar: 'NAME', kind: 'interface' },
+    { pattern: 'interface $NAME { $$$ }', nameVar: 'NAME', kind: 'interface' },
+    { pattern: 'public record $NAME($$$);', nameVar: 'NAME', kind: 'record' },
+    { pattern: 'public struct $NAME { $$$ }', nameVar: 'NAME', kind: 'struct' },
+    { pattern: 'struct $NAME { $$$ }', nameVar: 'NAME', kind: 'struct' }
+  ],
+  types: [
+    { pattern: 'public enum $NAME { $$$ }', nameVar: 'NAME', kind: 'enum' },
+    { pattern: 'enum $NAME { $$$ }', nameVar: 'NAME', kind: 'enum' },
+    { pattern: 'public delegate $RET $NAME($$$);', nameVar: 'NAME', kind: 'delegate' }
+  ],
+  constants: [
+    // Class members, like functions
+    { pattern: 'class C { public const $TYPE $NAME = $VALUE; }', selector: 'field_declaration', nameVar: 'NAME' },
+    { pattern: 'class C { private const $TYPE $NAME = $VALUE; }', selector: 'field_declaration', nameVar: 'NAME' },
+    { pattern: 'class C { const $TYPE $NAME = $VALUE; }', selector: 'field_declaration', nameVar: 'NAME' },
+    { pattern: 'class C { public static readonly $TYPE $NAME = $VALUE; }', selector: 'field_declaration', nameVar: 'NAME' }
+  ],
+  imports: [
+    { pattern: 'using $SOURCE;', sourceVar: 'SOURCE', kind: 'using' },
+    { pattern: 'using static $SOURCE;', sourceVar: 'SOURCE', kind: 'using' },
+    { pattern: 'global using $SOURCE;', sourceVar: 'SOURCE', kind: 'using' }
+  ],
+  callGraph: {
+    definitions: [],
+    owners: [],
+    calls: [
+      { pattern: '$CALLEE($$$)', calleeVar: 'CALLEE' }
+    ]
+  }
+};
@@ -0,0 +1,58 @@
+/**
+ * PHP query patterns for ast-grep
+ */
+
+'use strict';
+
+module.exports = {
+  // Everything but private/protected members is exported (see applyLanguageExportRules)
+  exports: [],
+  functions: [
+    { pattern: 'function $NAME($$$) { $$$ }', nameVar: 'NAME' },
+    { pattern: 'function $NAME($$$): $RET { $$$ }', nameVar: 'NAME' },
+    // Methods don't parse as standalone snippets; match them in a class context
+    { pattern: 'class C { public function $NAME($$$) { $$$ } }', selector: 'method_declaration', nameVar: 'NAME', kind: 'method' },
+    { pattern: 'class C { public function $NAME($$$): $RET { $$$ } }', selector: 'method_declaration', nameVar: 'NAME', kind: 'method' },
+    { pattern: 'class C { public static function $NAME($$$) { $$$ } }', selector: 'method_declaration', nameVar: 'NAME', kind: 'method' },
+    { pattern: 'class C { public static function $NAME($$$): $RET { $$$ } }', selector: 'method_declaration', nameVar: 'NAME', kind: 'method' },
+    { pattern: 'class C { protected function $NAME($$$) { $$$ } }', selector: 'method_declaration', nameVar: 'NAME', kind: 'method' },
+    { pattern: 'class C { protected function $NAME($$$): $RET { $$$ } }', selector: 'method_declaration', nameVar: 'NAME', kind: 'method' },
+    { pattern: 'class C { private function $NAME($$$) { $$$ } }', selector: 'method_declaration', nameVar: 'NAME', kind: 'method' },
+    { pattern: 'class C { private function $NAME($$$): $RET { $$$ } }', selector: 'method_declaration', nameVar: 'NAME', kind: 'method' }
+  ],
+  classes: [
+    { pattern: 'class $NAME { $$$ }', nameVar: 'NAME' },
+    { pattern: 'class $NAME extends $BASE { $$$ }', nameVar: 'NAME' },
+    { pattern: 'class $NAME implements $$$ { $$$ }', nameVar: 'NAME' },
+    { pattern: 'abstract class $NAME { $$$ }', nameVar: 'NAME' },
+    { pattern: 'final class $NAME { $$$ }', nameVar: 'NAME' },
+    { pattern: 'interface $NAME { $$$ }', nameVar: 'NAME', kind: 'interface' },
+    { pattern: 'trait $NAME { $$$ }', nameVar: 'NAME', kind: 'trait' }
+  ],
+  types: [
+    { pattern: 'enum $NAME { $$$ }', nameVar: 'NAME', kind: 'enum' },
+    { pattern: 'enum $NAME: $TYPE { $$$ }', nameVar: 'NAME', kind: 'enum' }
+  ],
+  constants: [
+    { pattern: 'const $NAME = $VALUE;', nameVar: 'NAME' },
+    // Class constants, like methods
+    { pattern: 'class C { public const $NAME = $VALUE; }', selector: 'const_declaration', nameVar: 'NAME' },
+    { pattern: 'class C { private const $NAME = $VALUE; }', selector: 'const_declaration', nameVar: 'NAME' }
+  ],
+  imports: [
+    { pattern: 'use $SOURCE;', sourceVar: 'SOURCE', kind: 'use' },
+    { pattern: 'require $SOURCE;', sourceVar: 'SOURCE', kind: 'require' },
+    { pattern: 'require_once $SOURCE;', sourceVar: 'SOURCE', kind: 'require' },
+    { pattern: 'include $SOURCE;', sourceVar: 'SOURCE', kind: 'include' },
+    { pattern: 'include_once $SOURCE;', sourceVar: 'SOURCE', kind: 'include' }
+  ],
+  callGraph: {
+    definitions: [],
+    owners: [],
+    calls: [
+      { pattern: '$CALLEE($$$)', calleeVar: 'CALLEE' },
+      { pattern: '$RECV->$CALLEE($$$)', calleeVar: 'CALLEE', receiverVar: 'RECV' },
+      { pattern: '$RECV::$CALLEE($$$)', calleeVar: 'CALLEE', receiverVar: 'RECV' }
+    ]
+  }
+};
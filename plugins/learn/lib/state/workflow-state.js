@@ -2,9 +2,16 @@
  * Simplified workflow state management
  *
  * Two files:
- * - Main project: {stateDir}/tasks.json (tracks active worktree/task)
+ * - Main project: {stateDir}/tasks.json (registry of in-flight tasks; the single
+ *   legacy `active` slot is only kept for setActiveTask callers)
  * - Worktree: {stateDir}/flow.json (tracks workflow progress)
  *
+ * Both files carry a schemaVersion; older files are migrated on read and
+ * corrupt ones quarantined (see migrations.js).
+ *
+ * The phase pipeline comes from {stateDir}/workflow.json when present
+ * (see workflow-definition.js), otherwise the default PHASES.
+ *
  * State directory is platform-aware:
  * - Claude Code: .claude/
  * - OpenCode: .opencode/
@@ -17,10 +24,16 @@ const crypto = require('crypto');
 const { getStateDir } = require('../platform/state-dir');
 const { writeJsonAtomic } = require('../utils/atomic-write');
 const { isPlainObject, updatesApplied, sleepForRetry } = require('../utils/state-helpers');
+const { withLock } = require('../utils/file-lock');
+const workflowDefinition = require('./workflow-definition');
+const { SCHEMA_VERSION, FLOW_STATE, TASKS_STATE, prepareForWrite, readStateFile } = require('./migrations');
 
 // File paths
 const TASKS_FILE = 'tasks.json';
 const FLOW_FILE = 'flow.json';
+
+// Max length of a phase result summary stored in flow.json history
+const MAX_RESULT_SUMMARY = 200;
 /**
  * Validate and resolve path to prevent path traversal attacks
  * @param {string} basePath - Base directory path
@@ -64,20 +77,8 @@ function generateWorkflowId() {
   return `workflow-${date}-${time}-${random}`;
 }
 
-// Valid phases for the workflow
-const PHASES = [
-  'policy-selection',
-  'task-discovery',
-  'worktree-setup',
-  'exploration',
-  'planning',
-  'user-approval',
-  'implementation',
-  'review-loop',
-  'delivery-validation',
-  'shipping',
-  'complete'
-];
+// Phases of the default workflow (a project's workflow.json may replace them)
+const PHASES = workflowDefinition.getPhaseNames(workflowDefinition.DEFAULT_DEFINITION);
 
 /**
  * Ensure state directory exists (platform-aware)
@@ -106,65 +107,266 @@ function getTasksPath(projectPath = process.cwd()) {
 
 /**
  * Read tasks.json from main project
- * Returns { active: null } if file doesn't exist or is corrupted
- * Logs critical error on corruption to prevent silent data loss
+ * Older schema versions are migrated to the current one
+ * Returns an empty registry if the file doesn't exist or is corrupted;
+ * corrupt files are quarantined and logged to prevent silent data loss
+ * @throws {Error} If the file was written by a newer schema version
  */
 function readTasks(projectPath = process.cwd()) {
-  const tasksPath = getTasksPath(projectPath);
-  if (!fs.existsSync(tasksPath)) {
-    return { active: null };
-  }
-  try {
-    const data = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
-    // Normalize legacy format that may not have 'active' field
-    if (!Object.prototype.hasOwnProperty.call(data, 'active')) {
-      return { active: null };
-    }
-    return data;
-  } catch (e) {
-    console.error(`[CRITICAL] Corrupted tasks.json at ${tasksPath}: ${e.message}`);
-    return { active: null };
-  }
+  return readStateFile(getTasksPath(projectPath), TASKS_STATE) ||
+    { schemaVersion: SCHEMA_VERSION, active: null, tasks: [] };
 }
 
 /**
  * Write tasks.json to main project
+ * Stamps the current schemaVersion and holds the tasks.json lock while writing
+ * @throws {Error} If the tasks do not match the tasks.json schema
  */
 function writeTasks(tasks, projectPath = process.cwd()) {
   ensureStateDir(projectPath);
   const tasksPath = getTasksPath(projectPath);
-  writeJsonAtomic(tasksPath, tasks);
+  const data = prepareForWrite(tasks, TASKS_STATE);
+  withLock(tasksPath, () => writeJsonAtomic(tasksPath, data));
   return true;
 }
 
+/**
+ * Run a read-modify-write of tasks.json under its cross-process lock
+ * @param {Function} fn - Critical section (reads and writes tasks.json)
+ * @returns {*} Return value of fn
+ */
+function withTasksLock(projectPath, fn) {
+  ensureStateDir(projectPath);
+  return withLock(getTasksPath(projectPath), fn);
+}
+
 /**
  * Set active task in main project
  */
 function setActiveTask(task, projectPath = process.cwd()) {
-  const tasks = readTasks(projectPath);
-  tasks.active = {
-    ...task,
-    startedAt: new Date().toISOString()
-  };
-  return writeTasks(tasks, projectPath);
+  return withTasksLock(projectPath, () => {
+    const tasks = readTasks(projectPath);
+    tasks.active = {
+      ...task,
+      startedAt: new Date().toISOString()
+    };
+    return writeTasks(tasks, projectPath);
+  });
 }
 
 /**
  * Clear active task
  */
 function clearActiveTask(projectPath = process.cwd()) {
-  const tasks = readTasks(projectPath);
-  tasks.active = null;
-  return writeTasks(tasks, projectPath);
+  return withTasksLock(projectPath, () => {
+    const tasks = readTasks(projectPath);
+    tasks.active = null;
+    return writeTasks(tasks, projectPath);
+  });
 }
 
 /**
  * Check if there's an active task
- * Uses != null to catch both null and undefined (legacy format safety)
+ * Without a session: any in-progress workflow in the registry, or the legacy
+ * `active` slot (!= null catches both null and undefined)
+ * With a session, only a workflow owned by that session counts, so other
+ * sessions' workflows do not block a new one
+ * @param {string} projectPath - Path to main project
+ * @param {string} session - Session to check (optional)
  */
-function hasActiveTask(projectPath = process.cwd()) {
+function hasActiveTask(projectPath = process.cwd(), session = null) {
   const tasks = readTasks(projectPath);
-  return tasks.active != null;
+  if (session) {
+    return getRegistry(tasks).some(entry => entry.session === session);
+  }
+  return tasks.active != null || getRegistry(tasks).some(entry => entry.status === 'in_progress');
+}
+
+// =============================================================================
+// TASK REGISTRY - In-flight workflows in tasks.json `tasks`
+// =============================================================================
+
+/**
+ * Registry entries of a tasks.json object
+ */
+function getRegistry(tasks) {
+  return Array.isArray(tasks.tasks) ? tasks.tasks : [];
+}
+
+function isSameTask(entry, taskId) {
+  return entry != null && taskId != null && String(entry.id) === String(taskId);
+}
+
+/**
+ * List in-flight workflows
+ * @param {Object} filter - Optional { status, session } filter
+ * @param {string} projectPath - Path to main project
+ * @returns {Array<Object>} Registry entries
+ */
+function listTasks(filter = {}, projectPath = process.cwd()) {
+  return getRegistry(readTasks(projectPath)).filter(entry =>
+    (!filter.status || entry.status === filter.status) &&
+    (filter.session === undefined || entry.session === filter.session)
+  );
+}
+
+/**
+ * Get a registry entry by task ID
+ * @returns {Object|null}
+ */
+function getTask(taskId, projectPath = process.cwd()) {
+  return getRegistry(readTasks(projectPath)).find(entry => isSameTask(entry, taskId)) || null;
+}
+
+/**
+ * Find a registry entry by task ID, branch or worktree path
+ * @param {string} ref - Task ID, branch name or worktree path
+ * @returns {Object|null}
+ */
+function findTask(ref, projectPath = process.cwd()) {
+  if (ref == null || ref === '') return null;
+  const worktree = path.resolve(projectPath, String(ref));
+  return getRegistry(readTasks(projectPath)).find(entry =>
+    isSameTask(entry, ref) ||
+    entry.branch === ref ||
+    (entry.worktree && path.resolve(entry.worktree) === worktree)
+  ) || null;
+}
+
+/**
+ * Claim a task for a workflow
+ * Fails if another session already holds the task (use attachTask to take it over)
+ * @param {Object} task - Task with id, title, source
+ * @param {Object} options - { session, worktree, branch, phase } (worktree is stored absolute)
+ * @param {string} projectPath - Path to main project
+ * @returns {{success: boolean, entry?: Object, error?: string}}
+ */
+function claimTask(task, options = {}, projectPath = process.cwd()) {
+  if (!task || task.id == null) {
+    return { success: false, error: 'Task ID is required' };
+  }
+
+  const session = options.session || generateWorkflowId();
+  const now = new Date().toISOString();
+
+  return withTasksLock(projectPath, () => {
+    const tasks = readTasks(projectPath);
+    const registry = getRegistry(tasks);
+    const existing = registry.find(entry => isSameTask(entry, task.id));
+
+    if (existing && existing.session !== session) {
+      return {
+        success: false,
+        error: `Task ${task.id} is already claimed by ${existing.session || 'a detached workflow'}` +
+          (existing.worktree ? ` (${existing.worktree})` : ''),
+        entry: existing
+      };
+    }
+
+    const entry = {
+      id: task.id,
+      title: task.title || existing?.title || null,
+      source: task.source || existing?.source || null,
+      worktree: options.worktree ? path.resolve(projectPath, options.worktree) : existing?.worktree || null,
+      branch: options.branch || existing?.branch || null,
+      phase: options.phase || existing?.phase || 'policy-selection',
+      status: 'in_progress',
+      session,
+      claimedAt: existing?.claimedAt || now,
+      lastActivityAt: now
+    };
+    tasks.tasks = [...registry.filter(item => item !== existing), entry];
+    writeTasks(tasks, projectPath);
+    return { success: true, entry };
+  });
+}
+
+/**
+ * Update a registry entry (phase, status, branch, ...)
+ * @returns {boolean} False if the task is not in the registry
+ */
+function updateTask(taskId, updates, projectPath = process.cwd()) {
+  return withTasksLock(projectPath, () => {
+    const tasks = readTasks(projectPath);
+    const registry = getRegistry(tasks);
+    const index = registry.findIndex(entry => isSameTask(entry, taskId));
+    if (index === -1) return false;
+
+    const { id: _id, ...rest } = updates || {};
+    registry[index] = { ...registry[index], ...rest, lastActivityAt: new Date().toISOString() };
+    tasks.tasks = registry;
+    return writeTasks(tasks, projectPath);
+  });
+}
+
+/**
+ * Attach a session to an in-flight workflow (e.g. to resume it elsewhere)
+ * @param {string} taskId - Task ID
+ * @param {string} session - Session taking ownership
+ * @param {Object} options - { force } to take over from another attached session
+ * @returns {{success: boolean, entry?: Object, error?: string}}
+ */
+function attachTask(taskId, session, options = {}, projectPath = process.cwd()) {
+  if (!session) {
+    return { success: false, error: 'Session is required' };
+  }
+  return withTasksLock(projectPath, () => {
+    const entry = getTask(taskId, projectPath);
+    if (!entry) {
+      return { success: false, error: `Task ${taskId} is not in the registry` };
+    }
+    if (entry.session && entry.session !== session && !options.force) {
+      return {
+        success: false,
+        error: `Task ${taskId} is attached to ${entry.session}. Detach it first or use force.`,
+        entry
+      };
+    }
+
+    updateTask(taskId, { session, attachedAt: new Date().toISOString() }, projectPath);
+    return { success: true, entry: getTask(taskId, projectPath) };
+  });
+}
+
+/**
+ * Detach the owning session from a workflow, leaving it in the registry
+ * @param {string} taskId - Task ID
+ * @param {string} session - Session expected to own the task (optional)
+ * @returns {{success: boolean, entry?: Object, error?: string}}
+ */
+function detachTask(taskId, session = null, projectPath = process.cwd()) {
+  return withTasksLock(projectPath, () => {
+    const entry = getTask(taskId, projectPath);
+    if (!entry) {
+      return { success: false, error: `Task ${taskId} is not in the registry` };
+    }
+    if (session && entry.session && entry.session !== session) {
+      return { success: false, error: `Task ${taskId} is attached to ${entry.session}`, entry };
+    }
+
+    updateTask(taskId, { session: null, detachedAt: new Date().toISOString() }, projectPath);
+    return { success: true, entry: getTask(taskId, projectPath) };
+  });
+}
+
+/**
+ * Remove a task from the registry (workflow completed or aborted)
+ * Also clears the active task if it points at this task
+ * @returns {boolean} True if anything was removed
+ */
+function releaseTask(taskId, projectPath = process.cwd()) {
+  if (taskId == null) return false;
+  return withTasksLock(projectPath, () => {
+    const tasks = readTasks(projectPath);
+    const registry = getRegistry(tasks);
+    const remaining = registry.filter(entry => !isSameTask(entry, taskId));
+    const activeMatches = tasks.active != null && String(tasks.active.taskId ?? tasks.active.id) === String(taskId);
+    if (remaining.length === registry.length && !activeMatches) return false;
+
+    if (Array.isArray(tasks.tasks)) tasks.tasks = remaining;
+    if (activeMatches) tasks.active = null;
+    return writeTasks(tasks, projectPath);
+  });
 }
 
 // =============================================================================
@@ -183,36 +385,35 @@ function getFlowPath(worktreePath = process.cwd()) {
 
 /**
  * Read flow.json from worktree
- * Returns null if file doesn't exist or is corrupted
- * Logs critical error on corruption to prevent silent data loss
+ * Older schema versions are migrated to the current one
+ * Returns null if file doesn't exist or is corrupted; corrupt files are
+ * quarantined and logged to prevent silent data loss
+ * @throws {Error} If the file was written by a newer schema version
  */
 function readFlow(worktreePath = process.cwd()) {
-  const flowPath = getFlowPath(worktreePath);
-  if (!fs.existsSync(flowPath)) {
-    return null;
-  }
-  try {
-    return JSON.parse(fs.readFileSync(flowPath, 'utf8'));
-  } catch (e) {
-    console.error(`[CRITICAL] Corrupted flow.json at ${flowPath}: ${e.message}`);
-    return null;
-  }
+  return readStateFile(getFlowPath(worktreePath), FLOW_STATE);
 }
 
 /**
  * Write flow.json to worktree
  * Creates a copy to avoid mutating the original object
- * Increments version for optimistic locking
+ * Stamps the current schemaVersion and increments version for optimistic locking
+ * A flow without a phase (e.g. updateFlow on a worktree with no flow.json)
+ * starts at the first phase of the workflow definition
+ * @throws {Error} If the flow does not match the flow.json schema
  */
 function writeFlow(flow, worktreePath = process.cwd()) {
   ensureStateDir(worktreePath);
   // Clone to avoid mutating the original object
   const flowCopy = structuredClone(flow);
+  if (flowCopy.phase === undefined) {
+    flowCopy.phase = workflowDefinition.loadDefinition(worktreePath, flowCopy.projectPath).phases[0].name;
+  }
   flowCopy.lastUpdate = new Date().toISOString();
   // Increment version for optimistic locking (initialize if missing)
   flowCopy._version = (flowCopy._version || 0) + 1;
   const flowPath = getFlowPath(worktreePath);
-  writeJsonAtomic(flowPath, flowCopy);
+  writeJsonAtomic(flowPath, prepareForWrite(flowCopy, FLOW_STATE));
   return true;
 }
 
@@ -220,42 +421,34 @@ function writeFlow(flow, worktreePath = process.cwd()) {
  * Update flow.json with partial updates
  * Handles null values correctly (null overwrites existing values)
  * Deep merges nested objects when both exist
- * Uses optimistic locking with version check and retry
+ * Each read-modify-write runs under the flow.json cross-process lock; the
+ * version check and retry catch writers that bypass the lock
+ * @param {Object|Function} updates - Updates, or (currentFlow) => updates
+ *   computed from the flow read under the lock
+ * @param {string} worktreePath - Path to worktree
+ * @returns {boolean} True if the updates were applied
  */
 function updateFlow(updates, worktreePath = process.cwd()) {
   const MAX_RETRIES = 5;
+  let applied = typeof updates === 'function' ? null : updates;
 
   for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-    const flow = readFlow(worktreePath) || {};
-    const initialVersion = flow._version || 0;
-
-    for (const [key, value] of Object.entries(updates)) {
-      // Skip internal version field from updates
-      if (key === '_version') continue;
-
-      // Null explicitly overwrites
-      if (value === null) {
-        flow[key] = null;
-      }
-      // Deep merge if both source and target are non-null objects
-      else if (isPlainObject(value) && isPlainObject(flow[key])) {
-        flow[key] = { ...flow[key], ...value };
-      }
-      // Otherwise direct assignment
-      else {
-        flow[key] = value;
-      }
+    let verified;
+    try {
+      verified = withLock(getFlowPath(worktreePath), () => {
+        const written = applyFlowUpdates(updates, worktreePath);
+        applied = written.updates;
+
+        // Re-read to verify our write succeeded
+        const afterWrite = readFlow(worktreePath);
+        return Boolean(afterWrite && afterWrite._version >= written.version && updatesApplied(afterWrite, applied));
+      });
+    } catch (e) {
+      if (e.code !== 'ELOCKTIMEOUT') throw e;
+      console.error(`[ERROR] updateFlow: ${e.message}`);
+      return false;
     }
-
-    // Preserve version for write (writeFlow will increment it)
-    flow._version = initialVersion;
-
-    // Write and verify version wasn't changed by another process
-    writeFlow(flow, worktreePath);
-
-    // Re-read to verify our write succeeded
-    const afterWrite = readFlow(worktreePath);
-    if (afterWrite && afterWrite._version >= initialVersion + 1 && updatesApplied(afterWrite, updates)) {
+    if (verified) {
       return true; // Success
     }
 
@@ -269,7 +462,7 @@ function updateFlow(updates, worktreePath = process.cwd()) {
   // All retries exhausted. One final read can detect if another writer
   // applied the same updates while we were retrying.
   const latest = readFlow(worktreePath);
-  if (latest && updatesApplied(latest, updates)) {
+  if (latest && applied && updatesApplied(latest, applied)) {
     return true;
   }
 
@@ -277,28 +470,80 @@ function updateFlow(updates, worktreePath = process.cwd()) {
   return false;
 }
 
+/**
+ * Merge updates into the current flow and write it (caller holds the lock)
+ * @returns {{updates: Object, version: number}} Applied updates and written version
+ */
+function applyFlowUpdates(updatesOrFn, worktreePath) {
+  const flow = readFlow(worktreePath) || {};
+  const initialVersion = flow._version || 0;
+  const updates = typeof updatesOrFn === 'function' ? updatesOrFn(readFlow(worktreePath) || {}) || {} : updatesOrFn;
+
+  for (const [key, value] of Object.entries(updates)) {
+    // Skip internal version field from updates
+    if (key === '_version') continue;
+
+    // Null explicitly overwrites
+    if (value === null) {
+      flow[key] = null;
+    }
+    // Deep merge if both source and target are non-null objects
+    else if (isPlainObject(value) && isPlainObject(flow[key])) {
+      flow[key] = { ...flow[key], ...value };
+    }
+    // Otherwise direct assignment
+    else {
+      flow[key] = value;
+    }
+  }
+
+  // Preserve version for write (writeFlow will increment it)
+  flow._version = initialVersion;
+  writeFlow(flow, worktreePath);
+  return { updates, version: initialVersion + 1 };
+}
+
 /**
  * Create initial flow for a new task
- * Also registers the task as active in the main project's tasks.json
+ * Also claims the task in the main project's tasks.json registry
  * @param {Object} task - Task object with id, title, source, url
  * @param {Object} policy - Policy object with stoppingPoint
  * @param {string} worktreePath - Path to worktree
  * @param {string} projectPath - Path to main project (for tasks.json registration)
+ * @param {Object} options - { session } owning the workflow (generated if omitted)
+ * @throws {Error} If another session already claimed the task or workflow.json is invalid
  */
-function createFlow(task, policy, worktreePath = process.cwd(), projectPath = null) {
+function createFlow(task, policy, worktreePath = process.cwd(), projectPath = null, options = {}) {
+  const session = options.session || generateWorkflowId();
+  const now = new Date().toISOString();
+  // Fail on an invalid workflow.json before claiming anything
+  const firstPhase = workflowDefinition.loadDefinition(worktreePath, projectPath).phases[0].name;
+
+  // Claim the task first so two workflows never start on the same task
+  if (projectPath) {
+    const claim = claimTask(task, { session, worktree: worktreePath, phase: firstPhase }, projectPath);
+    if (!claim.success) {
+      throw new Error(claim.error);
+    }
+  }
+
   const flow = {
     task: {
       id: task.id,
       title: task.title,
       source: task.source,
-      url: task.url || null
+      url: task.url || null,
+      ...(Array.isArray(task.labels) ? { labels: task.labels } : {})
     },
     policy: {
       stoppingPoint: policy.stoppingPoint || 'merged'
     },
-    phase: 'policy-selection',
+    phase: firstPhase,
     status: 'in_progress',
-    lastUpdate: new Date().toISOString(),
+    lastUpdate: now,
+    phaseStartedAt: now,
+    // Append-only phase transitions (see recordTransition)
+    history: [{ type: 'start', from: null, to: firstPhase, at: now, durationMs: null }],
     userNotes: '',
     git: {
       branch: null,
@@ -308,21 +553,12 @@ function createFlow(task, policy, worktreePath = process.cwd(), projectPath = nu
     exploration: null,
     plan: null,
     // Store projectPath so completeWorkflow knows where to clear the task
-    projectPath: projectPath
+    projectPath: projectPath,
+    session
   };
 
   writeFlow(flow, worktreePath);
 
-  // Register task as active in main project
-  if (projectPath) {
-    setActiveTask({
-      taskId: task.id,
-      title: task.title,
-      worktree: worktreePath,
-      branch: flow.git.branch
-    }, projectPath);
-  }
-
   return flow;
 }
 
@@ -342,21 +578,112 @@ function deleteFlow(worktreePath = process.cwd()) {
 // PHASE MANAGEMENT
 // =============================================================================
 
+/**
+ * Short, JSON-safe summary of a phase result for the history
+ * @param {*} result - Phase result
+ * @returns {string|null}
+ */
+function summarizeResult(result) {
+  if (result == null) return null;
+  let text;
+  if (typeof result === 'string') {
+    text = result;
+  } else if (typeof result.summary === 'string') {
+    text = result.summary;
+  } else {
+    try {
+      text = JSON.stringify(result);
+    } catch {
+      text = String(result);
+    }
+  }
+  return text.length > MAX_RESULT_SUMMARY ? `${text.slice(0, MAX_RESULT_SUMMARY)}...` : text;
+}
+
+/**
+ * Apply a phase transition and append it to flow.history
+ * Event: { type, from, to, at, durationMs, result?, reason? }. durationMs is
+ * the time spent in `from` since it was entered (null if unknown).
+ * @param {Object} event - { type, to, result?, reason? }
+ * @param {Object} updates - Flow updates applied with the event
+ * @param {string} worktreePath - Path to worktree
+ * @returns {boolean} updateFlow result
+ */
+function recordTransition(event, updates, worktreePath) {
+  // Computed under the flow lock so concurrent transitions cannot drop history entries
+  return updateFlow((flow) => {
+    const now = new Date();
+    const startedAt = flow.phaseStartedAt ? Date.parse(flow.phaseStartedAt) : NaN;
+
+    const entry = {
+      type: event.type,
+      from: flow.phase ?? null,
+      to: event.to ?? flow.phase ?? null,
+      at: now.toISOString(),
+      durationMs: Number.isFinite(startedAt) ? Math.max(0, now.getTime() - startedAt) : null
+    };
+    if (event.result !== undefined && event.result !== null) entry.result = summarizeResult(event.result);
+    if (event.reason) entry.reason = event.reason;
+    if (event.skipped?.length) entry.skipped = event.skipped;
+
+    // The clock restarts when a phase is entered and stops when it fails or the workflow ends
+    const entersPhase = ['enter', 'complete', 'skip'].includes(event.type) && entry.to !== 'complete';
+    return {
+      ...updates,
+      phaseStartedAt: entersPhase ? entry.at : null,
+      history: [...(Array.isArray(flow.history) ? flow.history : []), entry]
+    };
+  }, worktreePath);
+}
+
+/**
+ * Mirror the flow's phase and status into its tasks.json registry entry
+ */
+function syncTaskEntry(worktreePath) {
+  const flow = readFlow(worktreePath);
+  if (!flow || !flow.projectPath || flow.task?.id == null) return;
+  updateTask(flow.task.id, { phase: flow.phase, status: flow.status }, flow.projectPath);
+}
+
+/**
+ * Load the workflow definition that applies to a worktree
+ * Looks in the worktree first, then in the flow's main project.
+ * @throws {Error} If workflow.json is invalid
+ */
+function getWorkflowDefinition(worktreePath = process.cwd()) {
+  const flow = readFlow(worktreePath);
+  return workflowDefinition.loadDefinition(worktreePath, flow?.projectPath);
+}
+
 /**
  * Check if phase is valid
+ * @param {string} phase - Phase name
+ * @param {string} [worktreePath] - Check against this worktree's workflow definition
+ *   instead of the default PHASES
  */
-function isValidPhase(phase) {
-  return PHASES.includes(phase);
+function isValidPhase(phase, worktreePath) {
+  const phases = worktreePath
+    ? workflowDefinition.getPhaseNames(getWorkflowDefinition(worktreePath))
+    : PHASES;
+  return phases.includes(phase);
 }
 
 /**
  * Set current phase
  */
 function setPhase(phase, worktreePath = process.cwd()) {
-  if (!isValidPhase(phase)) {
+  if (!isValidPhase(phase, worktreePath)) {
     throw new Error(`Invalid phase: ${phase}`);
   }
-  return updateFlow({ phase, status: 'in_progress' }, worktreePath);
+  // Starting the phase completePhase already moved to is not a transition;
+  // entering it again after a failure or from another phase is (a retry)
+  const flow = readFlow(worktreePath);
+  const alreadyRunning = flow && flow.phase === phase && flow.status === 'in_progress' && flow.phaseStartedAt;
+  const updated = alreadyRunning
+    ? updateFlow({ phase, status: 'in_progress' }, worktreePath)
+    : recordTransition({ type: 'enter', to: phase }, { phase, status: 'in_progress' }, worktreePath);
+  if (updated) syncTaskEntry(worktreePath);
+  return updated;
 }
 
 /**
@@ -373,94 +700,113 @@ function failPhase(reason, context = {}, worktreePath = process.cwd()) {
   const flow = readFlow(worktreePath);
   if (!flow) return null;
 
-  return updateFlow({
+  const updated = recordTransition({ type: 'fail', reason }, {
     status: 'failed',
     error: reason,
     failContext: context
   }, worktreePath);
+  if (updated) syncTaskEntry(worktreePath);
+  return updated;
 }
 
 /**
  * Skip to a specific phase
+ * @throws {Error} If the phase is unknown or the workflow definition does not
+ *   allow the transition from the current phase
  */
 function skipToPhase(phase, reason = 'manual skip', worktreePath = process.cwd()) {
-  if (!isValidPhase(phase)) {
+  const definition = getWorkflowDefinition(worktreePath);
+  if (!workflowDefinition.getPhaseNames(definition).includes(phase)) {
     throw new Error(`Invalid phase: ${phase}`);
   }
-  return updateFlow({
+  const flow = readFlow(worktreePath);
+  if (flow?.phase && !workflowDefinition.canTransition(definition, flow.phase, phase)) {
+    throw new Error(`Transition not allowed: ${flow.phase} -> ${phase}`);
+  }
+  const updated = recordTransition({ type: 'skip', to: phase, reason }, {
     phase,
     status: 'in_progress',
     skipReason: reason
   }, worktreePath);
+  if (updated) syncTaskEntry(worktreePath);
+  return updated;
 }
 
 /**
  * Complete current phase and move to next
+ * The next phase comes from the workflow definition; phases whose skipIf
+ * matches the flow (including this phase's result) are skipped.
  * Uses updateFlow pattern to avoid direct mutation issues
+ * If the current phase is not part of the workflow definition (e.g.
+ * workflow.json changed mid-run), the phase is failed instead of advanced.
+ * @returns {Object|null} Updated flow (status 'failed' if the phase is unknown)
  */
 function completePhase(result = null, worktreePath = process.cwd()) {
   const flow = readFlow(worktreePath);
   if (!flow) return null;
 
-  const currentIndex = PHASES.indexOf(flow.phase);
-  const nextPhase = PHASES[currentIndex + 1] || 'complete';
-
-  // Build updates object
-  const updates = {
-    phase: nextPhase,
-    status: nextPhase === 'complete' ? 'completed' : 'in_progress'
-  };
+  const definition = workflowDefinition.loadDefinition(worktreePath, flow.projectPath);
+  if (!workflowDefinition.getPhaseNames(definition).includes(flow.phase)) {
+    const reason = `Cannot complete phase '${flow.phase}': it is not part of the workflow definition ` +
+      `(${definition.source}). Use skipToPhase to continue from a declared phase.`;
+    console.error(`[ERROR] ${reason}`);
+    return failPhase(reason, { phase: flow.phase, definition: definition.source }, worktreePath)
+      ? readFlow(worktreePath)
+      : null;
+  }
+  const updates = {};
 
-  // Store result in appropriate field
+  // Store result in the phase's result field
   if (result) {
-    const resultField = getResultField(flow.phase);
+    const resultField = workflowDefinition.getResultField(definition, flow.phase);
     if (resultField) {
       updates[resultField] = result;
     }
   }
 
-  const updated = updateFlow(updates, worktreePath);
-  return updated ? readFlow(worktreePath) : null;
-}
+  const { phase: nextPhase, skipped } = workflowDefinition.getNextPhase(definition, flow.phase, { ...flow, ...updates });
+  updates.phase = nextPhase;
+  updates.status = nextPhase === 'complete' ? 'completed' : 'in_progress';
 
-/**
- * Map phase to result field
- */
-function getResultField(phase) {
-  const mapping = {
-    'exploration': 'exploration',
-    'planning': 'plan',
-    'review-loop': 'reviewResult'
-  };
-  return mapping[phase] || null;
+  const updated = recordTransition({ type: 'complete', to: nextPhase, result, skipped }, updates, worktreePath);
+  if (!updated) return null;
+  syncTaskEntry(worktreePath);
+  return readFlow(worktreePath);
 }
 
 /**
  * Mark workflow as failed
  */
 function failWorkflow(error, worktreePath = process.cwd()) {
-  return updateFlow({
+  const message = error?.message || String(error);
+  const updated = recordTransition({ type: 'fail', reason: message }, {
     status: 'failed',
-    error: error?.message || String(error)
+    error: message
   }, worktreePath);
+  if (updated) syncTaskEntry(worktreePath);
+  return updated;
 }
 
 /**
  * Mark workflow as complete
- * Automatically clears the active task from tasks.json using stored projectPath
+ * Automatically releases the task from tasks.json using stored projectPath
  * @param {string} worktreePath - Path to worktree
  */
 function completeWorkflow(worktreePath = process.cwd()) {
   const flow = readFlow(worktreePath);
 
-  const updated = updateFlow({
+  const updates = {
     phase: 'complete',
     status: 'completed',
     completedAt: new Date().toISOString()
-  }, worktreePath);
+  };
+  // completePhase already recorded the move into 'complete'
+  const updated = flow?.phase === 'complete'
+    ? updateFlow(updates, worktreePath)
+    : recordTransition({ type: 'complete', to: 'complete' }, updates, worktreePath);
 
   if (updated && flow && flow.projectPath) {
-    clearActiveTask(flow.projectPath);
+    releaseTask(flow.task?.id, flow.projectPath);
   }
 
   return updated;
@@ -468,19 +814,19 @@ function completeWorkflow(worktreePath = process.cwd()) {
 
 /**
  * Abort workflow
- * Also clears the active task from tasks.json using stored projectPath
+ * Also releases the task from tasks.json using stored projectPath
  */
 function abortWorkflow(reason, worktreePath = process.cwd()) {
   const flow = readFlow(worktreePath);
 
-  const updated = updateFlow({
+  const updated = recordTransition({ type: 'abort', reason }, {
     status: 'aborted',
     abortReason: reason,
     abortedAt: new Date().toISOString()
   }, worktreePath);
 
   if (updated && flow && flow.projectPath) {
-    clearActiveTask(flow.projectPath);
+    releaseTask(flow.task?.id, flow.projectPath);
   }
 
   return updated;
@@ -507,6 +853,95 @@ function getFlowSummary(worktreePath = process.cwd()) {
   };
 }
 
+/**
+ * Get the phase transition history
+ * @returns {Array<Object>} Events, oldest first
+ */
+function getHistory(worktreePath = process.cwd()) {
+  const flow = readFlow(worktreePath);
+  return Array.isArray(flow?.history) ? flow.history : [];
+}
+
+/**
+ * Per-phase timing and retry counts from the history
+ * The current phase includes its running time.
+ * @returns {Object<string, {entries: number, retries: number, failures: number, skipped: boolean, durationMs: number}>}
+ */
+function getPhaseStats(worktreePath = process.cwd()) {
+  const flow = readFlow(worktreePath);
+  const history = Array.isArray(flow?.history) ? flow.history : [];
+  const phases = workflowDefinition.getPhaseNames(workflowDefinition.loadDefinition(worktreePath, flow?.projectPath));
+  const stats = {};
+  const statFor = (phase) => {
+    if (!stats[phase]) stats[phase] = { entries: 0, retries: 0, failures: 0, skipped: false, durationMs: 0 };
+    return stats[phase];
+  };
+
+  for (const event of history) {
+    if (event.from && Number.isFinite(event.durationMs)) {
+      statFor(event.from).durationMs += event.durationMs;
+    }
+    if (event.type === 'fail' && event.from) {
+      statFor(event.from).failures++;
+    } else if (['start', 'enter', 'complete', 'skip'].includes(event.type) && event.to && event.to !== 'complete') {
+      statFor(event.to).entries++;
+    }
+    // Phases jumped over by skipToPhase or a matching skipIf never ran
+    let jumped = Array.isArray(event.skipped) ? event.skipped : [];
+    if (event.type === 'skip' && event.from) {
+      const fromIndex = phases.indexOf(event.from);
+      const toIndex = phases.indexOf(event.to);
+      jumped = phases.slice(fromIndex + 1, toIndex);
+    }
+    for (const phase of jumped) {
+      if (!stats[phase]) statFor(phase).skipped = true;
+    }
+  }
+
+  const startedAt = flow?.phaseStartedAt ? Date.parse(flow.phaseStartedAt) : NaN;
+  if (flow?.phase && Number.isFinite(startedAt)) {
+    statFor(flow.phase).durationMs += Math.max(0, Date.now() - startedAt);
+  }
+  for (const stat of Object.values(stats)) {
+    stat.retries = Math.max(0, stat.entries - 1);
+  }
+  return stats;
+}
+
+function formatDuration(ms) {
+  if (!Number.isFinite(ms)) return '-';
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Render the history as a markdown report (for /next-task --history)
+ * @returns {string|null} Null when there is no flow
+ */
+function formatHistory(worktreePath = process.cwd()) {
+  const flow = readFlow(worktreePath);
+  if (!flow) return null;
+
+  const lines = ['| Time | Event | From | To | Duration | Details |', '|------|-------|------|----|----------|---------|'];
+  for (const event of getHistory(worktreePath)) {
+    const details = [event.reason, event.result].filter(Boolean).join(' - ').replace(/\|/g, '\\|');
+    lines.push(`| ${event.at} | ${event.type} | ${event.from || '-'} | ${event.to || '-'} | ${formatDuration(event.durationMs)} | ${details} |`);
+  }
+
+  lines.push('', '| Phase | Time | Entries | Retries | Failures |', '|-------|------|---------|---------|----------|');
+  for (const [phase, stat] of Object.entries(getPhaseStats(worktreePath))) {
+    if (stat.skipped) {
+      lines.push(`| ${phase} | skipped | 0 | 0 | 0 |`);
+    } else {
+      lines.push(`| ${phase} | ${formatDuration(stat.durationMs)} | ${stat.entries} | ${stat.retries} | ${stat.failures} |`);
+    }
+  }
+  return lines.join('\n');
+}
+
 /**
  * Check if workflow can be resumed
  */
@@ -531,6 +966,7 @@ const getWorkflowSummary = getFlowSummary;
 
 module.exports = {
   // Constants
+  SCHEMA_VERSION,
   PHASES,
 
   // Tasks (main project)
@@ -541,6 +977,16 @@ module.exports = {
   clearActiveTask,
   hasActiveTask,
 
+  // Task registry (main project)
+  listTasks,
+  getTask,
+  findTask,
+  claimTask,
+  updateTask,
+  attachTask,
+  detachTask,
+  releaseTask,
+
   // Flow (worktree)
   getFlowPath,
   readFlow,
@@ -549,6 +995,11 @@ module.exports = {
   createFlow,
   deleteFlow,
 
+  // Workflow definition
+  getWorkflowDefinition,
+  loadWorkflowDefinition: workflowDefinition.loadDefinition,
+  validateWorkflowDefinition: workflowDefinition.validateDefinition,
+
   // Phase management
   isValidPhase,
   setPhase,
@@ -565,6 +1016,11 @@ module.exports = {
   canResume,
   generateWorkflowId,
 
+  // Phase history
+  getHistory,
+  getPhaseStats,
+  formatHistory,
+
   // Backwards compatibility
   readState,
   writeState,
@@ -0,0 +1,199 @@
+/**
+ * Deslop Baseline
+ *
+ * Records current findings by stable fingerprint so later runs report only
+ * new slop. A fingerprint is pattern + file + normalized source line, so
+ * findings survive unrelated edits that shift line numbers. Identical lines
+ * are counted, so a second copy of a baselined line is still reported.
+ *
+ * @module patterns/slop-baseline
+ * @author Avi Fenesh
+ * @license MIT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeJsonAtomic } = require('../utils/atomic-write');
+
+const BASELINE_VERSION = 1;
+
+// Committed at the repo root so CI and teammates share it
+const DEFAULT_BASELINE_FILE = '.deslop-baseline.json';
+
+/**
+ * Resolve the baseline file path
+ * @param {string} repoPath - Repository root
+ * @param {string} [file] - Baseline path (absolute or repo-relative)
+ * @returns {string}
+ */
+function getBaselinePath(repoPath, file = DEFAULT_BASELINE_FILE) {
+  return path.isAbsolute(file) ? file : path.join(repoPath, file);
+}
+
+/**
+ * Default content reader for fingerprinting
+ * @param {string} repoPath
+ * @returns {Function} (file) => content|null
+ */
+function createContentReader(repoPath) {
+  return (file) => {
+    try {
+      return fs.readFileSync(path.isAbsolute(file) ? file : path.join(repoPath, file), 'utf8');
+    } catch {
+      return null;
+    }
+  };
+}
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Fingerprint a finding from its pattern, file and source line text
+ * @param {Object} finding - Pipeline finding
+ * @param {string|null} lineText - Source line at finding.line (falls back to finding.content)
+ * @param {string} [repoPath] - Repository root, to relativize absolute paths
+ * @returns {string} Hex digest
+ */
+function fingerprintFinding(finding, lineText, repoPath) {
+  const file = repoPath && path.isAbsolute(finding.file || '')
+    ? path.relative(repoPath, finding.file)
+    : String(finding.file || '');
+  const text = lineText !== null && lineText !== undefined ? lineText : finding.content;
+  return crypto.createHash('sha256')
+    .update([finding.patternName, file.replace(/\\/g, '/'), normalizeText(text)].join('\0'))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Fingerprint every finding, reading each file once
+ * @param {Array} findings - Pipeline findings
+ * @param {Object} [options]
+ * @param {string} [options.repoPath=process.cwd()]
+ * @param {Function} [options.getContent] - (file) => content|null
+ * @returns {string[]} Fingerprints, in findings order
+ */
+function fingerprintFindings(findings, options = {}) {
+  const repoPath = options.repoPath || process.cwd();
+  const getContent = options.getContent || createContentReader(repoPath);
+  const linesByFile = new Map();
+
+  return findings.map(finding => {
+    let lineText = null;
+    if (finding.file && finding.file !== 'project-level' && finding.line > 0) {
+      if (!linesByFile.has(finding.file)) {
+        const content = getContent(finding.file);
+        linesByFile.set(finding.file, content === null || content === undefined ? null : content.split('\n'));
+      }
+      const lines = linesByFile.get(finding.file);
+      if (lines && finding.line <= lines.length) lineText = lines[finding.line - 1];
+    }
+    return fingerprintFinding(finding, lineText, repoPath);
+  });
+}
+
+/**
+ * Build a baseline from findings
+ * @param {Array} findings - Pipeline findings
+ * @param {Object} [options] - See fingerprintFindings()
+ * @returns {Object} Baseline document
+ */
+function createBaseline(findings, options = {}) {
+  const fingerprints = fingerprintFindings(findings, options);
+  const entries = {};
+  findings.forEach((finding, i) => {
+    const entry = entries[fingerprints[i]];
+    if (entry) {
+      entry.count++;
+    } else {
+      entries[fingerprints[i]] = { patternName: finding.patternName, file: finding.file, count: 1 };
+    }
+  });
+
+  return {
+    version: BASELINE_VERSION,
+    createdAt: new Date().toISOString(),
+    total: findings.length,
+    fingerprints: entries
+  };
+}
+
+/**
+ * Load a baseline file
+ * @param {string} repoPath - Repository root
+ * @param {string} [file] - Baseline path
+ * @returns {Object|null} Baseline, or null if missing or invalid
+ */
+function loadBaseline(repoPath, file) {
+  try {
+    const baseline = JSON.parse(fs.readFileSync(getBaselinePath(repoPath, file), 'utf8'));
+    if (baseline.version !== BASELINE_VERSION || !baseline.fingerprints || typeof baseline.fingerprints !== 'object') {
+      return null;
+    }
+    return baseline;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a baseline file from findings
+ * @param {string} repoPath - Repository root
+ * @param {Array} findings - Pipeline findings
+ * @param {Object} [options]
+ * @param {string} [options.file] - Baseline path
+ * @param {Function} [options.getContent]
+ * @returns {{path: string, total: number}}
+ */
+function writeBaseline(repoPath, findings, options = {}) {
+  const baselinePath = getBaselinePath(repoPath, options.file);
+  const baseline = createBaseline(findings, { repoPath, getContent: options.getContent });
+  writeJsonAtomic(baselinePath, baseline);
+  return { path: baselinePath, total: baseline.total };
+}
+
+/**
+ * Split findings into new and baselined
+ * @param {Array} findings - Pipeline findings
+ * @param {Object} baseline - Baseline document
+ * @param {Object} [options] - See fingerprintFindings()
+ * @returns {{newFindings: Array, baselined: Array, fixed: number}} fixed counts
+ *   baselined occurrences no longer present
+ */
+function compareToBaseline(findings, baseline, options = {}) {
+  const fingerprints = fingerprintFindings(findings, options);
+  const remaining = new Map(
+    Object.entries(baseline.fingerprints).map(([fingerprint, entry]) => [fingerprint, entry.count || 1])
+  );
+
+  const newFindings = [];
+  const baselined = [];
+  findings.forEach((finding, i) => {
+    const left = remaining.get(fingerprints[i]) || 0;
+    if (left > 0) {
+      remaining.set(fingerprints[i], left - 1);
+      baselined.push({ ...finding, fingerprint: fingerprints[i] });
+    } else {
+      newFindings.push({ ...finding, fingerprint: fingerprints[i] });
+    }
+  });
+
+  let fixed = 0;
+  for (const left of remaining.values()) fixed += left;
+
+  return { newFindings, baselined, fixed };
+}
+
+module.exports = {
+  DEFAULT_BASELINE_FILE,
+  getBaselinePath,
+  fingerprintFinding,
+  fingerprintFindings,
+  createBaseline,
+  loadBaseline,
+  writeBaseline,
+  compareToBaseline
+};
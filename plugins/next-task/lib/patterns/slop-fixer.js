@@ -0,0 +1,501 @@
+/**
+ * Slop Auto-Fixer
+ *
+ * Deterministic fixes for HIGH-certainty pipeline findings whose pattern
+ * declares a `remove` or `replace` autoFix strategy. Each fixer edits
+ * original lines in place (remove or rewrite), so several fixes in one file
+ * never shift each other's line numbers. Fixed files are re-scanned with
+ * Phase 1 to confirm the finding is gone.
+ *
+ * @module patterns/slop-fixer
+ * @author Avi Fenesh
+ * @license MIT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const slopPatterns = require('./slop-patterns');
+const analyzers = require('./slop-analyzers');
+const { runPhase1, CERTAINTY } = require('./pipeline');
+const { writeFileAtomic } = require('../utils/atomic-write');
+const { restoreFromBackup } = require('../enhance/fixer');
+
+// Lines of unchanged context around each diff hunk
+const DIFF_CONTEXT = 3;
+
+// Longest multi-line statement a remove fix will follow
+const MAX_STATEMENT_LINES = 20;
+
+// Blank lines kept when collapsing a run (pattern flags more than 2)
+const MAX_BLANK_LINES = 2;
+
+// Code punctuation; commented blocks without it on most lines are prose
+const CODE_CHARS = /[;{}()=]/;
+
+/**
+ * Start-of-line matchers for debug statements that can be removed whole
+ */
+const DEBUG_STATEMENTS = {
+  console_debugging: /^\s*console\.(log|debug)\(/,
+  python_debugging: /^\s*(print\(|breakpoint\(\)|import i?pdb\b)/,
+  rust_debugging: /^\s*(println!|dbg!|eprintln!)\(/
+};
+
+/**
+ * Net bracket depth change for a line, ignoring brackets inside string
+ * literals and trailing line comments (best effort)
+ * @param {string} line
+ * @returns {number}
+ */
+function bracketDelta(line) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '"' || ch === '\'' || ch === '`') quote = ch;
+    else if (ch === '/' && line[i + 1] === '/') break;
+    else if (ch === '#' && /^\s*#/.test(line)) break;
+    else if ('([{'.includes(ch)) depth++;
+    else if (')]}'.includes(ch)) depth--;
+  }
+  return depth;
+}
+
+/**
+ * Whether an index in a line falls inside a string literal
+ * @param {string} line
+ * @param {number} index
+ * @returns {boolean}
+ */
+function isInsideString(line, index) {
+  let quote = null;
+  for (let i = 0; i < index; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === '\'' || ch === '`') {
+      quote = ch;
+    }
+  }
+  return quote !== null;
+}
+
+function indentOf(text) {
+  return text.match(/^[ \t]*/)[0].length;
+}
+
+function isBlank(text) {
+  return text.trim() === '';
+}
+
+/**
+ * Find the nearest live, non-blank line in a direction
+ * @returns {number} Index, or -1
+ */
+function findSignificant(doc, from, step) {
+  for (let i = from; i >= 0 && i < doc.length; i += step) {
+    if (!doc[i].removed && !isBlank(doc[i].text)) return i;
+  }
+  return -1;
+}
+
+/**
+ * Whether removing lines [start, end] would leave a control-flow body empty
+ * or re-attach the next statement to a braceless if/else/loop.
+ * @returns {boolean}
+ */
+function wouldBreakBlock(doc, start, end, fileLanguage) {
+  const prev = findSignificant(doc, start - 1, -1);
+  if (prev === -1) return false;
+  const prevText = doc[prev].text.replace(/\s+$/, '');
+
+  if (fileLanguage === 'python') {
+    if (!prevText.endsWith(':')) return false;
+    const next = findSignificant(doc, end + 1, 1);
+    return next === -1 || indentOf(doc[next].text) < indentOf(doc[start].text);
+  }
+
+  return (/\)$/.test(prevText) && /^\s*(if|for|while)\b/.test(prevText))
+    || /^\s*(\}\s*)?else$/.test(prevText);
+}
+
+/**
+ * Lines spanned by a statement starting at `start` (follows open brackets)
+ * @returns {number} Last index, or -1 if unbalanced within the limit
+ */
+function statementEnd(doc, start) {
+  let depth = 0;
+  for (let i = start; i < doc.length && i < start + MAX_STATEMENT_LINES; i++) {
+    depth += bracketDelta(doc[i].text);
+    if (depth <= 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Per-pattern fixers. Each receives the editable document (array of
+ * { original, text, removed }), the 0-based finding line and the finding,
+ * and returns the affected indexes or { skip: reason }.
+ */
+const FIXERS = {
+  /**
+   * Remove a standalone debug statement (following multi-line calls)
+   */
+  remove_statement(doc, index, finding, context) {
+    const matcher = DEBUG_STATEMENTS[finding.patternName];
+    if (!matcher || !matcher.test(doc[index].text)) {
+      return { skip: 'Not a standalone statement' };
+    }
+    const end = statementEnd(doc, index);
+    if (end === -1) return { skip: 'Could not find end of statement' };
+    const tail = doc[end].text.replace(/\/\/.*$/, '').trim();
+    if (context.fileLanguage === 'js' && !/[);]$/.test(tail)) {
+      return { skip: 'Statement continues after call' };
+    }
+    if (wouldBreakBlock(doc, index, end, context.fileLanguage)) {
+      return { skip: 'Would leave an empty or braceless block' };
+    }
+    const affected = [];
+    for (let i = index; i <= end; i++) {
+      doc[i].removed = true;
+      affected.push(i);
+    }
+    return { affected };
+  },
+
+  /**
+   * Remove the finding's line
+   */
+  remove_line(doc, index) {
+    doc[index].removed = true;
+    return { affected: [index] };
+  },
+
+  /**
+   * Remove a consecutive-line block (details.startLine..endLine)
+   */
+  remove_block(doc, index, finding) {
+    const details = finding.details || {};
+    const start = (details.startLine || finding.line) - 1;
+    const end = (details.endLine || finding.line) - 1;
+    if (start < 0 || end >= doc.length || end < start) {
+      return { skip: 'Block is out of range' };
+    }
+    if (finding.patternName === 'commented_code') {
+      const codeLike = doc.slice(start, end + 1).filter(line => CODE_CHARS.test(line.text)).length;
+      if (codeLike * 2 < end - start + 1) {
+        return { skip: 'Comment block reads as prose, not code' };
+      }
+    }
+    const affected = [];
+    for (let i = start; i <= end; i++) {
+      if (doc[i].removed) continue;
+      doc[i].removed = true;
+      affected.push(i);
+    }
+    return { affected };
+  },
+
+  /**
+   * Remove a trailing // comment, or the whole line if it is comment-only
+   */
+  remove_comment(doc, index, finding) {
+    const pattern = slopPatterns.slopPatterns[finding.patternName]?.pattern;
+    const text = doc[index].text;
+    const match = pattern ? pattern.exec(text) : null;
+    if (!match) return { skip: 'Pattern no longer matches' };
+    if (isInsideString(text, match.index)) {
+      return { skip: 'Comment marker inside string literal' };
+    }
+    const before = text.slice(0, match.index);
+    if (isBlank(before)) {
+      doc[index].removed = true;
+    } else {
+      doc[index].text = before.replace(/\s+$/, '') + (text.endsWith('\r') ? '\r' : '');
+    }
+    return { affected: [index] };
+  },
+
+  /**
+   * Strip trailing spaces and tabs, keeping a CRLF terminator
+   */
+  trim_trailing(doc, index) {
+    const text = doc[index].text;
+    const eol = text.endsWith('\r') ? '\r' : '';
+    const trimmed = text.replace(/\s+$/, '') + eol;
+    if (trimmed === text) return { skip: 'Only a line terminator' };
+    doc[index].text = trimmed;
+    return { affected: [index] };
+  },
+
+  /**
+   * Expand tabs in leading whitespace to spaces
+   */
+  normalize_indent(doc, index, finding, context) {
+    if (context.fileLanguage === 'go') {
+      return { skip: 'gofmt owns Go indentation' };
+    }
+    const text = doc[index].text;
+    const leading = text.match(/^[ \t]*/)[0];
+    doc[index].text = leading.replace(/\t/g, ' '.repeat(context.tabWidth)) + text.slice(leading.length);
+    return { affected: [index] };
+  },
+
+  /**
+   * Collapse a run of blank lines to MAX_BLANK_LINES
+   */
+  collapse_blank_lines(doc, index) {
+    const affected = [];
+    let kept = 0;
+    for (let i = index; i < doc.length && isBlank(doc[i].text); i++) {
+      if (doc[i].removed) continue;
+      if (kept < MAX_BLANK_LINES) {
+        kept++;
+      } else {
+        doc[i].removed = true;
+        affected.push(i);
+      }
+    }
+    return affected.length > 0 ? { affected } : { skip: 'No extra blank lines' };
+  }
+};
+
+/**
+ * Fix strategy per pattern; patterns not listed fall back on their
+ * autoFix value ('remove' -> remove_block for block findings)
+ */
+const PATTERN_STRATEGIES = {
+  console_debugging: 'remove_statement',
+  python_debugging: 'remove_statement',
+  rust_debugging: 'remove_statement',
+  unused_imports_hint: 'remove_line',
+  commented_code: 'remove_block',
+  issue_pr_references: 'remove_comment',
+  trailing_whitespace: 'trim_trailing',
+  mixed_indentation: 'normalize_indent',
+  multiple_blank_lines: 'collapse_blank_lines'
+};
+
+/**
+ * Resolve the fixer strategy for a finding
+ * @param {Object} finding
+ * @returns {{strategy: string}|{reason: string}}
+ */
+function resolveStrategy(finding) {
+  if (finding.certainty !== CERTAINTY.HIGH) {
+    return { reason: 'Not HIGH certainty' };
+  }
+  if (finding.autoFix !== 'remove' && finding.autoFix !== 'replace') {
+    return { reason: `autoFix '${finding.autoFix}' is not deterministic` };
+  }
+  const strategy = PATTERN_STRATEGIES[finding.patternName]
+    || (finding.autoFix === 'remove' && finding.details?.endLine ? 'remove_block' : null);
+  if (!strategy) {
+    return { reason: 'No deterministic fixer for pattern' };
+  }
+  return { strategy };
+}
+
+/**
+ * Build a unified diff from an edited document
+ * @param {string} file - Repo-relative path
+ * @param {Array} doc - Edited document
+ * @returns {string} Unified diff ('' when unchanged)
+ */
+function buildDiff(file, doc) {
+  const changed = doc.map(line => line.removed || line.text !== line.original);
+  const hunks = [];
+  let i = 0;
+  while (i < doc.length) {
+    if (!changed[i]) { i++; continue; }
+    let start = Math.max(0, i - DIFF_CONTEXT);
+    if (hunks.length > 0 && start <= hunks[hunks.length - 1].end) {
+      start = hunks[hunks.length - 1].start;
+      hunks.pop();
+    }
+    let end = i;
+    while (end < doc.length && changed[end]) end++;
+    hunks.push({ start, end: Math.min(doc.length, end + DIFF_CONTEXT) });
+    i = end;
+  }
+  if (hunks.length === 0) return '';
+
+  // New line number for each original index (1-based)
+  const newLineAt = [];
+  let newLine = 1;
+  for (const line of doc) {
+    newLineAt.push(newLine);
+    if (!line.removed) newLine++;
+  }
+
+  const out = [`--- a/${file}`, `+++ b/${file}`];
+  for (const hunk of hunks) {
+    const body = [];
+    let oldCount = 0;
+    let newCount = 0;
+    for (let k = hunk.start; k < hunk.end; k++) {
+      const line = doc[k];
+      if (line.removed) {
+        body.push(`-${line.original}`);
+        oldCount++;
+      } else if (line.text !== line.original) {
+        body.push(`-${line.original}`, `+${line.text}`);
+        oldCount++;
+        newCount++;
+      } else {
+        body.push(` ${line.original}`);
+        oldCount++;
+        newCount++;
+      }
+    }
+    out.push(`@@ -${hunk.start + 1},${oldCount} +${newLineAt[hunk.start]},${newCount} @@`, ...body);
+  }
+  return out.join('\n');
+}
+
+/**
+ * Apply deterministic fixes for pipeline findings
+ *
+ * @param {Array} findings - Findings from runPipeline()
+ * @param {Object} [options]
+ * @param {string} [options.repoPath=process.cwd()] - Repository root
+ * @param {boolean} [options.dryRun=false] - Compute diffs without writing
+ * @param {boolean} [options.backup=true] - Write <file>.backup before editing
+ * @param {boolean} [options.rescan=true] - Re-run Phase 1 to confirm fixes
+ * @param {number} [options.tabWidth=2] - Spaces per tab for indentation fixes
+ * @returns {{applied: Array, skipped: Array, errors: Array, diffs: Array, unresolved: Array, backups: string[]}}
+ */
+function applyFixes(findings, options = {}) {
+  const {
+    repoPath = process.cwd(),
+    dryRun = false,
+    backup = true,
+    rescan = true,
+    tabWidth = 2
+  } = options;
+
+  const results = { applied: [], skipped: [], errors: [], diffs: [], unresolved: [], backups: [] };
+
+  const byFile = new Map();
+  for (const finding of findings || []) {
+    const resolved = resolveStrategy(finding);
+    if (resolved.reason) {
+      results.skipped.push({ ...finding, reason: resolved.reason });
+      continue;
+    }
+    if (!byFile.has(finding.file)) byFile.set(finding.file, []);
+    byFile.get(finding.file).push({ finding, strategy: resolved.strategy });
+  }
+
+  for (const [file, fixes] of byFile) {
+    const filePath = path.isAbsolute(file) ? file : path.join(repoPath, file);
+    let content;
+    try {
+      content = fs.readFileSync(filePath, 'utf8');
+    } catch (err) {
+      results.errors.push({ file, error: err.message });
+      continue;
+    }
+
+    const doc = content.split('\n').map(text => ({ original: text, text, removed: false }));
+    const context = { fileLanguage: analyzers.detectLanguage(file), tabWidth };
+    const appliedToFile = [];
+
+    for (const { finding, strategy } of fixes) {
+      const index = finding.line - 1;
+      if (index < 0 || index >= doc.length) {
+        results.skipped.push({ ...finding, reason: 'Line out of range' });
+        continue;
+      }
+      if (doc[index].removed) {
+        results.skipped.push({ ...finding, reason: 'Line already removed by another fix' });
+        continue;
+      }
+      const outcome = FIXERS[strategy](doc, index, finding, context);
+      if (outcome.skip) {
+        results.skipped.push({ ...finding, reason: outcome.skip });
+        continue;
+      }
+      appliedToFile.push({ finding, strategy, affected: outcome.affected });
+    }
+
+    if (appliedToFile.length === 0) continue;
+
+    const newContent = doc.filter(line => !line.removed).map(line => line.text).join('\n');
+    const diff = buildDiff(file, doc);
+    results.diffs.push({ file, diff });
+
+    if (!dryRun) {
+      try {
+        const mode = fs.statSync(filePath).mode & 0o777;
+        if (backup) {
+          const backupPath = `${filePath}.backup`;
+          fs.writeFileSync(backupPath, content, 'utf8');
+          results.backups.push(backupPath);
+        }
+        writeFileAtomic(filePath, newContent, { mode });
+      } catch (err) {
+        results.errors.push({ file, error: err.message });
+        continue;
+      }
+    }
+
+    // Re-scan the fixed content; a fix is unresolved if its pattern still
+    // matches on any surviving line it touched
+    let remaining = [];
+    if (rescan) {
+      const contents = new Map([[file, { content: newContent, error: null }]]);
+      remaining = runPhase1(repoPath, [file], null, contents);
+    }
+    const newLineAt = [];
+    let newLine = 1;
+    for (const line of doc) {
+      newLineAt.push(line.removed ? null : newLine);
+      if (!line.removed) newLine++;
+    }
+
+    for (const { finding, strategy, affected } of appliedToFile) {
+      const survivors = new Set(affected.map(i => newLineAt[i]).filter(Boolean));
+      const stillThere = remaining.find(r => r.patternName === finding.patternName && survivors.has(r.line));
+      const entry = {
+        file,
+        line: finding.line,
+        patternName: finding.patternName,
+        strategy,
+        verified: rescan ? !stillThere : null
+      };
+      results.applied.push(entry);
+      if (stillThere) results.unresolved.push({ ...entry, remaining: stillThere });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Restore every file backed up by applyFixes()
+ * @param {{backups: string[]}} results - applyFixes() result
+ * @returns {number} Files restored
+ */
+function restoreFixes(results) {
+  let restored = 0;
+  for (const backupPath of results.backups || []) {
+    if (restoreFromBackup(backupPath.replace(/\.backup$/, ''))) restored++;
+  }
+  return restored;
+}
+
+module.exports = {
+  applyFixes,
+  restoreFixes,
+  restoreFromBackup,
+  resolveStrategy,
+  buildDiff,
+  PATTERN_STRATEGIES
+};
@@ -3,6 +3,7 @@
  *
  * Uses ast-grep (sg) for accurate symbol extraction across multiple languages.
  * Generates a cached map of exports, functions, classes, and imports.
+ * Without ast-grep, a built-in fallback scanner covers JS/TS and Python.
  *
  * @module lib/repo-map
  */
@@ -14,6 +15,29 @@ const runner = require('./runner');
 const cache = require('./cache');
 const updater = require('./updater');
 const usageAnalyzer = require('./usage-analyzer');
+const importResolver = require('./import-resolver');
+const callGraph = require('./call-graph');
+const summarizer = require('./summarizer');
+const fallbackScanner = require('./fallback-scanner');
+const dependencyGraph = require('./dependency-graph');
+const signatures = require('./signatures');
+const watcher = require('./watcher');
+const mapDiff = require('./map-diff');
+
+/**
+ * Describe why ast-grep cannot be used
+ * @param {{found: boolean, version?: string}} installed - Result of installer.checkInstalled()
+ * @returns {string|null} - Error message, or null when ast-grep is usable
+ */
+function getAstGrepError(installed) {
+  if (!installed.found) {
+    return 'ast-grep not found';
+  }
+  if (!installer.meetsMinimumVersion(installed.version)) {
+    return `ast-grep version ${installed.version || 'unknown'} is too old. Minimum required: ${installer.getMinimumVersion()}`;
+  }
+  return null;
+}
 
 /**
  * Initialize a new repo map (full scan)
@@ -21,23 +45,19 @@ const usageAnalyzer = require('./usage-analyzer');
  * @param {Object} options - Options
  * @param {boolean} options.force - Force rebuild even if map exists
  * @param {string[]} options.languages - Languages to scan (auto-detect if not specified)
+ * @param {boolean} options.calls - Also record call sites (caller->callee edges, ast-grep only)
+ * @param {boolean} options.fallback - Use the built-in scanner when ast-grep is unavailable (default: true)
+ * @param {string} options.storage - 'single' | 'sharded' (default: sharded for very large repositories)
  * @returns {Promise<{success: boolean, map?: Object, error?: string}>}
  */
 async function init(basePath, options = {}) {
   // Check if ast-grep is installed
   const installed = await installer.checkInstalled();
-  if (!installed.found) {
+  const astGrepError = getAstGrepError(installed);
+  if (astGrepError && options.fallback === false) {
     return {
       success: false,
-      error: 'ast-grep not found',
-      installSuggestion: installer.getInstallInstructions()
-    };
-  }
-
-  if (!installer.meetsMinimumVersion(installed.version)) {
-    return {
-      success: false,
-      error: `ast-grep version ${installed.version || 'unknown'} is too old. Minimum required: ${installer.getMinimumVersion()}`,
+      error: astGrepError,
       installSuggestion: installer.getInstallInstructions()
     };
   }
@@ -63,13 +83,28 @@ async function init(basePath, options = {}) {
 
   // Run full scan
   const startTime = Date.now();
-  const map = await runner.fullScan(basePath, languages, {
-    fileLimit: options.fileLimit
-  });
+  let map;
+  if (astGrepError) {
+    const supported = languages.filter(fallbackScanner.supportsLanguage);
+    if (supported.length === 0) {
+      return {
+        success: false,
+        error: astGrepError,
+        installSuggestion: installer.getInstallInstructions()
+      };
+    }
+    console.error(`[WARN] ${astGrepError}; using the fallback scanner for ${supported.join(', ')} (lower confidence)`);
+    map = await fallbackScanner.fullScan(basePath, supported, { fileLimit: options.fileLimit });
+  } else {
+    map = await runner.fullScan(basePath, languages, {
+      fileLimit: options.fileLimit,
+      calls: Boolean(options.calls)
+    });
+  }
   map.stats.scanDurationMs = Date.now() - startTime;
 
   // Save map
-  cache.save(basePath, map);
+  cache.save(basePath, map, { storage: options.storage });
 
   return {
     success: true,
@@ -77,7 +112,9 @@ async function init(basePath, options = {}) {
     summary: {
       files: Object.keys(map.files).length,
       symbols: map.stats.totalSymbols,
+      ...(map.features?.calls ? { calls: map.stats.totalCalls } : {}),
       languages: map.project.languages,
+      ...(map.scanner ? { scanner: map.scanner, confidence: map.confidence } : {}),
       duration: map.stats.scanDurationMs
     }
   };
@@ -93,24 +130,19 @@ async function init(basePath, options = {}) {
 async function update(basePath, options = {}) {
   // Check if ast-grep is installed
   const installed = await installer.checkInstalled();
-  if (!installed.found) {
-    return {
-      success: false,
-      error: 'ast-grep not found',
-      installSuggestion: installer.getInstallInstructions()
-    };
-  }
+  const astGrepError = getAstGrepError(installed);
 
-  if (!installer.meetsMinimumVersion(installed.version)) {
+  // Load existing map
+  const existing = cache.load(basePath);
+  const usesFallback = existing?.scanner === fallbackScanner.SCANNER_NAME;
+  if (astGrepError && !usesFallback) {
     return {
       success: false,
-      error: `ast-grep version ${installed.version || 'unknown'} is too old. Minimum required: ${installer.getMinimumVersion()}`,
+      error: astGrepError,
       installSuggestion: installer.getInstallInstructions()
     };
   }
 
-  // Load existing map
-  const existing = cache.load(basePath);
   if (!existing) {
     return {
       success: false,
@@ -118,9 +150,10 @@ async function update(basePath, options = {}) {
     };
   }
 
-  // Force full rebuild if requested
-  if (options.full) {
-    return init(basePath, { force: true });
+  // Force full rebuild if requested (keeps the call-site pass if the map had it).
+  // Fallback maps are rebuilt with ast-grep as soon as it is available.
+  if (options.full || (usesFallback && !astGrepError)) {
+    return init(basePath, { force: true, calls: Boolean(existing.features?.calls) });
   }
 
   // Incremental update
@@ -153,14 +186,117 @@ function status(basePath) {
       updated: map.updated,
       commit: map.git?.commit,
       branch: map.git?.branch,
-      files: Object.keys(map.files).length,
+      files: map.stats?.totalFiles ?? Object.keys(map.files).length,
       symbols: map.stats?.totalSymbols || 0,
       languages: map.project?.languages || [],
+      scanner: map.scanner || 'ast-grep',
+      storage: cache.getStorage(map),
       staleness
     }
   };
 }
 
+/**
+ * Analyze the module dependency graph of the cached map
+ * @param {string} basePath - Repository root path
+ * @param {Object} options - Options
+ * @param {string} options.format - Output format: dot | mermaid | json (default: json)
+ * @param {Array<Object>} options.layers - Layer declaration (default: layers in .repomaprc.json)
+ * @returns {{success: boolean, output?: string, cycles?: string[][], violations?: Array, error?: string}}
+ */
+function analyzeGraph(basePath, options = {}) {
+  const map = cache.load(basePath);
+  if (!map) {
+    return {
+      success: false,
+      error: 'No repo map found. Run /repo-map init first.'
+    };
+  }
+
+  const format = options.format || 'json';
+  if (!dependencyGraph.GRAPH_FORMATS.includes(format)) {
+    return {
+      success: false,
+      error: `Unknown graph format: ${format}. Use: ${dependencyGraph.GRAPH_FORMATS.join(' | ')}`
+    };
+  }
+
+  const analysis = dependencyGraph.analyzeDependencies(map, { basePath, layers: options.layers });
+  return {
+    success: true,
+    output: dependencyGraph.formatGraph(analysis, format),
+    cycles: analysis.cycles,
+    violations: analysis.violations
+  };
+}
+
+/**
+ * Keep the cached repo map live while files change
+ * Brings the map up to date first, then rescans changed files as they are saved.
+ * @param {string} basePath - Repository root path
+ * @param {Object} options - Options
+ * @param {number} options.debounceMs - Quiet period before rescanning (default: 300)
+ * @param {Function} options.onUpdate - Called with {changes, files} after each save
+ * @param {Function} options.onError - Called with {file?, error} on scan or watch errors
+ * @returns {Promise<{success: boolean, watcher?: Object, recursive?: boolean, error?: string}>}
+ */
+async function watch(basePath, options = {}) {
+  const updated = await update(basePath);
+  if (!updated.success) {
+    return updated;
+  }
+
+  const mapWatcher = watcher.createWatcher(basePath, options);
+  const started = mapWatcher.start();
+  if (!started.success) {
+    return started;
+  }
+
+  return {
+    success: true,
+    watcher: mapWatcher,
+    recursive: started.recursive
+  };
+}
+
+/**
+ * Compare the public export surface at two git refs
+ * Maps for refs are built from git objects, never the working tree. Both sides
+ * use the same scanner: ast-grep when installed, otherwise the fallback scanner
+ * (the working-tree map's own scanner when headRef is null).
+ * @param {string} basePath - Repository root path
+ * @param {string} baseRef - Base ref (branch, tag, commit, HEAD~N)
+ * @param {string|null} headRef - Head ref (default: HEAD); null compares the live working-tree map
+ * @param {Object} options - Options
+ * @param {boolean} options.cache - Reuse maps cached per commit (default: true)
+ * @returns {Promise<{success: boolean, files?: Array, summary?: Object, semver?: string|null, changelog?: Object, error?: string}>}
+ */
+async function diff(basePath, baseRef, headRef = 'HEAD', options = {}) {
+  const installed = await installer.checkInstalled();
+  const astGrepError = getAstGrepError(installed);
+
+  let headMap = null;
+  let scanner = astGrepError ? fallbackScanner.SCANNER_NAME : 'ast-grep';
+  if (headRef === null) {
+    const updated = await update(basePath);
+    if (!updated.success) {
+      return updated;
+    }
+    headMap = cache.load(basePath);
+    scanner = headMap.scanner || 'ast-grep';
+  }
+
+  if (astGrepError) {
+    console.error(`[WARN] ${astGrepError}; diffing with the fallback scanner (lower confidence)`);
+  }
+
+  return mapDiff.compareRefs(basePath, baseRef, headRef, {
+    scanner,
+    headMap,
+    cache: options.cache
+  });
+}
+
 /**
  * Load repo map (if exists)
  * @param {string} basePath - Repository root path
@@ -201,6 +337,9 @@ module.exports = {
   status,
   load,
   exists,
+  analyzeGraph,
+  watch,
+  diff,
   checkAstGrepInstalled,
   getInstallInstructions,
 
@@ -212,11 +351,32 @@ module.exports = {
   findOrphanedInfrastructure: usageAnalyzer.findOrphanedInfrastructure,
   getDependencyGraph: usageAnalyzer.getDependencyGraph,
   findCircularDependencies: usageAnalyzer.findCircularDependencies,
+  createImportResolver: importResolver.createImportResolver,
+
+  // Call graph functions (maps built with calls: true)
+  buildCallGraph: callGraph.buildCallGraph,
+  findCallers: callGraph.findCallers,
+  findCallees: callGraph.findCallees,
+
+  // Module graph: cycles, layer checks, DOT/Mermaid/JSON export
+  analyzeDependencies: dependencyGraph.analyzeDependencies,
+
+  // Ranked, token-budgeted outline for agent context
+  summarize: summarizer.summarize,
+  rankFiles: summarizer.rankFiles,
 
   // Re-export submodules for advanced usage
   installer,
   runner,
   cache,
   updater,
-  usageAnalyzer
+  usageAnalyzer,
+  importResolver,
+  callGraph,
+  summarizer,
+  fallbackScanner,
+  dependencyGraph,
+  signatures,
+  watcher,
+  mapDiff
 };
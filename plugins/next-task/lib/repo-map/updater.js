@@ -13,6 +13,8 @@ const { execFileSync } = require('child_process');
 const runner = require('./runner');
 const cache = require('./cache');
 const installer = require('./installer');
+const fallbackScanner = require('./fallback-scanner');
+const shardStore = require('./shard-store');
 const { runWithConcurrency } = require('./concurrency');
 
 const SCAN_CONCURRENCY = 8;
@@ -23,6 +25,22 @@ function isScannableFile(filePath) {
   return SCANNABLE_EXTENSIONS.has(ext);
 }
 
+/**
+ * Pick the file scanner matching how the map was built
+ * @param {Object} map - Existing repo map
+ * @param {string} cmd - ast-grep command (unused for fallback maps)
+ * @returns {Function} (fullPath, basePath, options) => Promise<Object|null>
+ */
+function getFileScanner(map, cmd) {
+  if (map.scanner === fallbackScanner.SCANNER_NAME) {
+    return (fullPath, basePath, options) => fallbackScanner.scanFileAsync(fullPath, basePath, options);
+  }
+  return (fullPath, basePath, options) => runner.scanSingleFileAsync(cmd, fullPath, basePath, {
+    ...options,
+    calls: Boolean(map.features?.calls)
+  });
+}
+
 /**
  * Perform incremental update based on git diff
  * @param {string} basePath - Repository root
@@ -30,8 +48,9 @@ function isScannableFile(filePath) {
  * @returns {Promise<{success: boolean, map?: Object, changes?: Object, error?: string, needsFullRebuild?: boolean}>}
  */
 async function incrementalUpdate(basePath, map) {
-  // Validate ast-grep
-  const installed = installer.checkInstalledSync();
+  // Validate ast-grep (maps from the fallback scanner do not need it)
+  const usesFallback = map?.scanner === fallbackScanner.SCANNER_NAME;
+  const installed = usesFallback ? { found: true, command: null } : installer.checkInstalledSync();
   if (!installed.found) {
     return {
       success: false,
@@ -40,7 +59,7 @@ async function incrementalUpdate(basePath, map) {
     };
   }
 
-  if (!installer.meetsMinimumVersion(installed.version)) {
+  if (!usesFallback && !installer.meetsMinimumVersion(installed.version)) {
     return {
       success: false,
       error: `ast-grep version ${installed.version || 'unknown'} is too old. Minimum required: ${installer.getMinimumVersion()}`,
@@ -131,10 +150,11 @@ async function incrementalUpdate(basePath, map) {
   );
 
   // Process files that exist with bounded concurrency
+  const scanFile = getFileScanner(map, installed.command);
   const scanTargets = existenceChecks.filter(({ file, exists }) => exists && isScannableFile(file));
   const scanResults = await runWithConcurrency(scanTargets, SCAN_CONCURRENCY, async ({ file, fullPath }) => {
     const astErrors = [];
-    const fileData = await runner.scanSingleFileAsync(installed.command, fullPath, basePath, {
+    const fileData = await scanFile(fullPath, basePath, {
       onError: (error) => astErrors.push(error)
     });
     return { file, fileData, astErrors };
@@ -196,10 +216,11 @@ async function incrementalUpdate(basePath, map) {
  * Update without git (hash comparison)
  * @param {string} basePath - Repository root
  * @param {Object} map - Existing repo map
- * @param {string} cmd - ast-grep command
+ * @param {string} cmd - ast-grep command (unused for fallback maps)
  * @returns {Promise<{success: boolean, map?: Object, changes?: Object}>}
  */
 async function updateWithoutGit(basePath, map, cmd) {
+  const scanFile = getFileScanner(map, cmd);
   const currentFiles = new Set();
   const languages = map.project?.languages || [];
   map.stats = map.stats || {};
@@ -250,7 +271,7 @@ async function updateWithoutGit(basePath, map, cmd) {
   const checkResults = await runWithConcurrency(filesToCheck, SCAN_CONCURRENCY, async (file) => {
     const fullPath = path.join(basePath, file);
     const astErrors = [];
-    const fileData = await runner.scanSingleFileAsync(cmd, fullPath, basePath, {
+    const fileData = await scanFile(fullPath, basePath, {
       onError: (error) => astErrors.push(error)
     });
     return { file, fileData, astErrors };
@@ -285,7 +306,7 @@ async function updateWithoutGit(basePath, map, cmd) {
   const addResults = await runWithConcurrency(addedFiles, SCAN_CONCURRENCY, async (file) => {
     const fullPath = path.join(basePath, file);
     const astErrors = [];
-    const fileData = await runner.scanSingleFileAsync(cmd, fullPath, basePath, {
+    const fileData = await scanFile(fullPath, basePath, {
       onError: (error) => astErrors.push(error)
     });
     return { file, fileData, astErrors };
@@ -544,6 +565,13 @@ function normalizePath(filePath) {
  * @param {Object} map - Repo map
  */
 function recalculateStats(map) {
+  const store = shardStore.getStore(map);
+  if (store) {
+    // Sharded maps: per-shard totals from the manifest, recounting changed shards only
+    Object.assign(map.stats, store.computeStats(Boolean(map.features?.calls)));
+    return;
+  }
+
   const files = Object.values(map.files || {});
   map.stats.totalFiles = files.length;
   map.stats.totalSymbols = files.reduce((sum, file) => {
@@ -553,10 +581,15 @@ function recalculateStats(map) {
       (file.symbols?.types?.length || 0) +
       (file.symbols?.constants?.length || 0);
   }, 0);
+  if (map.features?.calls) {
+    map.stats.totalCalls = files.reduce((sum, file) => sum + (file.calls?.length || 0), 0);
+  }
 }
 
 module.exports = {
   incrementalUpdate,
   updateWithoutGit,
-  checkStaleness
+  checkStaleness,
+  getFileScanner,
+  recalculateStats
 };
@@ -18,10 +18,20 @@ const fs = require('fs');
 const fsPromises = require('fs').promises;
 const slopPatterns = require('./slop-patterns');
 const analyzers = require('./slop-analyzers');
+const findingsCache = require('./findings-cache');
+const suppression = require('./slop-suppression');
+const slopBaseline = require('./slop-baseline');
+const diffScope = require('./diff-scope');
 
 // Concurrent file reads per batch
 const FILE_READ_BATCH_SIZE = 50;
 
+// Default file cap without the findings cache (every run re-scans every file)
+const DEFAULT_MAX_FILES = 200;
+
+// Default file cap with the findings cache (only changed files are re-scanned)
+const CACHED_MAX_FILES = 10000;
+
 /**
  * Global exclusions - files that should NEVER be flagged
  * These are meta-files that define detection patterns, so they naturally
@@ -95,6 +105,70 @@ async function batchReadFiles(files, batchSize = FILE_READ_BATCH_SIZE) {
   return results;
 }
 
+/**
+ * Get file content from the pre-loaded map, falling back to a synchronous read
+ * @param {Map<string, {content: string|null, error: Error|null}>} contentMap - Pre-loaded contents
+ * @param {string} repoPath - Repository root
+ * @param {string} file - File path as passed in targetFiles
+ * @returns {string|null} Content, or null if unreadable
+ */
+function getFileContent(contentMap, repoPath, file) {
+  const filePath = path.isAbsolute(file) ? file : path.join(repoPath, file);
+  const readResult = contentMap.get(file) || contentMap.get(filePath);
+  if (readResult && !readResult.error && readResult.content !== null) {
+    return readResult.content;
+  }
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Run a per-file phase through the findings cache.
+ * Files whose content hash has cached findings for this section reuse them;
+ * the rest are passed to `analyze` and their findings are stored.
+ *
+ * @param {Object} cacheRun - { cache, targetFiles, keys, hashes, missed }
+ * @param {string} section - Cache section name
+ * @param {string} variant - Run variant the section depends on
+ * @param {Function} analyze - (files) => findings (sync or async)
+ * @returns {Promise<Array>} Findings in targetFiles order
+ */
+async function runCachedPhase(cacheRun, section, variant, analyze) {
+  const { cache, targetFiles, keys, hashes, missed } = cacheRun;
+  const cachedByFile = new Map();
+  const misses = [];
+
+  for (const file of targetFiles) {
+    const hash = hashes.get(file);
+    const cached = hash ? findingsCache.getFindings(cache, keys.get(file), hash, section, variant) : null;
+    if (cached) {
+      cachedByFile.set(file, cached);
+    } else {
+      misses.push(file);
+    }
+  }
+
+  const freshByFile = new Map();
+  const fresh = misses.length > 0 ? await analyze(misses) : [];
+  for (const finding of fresh) {
+    if (!freshByFile.has(finding.file)) freshByFile.set(finding.file, []);
+    freshByFile.get(finding.file).push(finding);
+  }
+
+  for (const file of misses) {
+    missed.add(file);
+    const hash = hashes.get(file);
+    if (hash) {
+      findingsCache.setFindings(cache, keys.get(file), hash, section, freshByFile.get(file) || [], variant);
+    }
+  }
+
+  return targetFiles.flatMap(file => cachedByFile.get(file) || freshByFile.get(file) || []);
+}
+
 /**
  * Run the slop detection pipeline
  *
@@ -106,7 +180,16 @@ async function batchReadFiles(files, batchSize = FILE_READ_BATCH_SIZE) {
  * @param {string} [options.mode='report'] - report | apply
  * @param {Object} [options.cliTools] - Pre-detected CLI tools (from detectAvailableTools)
  * @param {number} [options.timeout] - Timeout in ms (default: 5 minutes)
- * @returns {Promise<Object>} Pipeline results: { findings, summary, phase3Prompt, missingTools }
+ * @param {boolean} [options.cache=false] - Reuse per-file findings for unchanged files (stored in the state dir)
+ * @param {number} [options.maxFiles] - File cap when discovering files (default: 200, or 10000 with cache)
+ * @param {boolean} [options.suppressions=true] - Honor deslop-ignore comments and .desloprc.json
+ * @param {Object} [options.suppressionConfig] - Config to use instead of loading .desloprc.json
+ * @param {boolean|string} [options.baseline] - Report only findings missing from the baseline file
+ *   (true for .deslop-baseline.json, or a path)
+ * @param {boolean} [options.updateBaseline=false] - Write current findings to the baseline file instead
+ * @param {boolean|Object} [options.diff] - Report only slop in changed code vs a base ref's merge-base
+ *   (true, or { base }); Phase 1 regex findings are limited to changed lines, other findings to touched files
+ * @returns {Promise<Object>} Pipeline results: { findings, suppressed, baselined, summary, phase3Prompt, missingTools }
  */
 async function runPipeline(repoPath, options = {}) {
   const thoroughness = options.thoroughness || THOROUGHNESS.NORMAL;
@@ -126,10 +209,37 @@ async function runPipeline(repoPath, options = {}) {
   }
 
   // Get target files - limit to 200 to prevent memory exhaustion
-  // Users can pass targetFiles explicitly for larger scans
+  // Users can pass targetFiles explicitly for larger scans; with the cache
+  // enabled only changed files are analyzed, so the default cap is lifted
+  const useCache = options.cache === true;
   let targetFiles = options.targetFiles;
-  const maxFiles = options.maxFiles || 200;
-  if (!targetFiles || targetFiles.length === 0) {
+  const explicitTargets = Boolean(targetFiles && targetFiles.length > 0);
+  const maxFiles = options.maxFiles || (useCache ? CACHED_MAX_FILES : DEFAULT_MAX_FILES);
+
+  // Diff mode: scope analysis to files (and lines) changed since the merge-base
+  let scope = null;
+  let diffInfo = null;
+  if (options.diff) {
+    const base = typeof options.diff === 'object' ? options.diff.base : undefined;
+    const computed = diffScope.getDiffScope(repoPath, { base });
+    if (computed.ok) {
+      scope = computed;
+      diffInfo = { base: computed.base, mergeBase: computed.mergeBase, changedFiles: computed.files.size };
+    } else {
+      console.error(`[WARN] Diff scope unavailable (${computed.error}); scanning all files`);
+      diffInfo = { error: computed.error };
+    }
+  }
+
+  if (scope && !explicitTargets) {
+    const allExts = Object.values(analyzers.SOURCE_EXTENSIONS).flat();
+    targetFiles = [...scope.files.keys()].filter(file =>
+      allExts.includes(path.extname(file)) &&
+      !analyzers.shouldExclude(file) &&
+      !analyzers.isTestFile(file) &&
+      fs.existsSync(path.join(repoPath, file))
+    );
+  } else if (!explicitTargets) {
     const result = analyzers.countSourceFiles(repoPath, {
       maxFiles,
       includeTests: false
@@ -146,11 +256,36 @@ async function runPipeline(repoPath, options = {}) {
     fileContents = new Map();
   }
 
+  // Hash contents so unchanged files can reuse cached findings
+  let cacheRun = null;
+  if (useCache) {
+    cacheRun = {
+      cache: findingsCache.load(repoPath),
+      targetFiles,
+      keys: new Map(),
+      hashes: new Map(),
+      missed: new Set()
+    };
+    for (const file of targetFiles) {
+      const filePath = path.isAbsolute(file) ? file : path.join(repoPath, file);
+      cacheRun.keys.set(file, path.relative(repoPath, filePath).split(path.sep).join('/'));
+      const content = getFileContent(fileContents, repoPath, file);
+      if (content !== null) {
+        cacheRun.hashes.set(file, findingsCache.hashContent(content));
+      }
+    }
+  }
+
   // Phase 1: Built-in regex patterns (always runs)
   // Wrapped in try-catch to prevent crashes on malformed files
   try {
-    const phase1Results = runPhase1(repoPath, targetFiles, language, fileContents);
-    findings.push(...phase1Results);
+    const phase1Results = cacheRun
+      ? await runCachedPhase(cacheRun, 'phase1', language || '', (files) =>
+        runPhase1(repoPath, files, language, fileContents))
+      : runPhase1(repoPath, targetFiles, language, fileContents);
+    findings.push(...(scope
+      ? diffScope.filterFindings(phase1Results, scope, { repoPath, lines: true })
+      : phase1Results));
   } catch (err) {
     // Log but continue with empty phase1 results rather than crash
     console.error('[WARN] Phase 1 failed:', err.message);
@@ -167,8 +302,20 @@ async function runPipeline(repoPath, options = {}) {
   if (!timedOut && thoroughness !== THOROUGHNESS.QUICK) {
     try {
       // runMultiPassAnalyzers is async to support non-blocking I/O (PERF-007)
-      const multiPassResults = await runMultiPassAnalyzers(repoPath, targetFiles, fileContents);
-      findings.push(...multiPassResults);
+      // Project-level analyzers describe the whole repo, not a diff, so diff mode skips them
+      let multiPassResults;
+      if (cacheRun) {
+        // Project-level analyzers depend on the whole repo, so they bypass the cache
+        const perFileResults = await runCachedPhase(cacheRun, 'multiPass', '', (files) =>
+          runMultiPassAnalyzers(repoPath, files, fileContents, { projectLevel: false }));
+        const projectResults = scope
+          ? []
+          : await runMultiPassAnalyzers(repoPath, targetFiles, fileContents, { perFile: false });
+        multiPassResults = [...perFileResults, ...projectResults];
+      } else {
+        multiPassResults = await runMultiPassAnalyzers(repoPath, targetFiles, fileContents, { projectLevel: !scope });
+      }
+      findings.push(...(scope ? diffScope.filterFindings(multiPassResults, scope, { repoPath }) : multiPassResults));
     } catch (err) {
       // Log but continue with partial results rather than crash
       console.error('[WARN] Phase 1b failed:', err.message);
@@ -205,17 +352,94 @@ async function runPipeline(repoPath, options = {}) {
     }
 
     const phase2Results = runPhase2(repoPath, cliTools, targetFiles);
-    findings.push(...phase2Results);
+    findings.push(...(scope ? diffScope.filterFindings(phase2Results, scope, { repoPath }) : phase2Results));
+  }
+
+  // Persist the findings cache; drop deleted files on full-repo scans
+  let cacheInfo = null;
+  if (cacheRun) {
+    if (!explicitTargets && !scope) {
+      findingsCache.prune(cacheRun.cache, cacheRun.keys.values());
+    }
+    cacheInfo = {
+      hits: targetFiles.length - cacheRun.missed.size,
+      misses: cacheRun.missed.size,
+      path: null
+    };
+    try {
+      cacheInfo.path = findingsCache.save(repoPath, cacheRun.cache);
+    } catch (err) {
+      console.error('[WARN] Findings cache save failed:', err.message);
+    }
+  }
+
+  // Apply inline and config-file suppressions (after caching, so cached
+  // findings stay independent of suppression settings)
+  let activeFindings = findings;
+  let suppressed = [];
+  let suppressionConfigPath = null;
+  if (options.suppressions !== false) {
+    let config = options.suppressionConfig
+      ? suppression.mergeConfig(suppression.DEFAULT_CONFIG, options.suppressionConfig)
+      : null;
+    if (!config) {
+      const loaded = suppression.loadConfig(repoPath);
+      config = loaded.config;
+      suppressionConfigPath = loaded.path;
+    }
+    const filtered = suppression.filterFindings(findings, config, {
+      repoPath,
+      getContent: (file) => getFileContent(fileContents, repoPath, file)
+    });
+    activeFindings = filtered.active;
+    suppressed = filtered.suppressed;
+  }
+
+  // Baseline mode: record current findings, or keep only ones not in the baseline
+  let baselined = [];
+  let baselineInfo = null;
+  if (options.baseline || options.updateBaseline) {
+    const baselineFile = typeof options.baseline === 'string' ? options.baseline : undefined;
+    const fingerprintOptions = {
+      repoPath,
+      getContent: (file) => getFileContent(fileContents, repoPath, file)
+    };
+    if (options.updateBaseline) {
+      const written = slopBaseline.writeBaseline(repoPath, activeFindings, { ...fingerprintOptions, file: baselineFile });
+      baselineInfo = { path: written.path, updated: true, total: written.total };
+    } else {
+      const baselinePath = slopBaseline.getBaselinePath(repoPath, baselineFile);
+      const baseline = slopBaseline.loadBaseline(repoPath, baselineFile);
+      if (baseline) {
+        const compared = slopBaseline.compareToBaseline(activeFindings, baseline, fingerprintOptions);
+        activeFindings = compared.newFindings;
+        baselined = compared.baselined;
+        baselineInfo = {
+          path: baselinePath,
+          newCount: compared.newFindings.length,
+          baselinedCount: compared.baselined.length,
+          fixedCount: compared.fixed
+        };
+      } else {
+        console.error(`[WARN] No valid baseline at ${baselinePath}; reporting all findings`);
+        baselineInfo = { path: baselinePath, missing: true };
+      }
+    }
   }
 
   // Build summary
-  const summary = buildSummary(findings);
+  const summary = buildSummary(activeFindings);
 
   // Generate Phase 3 handoff prompt
-  const phase3Prompt = formatHandoffPrompt(findings, mode);
+  let phase3Prompt = formatHandoffPrompt(activeFindings, mode);
+  if (suppressed.length > 0) {
+    phase3Prompt += `\n\n${suppression.formatSuppressionSummary(suppressed)}`;
+  }
 
   return {
-    findings,
+    findings: activeFindings,
+    suppressed,
+    baselined,
     summary,
     phase3Prompt,
     missingTools,
@@ -227,7 +451,12 @@ async function runPipeline(repoPath, options = {}) {
       filesAnalyzed: targetFiles.length,
       timestamp: new Date().toISOString(),
       timedOut,
-      elapsedMs: Date.now() - startTime
+      elapsedMs: Date.now() - startTime,
+      cache: cacheInfo,
+      suppressedCount: suppressed.length,
+      suppressionConfig: suppressionConfigPath,
+      baseline: baselineInfo,
+      diff: diffInfo
     }
   };
 }
@@ -374,11 +603,16 @@ function runPhase1(repoPath, targetFiles, language, fileContents) {
  * @param {string} repoPath - Repository root
  * @param {string[]} targetFiles - Files to analyze
  * @param {Map<string, {content: string|null, error: Error|null}>} [fileContents] - Pre-loaded file contents (optional)
+ * @param {Object} [options] - Analyzer selection
+ * @param {boolean} [options.perFile=true] - Run per-file analyzers (doc/code, verbosity, dead code, stubs)
+ * @param {boolean} [options.projectLevel=true] - Run project-level analyzers (over-engineering, buzzwords, infrastructure, shotgun surgery)
  * @returns {Promise<Array>} Findings with MEDIUM certainty
  */
-async function runMultiPassAnalyzers(repoPath, targetFiles, fileContents) {
+async function runMultiPassAnalyzers(repoPath, targetFiles, fileContents, options = {}) {
   const findings = [];
   const contentMap = fileContents || new Map();
+  const perFile = options.perFile !== false;
+  const projectLevel = options.projectLevel !== false;
 
   // Skip expensive analyzers for large file sets to prevent memory exhaustion
   const isLargeRepo = targetFiles.length > 100;
@@ -389,7 +623,7 @@ async function runMultiPassAnalyzers(repoPath, targetFiles, fileContents) {
   // Supported languages for doc/code and verbosity analysis
   const docCodeLangs = /\.(js|jsx|ts|tsx|mjs|cjs|py|rs|java|go)$/i;
 
-  for (const file of targetFiles) {
+  for (const file of perFile ? targetFiles : []) {
     if (!file.match(docCodeLangs)) continue;
     if (analyzers.isTestFile(file)) continue;
     // Skip globally excluded files (pattern definition files)
@@ -465,7 +699,7 @@ async function runMultiPassAnalyzers(repoPath, targetFiles, fileContents) {
   // Project-level analyzers (run once, not per-file)
   // Wrap in try-catch to prevent crashes
   const overEngPattern = multiPassPatterns.over_engineering_metrics;
-  if (overEngPattern && !isLargeRepo) {
+  if (overEngPattern && projectLevel && !isLargeRepo) {
     try {
       // analyzeOverEngineering is async to avoid blocking I/O (PERF-007)
       const overEngResult = await analyzers.analyzeOverEngineering(repoPath, {
@@ -496,7 +730,7 @@ async function runMultiPassAnalyzers(repoPath, targetFiles, fileContents) {
   // Buzzword inflation analysis - EXPENSIVE: reads files multiple times
   // Skip for large repos to prevent memory exhaustion
   const buzzwordPattern = multiPassPatterns.buzzword_inflation;
-  if (buzzwordPattern && !isLargeRepo) {
+  if (buzzwordPattern && projectLevel && !isLargeRepo) {
     try {
       const buzzwordResult = analyzers.analyzeBuzzwordInflation(repoPath, {
         minEvidenceMatches: buzzwordPattern.minEvidenceMatches || 2
@@ -524,7 +758,7 @@ async function runMultiPassAnalyzers(repoPath, targetFiles, fileContents) {
   // Infrastructure without implementation - EXPENSIVE: reads all files twice
   // Skip for large repos to prevent memory exhaustion
   const infraPattern = multiPassPatterns.infrastructure_without_implementation;
-  if (infraPattern && !isLargeRepo) {
+  if (infraPattern && projectLevel && !isLargeRepo) {
     try {
       const infraResult = analyzers.analyzeInfrastructureWithoutImplementation(repoPath);
 
@@ -549,7 +783,7 @@ async function runMultiPassAnalyzers(repoPath, targetFiles, fileContents) {
 
   // Dead code analysis (per-file)
   const deadCodePattern = multiPassPatterns.dead_code;
-  if (deadCodePattern) {
+  if (deadCodePattern && perFile) {
     for (const file of targetFiles) {
       // Skip test files
       if (analyzers.isTestFile(file)) continue;
@@ -593,7 +827,7 @@ async function runMultiPassAnalyzers(repoPath, targetFiles, fileContents) {
 
   // Stub function analysis (per-file, multi-language)
   const stubPattern = multiPassPatterns.placeholder_stub_returns_js;
-  if (stubPattern) {
+  if (stubPattern && perFile) {
     // Supported extensions for stub detection
     const stubExtensions = /\.(js|jsx|ts|tsx|mjs|cjs|py|rs|java|go)$/i;
 
@@ -641,7 +875,7 @@ async function runMultiPassAnalyzers(repoPath, targetFiles, fileContents) {
   // Shotgun surgery analysis (git history) - can have large buffer issues
   // Skip for large repos to prevent memory exhaustion
   const shotgunPattern = multiPassPatterns.shotgun_surgery;
-  if (shotgunPattern && !isLargeRepo) {
+  if (shotgunPattern && projectLevel && !isLargeRepo) {
     try {
       const shotgunResult = analyzers.analyzeShotgunSurgery(repoPath, {
         commitLimit: Math.min(shotgunPattern.commitLimit || 100, 50), // Reduce commit limit
@@ -944,5 +1178,7 @@ module.exports = {
   formatCompactPrompt,
   // Constants
   CERTAINTY,
-  THOROUGHNESS
+  THOROUGHNESS,
+  DEFAULT_MAX_FILES,
+  CACHED_MAX_FILES
 };
@@ -0,0 +1,254 @@
+/**
+ * SARIF Export
+ *
+ * Converts slop pipeline findings into a SARIF 2.1.0 log for code-scanning
+ * dashboards. Rules come from slopPatterns metadata; certainty maps to the
+ * SARIF result level and rank.
+ *
+ * @module patterns/sarif
+ * @author Avi Fenesh
+ * @license MIT
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const slopPatterns = require('./slop-patterns');
+
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_NAME = 'deslop';
+const TOOL_URI = 'https://github.com/avifenesh/agentsys';
+const SRCROOT = '%SRCROOT%';
+const FINGERPRINT_KEY = 'deslopFingerprint/v1';
+
+/**
+ * Certainty -> SARIF result level and rank (0-100)
+ */
+const CERTAINTY_LEVELS = {
+  HIGH: { level: 'error', rank: 90 },
+  MEDIUM: { level: 'warning', rank: 60 },
+  LOW: { level: 'note', rank: 30 }
+};
+
+/**
+ * Severity -> SARIF rule default level
+ */
+const SEVERITY_LEVELS = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note'
+};
+
+// Finding patternName -> slopPatterns key, for multi-pass analyzers whose
+// findings use a shorter name than their pattern definition
+const PATTERN_ALIASES = {
+  doc_code_ratio: 'doc_code_ratio_js',
+  placeholder_stub_returns: 'placeholder_stub_returns_js'
+};
+
+// Phase 2 CLI tool findings have no slopPatterns entry
+const CLI_RULES = {
+  code_duplication: { description: 'Duplicated code blocks (jscpd)', severity: 'medium' },
+  circular_dependency: { description: 'Circular module dependency (madge)', severity: 'high' },
+  high_complexity: { description: 'High cyclomatic complexity (escomplex)', severity: 'medium' }
+};
+
+/**
+ * Look up pattern metadata for a finding's patternName
+ * @param {string} patternName
+ * @returns {Object|null}
+ */
+function getPatternMeta(patternName) {
+  const patterns = slopPatterns.slopPatterns;
+  const key = PATTERN_ALIASES[patternName] || patternName;
+  return patterns[key] || CLI_RULES[patternName] || null;
+}
+
+/**
+ * Build a SARIF reportingDescriptor for a pattern
+ * @param {string} patternName
+ * @param {Object} [sample] - A finding for this pattern (fallback metadata)
+ * @returns {Object}
+ */
+function buildRule(patternName, sample = {}) {
+  const meta = getPatternMeta(patternName) || {};
+  const severity = meta.severity || sample.severity || 'medium';
+  const description = meta.description || sample.description || patternName;
+  const properties = { severity };
+  // Aliased multi-pass analyzers run on every supported language
+  if (meta.language && !PATTERN_ALIASES[patternName]) properties.language = meta.language;
+  if (meta.autoFix || sample.autoFix) properties.autoFix = meta.autoFix || sample.autoFix;
+  properties.tags = ['maintainability', 'deslop'];
+
+  return {
+    id: patternName,
+    name: patternName
+      .split('_')
+      .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+      .join(''),
+    shortDescription: { text: description },
+    defaultConfiguration: { level: SEVERITY_LEVELS[severity] || 'warning' },
+    properties
+  };
+}
+
+/**
+ * Convert a finding's file path to a repo-relative URI
+ * @param {string} file
+ * @param {string} [repoPath]
+ * @returns {string}
+ */
+function toRelativeUri(file, repoPath) {
+  let relative = file;
+  if (repoPath && path.isAbsolute(file)) {
+    relative = path.relative(repoPath, file);
+  }
+  return relative.split(path.sep).join('/');
+}
+
+/**
+ * Stable fingerprint for a finding: independent of line number so results
+ * can be matched across branches after unrelated edits shift lines.
+ * Identical lines in one file are told apart by their occurrence index.
+ * @param {Object} finding
+ * @param {string} [repoPath]
+ * @param {number} [occurrence=0] - Index among findings with the same pattern, file and content
+ * @returns {string} Hex digest
+ */
+function fingerprintFinding(finding, repoPath, occurrence = 0) {
+  const content = String(finding.content || '').replace(/\s+/g, ' ').trim();
+  const parts = [finding.patternName, toRelativeUri(String(finding.file || ''), repoPath), content];
+  // The first occurrence keeps the index-free digest
+  if (occurrence > 0) parts.push(String(occurrence));
+  return crypto.createHash('sha256')
+    .update(parts.join('\0'))
+    .digest('hex');
+}
+
+/**
+ * Occurrence index of each finding among those sharing its fingerprint,
+ * counted in line order so the index does not depend on pipeline order
+ * @param {Array} findings
+ * @param {string} [repoPath]
+ * @returns {number[]} Index per finding
+ */
+function countOccurrences(findings, repoPath) {
+  const groups = new Map();
+  findings.forEach((finding, index) => {
+    const fingerprint = fingerprintFinding(finding, repoPath);
+    if (!groups.has(fingerprint)) groups.set(fingerprint, []);
+    groups.get(fingerprint).push(index);
+  });
+
+  const occurrences = new Array(findings.length).fill(0);
+  for (const indexes of groups.values()) {
+    indexes
+      .sort((a, b) => ((findings[a].line || 0) - (findings[b].line || 0)) || a - b)
+      .forEach((findingIndex, occurrence) => { occurrences[findingIndex] = occurrence; });
+  }
+  return occurrences;
+}
+
+/**
+ * Convert one finding to a SARIF result
+ * @param {Object} finding
+ * @param {number} ruleIndex
+ * @param {string} [repoPath]
+ * @param {number} [occurrence]
+ * @returns {Object}
+ */
+function toResult(finding, ruleIndex, repoPath, occurrence) {
+  const mapping = CERTAINTY_LEVELS[finding.certainty] || CERTAINTY_LEVELS.MEDIUM;
+  const result = {
+    ruleId: finding.patternName,
+    ruleIndex,
+    level: mapping.level,
+    rank: mapping.rank,
+    message: { text: finding.description || finding.patternName },
+    partialFingerprints: { [FINGERPRINT_KEY]: fingerprintFinding(finding, repoPath, occurrence) },
+    properties: {
+      certainty: finding.certainty,
+      severity: finding.severity,
+      phase: finding.phase,
+      autoFix: finding.autoFix
+    }
+  };
+
+  // Project-level findings have no physical location
+  if (finding.file && finding.file !== 'project-level') {
+    const physicalLocation = {
+      artifactLocation: { uri: toRelativeUri(finding.file, repoPath), uriBaseId: SRCROOT }
+    };
+    if (finding.line > 0) {
+      physicalLocation.region = { startLine: finding.line };
+      const endLine = finding.details && finding.details.endLine;
+      if (endLine > finding.line) {
+        physicalLocation.region.endLine = endLine;
+      } else if (finding.content) {
+        physicalLocation.region.snippet = { text: finding.content };
+      }
+    }
+    result.locations = [{ physicalLocation }];
+  } else {
+    result.locations = [];
+  }
+
+  return result;
+}
+
+/**
+ * Build a SARIF 2.1.0 log from pipeline findings
+ *
+ * @param {Object|Array} input - runPipeline() result or a findings array
+ * @param {Object} [options]
+ * @param {string} [options.repoPath] - Repository root (defaults to result metadata)
+ * @param {string} [options.toolVersion] - Tool version reported in the driver
+ * @returns {Object} SARIF log
+ */
+function toSarif(input, options = {}) {
+  const findings = (Array.isArray(input) ? input : (input && input.findings) || [])
+    .filter(finding => finding && finding.patternName);
+  const metadata = (!Array.isArray(input) && input && input.metadata) || {};
+  const repoPath = options.repoPath || metadata.repoPath || null;
+
+  const rules = [];
+  const ruleIndexes = new Map();
+  const results = [];
+  const occurrences = countOccurrences(findings, repoPath);
+
+  findings.forEach((finding, index) => {
+    if (!ruleIndexes.has(finding.patternName)) {
+      ruleIndexes.set(finding.patternName, rules.length);
+      rules.push(buildRule(finding.patternName, finding));
+    }
+    results.push(toResult(finding, ruleIndexes.get(finding.patternName), repoPath, occurrences[index]));
+  });
+
+  const driver = { name: TOOL_NAME, informationUri: TOOL_URI, rules };
+  if (options.toolVersion) driver.version = options.toolVersion;
+
+  const run = { tool: { driver }, results };
+  if (repoPath) {
+    const root = pathToFileURL(path.resolve(repoPath)).href;
+    run.originalUriBaseIds = { [SRCROOT]: { uri: root.endsWith('/') ? root : `${root}/` } };
+  }
+  if (metadata.thoroughness || metadata.mode) {
+    run.properties = { thoroughness: metadata.thoroughness, mode: metadata.mode };
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [run]
+  };
+}
+
+module.exports = {
+  toSarif,
+  buildRule,
+  fingerprintFinding,
+  CERTAINTY_LEVELS,
+  SARIF_VERSION
+};
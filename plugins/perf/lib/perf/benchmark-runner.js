@@ -400,5 +400,6 @@ module.exports = {
   runBenchmark,
   runBenchmarkSeries,
   aggregateMetrics,
+  flattenMetrics,
   parseMetrics
 };
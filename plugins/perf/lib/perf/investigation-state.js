@@ -15,6 +15,8 @@ const { getStateDir } = require('../platform/state-dir');
 const { validateInvestigationState, assertValid } = require('./schemas');
 const { writeJsonAtomic, writeFileAtomic } = require('../utils/atomic-write');
 const { isPlainObject, updatesApplied, sleepForRetry } = require('../utils/state-helpers');
+const { withLock } = require('../utils/file-lock');
+const { formatHotspot } = require('./profilers/hotspots');
 
 const SCHEMA_VERSION = 1;
 const INVESTIGATION_FILE = 'investigation.json';
@@ -190,7 +192,8 @@ function writeInvestigation(state, basePath = process.cwd()) {
 
 /**
  * Update investigation.json with partial updates
- * Uses optimistic locking with version check and retry
+ * Each read-modify-write runs under the investigation.json cross-process
+ * lock; the version check and retry catch writers that bypass the lock
  * @param {object} updates
  * @param {string} basePath
  * @returns {object|null}
@@ -200,35 +203,45 @@ function updateInvestigation(updates, basePath = process.cwd()) {
   let fallbackState = null;
 
   for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-    const current = readInvestigation(basePath) || {};
-    fallbackState = current;
-    const initialVersion = current._version || 0;
-    const nextState = { ...current };
-
-    for (const [key, value] of Object.entries(updates)) {
-      // Skip internal version field from updates
-      if (key === '_version') continue;
-
-      if (value === null) {
-        nextState[key] = null;
-      } else if (isPlainObject(value) && isPlainObject(nextState[key])) {
-        nextState[key] = { ...nextState[key], ...value };
-      } else {
-        nextState[key] = value;
-      }
+    let afterWrite;
+    try {
+      afterWrite = withLock(getInvestigationPath(basePath), () => {
+        const current = readInvestigation(basePath) || {};
+        fallbackState = current;
+        const version = current._version || 0;
+        const nextState = { ...current };
+
+        for (const [key, value] of Object.entries(updates)) {
+          // Skip internal version field from updates
+          if (key === '_version') continue;
+
+          if (value === null) {
+            nextState[key] = null;
+          } else if (isPlainObject(value) && isPlainObject(nextState[key])) {
+            nextState[key] = { ...nextState[key], ...value };
+          } else {
+            nextState[key] = value;
+          }
+        }
+
+        // Preserve version for write (writeInvestigation will increment it)
+        nextState._version = version;
+
+        writeInvestigation(nextState, basePath);
+
+        // Re-read to verify our write succeeded
+        const written = readInvestigation(basePath);
+        if (written) {
+          fallbackState = written;
+        }
+        return written && written._version >= version + 1 && updatesApplied(written, updates) ? written : null;
+      });
+    } catch (error) {
+      if (error.code !== 'ELOCKTIMEOUT') throw error;
+      console.error(`[ERROR] updateInvestigation: ${error.message}`);
+      return readInvestigation(basePath) || fallbackState || { ...updates };
     }
-
-    // Preserve version for write (writeInvestigation will increment it)
-    nextState._version = initialVersion;
-
-    writeInvestigation(nextState, basePath);
-
-    // Re-read to verify our write succeeded
-    const afterWrite = readInvestigation(basePath);
     if (afterWrite) {
-      fallbackState = afterWrite;
-    }
-    if (afterWrite && afterWrite._version >= initialVersion + 1 && updatesApplied(afterWrite, updates)) {
       return afterWrite; // Success
     }
 
@@ -376,7 +389,7 @@ function appendBaselineLog(input, basePath = process.cwd()) {
  * @param {string} input.tool
  * @param {string} input.command
  * @param {string[]} input.artifacts
- * @param {string[]} input.hotspots
+ * @param {Array<string|object>} input.hotspots - Strings or normalized hotspot objects
  * @param {string} [input.date]
  * @param {string} basePath
  */
@@ -415,7 +428,7 @@ function appendProfilingLog(input, basePath = process.cwd()) {
     '',
     '**Evidence**',
     artifactList.length ? `- Artifacts: ${artifactList.join(', ')}` : '- Artifacts: n/a',
-    hotspotList.length ? `- Hotspots: ${hotspotList.join(', ')}` : '- Hotspots: n/a',
+    hotspotList.length ? `- Hotspots: ${hotspotList.map(formatHotspot).join(', ')}` : '- Hotspots: n/a',
     ''
   ].join('\n');
 
@@ -780,6 +793,12 @@ function appendOptimizationLog(input, basePath = process.cwd()) {
     : 'n/a';
   const runsLine = Number.isFinite(runs) ? `- Runs: ${runs}` : null;
   const aggregateLine = aggregate ? `- Aggregate: ${aggregate}` : null;
+  const significanceLine = delta.summary
+    ? `- Significance: ${delta.summary.improved || 0} improved, ${delta.summary.regressed || 0} regressed, ` +
+      `${delta.summary.unchanged || 0} unchanged` +
+      (delta.summary['insufficient-samples'] ? `, ${delta.summary['insufficient-samples']} inconclusive (too few runs)` : '') +
+      ` (noise threshold ${Math.round((delta.noiseThreshold || 0) * 100)}%)`
+    : null;
   const entry = [
     `## Optimization - ${logDate}`,
     '',
@@ -790,6 +809,7 @@ function appendOptimizationLog(input, basePath = process.cwd()) {
     `- Verdict: ${verdict}`,
     runsLine,
     aggregateLine,
+    significanceLine,
     '',
     '**Evidence**',
     `- Delta: ${JSON.stringify(delta.metrics || {})}`,
@@ -0,0 +1,506 @@
+/**
+ * HTML report export for /perf investigations.
+ *
+ * Renders investigation state (baselines, breaking-point history, profiling
+ * hotspots, optimization experiments, decision) into a single self-contained
+ * HTML file with inline SVG charts and flamegraphs:
+ * - {state-dir}/perf/{id}.html
+ *
+ * @module lib/perf/report
+ */
+
+const fs = require('fs');
+const path = require('path');
+const investigationState = require('./investigation-state');
+const baselineStore = require('./baseline-store');
+const { flattenMetrics } = require('./benchmark-runner');
+const nodeProfiler = require('./profilers/node');
+const { parseCollapsedStacks, formatHotspot } = require('./profilers/hotspots');
+const { writeFileAtomic } = require('../utils/atomic-write');
+
+const STACK_EXTENSIONS = ['.collapsed', '.folded'];
+const MAX_BASELINE_VERSIONS = 6;
+const SERIES_COLORS = ['#4e79a7', '#f28e2b', '#59a14f', '#e15759', '#76b7b2', '#b07aa1'];
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatNumber(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 'n/a';
+  if (Math.abs(value) >= 1000) return Math.round(value).toLocaleString('en-US');
+  return String(Math.round(value * 100) / 100);
+}
+
+function formatPercent(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 'n/a';
+  const sign = value > 0 ? '+' : '';
+  return `${sign}${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Deterministic warm color per frame name (classic flamegraph palette).
+ */
+function frameColor(name) {
+  let hash = 0;
+  for (let i = 0; i < name.length; i++) {
+    hash = (hash * 31 + name.charCodeAt(i)) >>> 0;
+  }
+  const red = 205 + (hash % 50);
+  const green = 80 + ((hash >>> 8) % 130);
+  const blue = 40 + ((hash >>> 16) % 40);
+  return `rgb(${red},${green},${blue})`;
+}
+
+/**
+ * Merge root-first stacks into a frame tree.
+ * @param {Array<{ frames: string[], count: number }>} stacks
+ * @returns {{ name: string, value: number, children: Map }}
+ */
+function buildFlameTree(stacks) {
+  const root = { name: 'all', value: 0, children: new Map() };
+  for (const stack of stacks || []) {
+    if (!(stack.count > 0)) continue;
+    root.value += stack.count;
+    let node = root;
+    for (const frame of stack.frames) {
+      let child = node.children.get(frame);
+      if (!child) {
+        child = { name: frame, value: 0, children: new Map() };
+        node.children.set(frame, child);
+      }
+      child.value += stack.count;
+      node = child;
+    }
+  }
+  return root;
+}
+
+/**
+ * Render collapsed stacks as an SVG flamegraph (root at the bottom).
+ * @param {Array<{ frames: string[], count: number }>} stacks
+ * @param {object} [options]
+ * @param {number} [options.width=1200]
+ * @param {number} [options.rowHeight=18]
+ * @param {number} [options.minWidth=0.5] - Frames narrower than this (px) are omitted
+ * @returns {string} SVG markup, or '' when there are no samples
+ */
+function renderFlamegraphSvg(stacks, options = {}) {
+  const width = options.width || 1200;
+  const rowHeight = options.rowHeight || 18;
+  const minWidth = options.minWidth ?? 0.5;
+  const root = buildFlameTree(stacks);
+  if (root.value <= 0) return '';
+
+  const rects = [];
+  let maxDepth = 0;
+  const pending = [{ node: root, x: 0, depth: 0 }];
+  while (pending.length > 0) {
+    const { node, x, depth } = pending.pop();
+    const nodeWidth = (node.value / root.value) * width;
+    if (nodeWidth < minWidth) continue;
+    maxDepth = Math.max(maxDepth, depth);
+    rects.push({ node, x, depth, width: nodeWidth });
+    let childX = x;
+    const children = Array.from(node.children.values()).sort((a, b) => a.name.localeCompare(b.name));
+    for (const child of children) {
+      pending.push({ node: child, x: childX, depth: depth + 1 });
+      childX += (child.value / root.value) * width;
+    }
+  }
+
+  const height = (maxDepth + 1) * rowHeight;
+  const parts = rects.map(({ node, x, depth, width: rectWidth }) => {
+    const y = height - (depth + 1) * rowHeight;
+    const share = ((node.value / root.value) * 100).toFixed(2);
+    const maxChars = Math.floor((rectWidth - 6) / 7);
+    const label = maxChars >= 3
+      ? (node.name.length > maxChars ? `${node.name.slice(0, maxChars - 2)}..` : node.name)
+      : '';
+    const fill = node === root ? '#c8c8c8' : frameColor(node.name);
+    return [
+      `<g><title>${escapeHtml(node.name)} (${formatNumber(node.value)}, ${share}%)</title>`,
+      `<rect x="${x.toFixed(2)}" y="${y}" width="${rectWidth.toFixed(2)}" height="${rowHeight - 1}" fill="${fill}" rx="2"/>`,
+      label ? `<text x="${(x + 3).toFixed(2)}" y="${y + rowHeight - 5}">${escapeHtml(label)}</text>` : '',
+      '</g>'
+    ].join('');
+  });
+
+  return [
+    `<svg class="flamegraph" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    ...parts,
+    '</svg>'
+  ].join('\n');
+}
+
+/**
+ * Render grouped horizontal bars, one row per metric. Each metric is scaled to
+ * its own maximum so metrics with different units stay readable.
+ * @param {object} chart
+ * @param {string[]} chart.metrics
+ * @param {Array<{ name: string, values: Object<string, number> }>} chart.series
+ * @param {number} [chart.width=720]
+ * @returns {string} SVG markup, or '' when there is nothing to plot
+ */
+function renderBarChart({ metrics, series, width = 720 }) {
+  const plotted = (metrics || []).filter((metric) =>
+    series.some((entry) => typeof entry.values?.[metric] === 'number')
+  );
+  if (plotted.length === 0 || series.length === 0) return '';
+
+  const labelWidth = 200;
+  const valueWidth = 90;
+  const barHeight = 14;
+  const groupGap = 12;
+  const legendHeight = 22;
+  const barArea = width - labelWidth - valueWidth;
+  const groupHeight = series.length * barHeight + groupGap;
+  const height = legendHeight + plotted.length * groupHeight;
+
+  const parts = series.map((entry, index) => {
+    const x = labelWidth + index * 140;
+    const color = SERIES_COLORS[index % SERIES_COLORS.length];
+    return `<rect x="${x}" y="4" width="12" height="12" fill="${color}"/>` +
+      `<text x="${x + 16}" y="14">${escapeHtml(entry.name)}</text>`;
+  });
+
+  plotted.forEach((metric, row) => {
+    const top = legendHeight + row * groupHeight;
+    const max = Math.max(...series.map((entry) => Math.abs(entry.values?.[metric] ?? 0)), 0);
+    parts.push(`<text x="0" y="${top + barHeight}" class="metric">${escapeHtml(metric)}</text>`);
+    series.forEach((entry, index) => {
+      const value = entry.values?.[metric];
+      const y = top + index * barHeight;
+      const barWidth = typeof value === 'number' && max > 0 ? (Math.abs(value) / max) * barArea : 0;
+      const color = SERIES_COLORS[index % SERIES_COLORS.length];
+      parts.push(
+        `<g><title>${escapeHtml(entry.name)}: ${escapeHtml(formatNumber(value))}</title>` +
+        `<rect x="${labelWidth}" y="${y}" width="${barWidth.toFixed(2)}" height="${barHeight - 2}" fill="${color}"/>` +
+        `<text x="${(labelWidth + barWidth + 4).toFixed(2)}" y="${y + barHeight - 4}">${escapeHtml(formatNumber(value))}</text></g>`
+      );
+    });
+  });
+
+  return [
+    `<svg class="chart" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    ...parts,
+    '</svg>'
+  ].join('\n');
+}
+
+/**
+ * Plot breaking-point probes in search order (green = ok, red = failed).
+ * @param {Array<{ value: number, ok: boolean }>} history
+ * @returns {string}
+ */
+function renderBreakingPointChart(history, width = 720) {
+  const points = (history || []).filter((entry) => typeof entry.value === 'number');
+  if (points.length === 0) return '';
+  const height = 160;
+  const pad = 30;
+  const values = points.map((entry) => entry.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const scaleY = (value) => (max === min ? height / 2 : height - pad - ((value - min) / (max - min)) * (height - 2 * pad));
+  const stepX = points.length > 1 ? (width - 2 * pad) / (points.length - 1) : 0;
+
+  const parts = [
+    `<line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#999"/>`,
+    `<text x="0" y="${scaleY(max) + 4}">${escapeHtml(formatNumber(max))}</text>`,
+    `<text x="0" y="${scaleY(min) + 4}">${escapeHtml(formatNumber(min))}</text>`
+  ];
+  points.forEach((entry, index) => {
+    const x = pad + index * stepX;
+    const y = scaleY(entry.value);
+    const fill = entry.ok ? '#59a14f' : '#e15759';
+    parts.push(
+      `<g><title>probe ${index + 1}: ${escapeHtml(formatNumber(entry.value))} ${entry.ok ? 'ok' : 'failed'}</title>` +
+      `<circle cx="${x.toFixed(2)}" cy="${y.toFixed(2)}" r="5" fill="${fill}"/></g>`
+    );
+  });
+
+  return [
+    `<svg class="chart" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    ...parts,
+    '</svg>'
+  ].join('\n');
+}
+
+/**
+ * Load flamegraph stacks for a profiling result from its artifacts.
+ * Supports collapsed/folded stack files and Node .cpuprofile files.
+ * @param {object} result - profilingResults entry
+ * @param {string} basePath - Repo root the artifact paths are relative to
+ * @returns {Array<{ frames: string[], count: number }>}
+ */
+function loadProfileStacks(result, basePath = process.cwd()) {
+  if (Array.isArray(result?.stacks) && result.stacks.length > 0) {
+    return result.stacks;
+  }
+  for (const artifact of Array.isArray(result?.artifacts) ? result.artifacts : []) {
+    if (typeof artifact !== 'string') continue;
+    const artifactPath = path.resolve(basePath, artifact);
+    if (!fs.existsSync(artifactPath)) continue;
+    try {
+      if (STACK_EXTENSIONS.includes(path.extname(artifactPath))) {
+        const stacks = parseCollapsedStacks(fs.readFileSync(artifactPath, 'utf8'));
+        if (stacks.length > 0) return stacks;
+      } else if (artifactPath.endsWith('.cpuprofile')) {
+        const profile = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+        const stacks = nodeProfiler.toCollapsedStacks(profile, { repoPath: basePath });
+        if (stacks.length > 0) return stacks;
+      }
+    } catch {
+      // Unreadable artifact: fall through to the next one
+    }
+  }
+  return [];
+}
+
+function renderTable(headers, rows) {
+  if (rows.length === 0) return '<p class="empty">n/a</p>';
+  const head = headers.map((header) => `<th>${escapeHtml(header)}</th>`).join('');
+  const body = rows
+    .map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+    .join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+// Same keys as the delta table (scenarios.<name>.<metric>); malformed metrics chart as empty
+function flattenForChart(metrics) {
+  if (!metrics || typeof metrics !== 'object') return {};
+  try {
+    return flattenMetrics(metrics);
+  } catch {
+    return {};
+  }
+}
+
+function renderDeltaTable(delta) {
+  const rows = Object.entries(delta?.metrics || {}).map(([metric, entry]) => [
+    metric,
+    formatNumber(entry.baseline),
+    formatNumber(entry.current),
+    formatPercent(entry.percent),
+    entry.test ? formatNumber(entry.test.pValue) : 'n/a',
+    entry.status || 'n/a'
+  ]);
+  return renderTable(['Metric', 'Baseline', 'Current', 'Change', 'p-value', 'Status'], rows);
+}
+
+function renderBaselinesSection(baselines) {
+  if (baselines.length === 0) {
+    return '<section><h2>Baselines</h2><p class="empty">No baselines recorded.</p></section>';
+  }
+  const series = baselines.map((baseline) => ({
+    name: baseline.version,
+    values: flattenForChart(baseline.metrics)
+  }));
+  const metrics = Array.from(new Set(series.flatMap((entry) => Object.keys(entry.values))));
+  const rows = baselines.map((baseline) => [
+    baseline.version,
+    baseline.recordedAt || 'n/a',
+    baseline.command || 'n/a',
+    Object.entries(flattenForChart(baseline.metrics)).map(([key, value]) => `${key}=${formatNumber(value)}`).join(', ')
+  ]);
+  return [
+    '<section><h2>Baselines</h2>',
+    renderBarChart({ metrics, series }),
+    renderTable(['Version', 'Recorded', 'Command', 'Metrics'], rows),
+    '</section>'
+  ].join('\n');
+}
+
+function renderBreakingPointSection(state) {
+  const history = Array.isArray(state.breakingPointHistory) ? state.breakingPointHistory : [];
+  const rows = history.map((entry, index) => [String(index + 1), formatNumber(entry.value), entry.ok ? 'ok' : 'failed']);
+  return [
+    '<section><h2>Breaking Point</h2>',
+    `<p>Breaking point: <strong>${escapeHtml(state.breakingPoint ?? 'n/a')}</strong></p>`,
+    renderBreakingPointChart(history),
+    renderTable(['Probe', 'Value', 'Result'], rows),
+    '</section>'
+  ].join('\n');
+}
+
+function renderConstraintsSection(state) {
+  const results = Array.isArray(state.constraintResults) ? state.constraintResults : [];
+  if (results.length === 0) return '';
+  const blocks = results.map((result, index) => [
+    `<h3>Constraint run ${index + 1}: ${escapeHtml(JSON.stringify(result.constraints || {}))}</h3>`,
+    renderDeltaTable(result.delta)
+  ].join('\n'));
+  return ['<section><h2>Constraints</h2>', ...blocks, '</section>'].join('\n');
+}
+
+function renderProfilingSection(state, basePath) {
+  const results = Array.isArray(state.profilingResults) ? state.profilingResults : [];
+  if (results.length === 0) {
+    return '<section><h2>Profiling</h2><p class="empty">No profiling results.</p></section>';
+  }
+  const blocks = results.map((result, index) => {
+    const hotspots = Array.isArray(result.hotspots) ? result.hotspots : [];
+    const rows = hotspots.map((hotspot) => (typeof hotspot === 'string'
+      ? [formatHotspot(hotspot), '', '', '']
+      : [
+        hotspot.file ? `${hotspot.file}${hotspot.line ? `:${hotspot.line}` : ''}` : '(unknown)',
+        hotspot.name || '',
+        formatNumber(hotspot.selfPercent),
+        formatNumber(hotspot.totalPercent)
+      ]));
+    const flamegraph = renderFlamegraphSvg(loadProfileStacks(result, basePath));
+    return [
+      `<h3>Run ${index + 1}: ${escapeHtml(result.tool || 'n/a')}</h3>`,
+      `<p><code>${escapeHtml(result.command || '')}</code></p>`,
+      `<p>Artifacts: ${escapeHtml((result.artifacts || []).join(', ') || 'n/a')}</p>`,
+      renderTable(['Location', 'Function', 'Self %', 'Total %'], rows),
+      flamegraph
+        ? `<div class="flame">${flamegraph}</div>`
+        : '<p class="empty">No stack samples available for a flamegraph.</p>'
+    ].join('\n');
+  });
+  return ['<section><h2>Profiling</h2>', ...blocks, '</section>'].join('\n');
+}
+
+function renderExperimentsSection(state) {
+  const results = Array.isArray(state.results) ? state.results : [];
+  if (results.length === 0) {
+    return '<section><h2>Optimization Experiments</h2><p class="empty">No experiments.</p></section>';
+  }
+  const blocks = results.map((result, index) => {
+    const baseline = flattenForChart(result.baseline?.metrics);
+    const experiment = flattenForChart(result.experiment?.metrics);
+    const metrics = Array.from(new Set([...Object.keys(baseline), ...Object.keys(experiment)]));
+    return [
+      `<h3>Experiment ${index + 1}: ${escapeHtml(result.change || 'n/a')}</h3>`,
+      `<p>Verdict: <strong>${escapeHtml(result.verdict || 'n/a')}</strong></p>`,
+      renderBarChart({ metrics, series: [{ name: 'baseline', values: baseline }, { name: 'experiment', values: experiment }] }),
+      renderDeltaTable(result.delta)
+    ].join('\n');
+  });
+  return ['<section><h2>Optimization Experiments</h2>', ...blocks, '</section>'].join('\n');
+}
+
+function renderDecisionSection(state) {
+  const decision = state.decision;
+  if (!decision) {
+    return '<section><h2>Decision</h2><p class="empty">No decision recorded.</p></section>';
+  }
+  return [
+    '<section><h2>Decision</h2>',
+    `<p>Verdict: <strong>${escapeHtml(decision.verdict || 'n/a')}</strong></p>`,
+    `<p>${escapeHtml(decision.rationale || '')}</p>`,
+    '</section>'
+  ].join('\n');
+}
+
+const STYLES = [
+  'body{font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;margin:24px;color:#222;max-width:1260px}',
+  'h1{font-size:22px}h2{font-size:18px;border-bottom:1px solid #ddd;padding-bottom:4px;margin-top:32px}h3{font-size:15px}',
+  'table{border-collapse:collapse;margin:8px 0;font-size:13px}th,td{border:1px solid #ddd;padding:4px 8px;text-align:left}',
+  'th{background:#f5f5f5}.empty{color:#888}code{background:#f5f5f5;padding:1px 4px}',
+  'svg text{font-size:11px;font-family:Menlo,Consolas,monospace}.flame{overflow-x:auto}'
+].join('\n');
+
+/**
+ * Build the HTML report for an investigation.
+ * @param {object} state - Investigation state (investigation.json)
+ * @param {object} [options]
+ * @param {object[]} [options.baselines] - Baseline records to chart
+ * @param {string} [options.basePath] - Repo root for resolving profiling artifacts
+ * @param {string} [options.generatedAt]
+ * @returns {string}
+ */
+function buildReport(state, options = {}) {
+  if (!state || typeof state !== 'object') {
+    throw new Error('buildReport requires an investigation state object');
+  }
+  const basePath = options.basePath || process.cwd();
+  const baselines = Array.isArray(options.baselines) ? options.baselines : [];
+  const scenario = state.scenario || {};
+  const generatedAt = options.generatedAt || new Date().toISOString();
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en"><head><meta charset="utf-8">',
+    `<title>Perf investigation ${escapeHtml(state.id)}</title>`,
+    `<style>${STYLES}</style>`,
+    '</head><body>',
+    `<h1>Perf investigation ${escapeHtml(state.id)}</h1>`,
+    renderTable(['Field', 'Value'], [
+      ['Status', state.status || 'n/a'],
+      ['Phase', state.phase || 'n/a'],
+      ['Scenario', scenario.description || 'n/a'],
+      ['Metrics', (scenario.metrics || []).join(', ') || 'n/a'],
+      ['Success criteria', scenario.successCriteria || 'n/a'],
+      ['Created', state.createdAt || 'n/a'],
+      ['Updated', state.updatedAt || 'n/a'],
+      ['Report generated', generatedAt]
+    ]),
+    renderBaselinesSection(baselines),
+    renderBreakingPointSection(state),
+    renderConstraintsSection(state),
+    renderProfilingSection(state, basePath),
+    renderExperimentsSection(state),
+    renderDecisionSection(state),
+    '</body></html>',
+    ''
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Get path of the HTML report for an investigation id.
+ * @param {string} id
+ * @param {string} basePath
+ * @returns {string}
+ */
+function getReportPath(id, basePath = process.cwd()) {
+  // getInvestigationLogPath validates the id against path traversal
+  const logPath = investigationState.getInvestigationLogPath(id, basePath);
+  return path.join(investigationState.getPerfDir(basePath), `${path.basename(logPath, '.md')}.html`);
+}
+
+/**
+ * Generate the HTML report for the current investigation and write it next
+ * to investigation.json.
+ * @param {string} basePath
+ * @param {object} [options]
+ * @param {number} [options.maxBaselines=6] - Most recent baseline versions to include
+ * @returns {{ path: string, bytes: number }}
+ */
+function writeReport(basePath = process.cwd(), options = {}) {
+  const state = investigationState.readInvestigation(basePath);
+  if (!state) {
+    throw new Error('No investigation found. Start one with /perf first.');
+  }
+
+  const maxBaselines = Number.isInteger(options.maxBaselines) && options.maxBaselines > 0
+    ? options.maxBaselines
+    : MAX_BASELINE_VERSIONS;
+  const baselines = baselineStore.listBaselines(basePath)
+    .slice(-maxBaselines)
+    .map((version) => baselineStore.readBaseline(version, basePath))
+    .filter(Boolean);
+
+  const html = buildReport(state, { baselines, basePath });
+  const reportPath = getReportPath(state.id, basePath);
+  writeFileAtomic(reportPath, html);
+  return { path: reportPath, bytes: Buffer.byteLength(html) };
+}
+
+module.exports = {
+  escapeHtml,
+  buildFlameTree,
+  renderFlamegraphSvg,
+  renderBarChart,
+  renderBreakingPointChart,
+  loadProfileStacks,
+  buildReport,
+  getReportPath,
+  writeReport
+};
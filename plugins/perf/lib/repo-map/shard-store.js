@@ -0,0 +1,522 @@
+/**
+ * Sharded repo map storage
+ *
+ * Large maps are stored as a small manifest plus two files per shard (files
+ * grouped by their first directories):
+ *
+ *   {stateDir}/repo-map/manifest.json
+ *   {stateDir}/repo-map/shards/<shard>-<hash>.json        file entries + dependencies
+ *   {stateDir}/repo-map/shards/<shard>-<hash>.index.json  symbol index: language, exports, imports
+ *
+ * Shard files are content-addressed and never rewritten, so a reader always
+ * sees a consistent map. Saving writes only the shards that changed and merges
+ * them into the manifest currently on disk under the manifest lock, so
+ * concurrent writers touching different shards keep each other's changes.
+ *
+ * @module lib/repo-map/shard-store
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getStateDirPath } = require('../platform/state-dir');
+const { writeJsonAtomic, writeFileAtomic } = require('../utils/atomic-write');
+const { withLock } = require('../utils/file-lock');
+
+const SHARD_DIRNAME = 'repo-map';
+const MANIFEST_FILENAME = 'manifest.json';
+const SHARDS_SUBDIR = 'shards';
+const STORAGE_FORMAT = 'sharded';
+const FORMAT_VERSION = 1;
+
+// Directory segments used as the shard key (`packages/api/src/x.js` -> `packages/api`)
+const SHARD_DEPTH = 2;
+
+// Maps with at least this many files are stored sharded by default
+const SHARD_THRESHOLD = 5000;
+
+// Unreferenced shard files are kept this long for readers of an older manifest
+const GC_GRACE_MS = 10 * 60 * 1000;
+
+const STORE = Symbol('repoMapShardStore');
+const MANIFEST_ONLY_KEYS = ['shards', 'format', 'formatVersion', 'shardDepth'];
+
+/**
+ * Get the sharded storage directory
+ * @param {string} basePath - Repository root
+ * @returns {string}
+ */
+function getShardDir(basePath) {
+  return path.join(getStateDirPath(basePath), SHARD_DIRNAME);
+}
+
+/**
+ * Get the manifest path
+ * @param {string} basePath - Repository root
+ * @returns {string}
+ */
+function getManifestPath(basePath) {
+  return path.join(getShardDir(basePath), MANIFEST_FILENAME);
+}
+
+/**
+ * Check if sharded storage exists
+ * @param {string} basePath - Repository root
+ * @returns {boolean}
+ */
+function exists(basePath) {
+  return fs.existsSync(getManifestPath(basePath));
+}
+
+/**
+ * Get the shard key of a file
+ * @param {string} file - Repo-relative file path
+ * @param {number} [depth=SHARD_DEPTH] - Directory segments in the key
+ * @returns {string} Key (`.` for files in the repository root)
+ */
+function getShardKey(file, depth = SHARD_DEPTH) {
+  const dirs = file.split('/').slice(0, -1).slice(0, depth);
+  return dirs.length > 0 ? dirs.join('/') : '.';
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function readManifest(basePath) {
+  const manifest = readJson(getManifestPath(basePath));
+  return manifest && manifest.format === STORAGE_FORMAT && manifest.shards ? manifest : null;
+}
+
+function countSymbols(fileData) {
+  return (fileData.symbols?.functions?.length || 0) +
+    (fileData.symbols?.classes?.length || 0) +
+    (fileData.symbols?.types?.length || 0) +
+    (fileData.symbols?.constants?.length || 0);
+}
+
+function countShard(data) {
+  const counts = { files: 0, symbols: 0, calls: 0 };
+  for (const fileData of Object.values(data.files)) {
+    counts.files++;
+    counts.symbols += countSymbols(fileData);
+    counts.calls += fileData.calls?.length || 0;
+  }
+  return counts;
+}
+
+function sumCounts(counts, withCalls) {
+  const stats = { totalFiles: 0, totalSymbols: 0 };
+  if (withCalls) stats.totalCalls = 0;
+  for (const count of counts) {
+    stats.totalFiles += count.files;
+    stats.totalSymbols += count.symbols;
+    if (withCalls) stats.totalCalls += count.calls;
+  }
+  return stats;
+}
+
+/**
+ * Build the symbol index of a shard (what usage analysis needs)
+ * @param {{files: Object}} data - Shard data
+ * @returns {{files: Object}} file -> {language, symbols: {exports}, imports}
+ */
+function buildShardIndex(data) {
+  const files = {};
+  for (const [file, fileData] of Object.entries(data.files)) {
+    files[file] = {
+      language: fileData.language,
+      symbols: { exports: fileData.symbols?.exports || [] },
+      imports: fileData.imports || []
+    };
+  }
+  return { files };
+}
+
+function writeContentAddressed(shardDir, slug, suffix, content) {
+  const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+  const relativePath = `${SHARDS_SUBDIR}/${slug}-${hash}${suffix}`;
+  const fullPath = path.join(shardDir, relativePath);
+  if (fs.existsSync(fullPath)) {
+    // Reused: refresh mtime so garbage collection keeps it
+    try {
+      const now = new Date();
+      fs.utimesSync(fullPath, now, now);
+    } catch {
+      writeFileAtomic(fullPath, content);
+    }
+  } else {
+    writeFileAtomic(fullPath, content);
+  }
+  return relativePath;
+}
+
+function writeShard(shardDir, key, data) {
+  const slug = key === '.' ? 'root' : key.replace(/[^A-Za-z0-9._-]/g, '_').slice(0, 60);
+  return {
+    data: writeContentAddressed(shardDir, slug, '.json', JSON.stringify(data)),
+    index: writeContentAddressed(shardDir, slug, '.index.json', JSON.stringify(buildShardIndex(data))),
+    ...countShard(data)
+  };
+}
+
+function groupByShard(map, depth) {
+  const groups = new Map();
+  for (const [file, fileData] of Object.entries(map.files || {})) {
+    const key = getShardKey(file, depth);
+    if (!groups.has(key)) groups.set(key, { files: {}, dependencies: {} });
+    const group = groups.get(key);
+    group.files[file] = fileData;
+    const deps = map.dependencies?.[file];
+    if (deps) group.dependencies[file] = deps;
+  }
+  return groups;
+}
+
+/**
+ * Delete shard files no manifest references, once they are old enough that
+ * no reader of a previous manifest can still need them
+ */
+function collectGarbage(shardDir, manifest) {
+  const referenced = new Set();
+  for (const entry of Object.values(manifest.shards)) {
+    referenced.add(path.basename(entry.data));
+    referenced.add(path.basename(entry.index));
+  }
+
+  const dir = path.join(shardDir, SHARDS_SUBDIR);
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    return;
+  }
+
+  const cutoff = Date.now() - GC_GRACE_MS;
+  for (const name of names) {
+    if (referenced.has(name) || name.startsWith('.')) continue;
+    try {
+      const fullPath = path.join(dir, name);
+      if (fs.statSync(fullPath).mtimeMs < cutoff) fs.unlinkSync(fullPath);
+    } catch {
+      // Removed by a concurrent writer
+    }
+  }
+}
+
+/**
+ * Create the lazy shard store behind a loaded map
+ * @param {string} basePath - Repository root
+ * @param {Object} manifest - Manifest from disk
+ * @returns {Object} Store
+ */
+function createStore(basePath, manifest) {
+  const shardDir = getShardDir(basePath);
+  const depth = manifest.shardDepth || SHARD_DEPTH;
+  const loaded = new Map();
+  const dirty = new Set();
+  // Shards whose file could not be read: never written back, so a map that
+  // failed to load a shard cannot replace it with an empty one
+  const failed = new Set();
+  let current = manifest;
+
+  const keyFor = (file) => getShardKey(file, depth);
+  const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+  function loadShard(key, create = false) {
+    if (loaded.has(key)) return loaded.get(key);
+
+    const entry = current.shards[key];
+    if (!entry && !create) return null;
+
+    let data = { files: {}, dependencies: {} };
+    if (entry) {
+      const stored = readShardData(key, entry);
+      if (stored === undefined) {
+        // Another writer removed the shard since the manifest was read
+        return create ? loadShard(key, create) : null;
+      }
+      if (stored) {
+        data = stored;
+      } else {
+        failed.add(key);
+        console.error(`[WARN] Repo map shard ${entry.data} is missing or unreadable; run /repo-map rebuild`);
+      }
+    }
+    loaded.set(key, data);
+    return data;
+  }
+
+  /**
+   * Read a shard file; if it is gone (replaced and garbage-collected after
+   * this map was opened), retry with the entry from the manifest on disk
+   * @returns {Object|null|undefined} Shard data, null if unreadable, or
+   *   undefined if the shard no longer exists
+   */
+  function readShardData(key, entry) {
+    const stored = readJson(path.join(shardDir, entry.data));
+    if (stored && stored.files) {
+      return { files: stored.files, dependencies: stored.dependencies || {} };
+    }
+
+    const onDisk = readManifest(basePath);
+    if (!onDisk || onDisk.shardDepth !== depth) return null;
+    const latest = onDisk.shards[key];
+    if (latest?.data === entry.data) return null;
+
+    const shards = { ...current.shards };
+    if (latest) {
+      shards[key] = latest;
+    } else {
+      delete shards[key];
+    }
+    current = { ...current, shards };
+    return latest ? readShardData(key, latest) : undefined;
+  }
+
+  function allKeys() {
+    return Array.from(new Set([...Object.keys(current.shards), ...loaded.keys()])).sort();
+  }
+
+  function createView(field) {
+    return new Proxy({}, {
+      get(target, prop) {
+        if (typeof prop !== 'string') return undefined;
+        const shard = loadShard(keyFor(prop));
+        return shard && hasOwn(shard[field], prop) ? shard[field][prop] : undefined;
+      },
+      has(target, prop) {
+        if (typeof prop !== 'string') return false;
+        const shard = loadShard(keyFor(prop));
+        return Boolean(shard) && hasOwn(shard[field], prop);
+      },
+      set(target, prop, value) {
+        if (typeof prop !== 'string') return false;
+        const key = keyFor(prop);
+        const shard = loadShard(key, true);
+        if (failed.has(key)) {
+          throw new Error(`Repo map shard ${key} could not be loaded; run /repo-map rebuild`);
+        }
+        shard[field][prop] = value;
+        dirty.add(key);
+        return true;
+      },
+      deleteProperty(target, prop) {
+        if (typeof prop !== 'string') return true;
+        const key = keyFor(prop);
+        const shard = loadShard(key);
+        if (shard && !failed.has(key) && hasOwn(shard[field], prop)) {
+          delete shard[field][prop];
+          dirty.add(key);
+        }
+        return true;
+      },
+      ownKeys() {
+        const keys = [];
+        for (const key of allKeys()) {
+          const shard = loadShard(key);
+          if (shard) keys.push(...Object.keys(shard[field]));
+        }
+        return keys;
+      },
+      getOwnPropertyDescriptor(target, prop) {
+        if (typeof prop !== 'string') return undefined;
+        const shard = loadShard(keyFor(prop));
+        if (!shard || !hasOwn(shard[field], prop)) return undefined;
+        return { value: shard[field][prop], writable: true, enumerable: true, configurable: true };
+      }
+    });
+  }
+
+  return {
+    basePath,
+    shardDir,
+    depth,
+    files: createView('files'),
+    dependencies: createView('dependencies'),
+
+    /** @returns {Object} Manifest the store currently reflects */
+    manifest: () => current,
+
+    /** @returns {string[]} Keys of shards read from disk or created */
+    loadedKeys: () => Array.from(loaded.keys()).sort(),
+
+    /** @returns {Map<string, Object>} Changed shards (key -> data) */
+    dirtyShards: () => new Map(Array.from(dirty, key => [key, loaded.get(key)])),
+
+    /**
+     * Totals from the manifest, recounting only changed shards
+     * @param {boolean} withCalls - Include totalCalls
+     */
+    computeStats(withCalls) {
+      const counts = allKeys().map(key => (dirty.has(key) || !current.shards[key])
+        ? countShard(loadShard(key))
+        : current.shards[key]);
+      return sumCounts(counts, withCalls);
+    },
+
+    /**
+     * Map-shaped view with only language, exports and imports per file,
+     * read from the shard indexes instead of the full shards
+     * @returns {{files: Object}}
+     */
+    usageView() {
+      const files = {};
+      for (const key of allKeys()) {
+        const index = loaded.has(key)
+          ? buildShardIndex(loaded.get(key))
+          : readJson(path.join(shardDir, current.shards[key].index)) || buildShardIndex(loadShard(key));
+        Object.assign(files, index.files);
+      }
+      return { files };
+    },
+
+    /**
+     * Adopt the manifest written by saveMap
+     * @param {Object} manifest - Saved manifest
+     */
+    commit(manifest) {
+      for (const key of Array.from(loaded.keys())) {
+        const before = current.shards[key]?.data;
+        const after = manifest.shards[key]?.data;
+        // Drop shards another writer replaced; keep the ones just written
+        if (!dirty.has(key) && before !== after) loaded.delete(key);
+      }
+      dirty.clear();
+      current = manifest;
+    }
+  };
+}
+
+/**
+ * Get the shard store of a map loaded from sharded storage
+ * @param {Object} map - Repo map
+ * @returns {Object|null}
+ */
+function getStore(map) {
+  return (map && map[STORE]) || null;
+}
+
+/**
+ * Open a sharded map; `files` and `dependencies` load shards on first access
+ * @param {string} basePath - Repository root
+ * @returns {Object|null} Map, or null when there is no sharded storage
+ */
+function openMap(basePath) {
+  const manifest = readManifest(basePath);
+  if (!manifest) return null;
+
+  const store = createStore(basePath, manifest);
+  const meta = { ...manifest };
+  for (const key of MANIFEST_ONLY_KEYS) delete meta[key];
+
+  const map = {
+    ...meta,
+    files: store.files,
+    dependencies: store.dependencies
+  };
+  Object.defineProperty(map, STORE, { value: store });
+  return map;
+}
+
+/**
+ * Save a map to sharded storage
+ * Maps opened from the same storage write only their changed shards.
+ * @param {string} basePath - Repository root
+ * @param {Object} map - Repo map (plain or from openMap)
+ * @returns {Object} Written manifest
+ */
+function saveMap(basePath, map) {
+  const shardDir = getShardDir(basePath);
+  const store = getStore(map);
+  const incremental = Boolean(store) && store.shardDir === shardDir;
+  const depth = incremental ? store.depth : SHARD_DEPTH;
+
+  // Shard files are content-addressed, so they can be written before locking
+  const written = new Map();
+  for (const [key, data] of incremental ? store.dirtyShards() : groupByShard(map, depth)) {
+    const empty = !data || Object.keys(data.files).length === 0;
+    written.set(key, empty ? null : writeShard(shardDir, key, data));
+  }
+
+  const meta = { ...map };
+  delete meta.files;
+  delete meta.dependencies;
+
+  const manifestPath = getManifestPath(basePath);
+  const manifest = withLock(manifestPath, () => {
+    let shards = {};
+    if (incremental) {
+      // Start from the manifest on disk so shards saved by other writers are kept
+      const onDisk = readManifest(basePath);
+      shards = { ...(onDisk && onDisk.shardDepth === depth ? onDisk : store.manifest()).shards };
+    }
+    for (const [key, entry] of written) {
+      if (entry) {
+        shards[key] = entry;
+      } else {
+        delete shards[key];
+      }
+    }
+
+    const merged = {
+      ...meta,
+      updated: new Date().toISOString(),
+      stats: {
+        ...(meta.stats || {}),
+        ...sumCounts(Object.values(shards), Boolean(meta.features?.calls))
+      },
+      format: STORAGE_FORMAT,
+      formatVersion: FORMAT_VERSION,
+      shardDepth: depth,
+      shards
+    };
+    writeJsonAtomic(manifestPath, merged);
+    collectGarbage(shardDir, merged);
+    return merged;
+  });
+  if (incremental) store.commit(manifest);
+
+  return manifest;
+}
+
+/**
+ * Remove sharded storage (when switching back to a single file)
+ * @param {string} basePath - Repository root
+ */
+function removeStorage(basePath) {
+  fs.rmSync(getShardDir(basePath), { recursive: true, force: true });
+}
+
+/**
+ * Get the data usage analysis needs: the map itself, or for sharded maps a
+ * view built from the shard indexes (no full shard is read)
+ * @param {Object} map - Repo map
+ * @returns {Object} Object with `files`
+ */
+function getUsageView(map) {
+  const store = getStore(map);
+  return store ? store.usageView() : map;
+}
+
+module.exports = {
+  STORAGE_FORMAT,
+  SHARD_DEPTH,
+  SHARD_THRESHOLD,
+  GC_GRACE_MS,
+  getShardDir,
+  getManifestPath,
+  getShardKey,
+  exists,
+  openMap,
+  saveMap,
+  removeStorage,
+  getStore,
+  getUsageView
+};
@@ -0,0 +1,187 @@
+/**
+ * Slop findings cache
+ *
+ * Persists per-file pipeline findings in the platform state dir, keyed by
+ * file content hash and pattern-set version, so repeat runs only analyze
+ * files that changed since the last run.
+ *
+ * @module patterns/findings-cache
+ * @author Avi Fenesh
+ * @license MIT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getStateDirPath } = require('../platform/state-dir');
+const { writeJsonAtomic } = require('../utils/atomic-write');
+const slopPatterns = require('./slop-patterns');
+
+const CACHE_FILENAME = 'slop-cache.json';
+
+// Bump when the cached entry shape changes
+const CACHE_SCHEMA_VERSION = 1;
+
+// Sources whose logic determines per-file findings
+const ANALYZER_SOURCES = ['./slop-analyzers.js', './pipeline.js'];
+
+let _patternSetVersion = null;
+
+/**
+ * Get findings cache path
+ * @param {string} repoPath - Repository root
+ * @returns {string}
+ */
+function getCachePath(repoPath) {
+  return path.join(getStateDirPath(repoPath), CACHE_FILENAME);
+}
+
+/**
+ * SHA-256 of file content
+ * @param {string} content - File content
+ * @returns {string} Hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Version of the pattern set and analyzers that produced cached findings.
+ * Any change to a pattern definition or analyzer source invalidates the cache.
+ * @returns {string}
+ */
+function getPatternSetVersion() {
+  if (_patternSetVersion) return _patternSetVersion;
+
+  const hash = crypto.createHash('sha256');
+  hash.update(String(CACHE_SCHEMA_VERSION));
+  hash.update(JSON.stringify(slopPatterns.slopPatterns, (key, value) =>
+    value instanceof RegExp ? value.toString() : value
+  ));
+  for (const source of ANALYZER_SOURCES) {
+    try {
+      hash.update(fs.readFileSync(path.join(__dirname, source)));
+    } catch {
+      // Missing source only weakens invalidation; pattern hash still applies
+    }
+  }
+
+  _patternSetVersion = hash.digest('hex').slice(0, 16);
+  return _patternSetVersion;
+}
+
+/**
+ * Load findings cache. Returns an empty cache when the file is missing,
+ * unreadable, or was written by a different pattern-set version.
+ * @param {string} repoPath - Repository root
+ * @returns {{version: string, files: Object<string, Object>}}
+ */
+function load(repoPath) {
+  const version = getPatternSetVersion();
+  const empty = { version, files: {} };
+
+  try {
+    const cache = JSON.parse(fs.readFileSync(getCachePath(repoPath), 'utf8'));
+    if (!cache || cache.version !== version || typeof cache.files !== 'object' || !cache.files) {
+      return empty;
+    }
+    return { version, files: cache.files };
+  } catch {
+    return empty;
+  }
+}
+
+/**
+ * Save findings cache
+ * @param {string} repoPath - Repository root
+ * @param {{version: string, files: Object<string, Object>}} cache
+ * @returns {string} Cache file path
+ */
+function save(repoPath, cache) {
+  const cachePath = getCachePath(repoPath);
+  writeJsonAtomic(cachePath, {
+    version: cache.version,
+    updated: new Date().toISOString(),
+    files: cache.files
+  });
+  return cachePath;
+}
+
+/**
+ * Delete findings cache
+ * @param {string} repoPath - Repository root
+ * @returns {boolean} True if a cache file was removed
+ */
+function clear(repoPath) {
+  const cachePath = getCachePath(repoPath);
+  if (!fs.existsSync(cachePath)) return false;
+  fs.unlinkSync(cachePath);
+  return true;
+}
+
+/**
+ * Look up cached findings for a file section.
+ * @param {Object} cache - Loaded cache
+ * @param {string} file - Repo-relative file path
+ * @param {string} hash - Current content hash
+ * @param {string} section - Section name (e.g. 'phase1', 'multiPass')
+ * @param {string} [variant=''] - Run variant the section depends on (e.g. language filter)
+ * @returns {Array|null} Cached findings, or null on miss
+ */
+function getFindings(cache, file, hash, section, variant = '') {
+  const entry = cache.files[file];
+  if (!entry || entry.hash !== hash) return null;
+  const cached = entry[section];
+  if (!cached || cached.variant !== variant || !Array.isArray(cached.findings)) return null;
+  return cached.findings;
+}
+
+/**
+ * Store findings for a file section. Replaces the entry when the content
+ * hash changed so stale sections from older content are dropped.
+ * @param {Object} cache - Loaded cache
+ * @param {string} file - Repo-relative file path
+ * @param {string} hash - Current content hash
+ * @param {string} section - Section name
+ * @param {Array} findings - Findings for this file and section
+ * @param {string} [variant='']
+ */
+function setFindings(cache, file, hash, section, findings, variant = '') {
+  let entry = cache.files[file];
+  if (!entry || entry.hash !== hash) {
+    entry = { hash };
+    cache.files[file] = entry;
+  }
+  entry[section] = { variant, findings };
+}
+
+/**
+ * Drop entries for files not in the given set
+ * @param {Object} cache - Loaded cache
+ * @param {Iterable<string>} keep - Repo-relative paths to keep
+ * @returns {number} Number of entries removed
+ */
+function prune(cache, keep) {
+  const keepSet = new Set(keep);
+  let removed = 0;
+  for (const file of Object.keys(cache.files)) {
+    if (!keepSet.has(file)) {
+      delete cache.files[file];
+      removed++;
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  CACHE_FILENAME,
+  getCachePath,
+  hashContent,
+  getPatternSetVersion,
+  load,
+  save,
+  clear,
+  getFindings,
+  setFindings,
+  prune
+};
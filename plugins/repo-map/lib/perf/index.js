@@ -20,6 +20,7 @@ const profilers = require('./profilers');
 const analyzer = require('./analyzer');
 const argumentParser = require('./argument-parser');
 const codePaths = require('./code-paths');
+const report = require('./report');
 
 module.exports = {
   investigationState,
@@ -37,5 +38,6 @@ module.exports = {
   profilers,
   analyzer,
   argumentParser,
-  codePaths
+  codePaths,
+  report
 };
@@ -20,6 +20,7 @@ const { isWorkingTreeClean } = require('./checkpoint');
  * @param {number} [options.runs]
  * @param {string} [options.aggregate]
  * @param {object} [options.env]
+ * @param {object} [options.comparison] - compareBaselines options (noiseThreshold, alpha, directions)
  * @returns {{ baseline: object, experiment: object, delta: object, verdict: string, change: string }}
  */
 function runOptimizationExperiment(options) {
@@ -61,14 +62,15 @@ function runOptimizationExperiment(options) {
   const experimentRun = runBenchmarkSeries(command, { ...seriesOptions, env: experimentEnv });
 
   const delta = compareBaselines(
-    { metrics: baselineRun.metrics },
-    { metrics: experimentRun.metrics }
+    { metrics: baselineRun.metrics, samples: baselineRun.samples },
+    { metrics: experimentRun.metrics, samples: experimentRun.samples },
+    options.comparison
   );
 
   return {
     change: changeSummary,
-    baseline: { metrics: baselineRun.metrics },
-    experiment: { metrics: experimentRun.metrics },
+    baseline: { metrics: baselineRun.metrics, samples: baselineRun.samples },
+    experiment: { metrics: experimentRun.metrics, samples: experimentRun.samples },
     delta,
     verdict: 'inconclusive'
   };
@@ -13,6 +13,9 @@ const { parseCommand, resolveExecutableForPlatform } = require('../utils/command
  * @param {object} options
  * @param {string} [options.repoPath]
  * @param {object} [options.profileOptions]
+ * @param {string} [options.output] - Profile output path passed to the profiler
+ *   (default: options.profileOptions.output)
+ * @param {number} [options.limit] - Max hotspots to return
  * @returns {{ ok: boolean, result?: object, error?: string }}
  */
 function runProfiling(options = {}) {
@@ -26,10 +29,12 @@ function runProfiling(options = {}) {
     return { ok: false, error: 'No profiler available' };
   }
 
+  // The profile is written and read back under the same name
+  const output = options.output || options.profileOptions?.output;
   const command = profiler.buildCommand({
     command: options.command,
-    output: options.output,
-    ...(options.profileOptions || {})
+    ...(options.profileOptions || {}),
+    output
   });
   const parsedCommand = parseCommand(command, 'Profiling command');
   const executable = resolveExecutableForPlatform(parsedCommand.executable);
@@ -37,6 +42,8 @@ function runProfiling(options = {}) {
     ...process.env,
     ...(options.env || {})
   };
+  const startedAt = Date.now();
+  let commandOutput = '';
   try {
     const execOptions = {
       stdio: 'pipe',
@@ -48,7 +55,8 @@ function runProfiling(options = {}) {
       execOptions.timeout = timeoutMs;
     }
 
-    execFileSync(executable, parsedCommand.args, execOptions);
+    const stdout = execFileSync(executable, parsedCommand.args, execOptions);
+    commandOutput = stdout == null ? '' : String(stdout);
   } catch (error) {
     const stderr = error.stderr ? String(error.stderr).trim() : '';
     const stdout = error.stdout ? String(error.stdout).trim() : '';
@@ -57,15 +65,28 @@ function runProfiling(options = {}) {
   }
 
   const parsed = typeof profiler.parseOutput === 'function'
-    ? profiler.parseOutput()
+    ? profiler.parseOutput({
+      repoPath,
+      output,
+      startedAt,
+      stdout: commandOutput,
+      limit: options.limit
+    })
     : { tool: profiler.id, hotspots: [], artifacts: [] };
 
   const result = {
     tool: profiler.id,
     command: parsedCommand.display,
     hotspots: parsed.hotspots || [],
+    files: parsed.files || [],
     artifacts: parsed.artifacts || []
   };
+  if (Number.isFinite(parsed.totalMs)) {
+    result.totalMs = parsed.totalMs;
+  }
+  if (Array.isArray(parsed.warnings) && parsed.warnings.length > 0) {
+    result.warnings = parsed.warnings;
+  }
 
   return { ok: true, result };
 }
@@ -14,6 +14,12 @@ const python = require('./python');
 const rust = require('./rust');
 const go = require('./go');
 const java = require('./java');
+const c = require('./c');
+const cpp = require('./cpp');
+const csharp = require('./csharp');
+const ruby = require('./ruby');
+const php = require('./php');
+const kotlin = require('./kotlin');
 
 /**
  * Get query patterns for a language
@@ -38,6 +44,22 @@ function getQueriesForLanguage(language) {
       return go;
     case 'java':
       return java;
+    case 'c':
+      return c;
+    case 'cpp':
+    case 'c++':
+      return cpp;
+    case 'csharp':
+    case 'cs':
+      return csharp;
+    case 'ruby':
+    case 'rb':
+      return ruby;
+    case 'php':
+      return php;
+    case 'kotlin':
+    case 'kt':
+      return kotlin;
     default:
       return null;
   }
@@ -66,6 +88,22 @@ function getSgLanguage(language) {
       return 'go';
     case 'java':
       return 'java';
+    case 'c':
+      return 'c';
+    case 'cpp':
+    case 'c++':
+      return 'cpp';
+    case 'csharp':
+    case 'cs':
+      return 'csharp';
+    case 'ruby':
+    case 'rb':
+      return 'ruby';
+    case 'php':
+      return 'php';
+    case 'kotlin':
+    case 'kt':
+      return 'kotlin';
     default:
       return 'javascript';
   }
@@ -20,5 +20,12 @@ module.exports = {
     { pattern: 'import $SOURCE', sourceVar: 'SOURCE', kind: 'import', multiSource: true },
     { pattern: 'from $SOURCE import $NAME', sourceVar: 'SOURCE', kind: 'from' },
     { pattern: 'from $SOURCE import ($$$)', sourceVar: 'SOURCE', kind: 'from' }
-  ]
+  ],
+  callGraph: {
+    definitions: [],
+    owners: [],
+    calls: [
+      { pattern: '$CALLEE($$$)', calleeVar: 'CALLEE' }
+    ]
+  }
 };
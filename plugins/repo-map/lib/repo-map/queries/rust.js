@@ -69,5 +69,21 @@ module.exports = {
     { pattern: 'use $SOURCE;', sourceVar: 'SOURCE', kind: 'use' },
     { pattern: 'use $SOURCE::{ $$$ };', sourceVar: 'SOURCE', kind: 'use' },
     { pattern: 'use $SOURCE::*;', sourceVar: 'SOURCE', kind: 'use' }
-  ]
+  ],
+  // impl blocks qualify methods (Type.method)
+  callGraph: {
+    definitions: [
+      { pattern: 'fn $NAME($$$) -> $RET { $$$ }', nameVar: 'NAME' },
+      { pattern: 'pub fn $NAME($$$) -> $RET { $$$ }', nameVar: 'NAME' },
+      { pattern: 'async fn $NAME($$$) -> $RET { $$$ }', nameVar: 'NAME' },
+      { pattern: 'pub async fn $NAME($$$) -> $RET { $$$ }', nameVar: 'NAME' }
+    ],
+    owners: [
+      { pattern: 'impl $NAME { $$$ }', nameVar: 'NAME' },
+      { pattern: 'impl $TRAIT for $NAME { $$$ }', nameVar: 'NAME' }
+    ],
+    calls: [
+      { pattern: '$CALLEE($$$)', calleeVar: 'CALLEE' }
+    ]
+  }
 };
@@ -0,0 +1,341 @@
+/**
+ * Repo Map Summarizer
+ *
+ * Ranks files by import-graph centrality (PageRank, optionally personalized
+ * to focus files and keywords) and symbols by reference counts, then renders
+ * a tree-style outline that fits a token budget.
+ *
+ * @module lib/repo-map/summarizer
+ */
+
+'use strict';
+
+const path = require('path');
+const { buildUsageIndex } = require('./usage-analyzer');
+const { buildCallGraph } = require('./call-graph');
+const { createImportResolver } = require('./import-resolver');
+
+const DEFAULT_TOKEN_BUDGET = 1024;
+const DEFAULT_MAX_SYMBOLS_PER_FILE = 8;
+
+// PageRank parameters
+const DAMPING = 0.85;
+const MAX_ITERATIONS = 50;
+const TOLERANCE = 1e-9;
+
+const INDENT = '  ';
+
+// Symbol categories rendered in the outline, with their labels
+const SYMBOL_CATEGORIES = [
+  ['classes', 'class'],
+  ['types', 'type'],
+  ['functions', 'function'],
+  ['constants', 'const']
+];
+
+/**
+ * Rough token count for budget checks (~4 characters per token)
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Normalize focus paths to repo-relative, forward-slash paths
+ * @param {string[]} focus
+ * @param {string} [basePath]
+ * @returns {Set<string>}
+ */
+function normalizeFocus(focus, basePath) {
+  const files = new Set();
+  for (const file of focus || []) {
+    if (!file) continue;
+    const relative = basePath && path.isAbsolute(file) ? path.relative(basePath, file) : file;
+    files.add(path.posix.normalize(relative.replace(/\\/g, '/')).replace(/^\.\//, ''));
+  }
+  return files;
+}
+
+function normalizeKeywords(keywords) {
+  return (keywords || []).map(keyword => String(keyword).toLowerCase().trim()).filter(Boolean);
+}
+
+function countKeywordHits(text, keywords) {
+  const lower = text.toLowerCase();
+  return keywords.reduce((sum, keyword) => sum + (lower.includes(keyword) ? 1 : 0), 0);
+}
+
+function getSymbolNames(fileData) {
+  return SYMBOL_CATEGORIES.flatMap(([category]) => (fileData.symbols?.[category] || []).map(symbol => symbol.name));
+}
+
+/**
+ * Restart distribution for PageRank: focus files and keyword matches, else uniform
+ * @returns {Map<string, number>} Normalized weights
+ */
+function buildPersonalization(files, repoMap, focusFiles, keywords) {
+  const weights = new Map();
+  for (const file of files) {
+    let weight = focusFiles.has(file) ? 1 : 0;
+    if (keywords.length > 0) {
+      weight += countKeywordHits(file, keywords);
+      weight += 0.5 * getSymbolNames(repoMap.files[file]).reduce((sum, name) => sum + countKeywordHits(name, keywords), 0);
+    }
+    if (weight > 0) weights.set(file, weight);
+  }
+
+  if (weights.size === 0) {
+    for (const file of files) weights.set(file, 1);
+  }
+
+  const total = [...weights.values()].reduce((sum, weight) => sum + weight, 0);
+  for (const [file, weight] of weights) weights.set(file, weight / total);
+  return weights;
+}
+
+/**
+ * Rank files by centrality in the import graph
+ *
+ * Rank flows from importers to the files they import, so widely used
+ * modules rise. With focus files or keywords the random walk restarts
+ * there, favouring code reachable from them.
+ *
+ * @param {Object} repoMap - The repo map
+ * @param {Object} [options]
+ * @param {string[]} [options.focus] - Files to personalize around (repo-relative or absolute)
+ * @param {string[]} [options.keywords] - Terms matched against paths and symbol names
+ * @param {Object} [options.usageIndex] - Result from buildUsageIndex (built if omitted)
+ * @param {string} [options.basePath] - Repository root, for import resolution configs
+ * @param {Object} [options.resolver] - Resolver from createImportResolver
+ * @returns {Array<{file: string, score: number, importers: number}>} Highest score first
+ */
+function rankFiles(repoMap, options = {}) {
+  if (!repoMap || !repoMap.files) return [];
+
+  const files = Object.keys(repoMap.files).sort();
+  if (files.length === 0) return [];
+
+  const usageIndex = options.usageIndex || buildUsageIndex(repoMap, options);
+
+  // importer -> files it imports
+  const outgoing = new Map(files.map(file => [file, new Set()]));
+  for (const [target, importers] of usageIndex.byFile) {
+    if (!outgoing.has(target)) continue;
+    for (const importer of importers) {
+      if (importer !== target && outgoing.has(importer)) outgoing.get(importer).add(target);
+    }
+  }
+
+  const focusFiles = normalizeFocus(options.focus, options.basePath);
+  const keywords = normalizeKeywords(options.keywords);
+  const restart = buildPersonalization(files, repoMap, focusFiles, keywords);
+
+  let rank = new Map(files.map(file => [file, restart.get(file) || 0]));
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const next = new Map(files.map(file => [file, (1 - DAMPING) * (restart.get(file) || 0)]));
+    let dangling = 0;
+    for (const file of files) {
+      const targets = outgoing.get(file);
+      const share = rank.get(file);
+      if (targets.size === 0) {
+        dangling += share;
+        continue;
+      }
+      for (const target of targets) {
+        next.set(target, next.get(target) + DAMPING * share / targets.size);
+      }
+    }
+    // Files without imports hand their rank back to the restart distribution
+    for (const [file, weight] of restart) {
+      next.set(file, next.get(file) + DAMPING * dangling * weight);
+    }
+
+    let delta = 0;
+    for (const file of files) delta += Math.abs(next.get(file) - rank.get(file));
+    rank = next;
+    if (delta < TOLERANCE) break;
+  }
+
+  return files
+    .map(file => ({ file, score: rank.get(file), importers: usageIndex.byFile.get(file)?.size || 0 }))
+    .sort((a, b) => b.score - a.score || b.importers - a.importers || a.file.localeCompare(b.file));
+}
+
+/**
+ * Count references to each symbol: named imports plus resolved call sites
+ * @returns {Map<string, number>} `${file}:${name}` -> count
+ */
+function countReferences(repoMap, usageIndex, options) {
+  const references = new Map();
+  const add = (key, count) => references.set(key, (references.get(key) || 0) + count);
+
+  for (const [key, importers] of usageIndex.bySymbol) {
+    add(key, importers.size);
+  }
+
+  if (repoMap.features?.calls) {
+    const callGraph = buildCallGraph(repoMap, options);
+    for (const edge of callGraph.edges) {
+      for (const target of edge.targets) {
+        if (target !== edge.file) add(`${target}:${edge.callee}`, 1);
+      }
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Rank a file's symbols: referenced first, then exported, then keyword matches
+ * @returns {Array<{name: string, kind: string, line: number, references: number}>}
+ */
+function rankSymbols(file, fileData, references, keywords) {
+  const seen = new Set();
+  const symbols = [];
+  for (const [category, label] of SYMBOL_CATEGORIES) {
+    for (const symbol of fileData.symbols?.[category] || []) {
+      if (!symbol.name || seen.has(symbol.name)) continue;
+      seen.add(symbol.name);
+      const refs = references.get(`${file}:${symbol.name}`) || 0;
+      const score = refs * 2 + (symbol.exported ? 1 : 0) + countKeywordHits(symbol.name, keywords) * 3;
+      symbols.push({ name: symbol.name, kind: label, line: symbol.line, references: refs, score });
+    }
+  }
+
+  return symbols
+    .sort((a, b) => b.score - a.score || (a.line || 0) - (b.line || 0))
+    .map(({ score, ...symbol }) => symbol);
+}
+
+function formatSymbol(symbol, depth) {
+  const refs = symbol.references > 0 ? ` (${symbol.references} refs)` : '';
+  const line = symbol.line ? `:${symbol.line}` : '';
+  return `${INDENT.repeat(depth)}${symbol.kind} ${symbol.name}${line}${refs}`;
+}
+
+/**
+ * Order paths segment by segment so each directory's entries stay contiguous
+ */
+function comparePaths(a, b) {
+  const left = a.split('/');
+  const right = b.split('/');
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    if (left[i] !== right[i]) return left[i] < right[i] ? -1 : 1;
+  }
+  return left.length - right.length;
+}
+
+/**
+ * Render selected files as a directory tree
+ * @param {Array<{file: string, symbols: Array}>} entries
+ * @returns {string}
+ */
+function renderOutline(entries) {
+  const lines = [];
+  let previousDirs = [];
+  for (const entry of [...entries].sort((a, b) => comparePaths(a.file, b.file))) {
+    const parts = entry.file.split('/');
+    const dirs = parts.slice(0, -1);
+    let shared = 0;
+    while (shared < dirs.length && dirs[shared] === previousDirs[shared]) shared++;
+    for (let i = shared; i < dirs.length; i++) {
+      lines.push(`${INDENT.repeat(i)}${dirs[i]}/`);
+    }
+    previousDirs = dirs;
+    lines.push(`${INDENT.repeat(dirs.length)}${parts[parts.length - 1]}`);
+    for (const symbol of entry.symbols) {
+      lines.push(formatSymbol(symbol, dirs.length + 1));
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Summarize the repo map as a ranked outline within a token budget
+ *
+ * Files are taken in rank order with their top symbols until the budget is
+ * spent; a file that no longer fits with symbols is listed by path only.
+ *
+ * @param {Object} repoMap - The repo map
+ * @param {Object} [options]
+ * @param {number} [options.tokenBudget=1024] - Maximum tokens for the outline
+ * @param {number} [options.maxSymbolsPerFile=8] - Symbols listed per file
+ * @param {string[]} [options.focus] - Files to personalize around
+ * @param {string[]} [options.keywords] - Terms matched against paths and symbol names
+ * @param {string} [options.basePath] - Repository root, for import resolution configs
+ * @returns {{text: string, tokens: number, files: Array<{file: string, score: number, symbols: Array}>,
+ *   totalFiles: number, omittedFiles: number}}
+ */
+function summarize(repoMap, options = {}) {
+  const empty = { text: '', tokens: 0, files: [], totalFiles: 0, omittedFiles: 0 };
+  if (!repoMap || !repoMap.files) return empty;
+
+  const tokenBudget = Number.isFinite(options.tokenBudget)
+    ? Math.max(0, Math.floor(options.tokenBudget))
+    : DEFAULT_TOKEN_BUDGET;
+  const maxSymbols = Number.isFinite(options.maxSymbolsPerFile)
+    ? Math.max(0, Math.floor(options.maxSymbolsPerFile))
+    : DEFAULT_MAX_SYMBOLS_PER_FILE;
+
+  const resolver = options.resolver || createImportResolver(repoMap, { basePath: options.basePath });
+  const resolverOptions = { basePath: options.basePath, resolver };
+  const usageIndex = options.usageIndex || buildUsageIndex(repoMap, resolverOptions);
+  const ranked = rankFiles(repoMap, { ...options, ...resolverOptions, usageIndex });
+  const references = countReferences(repoMap, usageIndex, resolverOptions);
+  const keywords = normalizeKeywords(options.keywords);
+
+  // Outline length is the sum of its lines, so each file's cost is its new lines
+  const charBudget = tokenBudget * 4;
+  const renderedDirs = new Set();
+  const selected = [];
+  let chars = 0;
+
+  for (const { file, score } of ranked) {
+    const parts = file.split('/');
+    const newDirLines = [];
+    for (let i = 0; i < parts.length - 1; i++) {
+      const dir = parts.slice(0, i + 1).join('/');
+      if (!renderedDirs.has(dir)) newDirLines.push({ dir, length: INDENT.length * i + parts[i].length + 1 });
+    }
+    const depth = parts.length - 1;
+    const baseCost = newDirLines.reduce((sum, line) => sum + line.length + 1, 0) +
+      INDENT.length * depth + parts[depth].length + 1;
+
+    const symbols = rankSymbols(file, repoMap.files[file], references, keywords).slice(0, maxSymbols);
+    const symbolCosts = symbols.map(symbol => formatSymbol(symbol, depth + 1).length + 1);
+
+    // The trailing newline of the last line is not rendered
+    const remaining = charBudget + 1 - chars - baseCost;
+    if (remaining < 0) continue;
+
+    let kept = 0;
+    let symbolChars = 0;
+    while (kept < symbols.length && symbolChars + symbolCosts[kept] <= remaining) {
+      symbolChars += symbolCosts[kept];
+      kept++;
+    }
+
+    for (const line of newDirLines) renderedDirs.add(line.dir);
+    chars += baseCost + symbolChars;
+    selected.push({ file, score, symbols: symbols.slice(0, kept) });
+  }
+
+  const text = renderOutline(selected);
+  return {
+    text,
+    tokens: estimateTokens(text),
+    files: selected,
+    totalFiles: ranked.length,
+    omittedFiles: ranked.length - selected.length
+  };
+}
+
+module.exports = {
+  DEFAULT_TOKEN_BUDGET,
+  estimateTokens,
+  rankFiles,
+  summarize
+};
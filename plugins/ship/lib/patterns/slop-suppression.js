@@ -0,0 +1,275 @@
+/**
+ * Suppression System for deslop
+ *
+ * Handles inline `deslop-ignore` comments and a project config file with
+ * per-pattern path ignores and severity overrides. Suppressed findings are
+ * kept (with their source) so the pipeline can report what was hidden.
+ *
+ * Inline forms (//, # or block comments):
+ * - `// deslop-ignore <pattern>[, <pattern>]` - same line, or the line below
+ * - `// deslop-ignore-file <pattern>` - whole file
+ * - `*` matches every pattern
+ *
+ * @module patterns/slop-suppression
+ * @author Avi Fenesh
+ * @license MIT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const slopPatterns = require('./slop-patterns');
+
+/**
+ * Config file names, checked in order
+ */
+const CONFIG_FILES = ['.desloprc.json', '.desloprc', 'deslop.config.json'];
+
+/**
+ * Default suppression config
+ *
+ * ignore.files: globs ignored for every pattern
+ * ignore.patterns: pattern names disabled everywhere
+ * ignore.rules: { <pattern>: 'off' | { files: [globs], reason } }
+ * severity: { <pattern>: 'critical'|'high'|'medium'|'low'|'off' }
+ */
+const DEFAULT_CONFIG = {
+  ignore: {
+    files: [],
+    patterns: [],
+    rules: {}
+  },
+  severity: {}
+};
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Maximum config file size (1MB) to prevent DoS via large files
+const MAX_CONFIG_SIZE = 1024 * 1024;
+
+const INLINE_PATTERN = /(?:\/\/|#|\/\*|<!--)\s*deslop-ignore(-file)?\b[ \t]*([\w*]+(?:[ \t]*,[ \t]*[\w*]+)*)?/g;
+
+/**
+ * Load suppression config from project root
+ * @param {string} repoPath - Repository root
+ * @returns {{config: Object, path: string|null}} Merged config and the file it came from
+ */
+function loadConfig(repoPath) {
+  for (const name of CONFIG_FILES) {
+    const configPath = path.join(repoPath, name);
+    if (!fs.existsSync(configPath)) continue;
+    try {
+      // Check file size before reading to prevent DoS
+      const stats = fs.statSync(configPath);
+      if (stats.size > MAX_CONFIG_SIZE) {
+        console.error(`[WARN] Config file too large (${stats.size} bytes), using defaults`);
+        continue;
+      }
+      const userConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      return { config: mergeConfig(DEFAULT_CONFIG, userConfig), path: configPath };
+    } catch (err) {
+      console.error(`[WARN] Invalid ${name}, ignoring: ${err.message}`);
+    }
+  }
+
+  return { config: DEFAULT_CONFIG, path: null };
+}
+
+/**
+ * Merge user config with defaults
+ * @param {Object} defaults - Default config
+ * @param {Object} user - User config
+ * @returns {Object} Merged config
+ */
+function mergeConfig(defaults, user = {}) {
+  return {
+    ignore: {
+      files: [...(defaults.ignore.files || []), ...(user.ignore?.files || [])],
+      patterns: [...(defaults.ignore.patterns || []), ...(user.ignore?.patterns || [])],
+      rules: { ...(defaults.ignore.rules || {}), ...(user.ignore?.rules || {}) }
+    },
+    severity: { ...(defaults.severity || {}), ...(user.severity || {}) }
+  };
+}
+
+/**
+ * Extract inline suppressions from file content
+ * @param {string} content - File content
+ * @returns {{file: Set<string>, lines: Map<number, Set<string>>}} File-wide
+ *   pattern names and per-line (1-based) pattern names
+ */
+function extractInlineSuppressions(content) {
+  const result = { file: new Set(), lines: new Map() };
+  if (!content || typeof content !== 'string' || !content.includes('deslop-ignore')) {
+    return result;
+  }
+
+  const lines = content.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].includes('deslop-ignore')) continue;
+    INLINE_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = INLINE_PATTERN.exec(lines[i])) !== null) {
+      const names = (match[2] || '*').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+      if (match[1]) {
+        names.forEach(name => result.file.add(name));
+        continue;
+      }
+      // A comment-only line covers the next line; a trailing comment covers its own
+      const standalone = lines[i].slice(0, match.index).trim() === '';
+      for (const lineNumber of standalone ? [i + 1, i + 2] : [i + 1]) {
+        if (!result.lines.has(lineNumber)) result.lines.set(lineNumber, new Set());
+        names.forEach(name => result.lines.get(lineNumber).add(name));
+      }
+    }
+  }
+  return result;
+}
+
+function matchesName(names, patternName) {
+  return names.has('*') || names.has(patternName);
+}
+
+/**
+ * Check if a finding should be suppressed
+ * @param {Object} finding - Pipeline finding
+ * @param {Object} config - Suppression config
+ * @param {{file: Set<string>, lines: Map<number, Set<string>>}} inline - Inline suppressions for the finding's file
+ * @param {string} relativePath - Repo-relative path of the finding's file
+ * @returns {Object|null} Suppression info if suppressed, null otherwise
+ */
+function shouldSuppress(finding, config, inline, relativePath) {
+  const patternName = (finding.patternName || '').toLowerCase();
+
+  if (inline) {
+    const lineNames = inline.lines.get(finding.line);
+    if (lineNames && matchesName(lineNames, patternName)) {
+      return { reason: 'inline', patternName, source: `inline comment (line ${finding.line})` };
+    }
+    if (matchesName(inline.file, patternName)) {
+      return { reason: 'inline', patternName, source: 'inline comment (file)' };
+    }
+  }
+
+  if (config.ignore.patterns.includes(patternName)) {
+    return { reason: 'config', patternName, source: 'config: ignore.patterns' };
+  }
+
+  if (String(config.severity[patternName]).toLowerCase() === 'off') {
+    return { reason: 'config', patternName, source: `config: severity.${patternName}` };
+  }
+
+  const rule = config.ignore.rules[patternName];
+  if (rule === 'off') {
+    return { reason: 'config', patternName, source: `config: ignore.rules.${patternName}` };
+  }
+  if (rule && typeof rule === 'object' && relativePath) {
+    const globs = Array.isArray(rule.files) ? rule.files : [];
+    if (globs.length === 0 || slopPatterns.isFileExcluded(relativePath, globs)) {
+      return {
+        reason: 'config',
+        patternName,
+        source: `config: ignore.rules.${patternName}`,
+        userReason: rule.reason
+      };
+    }
+  }
+
+  if (relativePath && slopPatterns.isFileExcluded(relativePath, config.ignore.files)) {
+    return { reason: 'config', patternName, source: 'config: ignore.files' };
+  }
+
+  return null;
+}
+
+/**
+ * Apply a severity override from config
+ * @param {Object} finding - Pipeline finding
+ * @param {Object} config - Suppression config
+ * @returns {Object} Finding, with severity and originalSeverity when overridden
+ */
+function applySeverityOverride(finding, config) {
+  const override = String(config.severity[(finding.patternName || '').toLowerCase()] || '').toLowerCase();
+  if (!SEVERITIES.includes(override) || override === finding.severity) {
+    return finding;
+  }
+  return { ...finding, severity: override, originalSeverity: finding.severity };
+}
+
+/**
+ * Split findings into active and suppressed
+ *
+ * @param {Array} findings - Pipeline findings
+ * @param {Object} config - Suppression config
+ * @param {Object} [options]
+ * @param {string} [options.repoPath] - Repository root (to relativize absolute paths)
+ * @param {Function} [options.getContent] - (file) => content|null, for inline comments
+ * @returns {{active: Array, suppressed: Array}}
+ */
+function filterFindings(findings, config, options = {}) {
+  const { repoPath, getContent } = options;
+  const active = [];
+  const suppressed = [];
+  const inlineCache = new Map();
+
+  for (const finding of findings) {
+    const file = finding.file;
+    const isProjectLevel = !file || file === 'project-level';
+    const relativePath = isProjectLevel
+      ? null
+      : (repoPath && path.isAbsolute(file) ? path.relative(repoPath, file) : file).replace(/\\/g, '/');
+
+    let inline = null;
+    if (!isProjectLevel && getContent) {
+      if (!inlineCache.has(file)) {
+        inlineCache.set(file, extractInlineSuppressions(getContent(file)));
+      }
+      inline = inlineCache.get(file);
+    }
+
+    const suppression = shouldSuppress(finding, config, inline, relativePath);
+    if (suppression) {
+      suppressed.push({ ...finding, suppression });
+    } else {
+      active.push(applySeverityOverride(finding, config));
+    }
+  }
+
+  return { active, suppressed };
+}
+
+/**
+ * Format a suppression summary for the handoff prompt
+ * @param {Array} suppressed - Suppressed findings
+ * @returns {string} Markdown ('' when nothing was suppressed)
+ */
+function formatSuppressionSummary(suppressed) {
+  if (!suppressed || suppressed.length === 0) return '';
+
+  const counts = new Map();
+  for (const finding of suppressed) {
+    const source = finding.suppression.reason === 'inline' ? 'inline' : finding.suppression.source;
+    const key = `${source}|${finding.patternName}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const lines = ['### Suppressed', '', `${suppressed.length} findings suppressed (not listed above)`, ''];
+  lines.push('| Source | Pattern | Count |');
+  lines.push('|---|---|---|');
+  for (const [key, count] of counts) {
+    const [source, pattern] = key.split('|');
+    lines.push(`| ${source} | ${pattern} | ${count} |`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  loadConfig,
+  mergeConfig,
+  extractInlineSuppressions,
+  shouldSuppress,
+  applySeverityOverride,
+  filterFindings,
+  formatSuppressionSummary,
+  CONFIG_FILES,
+  DEFAULT_CONFIG
+};
@@ -34,5 +34,6 @@ module.exports = {
     ...javascript.imports,
     { pattern: 'import type { $$$ } from $SOURCE', sourceVar: 'SOURCE', kind: 'type' },
     { pattern: 'import type $NAME from $SOURCE', sourceVar: 'SOURCE', kind: 'type' }
-  ]
+  ],
+  callGraph: javascript.callGraph
 };
@@ -12,13 +12,28 @@
 'use strict';
 
 const path = require('path');
+const { createImportResolver } = require('./import-resolver');
+const { getUsageView } = require('./shard-store');
+
+/**
+ * Get the import resolver for an analysis call
+ * @param {Object} repoMap - The repo map
+ * @param {Object} [options]
+ * @param {string} [options.basePath] - Repository root, for tsconfig/package.json/go.mod/Cargo.toml
+ * @param {Object} [options.resolver] - Resolver from createImportResolver (reused across calls)
+ * @returns {{resolve: Function}}
+ */
+function getResolver(repoMap, options = {}) {
+  return options.resolver || createImportResolver(repoMap, { basePath: options.basePath });
+}
 
 /**
  * Build a reverse index mapping symbols to their importers
  * @param {Object} repoMap - The repo map object from cache.load()
+ * @param {Object} [options] - Resolver options (see getResolver)
  * @returns {Object} Usage index: { bySymbol: Map<string, Set<string>>, byFile: Map<string, Set<string>> }
  */
-function buildUsageIndex(repoMap) {
+function buildUsageIndex(repoMap, options = {}) {
   if (!repoMap || !repoMap.files) {
     return { bySymbol: new Map(), byFile: new Map() };
   }
@@ -28,9 +43,12 @@ function buildUsageIndex(repoMap) {
   const bySymbol = new Map();
   const byFile = new Map();
 
+  // Sharded maps: exports and imports come from the shard indexes
+  const view = getUsageView(repoMap);
+
   // Build export registry: filePath -> Set of exported symbol names
   const exportsByFile = new Map();
-  for (const [filePath, fileData] of Object.entries(repoMap.files)) {
+  for (const [filePath, fileData] of Object.entries(view.files)) {
     const exports = new Set();
     if (fileData.symbols?.exports) {
       for (const exp of fileData.symbols.exports) {
@@ -40,35 +58,36 @@ function buildUsageIndex(repoMap) {
     exportsByFile.set(filePath, exports);
   }
 
+  const resolver = getResolver(view, options);
+
   // Process imports to build reverse index
-  for (const [importerPath, fileData] of Object.entries(repoMap.files)) {
+  for (const [importerPath, fileData] of Object.entries(view.files)) {
     if (!fileData.imports || fileData.imports.length === 0) continue;
 
     for (const imp of fileData.imports) {
       const source = imp.source;
       if (!source) continue;
 
-      // Resolve the import source to a file path
-      const resolvedPath = resolveImportSource(importerPath, source, repoMap);
-      if (!resolvedPath) continue;
-
-      // Track file-level dependency
-      if (!byFile.has(resolvedPath)) {
-        byFile.set(resolvedPath, new Set());
-      }
-      byFile.get(resolvedPath).add(importerPath);
-
-      // For named imports, track symbol-level usage
-      // The import kind tells us what type of import it is
-      if (imp.kind === 'named' || imp.kind === 'import') {
-        // Try to extract imported names from the import
-        const importedNames = extractImportedNames(imp, source);
-        for (const name of importedNames) {
-          const symbolKey = `${resolvedPath}:${name}`;
-          if (!bySymbol.has(symbolKey)) {
-            bySymbol.set(symbolKey, new Set());
+      // Resolve the import source to file paths (a Go package import covers every file in it)
+      for (const resolvedPath of resolver.resolve(importerPath, source)) {
+        // Track file-level dependency
+        if (!byFile.has(resolvedPath)) {
+          byFile.set(resolvedPath, new Set());
+        }
+        byFile.get(resolvedPath).add(importerPath);
+
+        // For named imports, track symbol-level usage
+        // The import kind tells us what type of import it is
+        if (imp.kind === 'named' || imp.kind === 'import') {
+          // Try to extract imported names from the import
+          const importedNames = extractImportedNames(imp, source);
+          for (const name of importedNames) {
+            const symbolKey = `${resolvedPath}:${name}`;
+            if (!bySymbol.has(symbolKey)) {
+              bySymbol.set(symbolKey, new Set());
+            }
+            bySymbol.get(symbolKey).add(importerPath);
           }
-          bySymbol.get(symbolKey).add(importerPath);
         }
       }
     }
@@ -80,45 +99,14 @@ function buildUsageIndex(repoMap) {
 /**
  * Resolve an import source to a file path in the repo map
  * @param {string} importerPath - Path of the importing file
- * @param {string} source - Import source (e.g., './utils', 'lodash', '../lib')
+ * @param {string} source - Import source (e.g., './utils', '@/lib/db', 'pkg.module', 'crate::util')
  * @param {Object} repoMap - The repo map
+ * @param {Object} [options] - Resolver options (see getResolver)
  * @returns {string|null} Resolved file path or null
  */
-function resolveImportSource(importerPath, source, repoMap) {
-  // Skip external packages
-  if (!source.startsWith('.') && !source.startsWith('/')) {
-    return null;
-  }
-
-  const importerDir = path.dirname(importerPath);
-  let candidatePath = path.join(importerDir, source).replace(/\\/g, '/');
-
-  // Normalize the path
-  candidatePath = path.normalize(candidatePath).replace(/\\/g, '/');
-
-  // Try direct match
-  if (repoMap.files[candidatePath]) {
-    return candidatePath;
-  }
-
-  // Try with common extensions
-  const extensions = ['.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs'];
-  for (const ext of extensions) {
-    const withExt = candidatePath + ext;
-    if (repoMap.files[withExt]) {
-      return withExt;
-    }
-  }
-
-  // Try index file
-  for (const ext of extensions) {
-    const indexPath = candidatePath + '/index' + ext;
-    if (repoMap.files[indexPath]) {
-      return indexPath;
-    }
-  }
-
-  return null;
+function resolveImportSource(importerPath, source, repoMap, options = {}) {
+  const [resolved] = getResolver(repoMap, options).resolve(importerPath, source);
+  return resolved || null;
 }
 
 /**
@@ -168,21 +156,34 @@ function findDependents(usageIndex, filePath) {
   return dependents ? Array.from(dependents) : [];
 }
 
+/**
+ * Lower a certainty level by one step for maps built by the fallback scanner
+ * @param {Object} repoMap - The repo map
+ * @param {string} certainty - HIGH, MEDIUM or LOW
+ * @returns {string}
+ */
+function adjustCertainty(repoMap, certainty) {
+  if (repoMap.confidence !== 'low') return certainty;
+  return certainty === 'HIGH' ? 'MEDIUM' : 'LOW';
+}
+
 /**
  * Find exports that are never imported anywhere
  * @param {Object} repoMap - The repo map
  * @param {Object} usageIndex - Result from buildUsageIndex (optional, will build if not provided)
+ * @param {Object} [options] - Resolver options when building the index (see getResolver)
  * @returns {Array<Object>} Unused exports: { file, name, line, kind }
  */
-function findUnusedExports(repoMap, usageIndex = null) {
+function findUnusedExports(repoMap, usageIndex = null, options = {}) {
   if (!repoMap || !repoMap.files) {
     return [];
   }
 
-  const index = usageIndex || buildUsageIndex(repoMap);
+  const view = getUsageView(repoMap);
+  const index = usageIndex || buildUsageIndex(view, options);
   const unusedExports = [];
 
-  for (const [filePath, fileData] of Object.entries(repoMap.files)) {
+  for (const [filePath, fileData] of Object.entries(view.files)) {
     if (!fileData.symbols?.exports) continue;
 
     // Check if the file itself is used
@@ -206,7 +207,7 @@ function findUnusedExports(repoMap, usageIndex = null) {
           line: exp.line,
           kind: exp.kind || 'export',
           // Higher certainty if file itself isn't imported at all
-          certainty: fileIsImported ? 'LOW' : 'MEDIUM'
+          certainty: adjustCertainty(repoMap, fileIsImported ? 'LOW' : 'MEDIUM')
         });
       }
     }
@@ -233,14 +234,15 @@ function isEntryPoint(filePath) {
  * Uses repo map for AST-based detection (higher certainty than regex)
  * @param {Object} repoMap - The repo map
  * @param {Object} usageIndex - Result from buildUsageIndex (optional)
+ * @param {Object} [options] - Resolver options when building the index (see getResolver)
  * @returns {Array<Object>} Orphaned infrastructure: { file, name, line, kind, certainty }
  */
-function findOrphanedInfrastructure(repoMap, usageIndex = null) {
+function findOrphanedInfrastructure(repoMap, usageIndex = null, options = {}) {
   if (!repoMap || !repoMap.files) {
     return [];
   }
 
-  const index = usageIndex || buildUsageIndex(repoMap);
+  const index = usageIndex || buildUsageIndex(repoMap, options);
   const orphaned = [];
 
   // Infrastructure component suffixes
@@ -275,7 +277,7 @@ function findOrphanedInfrastructure(repoMap, usageIndex = null) {
             line: cls.line,
             kind: 'class',
             type: 'infrastructure',
-            certainty: 'HIGH' // AST-based detection
+            certainty: adjustCertainty(repoMap, 'HIGH') // AST-based detection
           });
         }
       }
@@ -311,7 +313,7 @@ function findOrphanedInfrastructure(repoMap, usageIndex = null) {
             line: fn.line,
             kind: 'function',
             type: 'factory',
-            certainty: 'HIGH'
+            certainty: adjustCertainty(repoMap, 'HIGH')
           });
         }
       }
@@ -324,22 +326,24 @@ function findOrphanedInfrastructure(repoMap, usageIndex = null) {
 /**
  * Get dependency graph for visualization or analysis
  * @param {Object} repoMap - The repo map
+ * @param {Object} [options] - Resolver options (see getResolver)
  * @returns {Object} Graph: { nodes: string[], edges: Array<{from, to}> }
  */
-function getDependencyGraph(repoMap) {
+function getDependencyGraph(repoMap, options = {}) {
   if (!repoMap || !repoMap.files) {
     return { nodes: [], edges: [] };
   }
 
-  const nodes = Object.keys(repoMap.files);
+  const view = getUsageView(repoMap);
+  const nodes = Object.keys(view.files);
   const edges = [];
+  const resolver = getResolver(view, options);
 
-  for (const [filePath, fileData] of Object.entries(repoMap.files)) {
+  for (const [filePath, fileData] of Object.entries(view.files)) {
     if (!fileData.imports) continue;
 
     for (const imp of fileData.imports) {
-      const resolved = resolveImportSource(filePath, imp.source, repoMap);
-      if (resolved) {
+      for (const resolved of resolver.resolve(filePath, imp.source)) {
         edges.push({ from: filePath, to: resolved });
       }
     }
@@ -351,10 +355,11 @@ function getDependencyGraph(repoMap) {
 /**
  * Find circular dependencies
  * @param {Object} repoMap - The repo map
+ * @param {Object} [options] - Resolver options (see getResolver)
  * @returns {Array<string[]>} List of cycles (each cycle is array of file paths)
  */
-function findCircularDependencies(repoMap) {
-  const graph = getDependencyGraph(repoMap);
+function findCircularDependencies(repoMap, options = {}) {
+  const graph = getDependencyGraph(repoMap, options);
   const cycles = [];
   const visited = new Set();
   const recursionStack = new Set();
@@ -1,50 +1,346 @@
 /**
  * Baseline comparison helpers
  *
+ * Compares baseline and current metrics. When per-run samples are available
+ * (runBenchmarkSeries().samples), each metric also gets summary statistics,
+ * a 95% confidence interval, a Mann-Whitney U significance test and a
+ * status label so run-to-run noise is not reported as a change. With too few
+ * runs for the test to reach alpha, the Welch interval of the delta decides
+ * and inconclusive metrics are labelled 'insufficient-samples'.
+ *
  * @module lib/perf/baseline-comparator
  */
 
+const { flattenMetrics } = require('./benchmark-runner');
+
+const DEFAULT_NOISE_THRESHOLD = 0.05;
+const DEFAULT_ALPHA = 0.05;
+const EXACT_TEST_MAX_SAMPLES = 20;
+
+// Two-sided 95% Student t critical values for df 1..30
+const T_CRITICAL_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+// Matched against whole snake_case segments of the metric name
+const HIGHER_IS_BETTER = /(^|_)(throughput|rps|qps|ops|requests_per|per_sec|per_second|hits|score|success|successes)(_|$)/;
+const LOWER_IS_BETTER = /(^|_)(errors?|err|drop|drops|dropped|fail|fails|failed|failures?)(_|$)/;
+
+function tCritical(df) {
+  if (!Number.isFinite(df) || df < 1) return NaN;
+  const index = Math.floor(df) - 1;
+  return index < T_CRITICAL_95.length ? T_CRITICAL_95[index] : 1.96;
+}
+
+/**
+ * Guess whether larger values of a metric are better from its name.
+ * Latency, duration, memory and error metrics default to lower-is-better.
+ * @param {string} name
+ * @returns {'higher'|'lower'}
+ */
+function inferDirection(name) {
+  const leaf = String(name || '').split('.').pop()
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[-\s]+/g, '_')
+    .toLowerCase();
+  if (LOWER_IS_BETTER.test(leaf)) return 'lower';
+  return HIGHER_IS_BETTER.test(leaf) ? 'higher' : 'lower';
+}
+
+/**
+ * Summary statistics with a 95% confidence interval for the mean.
+ * @param {number[]} values
+ * @returns {{ n: number, mean: number, median: number, stddev: number, min: number, max: number, ci: number[]|null }}
+ */
+function describeSamples(values) {
+  const n = values.length;
+  if (n === 0) {
+    return { n: 0, mean: null, median: null, stddev: null, min: null, max: null, ci: null };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  const mid = Math.floor(n / 2);
+  const median = n % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+  const variance = n > 1
+    ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1)
+    : 0;
+  const stddev = Math.sqrt(variance);
+  const ci = n > 1
+    ? [mean - tCritical(n - 1) * stddev / Math.sqrt(n), mean + tCritical(n - 1) * stddev / Math.sqrt(n)]
+    : null;
+  return { n, mean, median, stddev, min: sorted[0], max: sorted[n - 1], ci };
+}
+
+/**
+ * Assign average ranks (1-based) to the pooled samples.
+ * @returns {{ ranks: number[], tieGroups: number[] }}
+ */
+function rankPooled(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  const tieGroups = [];
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const rank = (i + j + 2) / 2;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = rank;
+    if (j > i) tieGroups.push(j - i + 1);
+    i = j + 1;
+  }
+  return { ranks, tieGroups };
+}
+
+/**
+ * Exact null distribution of U: counts[u] for u in 0..n1*n2.
+ */
+function exactUDistribution(n1, n2) {
+  // table[m][n] -> array of counts; built bottom-up
+  const table = [];
+  for (let m = 0; m <= n1; m++) {
+    table[m] = [];
+    for (let n = 0; n <= n2; n++) {
+      if (m === 0 || n === 0) {
+        table[m][n] = [1];
+        continue;
+      }
+      const counts = new Array(m * n + 1).fill(0);
+      const withLast = table[m - 1][n];
+      for (let u = 0; u < withLast.length; u++) counts[u + n] += withLast[u];
+      const withoutLast = table[m][n - 1];
+      for (let u = 0; u < withoutLast.length; u++) counts[u] += withoutLast[u];
+      table[m][n] = counts;
+    }
+  }
+  return table[n1][n2];
+}
+
+/**
+ * Smallest two-sided p-value the U test can produce for these sample sizes
+ * (complete separation): 2 / C(n1 + n2, n1).
+ * @param {number} n1
+ * @param {number} n2
+ * @returns {number}
+ */
+function minAchievablePValue(n1, n2) {
+  let combinations = 1;
+  for (let k = 1; k <= n1; k++) {
+    combinations = combinations * (n2 + k) / k;
+  }
+  return Math.min(1, 2 / combinations);
+}
+
+function normalCdf(z) {
+  // Abramowitz-Stegun 7.1.26 approximation of erf
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided Mann-Whitney U test.
+ * Uses the exact distribution for small tie-free samples and the normal
+ * approximation (tie and continuity corrected) otherwise.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {{ u: number, pValue: number|null, method: string|null }}
+ */
+function mannWhitneyU(a, b) {
+  const n1 = a.length;
+  const n2 = b.length;
+  if (n1 === 0 || n2 === 0) {
+    return { u: null, pValue: null, method: null };
+  }
+
+  const { ranks, tieGroups } = rankPooled([...a, ...b]);
+  const rankSumA = ranks.slice(0, n1).reduce((sum, rank) => sum + rank, 0);
+  const u1 = rankSumA - (n1 * (n1 + 1)) / 2;
+  const u = Math.min(u1, n1 * n2 - u1);
+
+  if (tieGroups.length === 0 && n1 <= EXACT_TEST_MAX_SAMPLES && n2 <= EXACT_TEST_MAX_SAMPLES) {
+    const counts = exactUDistribution(n1, n2);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    let tail = 0;
+    for (let k = 0; k <= Math.floor(u); k++) tail += counts[k];
+    return { u, pValue: Math.min(1, (2 * tail) / total), method: 'exact' };
+  }
+
+  const n = n1 + n2;
+  const tieTerm = tieGroups.reduce((sum, t) => sum + (t ** 3 - t), 0);
+  const variance = (n1 * n2 / 12) * ((n + 1) - tieTerm / (n * (n - 1)));
+  if (variance <= 0) {
+    return { u, pValue: 1, method: 'normal' };
+  }
+  const mean = (n1 * n2) / 2;
+  const z = (Math.abs(u - mean) - 0.5) / Math.sqrt(variance);
+  const pValue = Math.min(1, 2 * (1 - normalCdf(Math.max(0, z))));
+  return { u, pValue, method: 'normal' };
+}
+
+/**
+ * Welch 95% confidence interval for mean(current) - mean(baseline).
+ * @returns {number[]|null}
+ */
+function deltaConfidenceInterval(baseStats, currentStats) {
+  if (baseStats.n < 2 || currentStats.n < 2) return null;
+  const va = (baseStats.stddev ** 2) / baseStats.n;
+  const vb = (currentStats.stddev ** 2) / currentStats.n;
+  const se = Math.sqrt(va + vb);
+  const diff = currentStats.mean - baseStats.mean;
+  if (se === 0) return [diff, diff];
+  const df = ((va + vb) ** 2) / ((va ** 2) / (baseStats.n - 1) + (vb ** 2) / (currentStats.n - 1));
+  const t = tCritical(df);
+  return [diff - t * se, diff + t * se];
+}
+
+function collectSamples(source) {
+  const samples = Array.isArray(source?.samples) ? source.samples : [];
+  const byKey = {};
+  for (const sample of samples) {
+    let flat;
+    try {
+      flat = flattenMetrics(sample);
+    } catch {
+      continue;
+    }
+    for (const [key, value] of Object.entries(flat)) {
+      (byKey[key] = byKey[key] || []).push(value);
+    }
+  }
+  return byKey;
+}
+
+function flatOrEmpty(metrics) {
+  if (!metrics || typeof metrics !== 'object') return {};
+  try {
+    return flattenMetrics(metrics);
+  } catch {
+    return { ...metrics };
+  }
+}
+
+function ciExcludesZero(ci) {
+  return Array.isArray(ci) && (ci[0] > 0 || ci[1] < 0);
+}
+
+/**
+ * Label a metric change as improved/regressed/unchanged/insufficient-samples.
+ * A zero baseline has no relative change, so any non-zero delta counts as
+ * above the noise threshold.
+ */
+function classify({ delta, percent, pValue, underpowered, deltaCI, hasSamples, direction, noiseThreshold, alpha }) {
+  const magnitude = percent === null ? (delta === 0 ? 0 : Infinity) : Math.abs(percent);
+  if (magnitude < noiseThreshold) return 'unchanged';
+  if (hasSamples) {
+    if (underpowered) {
+      if (!ciExcludesZero(deltaCI)) return 'insufficient-samples';
+    } else if (!(pValue !== null && pValue < alpha)) {
+      return 'unchanged';
+    }
+  }
+  const better = direction === 'higher' ? delta > 0 : delta < 0;
+  return better ? 'improved' : 'regressed';
+}
+
 /**
  * Compute delta between baseline and current metrics.
- * Supports flat numeric values under baseline.metrics/current.metrics.
+ * Supports flat numeric values and scenario metrics (flattened to
+ * "scenarios.<name>.<metric>") under baseline.metrics/current.metrics.
+ * Per-run samples under baseline.samples/current.samples enable
+ * significance testing; without them only the noise threshold applies.
  *
  * @param {object} baseline
  * @param {object} current
+ * @param {object} [options]
+ * @param {number} [options.noiseThreshold=0.05] - Relative change treated as noise
+ * @param {number} [options.alpha=0.05] - Significance level
+ * @param {Object<string, 'higher'|'lower'>} [options.directions] - Which way is better per metric
  * @returns {object}
  */
-function compareBaselines(baseline, current) {
-  const baselineMetrics = baseline?.metrics || {};
-  const currentMetrics = current?.metrics || {};
+function compareBaselines(baseline, current, options = {}) {
+  const noiseThreshold = Number.isFinite(options.noiseThreshold) && options.noiseThreshold >= 0
+    ? options.noiseThreshold
+    : DEFAULT_NOISE_THRESHOLD;
+  const alpha = Number.isFinite(options.alpha) && options.alpha > 0 && options.alpha < 1
+    ? options.alpha
+    : DEFAULT_ALPHA;
+  const directions = options.directions || {};
+
+  const baselineMetrics = flatOrEmpty(baseline?.metrics);
+  const currentMetrics = flatOrEmpty(current?.metrics);
+  const baselineSamples = collectSamples(baseline);
+  const currentSamples = collectSamples(current);
   const keys = new Set([
     ...Object.keys(baselineMetrics),
     ...Object.keys(currentMetrics)
   ]);
 
   const deltas = {};
+  const summary = { improved: 0, regressed: 0, unchanged: 0 };
   for (const key of keys) {
     const baseValue = baselineMetrics[key];
     const currentValue = currentMetrics[key];
 
-    if (typeof baseValue === 'number' && typeof currentValue === 'number') {
-      const delta = currentValue - baseValue;
-      const percent = baseValue === 0 ? null : delta / baseValue;
-      deltas[key] = { baseline: baseValue, current: currentValue, delta, percent };
-    } else {
+    if (typeof baseValue !== 'number' || typeof currentValue !== 'number') {
       deltas[key] = {
         baseline: baseValue ?? null,
         current: currentValue ?? null,
         delta: null,
         percent: null
       };
+      continue;
+    }
+
+    const delta = currentValue - baseValue;
+    const percent = baseValue === 0 ? null : delta / baseValue;
+    const direction = directions[key] || inferDirection(key);
+    const baseRuns = baselineSamples[key] || [];
+    const currentRuns = currentSamples[key] || [];
+    const hasSamples = baseRuns.length > 1 && currentRuns.length > 1;
+
+    const entry = { baseline: baseValue, current: currentValue, delta, percent, direction };
+    let pValue = null;
+    let underpowered = false;
+    if (hasSamples) {
+      const baseStats = describeSamples(baseRuns);
+      const currentStats = describeSamples(currentRuns);
+      const test = mannWhitneyU(baseRuns, currentRuns);
+      const minPValue = minAchievablePValue(baseRuns.length, currentRuns.length);
+      pValue = test.pValue;
+      // Too few runs for the U test to ever reach alpha: the delta CI decides
+      underpowered = minPValue >= alpha;
+      entry.stats = { baseline: baseStats, current: currentStats };
+      entry.deltaCI = deltaConfidenceInterval(baseStats, currentStats);
+      entry.test = { name: 'mann-whitney-u', method: test.method, u: test.u, pValue, minPValue };
+    }
+    if (!hasSamples) {
+      entry.significant = null;
+    } else {
+      entry.significant = underpowered ? ciExcludesZero(entry.deltaCI) : pValue !== null && pValue < alpha;
     }
+    entry.status = classify({ delta, percent, pValue, underpowered, deltaCI: entry.deltaCI, hasSamples, direction, noiseThreshold, alpha });
+    summary[entry.status] = (summary[entry.status] || 0) + 1;
+    deltas[key] = entry;
   }
 
   return {
     comparedAt: new Date().toISOString(),
+    noiseThreshold,
+    alpha,
+    summary,
     metrics: deltas
   };
 }
 
 module.exports = {
-  compareBaselines
+  DEFAULT_NOISE_THRESHOLD,
+  DEFAULT_ALPHA,
+  compareBaselines,
+  describeSamples,
+  mannWhitneyU,
+  minAchievablePValue,
+  inferDirection
 };
@@ -4,19 +4,141 @@
  * @module lib/perf/profilers/go
  */
 
+const path = require('path');
+const {
+  toRepoRelative,
+  parseDurationMs,
+  rankHotspots,
+  aggregateByFile,
+  findFirstExisting,
+  renderProfile
+} = require('./hotspots');
+
+const DEFAULT_OUTPUT = 'cpu.pprof';
+const TOP_HEADER = /^\s*flat\s+flat%\s+sum%\s+cum\s+cum%\s*$/;
+
+/**
+ * Split a pprof -top name column into function and optional file:line.
+ * With -lines the column reads "main.fib /src/app/main.go:12 (inline)".
+ * @param {string} column
+ * @param {string} [repoPath]
+ * @returns {{ name: string, file: string|null, line: number|null }}
+ */
+function parseNameColumn(column, repoPath) {
+  const withLine = column.match(/^(\S+)\s+(.+):(\d+)(?:\s+\(inline\))?$/);
+  if (withLine) {
+    return {
+      name: withLine[1],
+      file: toRepoRelative(path.normalize(withLine[2]), repoPath),
+      line: parseInt(withLine[3], 10)
+    };
+  }
+  return { name: column.replace(/\s+\(inline\)$/, ''), file: null, line: null };
+}
+
+/**
+ * Parse `go tool pprof -top` (optionally `-lines`) text output.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.repoPath]
+ * @param {number} [options.limit]
+ * @returns {{ hotspots: object[], files: object[], totalMs: number }}
+ */
+function parsePprofTop(text, options = {}) {
+  const lines = String(text || '').split(/\r?\n/);
+  const headerIndex = lines.findIndex((line) => TOP_HEADER.test(line));
+  if (headerIndex === -1) {
+    throw new Error('No pprof -top table found');
+  }
+
+  let totalMs = 0;
+  for (const line of lines.slice(0, headerIndex)) {
+    const showing = line.match(/of\s+(\S+)\s+total/);
+    if (showing) {
+      totalMs = parseDurationMs(showing[1]) || totalMs;
+      continue;
+    }
+    const samples = line.match(/Total samples\s*=\s*(\S+)/);
+    if (samples && totalMs === 0) {
+      totalMs = parseDurationMs(samples[1]) || 0;
+    }
+  }
+
+  const entries = [];
+  for (const line of lines.slice(headerIndex + 1)) {
+    const match = line.trim().match(/^(\S+)\s+[\d.]+%\s+[\d.]+%\s+(\S+)\s+[\d.]+%\s+(.+)$/);
+    if (!match) continue;
+    const selfMs = parseDurationMs(match[1]);
+    const cumMs = parseDurationMs(match[2]);
+    if (!Number.isFinite(selfMs) || !Number.isFinite(cumMs)) continue;
+    entries.push({
+      ...parseNameColumn(match[3].trim(), options.repoPath),
+      selfMs,
+      totalMs: cumMs
+    });
+  }
+
+  return {
+    hotspots: rankHotspots(entries, { totalMs, limit: options.limit }),
+    files: aggregateByFile(entries, { totalMs, limit: options.limit }),
+    totalMs: Math.round(totalMs * 100) / 100
+  };
+}
+
 module.exports = {
   id: 'pprof',
   tool: 'pprof',
   buildCommand(options = {}) {
     const command = options.command || 'go test';
-    const output = options.output || 'cpu.pprof';
+    const output = options.output || DEFAULT_OUTPUT;
     return `${command} -cpuprofile=${output}`;
   },
-  parseOutput() {
-    return {
+  /**
+   * Parse pprof output: `-top` text from stdout, or the CPU profile rendered
+   * through `go tool pprof -top -lines`.
+   * @param {object} [context]
+   * @param {string} [context.repoPath]
+   * @param {string} [context.output]
+   * @param {number} [context.startedAt] - Epoch ms when the run began
+   * @param {string} [context.stdout]
+   * @param {number} [context.limit]
+   * @returns {{ tool: string, hotspots: object[], files: object[], artifacts: string[], totalMs?: number, warnings: string[] }}
+   */
+  parseOutput(context = {}) {
+    const repoPath = context.repoPath || process.cwd();
+    const output = context.output || DEFAULT_OUTPUT;
+    const profilePath = findFirstExisting(repoPath, [output], context.startedAt);
+    const result = {
       tool: 'pprof',
       hotspots: [],
-      artifacts: []
+      files: [],
+      artifacts: profilePath ? [toRepoRelative(profilePath, repoPath)] : [],
+      warnings: []
     };
-  }
+
+    let text = null;
+    if (context.stdout && context.stdout.split(/\r?\n/).some((line) => TOP_HEADER.test(line))) {
+      text = context.stdout;
+    } else if (profilePath) {
+      const rendered = renderProfile('go', ['tool', 'pprof', '-top', '-lines', profilePath], { cwd: repoPath });
+      if (rendered.ok) {
+        text = rendered.stdout;
+      } else {
+        result.warnings.push(`Failed to render ${output} with go tool pprof: ${rendered.error}`);
+      }
+    } else {
+      result.warnings.push('No pprof profile found after profiling run');
+    }
+
+    if (!text) return result;
+
+    try {
+      const parsed = parsePprofTop(text, { repoPath, limit: context.limit });
+      return { ...result, hotspots: parsed.hotspots, files: parsed.files, totalMs: parsed.totalMs };
+    } catch (error) {
+      result.warnings.push(`Failed to parse pprof output: ${error.message}`);
+      return result;
+    }
+  },
+  parsePprofTop
 };
@@ -10,6 +10,7 @@ const fs = require('fs');
 const path = require('path');
 const { getStateDirPath } = require('../platform/state-dir');
 const { writeJsonAtomic, writeFileAtomic } = require('../utils/atomic-write');
+const shardStore = require('./shard-store');
 
 const MAP_FILENAME = 'repo-map.json';
 const STALE_FILENAME = 'repo-map.stale';
@@ -47,10 +48,14 @@ function ensureStateDir(basePath) {
 
 /**
  * Load repo-map from cache
+ * Sharded maps load their shards lazily, on first access to a file.
  * @param {string} basePath - Repository root
  * @returns {Object|null}
  */
 function load(basePath) {
+  const sharded = shardStore.openMap(basePath);
+  if (sharded) return sharded;
+
   const mapPath = getMapPath(basePath);
   if (!fs.existsSync(mapPath)) return null;
 
@@ -62,33 +67,64 @@ function load(basePath) {
   }
 }
 
+/**
+ * Pick the storage format for a save
+ * @param {string} basePath - Repository root
+ * @param {Object} map - Map object
+ * @param {string} [requested] - 'single' | 'sharded'
+ * @returns {string} 'single' | 'sharded'
+ */
+function resolveStorage(basePath, map, requested) {
+  if (requested === 'single' || requested === shardStore.STORAGE_FORMAT) return requested;
+  if (shardStore.getStore(map) || shardStore.exists(basePath)) return shardStore.STORAGE_FORMAT;
+  return Object.keys(map.files || {}).length >= shardStore.SHARD_THRESHOLD ? shardStore.STORAGE_FORMAT : 'single';
+}
+
 /**
  * Save repo-map to cache
  * @param {string} basePath - Repository root
  * @param {Object} map - Map object
+ * @param {Object} [options]
+ * @param {string} [options.storage] - 'single' | 'sharded' (default: keep the current
+ *   format; new maps with SHARD_THRESHOLD or more files are sharded)
  */
-function save(basePath, map) {
+function save(basePath, map, options = {}) {
   ensureStateDir(basePath);
   const mapPath = getMapPath(basePath);
 
-  const output = {
-    ...map,
-    updated: new Date().toISOString()
-  };
-
-  writeJsonAtomic(mapPath, output);
+  if (resolveStorage(basePath, map, options.storage) === shardStore.STORAGE_FORMAT) {
+    shardStore.saveMap(basePath, map);
+    if (fs.existsSync(mapPath)) fs.unlinkSync(mapPath);
+  } else {
+    const output = {
+      ...map,
+      updated: new Date().toISOString()
+    };
+
+    writeJsonAtomic(mapPath, output);
+    shardStore.removeStorage(basePath);
+  }
 
   // Clear stale marker if present
   clearStale(basePath);
 }
 
+/**
+ * Get the storage format of a loaded map
+ * @param {Object} map - Map object
+ * @returns {string} 'single' | 'sharded'
+ */
+function getStorage(map) {
+  return shardStore.getStore(map) ? shardStore.STORAGE_FORMAT : 'single';
+}
+
 /**
  * Check if repo-map exists
  * @param {string} basePath - Repository root
  * @returns {boolean}
  */
 function exists(basePath) {
-  return fs.existsSync(getMapPath(basePath));
+  return fs.existsSync(getMapPath(basePath)) || shardStore.exists(basePath);
 }
 
 /**
@@ -134,9 +170,10 @@ function getStatus(basePath) {
     updated: map.updated,
     commit: map.git?.commit,
     branch: map.git?.branch,
-    files: Object.keys(map.files || {}).length,
+    files: map.stats?.totalFiles ?? Object.keys(map.files || {}).length,
     symbols: map.stats?.totalSymbols || 0,
-    languages: map.project?.languages || []
+    languages: map.project?.languages || [],
+    storage: getStorage(map)
   };
 }
 
@@ -146,6 +183,7 @@ module.exports = {
   exists,
   getStatus,
   getMapPath,
+  getStorage,
   markStale,
   clearStale,
   isMarkedStale
@@ -0,0 +1,332 @@
+/**
+ * Repo Map Call Graph
+ *
+ * Attributes call sites found by ast-grep to their enclosing function and
+ * builds a caller/callee reference index over the repo map:
+ * - collectCalls: per-file call edges from raw ast-grep matches (used by the runner)
+ * - buildCallGraph: cross-file index with callee resolution through imports
+ * - findCallers / findCallees: lookups for tracing execution paths
+ *
+ * @module lib/repo-map/call-graph
+ */
+
+'use strict';
+
+const { createImportResolver } = require('./import-resolver');
+
+// Caller name for calls outside any function (module top level)
+const MODULE_SCOPE = '<module>';
+
+// Call-like syntax that is not a call to a user symbol
+const IGNORED_CALLEES = new Set([
+  'if', 'for', 'while', 'switch', 'catch', 'return', 'typeof', 'function', 'super', 'import', 'require'
+]);
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// Receivers that refer to the calling method's own class
+const SELF_RECEIVERS = new Set(['this', 'self', 'Self', '$this']);
+
+function getMetaVariable(match, key) {
+  if (!match || !match.metaVariables || !key) return null;
+  return match.metaVariables.single?.[key] || match.metaVariables[key] || null;
+}
+
+function getPosition(point) {
+  return point ? [point.line, point.column || 0] : null;
+}
+
+function comparePositions(a, b) {
+  return a[0] - b[0] || a[1] - b[1];
+}
+
+/**
+ * Convert an ast-grep match to a definition span
+ * @param {Object} match - ast-grep match
+ * @param {Object} patternDef - Pattern definition (nameVar)
+ * @returns {{name: string, start: number[], end: number[], text: string}|null}
+ */
+function toSpan(match, patternDef = {}) {
+  const name = getMetaVariable(match, patternDef.nameVar || 'NAME')?.text;
+  const start = getPosition(match?.range?.start);
+  const end = getPosition(match?.range?.end);
+  if (!name || !start || !end) return null;
+  return { name, start, end, text: match.text || '' };
+}
+
+function contains(span, position) {
+  return comparePositions(span.start, position) <= 0 && comparePositions(position, span.end) <= 0;
+}
+
+function spanSize(span) {
+  return (span.end[0] - span.start[0]) * 100000 + (span.end[1] - span.start[1]);
+}
+
+/**
+ * Innermost span containing a position
+ */
+function findEnclosing(spans, position) {
+  let best = null;
+  for (const span of spans) {
+    if (!contains(span, position)) continue;
+    if (!best || spanSize(span) < spanSize(best)) best = span;
+  }
+  return best;
+}
+
+/**
+ * Split a callee expression into name and receiver
+ * ('this.db.query' -> { callee: 'query', receiver: 'this.db' }, 'Vec::new' -> { callee: 'new', receiver: 'Vec' })
+ * @param {string} text - Callee expression text
+ * @returns {{callee: string, receiver: string|null}|null}
+ */
+function parseCallee(text) {
+  const expression = String(text || '').trim().replace(/!$/, '');
+  const match = expression.match(/^(.*?)(?:\?\.|\.|::|->)\s*([A-Za-z_$][\w$]*)$/s);
+  const callee = match ? match[2] : expression;
+  if (!IDENTIFIER.test(callee) || IGNORED_CALLEES.has(callee)) return null;
+  const receiver = match ? match[1].trim() : null;
+  return { callee, receiver: receiver || null };
+}
+
+/**
+ * Qualify a definition with its enclosing class/type (Go methods use the receiver type)
+ */
+function qualifyDefinition(def, classSpans) {
+  const goReceiver = def.text.match(/^func\s*\(\s*(?:\w+\s+)?\*?\s*([A-Za-z_]\w*)/);
+  if (goReceiver) return `${goReceiver[1]}.${def.name}`;
+  const owner = findEnclosing(classSpans, def.start);
+  return owner ? `${owner.name}.${def.name}` : def.name;
+}
+
+/**
+ * Build call edges for one file from ast-grep matches
+ *
+ * @param {Object} matches
+ * @param {Array<{match: Object, patternDef: Object}>} matches.definitions - Function/method matches
+ * @param {Array<{match: Object, patternDef: Object}>} [matches.classes] - Class matches (to qualify methods)
+ * @param {Array<{match: Object, patternDef: Object}>} matches.calls - Call site matches
+ * @returns {Array<{caller: string, callee: string, line: number, receiver?: string}>} Sorted by line
+ */
+function collectCalls({ definitions = [], classes = [], calls = [] }) {
+  const classSpans = classes.map(({ match, patternDef }) => toSpan(match, patternDef)).filter(Boolean);
+  const defSpans = [];
+  const seenSpans = new Set();
+  for (const { match, patternDef } of definitions) {
+    const span = toSpan(match, patternDef);
+    if (!span) continue;
+    // Several patterns can match the same definition
+    const key = `${span.name}:${span.start.join(':')}`;
+    if (seenSpans.has(key)) continue;
+    seenSpans.add(key);
+    span.qualified = qualifyDefinition(span, classSpans);
+    defSpans.push(span);
+  }
+
+  const edges = [];
+  const seen = new Set();
+  for (const { match, patternDef = {} } of calls) {
+    const start = getPosition(match?.range?.start);
+    const calleeText = getMetaVariable(match, patternDef.calleeVar || 'CALLEE')?.text;
+    if (!start || !calleeText) continue;
+
+    const receiverText = patternDef.receiverVar ? getMetaVariable(match, patternDef.receiverVar)?.text : null;
+    const parsed = parseCallee(receiverText ? `${receiverText}.${calleeText}` : calleeText);
+    if (!parsed) continue;
+
+    const enclosing = findEnclosing(defSpans, start);
+    const caller = enclosing ? enclosing.qualified : MODULE_SCOPE;
+    const line = start[0] + 1;
+
+    const key = `${caller}\0${parsed.receiver || ''}\0${parsed.callee}\0${line}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const edge = { caller, callee: parsed.callee, line };
+    if (parsed.receiver) edge.receiver = parsed.receiver;
+    edges.push(edge);
+  }
+
+  return edges.sort((a, b) => a.line - b.line || a.callee.localeCompare(b.callee));
+}
+
+/**
+ * Last segment of a possibly qualified name ('Store.get' -> 'get')
+ * @param {string} name
+ * @returns {string}
+ */
+function bareName(name) {
+  const parts = String(name).split('.');
+  return parts[parts.length - 1];
+}
+
+/**
+ * Owner of a qualified name ('Store.get' -> 'Store', 'get' -> null)
+ * @param {string} name
+ * @returns {string|null}
+ */
+function ownerName(name) {
+  const index = String(name).lastIndexOf('.');
+  return index > 0 ? String(name).slice(0, index) : null;
+}
+
+/**
+ * Build the cross-file call graph from per-file `calls`
+ *
+ * Callees resolve to the calling file when defined there, else to imported
+ * files that define them, else to every file defining that name.
+ *
+ * @param {Object} repoMap - The repo map (built with call-site extraction)
+ * @param {Object} [options]
+ * @param {string} [options.basePath] - Repository root, for import resolution configs
+ * @param {Object} [options.resolver] - Resolver from createImportResolver
+ * @returns {{edges: Array, byCallee: Map<string, Array>, byCaller: Map<string, Array>, owners: Map<string, Set<string>>}}
+ *   owners maps class/type names to the files defining them or their methods
+ */
+function buildCallGraph(repoMap, options = {}) {
+  const edges = [];
+  const byCallee = new Map();
+  const byCaller = new Map();
+  const owners = new Map();
+  if (!repoMap || !repoMap.files) {
+    return { edges, byCallee, byCaller, owners };
+  }
+
+  const resolver = options.resolver || createImportResolver(repoMap, { basePath: options.basePath });
+
+  // name -> files defining it (functions, classes, and methods seen as callers)
+  const definedIn = new Map();
+  const addDefinition = (name, file) => {
+    if (!name || name === MODULE_SCOPE) return;
+    const bare = bareName(name);
+    if (!definedIn.has(bare)) definedIn.set(bare, new Set());
+    definedIn.get(bare).add(file);
+  };
+  const addOwner = (owner, file) => {
+    if (!owner) return;
+    if (!owners.has(owner)) owners.set(owner, new Set());
+    owners.get(owner).add(file);
+  };
+  for (const [file, fileData] of Object.entries(repoMap.files)) {
+    for (const fn of fileData.symbols?.functions || []) addDefinition(fn.name, file);
+    for (const cls of fileData.symbols?.classes || []) {
+      addDefinition(cls.name, file);
+      addOwner(cls.name, file);
+    }
+    for (const call of fileData.calls || []) {
+      addDefinition(call.caller, file);
+      addOwner(ownerName(call.caller), file);
+    }
+  }
+
+  for (const [file, fileData] of Object.entries(repoMap.files)) {
+    if (!Array.isArray(fileData.calls) || fileData.calls.length === 0) continue;
+
+    let importedFiles = null;
+    for (const call of fileData.calls) {
+      const candidates = definedIn.get(call.callee);
+      let targets = [];
+      let resolution = 'unresolved';
+      if (candidates && candidates.has(file)) {
+        targets = [file];
+        resolution = 'local';
+      } else if (candidates) {
+        if (!importedFiles) {
+          importedFiles = new Set((fileData.imports || []).flatMap(imp => resolver.resolve(file, imp.source)));
+        }
+        targets = [...candidates].filter(candidate => importedFiles.has(candidate));
+        resolution = 'import';
+        if (targets.length === 0) {
+          targets = [...candidates].sort();
+          resolution = 'name';
+        }
+      }
+
+      const edge = { file, caller: call.caller, callee: call.callee, line: call.line, targets, resolution };
+      if (call.receiver) edge.receiver = call.receiver;
+      edges.push(edge);
+
+      if (!byCallee.has(call.callee)) byCallee.set(call.callee, []);
+      byCallee.get(call.callee).push(edge);
+      const callerKey = bareName(call.caller);
+      if (!byCaller.has(callerKey)) byCaller.set(callerKey, []);
+      byCaller.get(callerKey).push(edge);
+    }
+  }
+
+  return { edges, byCallee, byCaller, owners };
+}
+
+/**
+ * Whether a call edge can reach a method of `owner`
+ * Static (`Store.save()`) and self (`this.save()` in a Store method) receivers
+ * decide it; other calls must resolve to a file defining the owner.
+ * @param {Object} edge - Call edge
+ * @param {string} owner - Class/type name
+ * @param {Map<string, Set<string>>} owners - From buildCallGraph
+ * @returns {boolean}
+ */
+function callsOwner(edge, owner, owners) {
+  if (edge.receiver === owner) return true;
+  if (SELF_RECEIVERS.has(edge.receiver)) return ownerName(edge.caller) === owner;
+  if (owners.has(edge.receiver)) return false;
+  const ownerFiles = owners.get(owner);
+  return Boolean(ownerFiles) && edge.targets.some(file => ownerFiles.has(file));
+}
+
+/**
+ * Find call sites that call a symbol
+ * @param {Object} callGraph - Result from buildCallGraph
+ * @param {string} symbol - Function name ('save', or 'Store.save' for calls to Store's method only)
+ * @param {Object} [options]
+ * @param {string} [options.file] - Only calls that resolve to this defining file
+ * @returns {Array<{file: string, caller: string, line: number, receiver?: string, resolution: string}>}
+ */
+function findCallers(callGraph, symbol, options = {}) {
+  const edges = callGraph?.byCallee?.get(bareName(symbol)) || [];
+  const owner = ownerName(symbol);
+  const owners = callGraph?.owners || new Map();
+  return edges
+    .filter(edge => !owner || callsOwner(edge, owner, owners))
+    .filter(edge => !options.file || edge.targets.includes(options.file))
+    .map(edge => {
+      const caller = { file: edge.file, caller: edge.caller, line: edge.line, resolution: edge.resolution };
+      if (edge.receiver) caller.receiver = edge.receiver;
+      return caller;
+    });
+}
+
+/**
+ * Find the calls made by a function
+ * @param {Object} callGraph - Result from buildCallGraph
+ * @param {string} symbol - Caller name ('handle', 'Server.handle' or '<module>')
+ * @param {Object} [options]
+ * @param {string} [options.file] - Only the definition in this file
+ * @returns {Array<{callee: string, line: number, file: string, targets: string[], receiver?: string, resolution: string}>}
+ */
+function findCallees(callGraph, symbol, options = {}) {
+  const qualified = symbol.includes('.');
+  const edges = callGraph?.byCaller?.get(bareName(symbol)) || [];
+  return edges
+    .filter(edge => (!qualified || edge.caller === symbol) && (!options.file || edge.file === options.file))
+    .map(edge => {
+      const callee = {
+        callee: edge.callee,
+        line: edge.line,
+        file: edge.file,
+        targets: edge.targets,
+        resolution: edge.resolution
+      };
+      if (edge.receiver) callee.receiver = edge.receiver;
+      return callee;
+    });
+}
+
+module.exports = {
+  MODULE_SCOPE,
+  collectCalls,
+  parseCallee,
+  buildCallGraph,
+  findCallers,
+  findCallees
+};
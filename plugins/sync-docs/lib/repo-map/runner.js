@@ -8,6 +8,7 @@
 
 const { execFileSync, spawnSync, spawn } = require('child_process');
 const path = require('path');
+const os = require('os');
 const fs = require('fs');
 const fsPromises = require('fs').promises;
 const crypto = require('crypto');
@@ -15,6 +16,8 @@ const crypto = require('crypto');
 const installer = require('./installer');
 const queries = require('./queries');
 const slopAnalyzers = require('../patterns/slop-analyzers');
+const { collectCalls } = require('./call-graph');
+const signatures = require('./signatures');
 const { runWithConcurrency } = require('./concurrency');
 
 // Language file extensions mapping
@@ -24,7 +27,14 @@ const LANGUAGE_EXTENSIONS = {
   python: ['.py', '.pyw'],
   rust: ['.rs'],
   go: ['.go'],
-  java: ['.java']
+  java: ['.java'],
+  c: ['.c'],
+  // .h is parsed as C++ (a superset of most C headers)
+  cpp: ['.cpp', '.cc', '.cxx', '.c++', '.hpp', '.hh', '.hxx', '.h'],
+  csharp: ['.cs'],
+  ruby: ['.rb'],
+  php: ['.php'],
+  kotlin: ['.kt', '.kts']
 };
 
 // Directories to exclude from scanning (extend base list)
@@ -38,6 +48,13 @@ const AST_GREP_CONCURRENCY = 4;
 const LANGUAGE_EXTENSION_SCAN_LIMIT = 500;
 const FILE_READ_BATCH_SIZE = 50; // Concurrent file reads
 
+// Extensions ast-grep must map to a language other than its default: it picks a
+// file's language from the extension even with `--lang`, so these are passed as
+// languageGlobs in a generated config (see languageConfigArgs)
+const LANGUAGE_GLOBS = {
+  cpp: ['*.h']
+};
+
 /**
  * Detect languages in a repository
  * @param {string} basePath - Repository root
@@ -53,7 +70,9 @@ async function detectLanguages(basePath) {
     python: ['pyproject.toml', 'setup.py', 'requirements.txt', 'Pipfile'],
     rust: ['Cargo.toml'],
     go: ['go.mod', 'go.sum'],
-    java: ['pom.xml', 'build.gradle', 'build.gradle.kts']
+    java: ['pom.xml', 'build.gradle', 'build.gradle.kts'],
+    ruby: ['Gemfile'],
+    php: ['composer.json']
   };
 
   for (const [lang, files] of Object.entries(configIndicators)) {
@@ -126,6 +145,9 @@ function scanForExtensions(basePath, maxFiles = 100) {
  * Run a full scan of the repository
  * @param {string} basePath - Repository root
  * @param {string[]} languages - Languages to scan
+ * @param {Object} [options]
+ * @param {number} [options.fileLimit] - Maximum files to scan
+ * @param {boolean} [options.calls=false] - Also record caller->callee edges per file
  * @returns {Promise<Object>} - The generated map
  */
 async function fullScan(basePath, languages, options = {}) {
@@ -158,6 +180,11 @@ async function fullScan(basePath, languages, options = {}) {
     dependencies: {}
   };
 
+  if (options.calls) {
+    map.features = { calls: true };
+    map.stats.totalCalls = 0;
+  }
+
   // Run queries for each language
   for (const lang of languages) {
     const langQueries = queries.getQueriesForLanguage(lang);
@@ -170,6 +197,8 @@ async function fullScan(basePath, languages, options = {}) {
     const symbolMapsByFile = new Map();
     const importStateByFile = new Map();
     const contentByFile = new Map();
+    // Raw matches for the call-site pass, keyed by relative path
+    const callMatchesByFile = new Map();
 
     // Filter out already processed files first
     const filesToProcess = files.filter(file => {
@@ -214,6 +243,9 @@ async function fullScan(basePath, languages, options = {}) {
       symbolMapsByFile.set(relativePath, createSymbolMaps());
       importStateByFile.set(relativePath, { items: [], seen: new Set() });
       contentByFile.set(relativePath, content);
+      if (options.calls) {
+        callMatchesByFile.set(relativePath, { definitions: [], classes: [], calls: [] });
+      }
     }
 
     if (fileEntries.length === 0) continue;
@@ -247,18 +279,18 @@ async function fullScan(basePath, languages, options = {}) {
         { category: 'constants', patterns: langQueries.constants, defaultKind: 'constant' },
         { category: 'imports', patterns: langQueries.imports, defaultKind: 'import' }
       ];
+      const astGrepOptions = {
+        onError: (error) => map.stats.errors.push(error),
+        concurrency: options.astGrepConcurrency
+      };
 
       for (const group of patternGroups) {
         if (!group.patterns || group.patterns.length === 0) continue;
 
         for (const patternDef of group.patterns) {
-          const pattern = typeof patternDef === 'string' ? patternDef : patternDef.pattern;
-          if (!pattern) continue;
+          if (!astGrepArgs(patternDef, sgLang)) continue;
 
-          const matchesByChunk = await runAstGrepPatternBatches(cmd, pattern, sgLang, basePath, chunks, {
-            onError: (error) => map.stats.errors.push(error),
-            concurrency: options.astGrepConcurrency
-          });
+          const matchesByChunk = await runAstGrepPatternBatches(cmd, patternDef, sgLang, basePath, chunks, astGrepOptions);
 
           for (const matches of matchesByChunk) {
             for (const match of matches) {
@@ -292,7 +324,26 @@ async function fullScan(basePath, languages, options = {}) {
               if (!targetMap) continue;
               for (const name of names) {
                 const kind = patternDef.kind || group.defaultKind;
-                addSymbolToMap(targetMap, name, match, kind, patternDef.extra);
+                addSymbolToMap(targetMap, name, match, kind, patternDef.extra, describeSymbol(lang, group.category));
+              }
+
+              const callMatches = callMatchesByFile.get(matchedPath);
+              if (callMatches && (group.category === 'functions' || group.category === 'classes')) {
+                callMatches[group.category === 'functions' ? 'definitions' : 'classes'].push({ match, patternDef });
+              }
+            }
+          }
+        }
+      }
+
+      if (options.calls) {
+        for (const group of getCallPatternGroups(langQueries)) {
+          for (const patternDef of group.patterns) {
+            const matchesByChunk = await runAstGrepPatternBatches(cmd, patternDef, sgLang, basePath, chunks, astGrepOptions);
+            for (const matches of matchesByChunk) {
+              for (const match of matches) {
+                const callMatches = callMatchesByFile.get(normalizeMatchPath(match.file, basePath));
+                if (callMatches) callMatches[group.target].push({ match, patternDef });
               }
             }
           }
@@ -306,18 +357,7 @@ async function fullScan(basePath, languages, options = {}) {
       const importState = importStateByFile.get(relativePath);
       if (!symbolMaps || !importState) continue;
 
-      const exportNames = new Set(symbolMaps.exports.keys());
-      const content = contentByFile.get(relativePath) || '';
-      applyLanguageExportRules(lang, content, exportNames, symbolMaps.functions, symbolMaps.classes, symbolMaps.types, symbolMaps.constants);
-      ensureExportEntries(symbolMaps.exports, exportNames, symbolMaps.functions, symbolMaps.classes, symbolMaps.types, symbolMaps.constants);
-
-      const symbols = {
-        exports: mapToSortedArray(symbolMaps.exports),
-        functions: mapToSortedArray(symbolMaps.functions, exportNames),
-        classes: mapToSortedArray(symbolMaps.classes, exportNames),
-        types: mapToSortedArray(symbolMaps.types, exportNames),
-        constants: mapToSortedArray(symbolMaps.constants, exportNames)
-      };
+      const symbols = finalizeSymbols(lang, contentByFile.get(relativePath) || '', symbolMaps);
 
       map.files[relativePath].symbols = symbols;
       map.files[relativePath].imports = importState.items;
@@ -326,6 +366,12 @@ async function fullScan(basePath, languages, options = {}) {
         map.dependencies[relativePath] = Array.from(new Set(importState.items.map(imp => imp.source)));
       }
 
+      const callMatches = callMatchesByFile.get(relativePath);
+      if (callMatches) {
+        map.files[relativePath].calls = collectCalls(callMatches);
+        map.stats.totalCalls += map.files[relativePath].calls.length;
+      }
+
       map.stats.totalSymbols +=
         (symbols.functions?.length || 0) +
         (symbols.classes?.length || 0) +
@@ -452,6 +498,36 @@ function collectFilesByLanguage(basePath, languages, options = {}) {
   return filesByLanguage;
 }
 
+/**
+ * Apply export rules and convert symbol maps to sorted arrays
+ * @param {string} language - Language name
+ * @param {string} content - File content
+ * @param {Object} symbolMaps - Maps from createSymbolMaps
+ * @returns {Object} - Symbols ({exports, functions, classes, types, constants})
+ */
+function finalizeSymbols(language, content, symbolMaps) {
+  const { exports: exportMap, functions, classes, types, constants } = symbolMaps;
+
+  // Infer exports for languages with implicit public rules
+  const exportNames = new Set(exportMap.keys());
+  applyLanguageExportRules(language, content, exportNames, functions, classes, types, constants);
+
+  // Ensure export entries exist for inferred exports
+  ensureExportEntries(exportMap, exportNames, functions, classes, types, constants);
+
+  // Leading doc comments for declarations
+  signatures.attachDocComments(language, content, [functions, classes, types, constants]);
+
+  // Convert maps to arrays and mark exported flags
+  return {
+    exports: mapToSortedArray(exportMap),
+    functions: mapToSortedArray(functions, exportNames),
+    classes: mapToSortedArray(classes, exportNames),
+    types: mapToSortedArray(types, exportNames),
+    constants: mapToSortedArray(constants, exportNames)
+  };
+}
+
 function createSymbolMaps() {
   return {
     exports: new Map(),
@@ -501,7 +577,10 @@ function chunkArray(items, size) {
   return chunks;
 }
 
-function truncatePattern(pattern, max = 120) {
+function truncatePattern(patternDef, max = 120) {
+  const pattern = typeof patternDef === 'string'
+    ? patternDef
+    : patternDef?.rule ? JSON.stringify(patternDef.rule) : patternDef?.pattern;
   if (typeof pattern !== 'string') return '';
   if (pattern.length <= max) return pattern;
   return `${pattern.slice(0, max - 3)}...`;
@@ -523,19 +602,83 @@ function buildAstGrepError({ reason, pattern, lang, filePaths, basePath, stderr
   };
 }
 
+/**
+ * ast-grep args for a query entry
+ * Patterns run through `ast-grep run` (with `selector` to extract a sub-node of
+ * a context pattern, e.g. a class method); entries with a `rule` (an ast-grep
+ * rule object, for constructs no snippet parses to) run through
+ * `ast-grep scan --inline-rules`
+ * @param {string|Object} patternDef - Pattern string or query entry
+ * @param {string} lang - ast-grep language identifier
+ * @returns {string[]|null} null when the entry has nothing to run
+ */
+function astGrepArgs(patternDef, lang) {
+  const def = typeof patternDef === 'string' ? { pattern: patternDef } : (patternDef || {});
+  if (def.rule) {
+    return [
+      'scan',
+      '--inline-rules', JSON.stringify({ id: 'repo-map', language: lang, rule: def.rule }),
+      ...languageConfigArgs(lang),
+      '--json=stream'
+    ];
+  }
+  if (!def.pattern) return null;
+  return [
+    'run',
+    '--pattern', def.pattern,
+    ...(def.selector ? ['--selector', def.selector] : []),
+    '--lang', lang,
+    ...languageConfigArgs(lang),
+    '--json=stream'
+  ];
+}
+
+/**
+ * Config args mapping LANGUAGE_GLOBS extensions to `lang`
+ * Written once per language to the temp dir
+ * @param {string} lang - ast-grep language identifier
+ * @returns {string[]}
+ */
+function languageConfigArgs(lang) {
+  const globs = LANGUAGE_GLOBS[lang];
+  if (!globs) return [];
+  const configPath = path.join(os.tmpdir(), `repo-map-sg-${lang}`, 'sgconfig.yml');
+  const config = `ruleDirs: []\nlanguageGlobs:\n  ${lang}: ${JSON.stringify(globs)}\n`;
+  try {
+    if (!fs.existsSync(configPath) || fs.readFileSync(configPath, 'utf8') !== config) {
+      fs.mkdirSync(path.dirname(configPath), { recursive: true });
+      fs.writeFileSync(configPath, config);
+    }
+  } catch {
+    return [];
+  }
+  return ['--config', configPath];
+}
+
+/**
+ * Pattern groups for the call-site pass
+ * Definitions and owners extend the functions/classes groups already scanned
+ * @param {Object} langQueries - Query patterns for a language
+ * @returns {Array<{target: string, patterns: Array}>}
+ */
+function getCallPatternGroups(langQueries) {
+  const callGraph = langQueries.callGraph;
+  if (!callGraph || !callGraph.calls || callGraph.calls.length === 0) return [];
+  return [
+    { target: 'definitions', patterns: callGraph.definitions || [] },
+    { target: 'classes', patterns: callGraph.owners || [] },
+    { target: 'calls', patterns: callGraph.calls }
+  ];
+}
+
 function runAstGrepPatternAsync(cmd, pattern, lang, basePath, filePaths, options = {}) {
-  if (!pattern || !filePaths || filePaths.length === 0) {
+  const args = astGrepArgs(pattern, lang);
+  if (!args || !filePaths || filePaths.length === 0) {
     return Promise.resolve([]);
   }
 
   return new Promise((resolve) => {
-    const child = spawn(cmd, [
-      'run',
-      '--pattern', pattern,
-      '--lang', lang,
-      '--json=stream',
-      ...filePaths
-    ], {
+    const child = spawn(cmd, [...args, ...filePaths], {
       cwd: basePath,
       windowsHide: true,
       stdio: ['ignore', 'pipe', 'pipe']
@@ -628,29 +771,45 @@ function normalizeMatchPath(matchFile, basePath) {
   return path.relative(basePath, absolutePath).replace(/\\/g, '/');
 }
 
-function addSymbolToMap(map, name, match, kind, extra = {}) {
+function addSymbolToMap(map, name, match, kind, extra = {}, describe = null) {
   if (!name) return;
   if (!map.has(name)) {
     map.set(name, {
       name,
       line: getLine(match),
       kind,
+      ...(describe ? describe(match, name) : {}),
       ...extra
     });
   }
 }
 
+/**
+ * Details recorded for declarations (not export entries): end line, and
+ * parameters/return type for functions
+ * @param {string} language - Language name
+ * @param {string} category - Symbol category (exports, functions, classes, types, constants)
+ * @returns {Function|null} (match, name) => details
+ */
+function describeSymbol(language, category) {
+  if (category === 'exports') return null;
+  return (match, name) => {
+    const details = {};
+    const endLine = match?.range?.end?.line;
+    if (typeof endLine === 'number') details.endLine = endLine + 1;
+    if (category === 'functions') {
+      Object.assign(details, signatures.extractSignature(match?.text, name, language));
+    }
+    return details;
+  };
+}
+
 function runAstGrepPattern(cmd, pattern, lang, basePath, filePaths, options = {}) {
-  if (!pattern || !filePaths || filePaths.length === 0) return [];
+  const args = astGrepArgs(pattern, lang);
+  if (!args || !filePaths || filePaths.length === 0) return [];
 
   try {
-    const result = spawnSync(cmd, [
-      'run',
-      '--pattern', pattern,
-      '--lang', lang,
-      '--json=stream',
-      ...filePaths
-    ], {
+    const result = spawnSync(cmd, [...args, ...filePaths], {
       cwd: basePath,
       encoding: 'utf8',
       timeout: 300000,
@@ -713,14 +872,6 @@ function runAstGrepPattern(cmd, pattern, lang, basePath, filePaths, options = {}
  * @returns {Object} - Extracted symbols
  */
 function extractSymbols(cmd, file, language, langQueries, basePath, content, options = {}) {
-  const symbols = {
-    exports: [],
-    functions: [],
-    classes: [],
-    types: [],
-    constants: []
-  };
-
   const sgLang = queries.getSgLanguageForFile(file, language);
 
   const exportMap = new Map();
@@ -729,63 +880,42 @@ function extractSymbols(cmd, file, language, langQueries, basePath, content, opt
   const typeMap = new Map();
   const constMap = new Map();
 
-  const addSymbol = (map, name, match, kind, extra = {}) => {
-    if (!name) return;
-    if (!map.has(name)) {
-      map.set(name, {
-        name,
-        line: getLine(match),
-        kind,
-        ...extra
-      });
-    }
-  };
-
-  const runPatternSet = (patterns, targetMap, defaultKind) => {
+  const runPatternSet = (patterns, targetMap, defaultKind, category) => {
     if (!patterns) return;
     for (const patternDef of patterns) {
-      const pattern = patternDef.pattern || patternDef;
-      const results = runAstGrep(cmd, file, pattern, sgLang, basePath, options);
+      const results = runAstGrep(cmd, file, patternDef, sgLang, basePath, options);
       for (const match of results) {
         const names = extractNamesFromMatch(match, patternDef);
         for (const name of names) {
           const kind = patternDef.kind || defaultKind;
-          addSymbol(targetMap, name, match, kind, patternDef.extra);
+          addSymbolToMap(targetMap, name, match, kind, patternDef.extra, describeSymbol(language, category));
         }
       }
     }
   };
 
   // Extract exports
-  runPatternSet(langQueries.exports, exportMap, 'export');
+  runPatternSet(langQueries.exports, exportMap, 'export', 'exports');
 
   // Extract functions
-  runPatternSet(langQueries.functions, functionMap, 'function');
+  runPatternSet(langQueries.functions, functionMap, 'function', 'functions');
 
   // Extract classes
-  runPatternSet(langQueries.classes, classMap, 'class');
+  runPatternSet(langQueries.classes, classMap, 'class', 'classes');
 
   // Extract types
-  runPatternSet(langQueries.types, typeMap, 'type');
+  runPatternSet(langQueries.types, typeMap, 'type', 'types');
 
   // Extract constants
-  runPatternSet(langQueries.constants, constMap, 'constant');
-
-  // Infer exports for languages with implicit public rules
-  const exportNames = new Set(exportMap.keys());
-  applyLanguageExportRules(language, content, exportNames, functionMap, classMap, typeMap, constMap);
-
-  // Ensure export entries exist for inferred exports
-  ensureExportEntries(exportMap, exportNames, functionMap, classMap, typeMap, constMap);
-
-  // Convert maps to arrays and mark exported flags
-  symbols.exports = mapToSortedArray(exportMap);
-  symbols.functions = mapToSortedArray(functionMap, exportNames);
-  symbols.classes = mapToSortedArray(classMap, exportNames);
-  symbols.types = mapToSortedArray(typeMap, exportNames);
-  symbols.constants = mapToSortedArray(constMap, exportNames);
-
-  return symbols;
+  runPatternSet(langQueries.constants, constMap, 'constant', 'constants');
+
+  return finalizeSymbols(language, content, {
+    exports: exportMap,
+    functions: functionMap,
+    classes: classMap,
+    types: typeMap,
+    constants: constMap
+  });
 }
 
 /**
@@ -806,8 +936,7 @@ function extractImports(cmd, file, language, langQueries, basePath, options = {}
   const seen = new Set();
 
   for (const patternDef of langQueries.imports) {
-    const pattern = patternDef.pattern || patternDef;
-    const results = runAstGrep(cmd, file, pattern, sgLang, basePath, options);
+    const results = runAstGrep(cmd, file, patternDef, sgLang, basePath, options);
     for (const match of results) {
       const sourceResult = extractSourceFromMatch(match, patternDef);
       const sources = Array.isArray(sourceResult) ? sourceResult : [sourceResult];
@@ -828,24 +957,54 @@ function extractImports(cmd, file, language, langQueries, basePath, options = {}
   return imports;
 }
 
+/**
+ * Extract caller->callee edges from a file using ast-grep
+ * @param {string} cmd - ast-grep command
+ * @param {string} file - File path
+ * @param {string} language - Language name
+ * @param {Object} langQueries - Query patterns for this language
+ * @param {string} basePath - Repository root (for cwd)
+ * @returns {Array} - Call edges (see call-graph.collectCalls)
+ */
+function extractCalls(cmd, file, language, langQueries, basePath, options = {}) {
+  const groups = getCallPatternGroups(langQueries);
+  if (groups.length === 0) return [];
+
+  const sgLang = queries.getSgLanguageForFile(file, language);
+  const callMatches = { definitions: [], classes: [], calls: [] };
+  const run = (patternDefs, target) => {
+    for (const patternDef of patternDefs || []) {
+      const results = runAstGrep(cmd, file, patternDef, sgLang, basePath, options);
+      for (const match of results) {
+        callMatches[target].push({ match, patternDef });
+      }
+    }
+  };
+
+  run(langQueries.functions, 'definitions');
+  run(langQueries.classes, 'classes');
+  for (const group of groups) {
+    run(group.patterns, group.target);
+  }
+
+  return collectCalls(callMatches);
+}
+
 /**
  * Run ast-grep with a pattern
  * @param {string} cmd - ast-grep command
  * @param {string} file - File to scan
- * @param {string} pattern - Pattern to match
+ * @param {string|Object} pattern - Pattern string or query entry (see astGrepArgs)
  * @param {string} lang - ast-grep language identifier
  * @param {string} basePath - Working directory
  * @returns {Array} - Match results
  */
 function runAstGrep(cmd, file, pattern, lang, basePath, options = {}) {
+  const args = astGrepArgs(pattern, lang);
+  if (!args) return [];
+
   try {
-    const result = spawnSync(cmd, [
-      'run',
-      '--pattern', pattern,
-      '--lang', lang,
-      '--json=stream',
-      file
-    ], {
+    const result = spawnSync(cmd, [...args, file], {
       cwd: basePath,
       encoding: 'utf8',
       timeout: 30000,
@@ -988,7 +1147,8 @@ function extractSourceFromMatch(match, patternDef) {
 
   const variable = getMetaVariable(match, sourceVar);
   if (variable && variable.text) {
-    const raw = variable.text.replace(/^['"]|['"]$/g, '');
+    // Quotes, or angle brackets for C/C++ system includes
+    const raw = variable.text.replace(/^['"<]|['">]$/g, '');
     if (def.multiSource) {
       return splitMultiSource(raw);
     }
@@ -1110,9 +1270,73 @@ function applyLanguageExportRules(language, content, exportNames, functionMap, c
 
   if (language === 'go') {
     addPublicNames(exportNames, functionMap, classMap, typeMap, constMap, name => isExportedGoName(name));
+    return;
+  }
+
+  const declarationRule = DECLARATION_EXPORT_RULES[language];
+  if (declarationRule) {
+    const lines = (content || '').split('\n');
+    addDeclaredNames(exportNames, lines, functionMap, classMap, typeMap, constMap, declarationRule);
   }
 }
 
+// Export rules by declaration line, for languages whose visibility is a modifier
+const DECLARATION_EXPORT_RULES = {
+  // static gives internal linkage
+  c: (line) => !/\bstatic\b/.test(line),
+  cpp: (line) => !/\bstatic\b/.test(line),
+  csharp: (line) => /\bpublic\b/.test(line),
+  // Kotlin and PHP members are public by default
+  kotlin: (line) => !/\b(?:private|internal|protected)\b/.test(line),
+  php: (line) => !/\b(?:private|protected)\b/.test(line),
+  ruby: (line, lines, index) => !isRubyPrivateMethod(lines, index)
+};
+
+/**
+ * Add names whose declaration line passes a rule
+ * @param {Set<string>} exportNames - Export name set
+ * @param {string[]} lines - File lines
+ * @param {...Map} maps - Symbol maps
+ * @param {Function} rule - Function(line, lines, index) => boolean
+ */
+function addDeclaredNames(exportNames, lines, ...args) {
+  const rule = args.pop();
+  for (const map of args) {
+    for (const [name, symbol] of map) {
+      const index = (symbol.line || 0) - 1;
+      if (index < 0 || index >= lines.length) continue;
+      if (rule(lines[index], lines, index)) exportNames.add(name);
+    }
+  }
+}
+
+/**
+ * Check whether a Ruby method is private or protected
+ * (inline `private def`, or after a bare `private`/`protected` in the same class body)
+ * @param {string[]} lines - File lines
+ * @param {number} index - Declaration line index
+ * @returns {boolean}
+ */
+function isRubyPrivateMethod(lines, index) {
+  const line = lines[index];
+  if (/^\s*(?:private|protected)\s+def\b/.test(line)) return true;
+  if (!/^\s*def\s/.test(line) || /^\s*def\s+self\./.test(line)) return false;
+
+  const indent = line.match(/^\s*/)[0].length;
+  for (let i = index - 1; i >= 0; i--) {
+    const previous = lines[i];
+    if (!previous.trim()) continue;
+    const previousIndent = previous.match(/^\s*/)[0].length;
+    // Left the enclosing class/module body
+    if (previousIndent < indent) return false;
+    if (previousIndent === indent) {
+      const visibility = previous.match(/^\s*(private|protected|public)\s*(?:#.*)?$/);
+      if (visibility) return visibility[1] !== 'public';
+    }
+  }
+  return false;
+}
+
 /**
  * Extract __all__ exports from Python content
  * @param {string} content - File content
@@ -1241,7 +1465,7 @@ function getGitInfo(basePath) {
  */
 function detectProjectType(languages) {
   // Priority order
-  const priority = ['typescript', 'javascript', 'python', 'rust', 'go', 'java'];
+  const priority = ['typescript', 'javascript', 'python', 'rust', 'go', 'java', 'kotlin', 'csharp', 'cpp', 'c', 'ruby', 'php'];
   for (const lang of priority) {
     if (languages.includes(lang)) {
       return lang === 'typescript' ? 'node' : lang;
@@ -1255,6 +1479,8 @@ function detectProjectType(languages) {
  * @param {string} cmd - ast-grep command
  * @param {string} file - File path
  * @param {string} basePath - Repository root
+ * @param {Object} [options]
+ * @param {boolean} [options.calls=false] - Include caller->callee edges
  * @returns {Object|null} - File data or null if failed
  */
 function scanSingleFile(cmd, file, basePath, options = {}) {
@@ -1281,13 +1507,17 @@ function scanSingleFile(cmd, file, basePath, options = {}) {
     const symbols = extractSymbols(cmd, file, language, langQueries, basePath, content, options);
     const imports = extractImports(cmd, file, language, langQueries, basePath, options);
 
-    return {
+    const fileData = {
       hash,
       language,
       size: content.length,
       symbols,
       imports
     };
+    if (options.calls) {
+      fileData.calls = extractCalls(cmd, file, language, langQueries, basePath, options);
+    }
+    return fileData;
   } catch (error) {
     if (typeof options.onError === 'function') {
       options.onError({
@@ -1305,6 +1535,8 @@ function scanSingleFile(cmd, file, basePath, options = {}) {
  * @param {string} cmd - ast-grep command
  * @param {string} file - File path
  * @param {string} basePath - Repository root
+ * @param {Object} [options]
+ * @param {boolean} [options.calls=false] - Include caller->callee edges
  * @returns {Promise<Object|null>} - File data or null if failed
  */
 async function scanSingleFileAsync(cmd, file, basePath, options = {}) {
@@ -1331,13 +1563,17 @@ async function scanSingleFileAsync(cmd, file, basePath, options = {}) {
     const symbols = extractSymbols(cmd, file, language, langQueries, basePath, content, options);
     const imports = extractImports(cmd, file, language, langQueries, basePath, options);
 
-    return {
+    const fileData = {
       hash,
       language,
       size: content.length,
       symbols,
       imports
     };
+    if (options.calls) {
+      fileData.calls = extractCalls(cmd, file, language, langQueries, basePath, options);
+    }
+    return fileData;
   } catch (error) {
     if (typeof options.onError === 'function') {
       options.onError({
@@ -1359,6 +1595,15 @@ module.exports = {
   runAstGrep,
   getGitInfo,
   batchReadFiles,
+  applyLanguageExportRules,
   LANGUAGE_EXTENSIONS,
-  EXCLUDE_DIRS
+  EXCLUDE_DIRS,
+
+  // Shared with the fallback scanner
+  createSymbolMaps,
+  finalizeSymbols,
+  detectProjectType,
+  extractNamesFromExportList,
+  extractNamesFromObjectLiteral,
+  splitMultiSource
 };
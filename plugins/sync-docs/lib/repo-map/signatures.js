@@ -0,0 +1,317 @@
+/**
+ * Repo Map Signatures
+ *
+ * Reads API shape details from declaration text so agents can see them
+ * without opening files:
+ * - extractSignature: parameter list and return type annotation
+ * - extractDocComment: leading doc comment (JSDoc/Javadoc blocks, `///`,
+ *   Go/C `//` runs, Ruby `#` runs, Python docstrings)
+ * - getParamName: parameter name from a parameter declaration
+ *
+ * @module lib/repo-map/signatures
+ */
+
+'use strict';
+
+// Declaration header scanned for a signature (bodies can be long)
+const MAX_HEADER_LENGTH = 4000;
+
+// Doc comments longer than this are truncated
+const MAX_DOC_LENGTH = 1000;
+
+// Lines scanned for a Python def header and its docstring
+const MAX_PYTHON_HEADER_LINES = 20;
+
+// Languages whose return type annotation follows the parameter list after `:`
+const COLON_RETURN_LANGUAGES = new Set(['typescript', 'kotlin', 'php']);
+
+// Languages whose return type precedes the function name
+const PREFIX_RETURN_LANGUAGES = new Set(['java', 'csharp', 'c', 'cpp']);
+
+const PREFIX_MODIFIERS = /\b(?:public|private|protected|internal|static|final|abstract|synchronized|native|default|virtual|override|sealed|async|extern|inline|constexpr|unsafe|new|partial|readonly)\b/g;
+
+// Leading comment styles accepted as documentation, by language
+const LINE_DOC_PREFIXES = {
+  rust: ['///', '//!'],
+  csharp: ['///'],
+  go: ['//'],
+  c: ['///', '//'],
+  cpp: ['///', '//'],
+  ruby: ['#']
+};
+const PLAIN_BLOCK_DOC_LANGUAGES = new Set(['go', 'c', 'cpp']);
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Index of the `)` matching the `(` at `open`, skipping string literals
+ * @returns {number} -1 if unbalanced
+ */
+function findMatchingParen(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"' || ch === '\'' || ch === '`') {
+      let j = i + 1;
+      while (j < text.length && text[j] !== ch) j += text[j] === '\\' ? 2 : 1;
+      i = j;
+      continue;
+    }
+    if (ch === '(') depth++;
+    else if (ch === ')' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Split a parameter list at top-level commas
+ * @param {string} text - Text between the parentheses
+ * @returns {string[]} Parameters with whitespace collapsed
+ */
+function splitParams(text) {
+  const params = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"' || ch === '\'' || ch === '`') {
+      let j = i + 1;
+      while (j < text.length && text[j] !== ch) j += text[j] === '\\' ? 2 : 1;
+      current += text.slice(i, j + 1);
+      i = j;
+      continue;
+    }
+    if (ch === '=' && text[i + 1] === '>') {
+      current += '=>';
+      i++;
+      continue;
+    }
+    if ('([{<'.includes(ch)) depth++;
+    else if (')]}>'.includes(ch)) depth = Math.max(0, depth - 1);
+
+    if (ch === ',' && depth === 0) {
+      params.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  params.push(current);
+
+  return params.map(param => param.replace(/\s+/g, ' ').trim()).filter(Boolean);
+}
+
+function extractReturnType(header, nameIndex, close, language) {
+  const rest = header.slice(close + 1);
+  let match = null;
+
+  if (COLON_RETURN_LANGUAGES.has(language)) {
+    match = /^\s*:\s*([^{;=]+?)\s*(?:=>|\{|;|=|$)/.exec(rest);
+  } else if (language === 'python') {
+    match = /^\s*->\s*(.+?)\s*:/.exec(rest);
+  } else if (language === 'rust') {
+    match = /^\s*->\s*([^{;]+?)\s*(?:\bwhere\b|\{|;)/.exec(rest);
+  } else if (language === 'go') {
+    match = /^[ \t]*([^{\n]+?)\s*\{/.exec(rest);
+  } else if (PREFIX_RETURN_LANGUAGES.has(language)) {
+    const prefix = header.slice(0, nameIndex).split('\n').pop()
+      .replace(/@\w+(?:\([^)]*\))?/g, ' ')
+      .replace(/\[[^\]]*\]/g, ' ')
+      .replace(PREFIX_MODIFIERS, ' ')
+      .replace(/[\w:<>]*::$/, '')
+      .replace(/^\s*<[^>]*>/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return prefix && !/^(?:class|return|else)$/.test(prefix) ? prefix : null;
+  }
+
+  const returnType = match ? match[1].replace(/\s+/g, ' ').trim() : '';
+  return returnType || null;
+}
+
+/**
+ * Extract the parameter list and return type of a function declaration
+ * @param {string} text - Declaration text (from the name's declaration onwards)
+ * @param {string} name - Function name
+ * @param {string} language - Language name
+ * @returns {{params?: string[], returnType?: string}} Empty when no signature is found
+ */
+function extractSignature(text, name, language) {
+  if (typeof text !== 'string' || !name) return {};
+  const header = text.length > MAX_HEADER_LENGTH ? text.slice(0, MAX_HEADER_LENGTH) : text;
+
+  const nameMatch = new RegExp(`(?<![\\w$])${escapeRegex(name)}(?![\\w$])`).exec(header);
+  if (!nameMatch) return {};
+  const afterName = header.slice(nameMatch.index + name.length);
+
+  // Between the name and `(` only generics, a type annotation and `= async function` may appear
+  const lead = /^\s*(?:<[^()]*?>|\[[^()]*?\])?\s*(?::[^=()]*)?(?:=\s*(?:async\s*)?(?:function\s*\*?\s*)?)?\(/.exec(afterName);
+  if (!lead) {
+    const arrow = /^\s*(?::[^=]*)?=\s*(?:async\s+)?([A-Za-z_$][\w$]*)\s*=>/.exec(afterName);
+    return arrow ? { params: [arrow[1]] } : {};
+  }
+
+  const open = nameMatch.index + name.length + lead[0].length - 1;
+  const close = findMatchingParen(header, open);
+  if (close === -1) return {};
+
+  const params = splitParams(header.slice(open + 1, close));
+  const returnType = extractReturnType(header, nameMatch.index, close, language);
+  return returnType ? { params, returnType } : { params };
+}
+
+/**
+ * Get the parameter name from a parameter declaration
+ * @param {string} param - One entry of `params`
+ * @param {string} language - Language name
+ * @returns {string|null} Null for destructured, receiver or unnamed parameters
+ */
+function getParamName(param, language) {
+  let text = (param || '').replace(/=[\s\S]*$/, '').trim();
+  if (!text) return null;
+
+  if (language === 'go') {
+    // Go `count int` (the type follows the name)
+    const name = text.split(/\s+/)[0];
+    return /^[A-Za-z_]\w*$/.test(name) ? name : null;
+  }
+
+  if (PREFIX_RETURN_LANGUAGES.has(language) || language === 'php') {
+    // Java/C-style `final int count`, PHP `int $count` (the type precedes the name)
+    const parts = text.replace(/@\w+(?:\([^)]*\))?\s*/g, '').replace(/\[\]/g, '').split(/\s+/);
+    if (parts.length < 2 && language !== 'php') return null;
+    const name = parts[parts.length - 1].replace(/^[*&]+/, '').replace(/^\.\.\./, '').replace(/^\$/, '');
+    return /^[A-Za-z_]\w*$/.test(name) ? name : null;
+  }
+
+  text = text
+    .replace(/^(?:(?:public|private|protected|readonly|override|mut|ref|out|in|val|var)\s+)+/, '')
+    .replace(/^(?:\.\.\.|\*{1,2}|&)\s*/, '')
+    .replace(/[?!]?\s*:[\s\S]*$/, '')
+    .replace(/^\$/, '')
+    .trim();
+
+  if (!/^[A-Za-z_$][\w$]*$/.test(text)) return null;
+  if (['self', 'cls', 'this'].includes(text)) return null;
+  return text;
+}
+
+function cleanDoc(lines) {
+  while (lines.length > 0 && !lines[0]) lines.shift();
+  while (lines.length > 0 && !lines[lines.length - 1]) lines.pop();
+  const doc = lines.join('\n');
+  if (!doc) return null;
+  return doc.length > MAX_DOC_LENGTH ? `${doc.slice(0, MAX_DOC_LENGTH)}...` : doc;
+}
+
+function extractPythonDocstring(lines, index) {
+  let headerEnd = -1;
+  for (let i = index; i < Math.min(lines.length, index + MAX_PYTHON_HEADER_LINES); i++) {
+    if (/:\s*(?:#.*)?$/.test(lines[i])) {
+      headerEnd = i;
+      break;
+    }
+  }
+  if (headerEnd === -1) return null;
+
+  let start = headerEnd + 1;
+  while (start < lines.length && !lines[start].trim()) start++;
+  const open = /^\s*[rRuU]?("""|''')/.exec(lines[start] || '');
+  if (!open) return null;
+
+  const quote = open[1];
+  const first = lines[start].slice(open[0].length);
+  const body = [];
+  if (first.includes(quote)) {
+    body.push(first.slice(0, first.indexOf(quote)));
+  } else {
+    body.push(first);
+    for (let i = start + 1; i < lines.length; i++) {
+      const closeIndex = lines[i].indexOf(quote);
+      if (closeIndex !== -1) {
+        body.push(lines[i].slice(0, closeIndex));
+        break;
+      }
+      body.push(lines[i]);
+    }
+  }
+
+  return cleanDoc(body.map(line => line.trim()));
+}
+
+/**
+ * Extract the doc comment attached to a declaration
+ * @param {string[]} lines - File content split by line
+ * @param {number} line - 1-based declaration line
+ * @param {string} language - Language name
+ * @returns {string|null} Comment text without comment markers
+ */
+function extractDocComment(lines, line, language) {
+  if (!Array.isArray(lines) || !Number.isInteger(line) || line < 1) return null;
+  if (language === 'python') return extractPythonDocstring(lines, line - 1);
+
+  // Skip decorators and attributes between the comment and the declaration
+  let i = line - 2;
+  while (i >= 0 && /^\s*(?:@\w|#\[|\[\w)/.test(lines[i])) i--;
+  if (i < 0) return null;
+  const above = lines[i].trim();
+
+  if (above.endsWith('*/')) {
+    let start = i;
+    while (start >= 0 && !lines[start].includes('/*')) start--;
+    if (start < 0) return null;
+    const opener = lines[start].trim();
+    if (!opener.startsWith('/**') && !(opener.startsWith('/*') && PLAIN_BLOCK_DOC_LANGUAGES.has(language))) {
+      return null;
+    }
+    const body = lines.slice(start, i + 1).join('\n')
+      .replace(/^\s*\/\*\*?/, '')
+      .replace(/\*\/\s*$/, '')
+      .split('\n')
+      .map(text => text.replace(/^\s*\*(?!\/) ?/, '').trim());
+    return cleanDoc(body);
+  }
+
+  const prefixes = LINE_DOC_PREFIXES[language] || [];
+  const prefix = prefixes.find(p => above.startsWith(p));
+  if (!prefix) return null;
+
+  const body = [];
+  for (let j = i; j >= 0; j--) {
+    const text = lines[j].trim();
+    const linePrefix = prefixes.find(p => text.startsWith(p));
+    if (!linePrefix) break;
+    body.unshift(text.slice(linePrefix.length).trim());
+  }
+  return cleanDoc(body);
+}
+
+/**
+ * Add `doc` to every symbol that has a leading doc comment
+ * @param {string} language - Language name
+ * @param {string} content - File content
+ * @param {Map[]} symbolMaps - Maps of symbol entries ({name, line})
+ */
+function attachDocComments(language, content, symbolMaps) {
+  if (!content) return;
+  const lines = content.split('\n');
+  for (const map of symbolMaps) {
+    for (const entry of map.values()) {
+      if (entry.doc) continue;
+      const doc = extractDocComment(lines, entry.line, language);
+      if (doc) entry.doc = doc;
+    }
+  }
+}
+
+module.exports = {
+  MAX_DOC_LENGTH,
+  extractSignature,
+  splitParams,
+  getParamName,
+  extractDocComment,
+  attachDocComments
+};